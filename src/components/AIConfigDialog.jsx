@@ -9,22 +9,43 @@ import {
   Alert,
   Typography,
   Box,
-  Link
+  Link,
+  ToggleButton,
+  ToggleButtonGroup
 } from '@mui/material';
-import { Psychology, Visibility, VisibilityOff } from '@mui/icons-material';
+import { Psychology, Visibility, VisibilityOff, Cloud, Computer } from '@mui/icons-material';
+import {
+  AI_PROVIDERS,
+  DEFAULT_GEMINI_MODEL,
+  DEFAULT_OPENAI_COMPATIBLE_BASE_URL
+} from '../services/aiProviders';
 
 /**
- * AIConfigDialog - Dialog for configuring AI service with API key
+ * AIConfigDialog - Dialog for configuring the AI service
+ * Features:
+ * - Google Gemini with an API key
+ * - Any OpenAI-compatible endpoint (e.g. a local Ollama or llama.cpp server),
+ *   so transcripts stay on the machine
+ * - Model choice for either provider
  */
 const AIConfigDialog = ({ open, onClose, onConfigure }) => {
+  const [provider, setProvider] = useState(AI_PROVIDERS.GEMINI);
   const [apiKey, setApiKey] = useState('');
   const [showApiKey, setShowApiKey] = useState(false);
+  const [geminiModel, setGeminiModel] = useState(DEFAULT_GEMINI_MODEL);
+  const [baseUrl, setBaseUrl] = useState(DEFAULT_OPENAI_COMPATIBLE_BASE_URL);
+  const [localModel, setLocalModel] = useState('');
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
 
+  const isLocal = provider === AI_PROVIDERS.OPENAI_COMPATIBLE;
+  const isValid = isLocal
+    ? Boolean(baseUrl.trim() && localModel.trim())
+    : Boolean(apiKey.trim());
+
   const handleConfigure = async () => {
-    if (!apiKey.trim()) {
-      setError('Please enter a valid API key');
+    if (!isValid) {
+      setError(isLocal ? 'Please enter the endpoint URL and model' : 'Please enter a valid API key');
       return;
     }
 
@@ -32,7 +53,9 @@ const AIConfigDialog = ({ open, onClose, onConfigure }) => {
     setError('');
 
     try {
-      await onConfigure(apiKey);
+      await onConfigure(isLocal
+        ? { provider, baseUrl: baseUrl.trim(), model: localModel.trim(), apiKey: apiKey.trim() || null }
+        : { provider, apiKey: apiKey.trim(), model: geminiModel.trim() || DEFAULT_GEMINI_MODEL });
       setApiKey('');
       onClose();
     } catch (err) {
@@ -49,6 +72,14 @@ const AIConfigDialog = ({ open, onClose, onConfigure }) => {
     onClose();
   };
 
+  const handleProviderChange = (_event, value) => {
+    if (value) {
+      setProvider(value);
+      setApiKey('');
+      setError('');
+    }
+  };
+
   return (
     <Dialog open={open} onClose={handleClose} maxWidth="sm" fullWidth>
       <DialogTitle>
@@ -57,33 +88,90 @@ const AIConfigDialog = ({ open, onClose, onConfigure }) => {
           Configure AI Service
         </Box>
       </DialogTitle>
-      
+
       <DialogContent>
-        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
-          To generate AI summaries, you need a Google Gemini API key. This allows the application to use Google's AI models for intelligent meeting summarization.
-        </Typography>
+        <ToggleButtonGroup
+          value={provider}
+          exclusive
+          onChange={handleProviderChange}
+          size="small"
+          fullWidth
+          sx={{ mb: 2 }}
+        >
+          <ToggleButton value={AI_PROVIDERS.GEMINI}>
+            <Cloud fontSize="small" sx={{ mr: 1 }} />
+            Google Gemini
+          </ToggleButton>
+          <ToggleButton value={AI_PROVIDERS.OPENAI_COMPATIBLE}>
+            <Computer fontSize="small" sx={{ mr: 1 }} />
+            Local / OpenAI-compatible
+          </ToggleButton>
+        </ToggleButtonGroup>
 
-        <Alert severity="info" sx={{ mb: 2 }}>
-          <Typography variant="body2">
-            Get your free API key from{' '}
-            <Link 
-              href="https://makersuite.google.com/app/apikey" 
-              target="_blank" 
-              rel="noopener noreferrer"
-              underline="hover"
-            >
-              Google AI Studio
-            </Link>
-          </Typography>
-        </Alert>
+        {isLocal ? (
+          <>
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+              Summaries are generated by a server with an OpenAI-compatible chat API, such as Ollama or
+              the llama.cpp server. With a server on this machine, transcripts are not sent to a cloud service.
+            </Typography>
+
+            <TextField
+              fullWidth
+              label="Endpoint URL"
+              value={baseUrl}
+              onChange={(e) => setBaseUrl(e.target.value)}
+              placeholder={DEFAULT_OPENAI_COMPATIBLE_BASE_URL}
+              helperText="Ollama: http://localhost:11434/v1 · llama.cpp: http://localhost:8080/v1"
+              sx={{ mb: 2 }}
+            />
+
+            <TextField
+              fullWidth
+              label="Model"
+              value={localModel}
+              onChange={(e) => setLocalModel(e.target.value)}
+              placeholder="e.g. llama3.1"
+              sx={{ mb: 2 }}
+            />
+          </>
+        ) : (
+          <>
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+              To generate AI summaries, you need a Google Gemini API key. This allows the application to use Google's AI models for intelligent meeting summarization.
+            </Typography>
+
+            <Alert severity="info" sx={{ mb: 2 }}>
+              <Typography variant="body2">
+                Get your free API key from{' '}
+                <Link
+                  href="https://makersuite.google.com/app/apikey"
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  underline="hover"
+                >
+                  Google AI Studio
+                </Link>
+              </Typography>
+            </Alert>
+
+            <TextField
+              fullWidth
+              label="Model"
+              value={geminiModel}
+              onChange={(e) => setGeminiModel(e.target.value)}
+              placeholder={DEFAULT_GEMINI_MODEL}
+              sx={{ mb: 2 }}
+            />
+          </>
+        )}
 
         <TextField
           fullWidth
-          label="Google Gemini API Key"
+          label={isLocal ? 'API Key (optional)' : 'Google Gemini API Key'}
           type={showApiKey ? 'text' : 'password'}
           value={apiKey}
           onChange={(e) => setApiKey(e.target.value)}
-          placeholder="Enter your API key"
+          placeholder={isLocal ? 'Only if the server requires one' : 'Enter your API key'}
           error={!!error}
           helperText={error}
           sx={{ mb: 2 }}
@@ -102,7 +190,7 @@ const AIConfigDialog = ({ open, onClose, onConfigure }) => {
 
         <Alert severity="warning">
           <Typography variant="body2">
-            <strong>Security Note:</strong> Your API key will be stored locally and only used for AI summary generation. 
+            <strong>Security Note:</strong> Your API key will be stored locally and only used for AI summary generation.
             Never share your API key publicly.
           </Typography>
         </Alert>
@@ -112,10 +200,10 @@ const AIConfigDialog = ({ open, onClose, onConfigure }) => {
         <Button onClick={handleClose} disabled={loading}>
           Cancel
         </Button>
-        <Button 
-          onClick={handleConfigure} 
-          variant="contained" 
-          disabled={!apiKey.trim() || loading}
+        <Button
+          onClick={handleConfigure}
+          variant="contained"
+          disabled={!isValid || loading}
           startIcon={<Psychology />}
         >
           {loading ? 'Configuring...' : 'Configure AI Service'}
@@ -125,4 +213,4 @@ const AIConfigDialog = ({ open, onClose, onConfigure }) => {
   );
 };
 
-export default AIConfigDialog; 
\ No newline at end of file
+export default AIConfigDialog;
@@ -0,0 +1,189 @@
+import React, { useEffect, useRef, useState } from 'react';
+import {
+  Box,
+  TextField,
+  Button,
+  Tooltip,
+  Chip
+} from '@mui/material';
+import { BookmarkAdd, NoteAdd } from '@mui/icons-material';
+
+/**
+ * Check whether a key event carries the platform shortcut modifier with Shift
+ * @param {KeyboardEvent} event - Key event
+ * @returns {boolean} True for Ctrl+Shift (Cmd+Shift on macOS)
+ */
+const isShortcut = (event) => (event.ctrlKey || event.metaKey) && event.shiftKey && !event.altKey;
+
+/**
+ * Format milliseconds since the session start as mm:ss
+ * @param {number} ms - Elapsed milliseconds
+ * @returns {string} Formatted time
+ */
+const formatElapsed = (ms) => {
+  const elapsed = Math.floor(ms / 1000);
+  return `${String(Math.floor(elapsed / 60)).padStart(2, '0')}:${String(elapsed % 60).padStart(2, '0')}`;
+};
+
+/**
+ * AnnotationBar - Bookmark the current moment of a recording or attach a note to it
+ * Features:
+ * - Notes are anchored to the moment typing started, not when they are saved
+ * - Keyboard shortcuts: Ctrl/Cmd+Shift+B adds a bookmark, Ctrl/Cmd+Shift+N starts a note
+ */
+const AnnotationBar = ({
+  disabled = false,
+  getElapsedTime,
+  onAddAnnotation
+}) => {
+  const inputRef = useRef(null);
+  const [noteText, setNoteText] = useState('');
+  const [anchorTime, setAnchorTime] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const resetNote = () => {
+    setNoteText('');
+    setAnchorTime(null);
+  };
+
+  /**
+   * Save an annotation, anchored to the given time or to now
+   * @param {string} type - 'bookmark' or 'note'
+   * @param {string} [text] - Note text
+   * @param {number|null} [relativeTime] - Anchor in milliseconds since the session started
+   * @returns {Promise<boolean>} True if saved
+   */
+  const addAnnotation = async (type, text = '', relativeTime = null) => {
+    setSaving(true);
+    try {
+      await onAddAnnotation({
+        type,
+        text,
+        relativeTime: relativeTime ?? getElapsedTime()
+      });
+      return true;
+    } catch (error) {
+      console.error('Failed to save annotation:', error);
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleAddNote = async () => {
+    if (!noteText.trim()) {
+      return;
+    }
+    if (await addAnnotation('note', noteText, anchorTime)) {
+      resetNote();
+    }
+  };
+
+  const handleNoteChange = (event) => {
+    const { value } = event.target;
+    setNoteText(value);
+    if (!value) {
+      setAnchorTime(null);
+    } else if (anchorTime === null) {
+      setAnchorTime(getElapsedTime());
+    }
+  };
+
+  // Keep the latest handlers for the global shortcut listener
+  const shortcutHandlersRef = useRef({});
+  shortcutHandlersRef.current = {
+    bookmark: () => addAnnotation('bookmark'),
+    startNote: () => {
+      if (anchorTime === null) {
+        setAnchorTime(getElapsedTime());
+      }
+      inputRef.current?.focus();
+    }
+  };
+
+  useEffect(() => {
+    if (disabled) {
+      return;
+    }
+
+    const handleKeyDown = (event) => {
+      if (!isShortcut(event)) {
+        return;
+      }
+
+      const key = event.key.toLowerCase();
+      if (key === 'b') {
+        event.preventDefault();
+        shortcutHandlersRef.current.bookmark();
+      } else if (key === 'n') {
+        event.preventDefault();
+        shortcutHandlersRef.current.startNote();
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [disabled]);
+
+  // A note in progress belongs to the recording it was started in
+  useEffect(() => {
+    if (disabled) {
+      resetNote();
+    }
+  }, [disabled]);
+
+  return (
+    <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+      <Tooltip title="Bookmark this moment (Ctrl+Shift+B)">
+        <span>
+          <Button
+            variant="outlined"
+            size="small"
+            startIcon={<BookmarkAdd />}
+            onClick={() => addAnnotation('bookmark')}
+            disabled={disabled || saving}
+          >
+            Bookmark
+          </Button>
+        </span>
+      </Tooltip>
+
+      <TextField
+        inputRef={inputRef}
+        size="small"
+        fullWidth
+        placeholder={disabled ? 'Start recording to add notes' : 'Add a note (Ctrl+Shift+N)'}
+        value={noteText}
+        onChange={handleNoteChange}
+        onKeyDown={(e) => {
+          if (e.key === 'Enter') {
+            e.preventDefault();
+            handleAddNote();
+          } else if (e.key === 'Escape') {
+            resetNote();
+            inputRef.current?.blur();
+          }
+        }}
+        disabled={disabled || saving}
+        InputProps={{
+          startAdornment: anchorTime !== null && (
+            <Chip label={formatElapsed(anchorTime)} size="small" sx={{ mr: 1 }} />
+          )
+        }}
+      />
+
+      <Button
+        variant="contained"
+        size="small"
+        startIcon={<NoteAdd />}
+        onClick={handleAddNote}
+        disabled={disabled || saving || !noteText.trim()}
+        sx={{ whiteSpace: 'nowrap' }}
+      >
+        Add Note
+      </Button>
+    </Box>
+  );
+};
+
+export default AnnotationBar;
@@ -41,6 +41,7 @@ const AudioControls = ({ onRecordingStateChange, onAudioData, compact = false })
     pauseRecording,
     resumeRecording,
     stopRecording,
+    getLastRecordingInfo,
     clearError,
     getFormattedDuration,
     canRecord,
@@ -105,7 +106,7 @@ const AudioControls = ({ onRecordingStateChange, onAudioData, compact = false })
   const handleStopRecording = async () => {
     const audioBlob = await stopRecording();
     if (audioBlob && onAudioData) {
-      onAudioData(audioBlob);
+      onAudioData(audioBlob, getLastRecordingInfo());
     }
   };
 
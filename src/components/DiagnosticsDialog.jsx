@@ -0,0 +1,247 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Alert,
+  Typography,
+  Box,
+  List,
+  ListItem,
+  ListItemText,
+  Select,
+  MenuItem,
+  CircularProgress,
+  Chip
+} from '@mui/material';
+import { HealthAndSafety, Refresh, Build } from '@mui/icons-material';
+
+// Issues shown per type before the list is cut off
+const LISTED_ISSUE_COUNT = 10;
+
+// Issue types with their label, repair option and the actions offered (default first)
+const ISSUE_TYPES = [
+  {
+    type: 'orphan',
+    label: 'Orphaned records',
+    description: 'Transcripts, summaries, notes or audio of a session that no longer exists',
+    option: 'orphans',
+    actions: ['reparent', 'quarantine', 'delete']
+  },
+  {
+    type: 'dangling-summary',
+    label: 'Broken summary links',
+    description: 'Summary versions that point to a summary which is missing',
+    option: 'danglingSummaries',
+    actions: ['relink', 'quarantine', 'delete']
+  },
+  {
+    type: 'invalid-segment',
+    label: 'Invalid transcript segments',
+    description: 'Segments without text or timestamp, or that cannot be read',
+    option: 'invalidSegments',
+    actions: ['quarantine', 'delete']
+  },
+  {
+    type: 'duplicate-id',
+    label: 'Duplicate IDs',
+    description: 'Records that reuse the ID of a record in another store',
+    option: 'duplicates',
+    actions: ['quarantine', 'delete']
+  }
+];
+
+const ACTION_LABELS = {
+  reparent: 'Move to a recovered session',
+  relink: 'Link to the previous version',
+  quarantine: 'Quarantine',
+  delete: 'Delete'
+};
+
+/**
+ * Get the default action for every issue type
+ * @returns {Object} Action per repair option
+ */
+const getDefaultActions = () => Object.fromEntries(ISSUE_TYPES.map(({ option, actions }) => [option, actions[0]]));
+
+/**
+ * DiagnosticsDialog - Check stored data for integrity problems and repair them
+ * Features:
+ * - Record counts and the issues found, grouped by type
+ * - A repair action per issue type: re-parent, relink, quarantine or delete
+ * - Quarantined records are kept aside, not deleted
+ */
+const DiagnosticsDialog = ({
+  open,
+  onClose,
+  onVerify,
+  onRepair
+}) => {
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [repairing, setRepairing] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const [actions, setActions] = useState(getDefaultActions);
+
+  const runCheck = useCallback(async () => {
+    setLoading(true);
+    setError('');
+
+    try {
+      setReport(await onVerify());
+    } catch (err) {
+      setError(err.message || 'Failed to check data integrity');
+    } finally {
+      setLoading(false);
+    }
+  }, [onVerify]);
+
+  useEffect(() => {
+    if (open) {
+      setMessage('');
+      setActions(getDefaultActions());
+      runCheck();
+    }
+  }, [open, runCheck]);
+
+  const handleRepair = async () => {
+    setRepairing(true);
+    setError('');
+    setMessage('');
+
+    try {
+      const results = await onRepair(actions);
+      const parts = [
+        results.reparented && `${results.reparented} moved to ${results.sessionsCreated} recovered session${results.sessionsCreated === 1 ? '' : 's'}`,
+        results.relinked && `${results.relinked} relinked`,
+        results.quarantined && `${results.quarantined} quarantined`,
+        results.deleted && `${results.deleted} deleted`
+      ].filter(Boolean);
+      setMessage(parts.length > 0 ? `Repaired: ${parts.join(', ')}` : 'Nothing to repair');
+      await runCheck();
+    } catch (err) {
+      setError(err.message || 'Repair failed');
+    } finally {
+      setRepairing(false);
+    }
+  };
+
+  const busy = loading || repairing;
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+          <HealthAndSafety color="primary" />
+          Data Diagnostics
+        </Box>
+      </DialogTitle>
+
+      <DialogContent>
+        {loading && !report && (
+          <Box sx={{ display: 'flex', justifyContent: 'center', py: 4 }}>
+            <CircularProgress />
+          </Box>
+        )}
+
+        {report && (
+          <>
+            <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, mb: 2 }}>
+              {Object.entries(report.counts).map(([store, count]) => (
+                <Chip key={store} size="small" variant="outlined" label={`${store}: ${count}`} />
+              ))}
+            </Box>
+
+            {report.isHealthy ? (
+              <Alert severity="success">
+                No problems found. Checked {new Date(report.checkedAt).toLocaleString()}.
+              </Alert>
+            ) : (
+              ISSUE_TYPES
+                .filter(({ type }) => report.issueCounts[type] > 0)
+                .map(({ type, label, description, option, actions: allowed }) => {
+                  const issues = report.issues.filter(issue => issue.type === type);
+
+                  return (
+                    <Box key={type} sx={{ mb: 2 }}>
+                      <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: 1 }}>
+                        <Box>
+                          <Typography variant="subtitle2">
+                            {label} ({issues.length})
+                          </Typography>
+                          <Typography variant="caption" color="text.secondary">
+                            {description}
+                          </Typography>
+                        </Box>
+                        <Select
+                          size="small"
+                          value={actions[option]}
+                          onChange={(e) => setActions(current => ({ ...current, [option]: e.target.value }))}
+                          disabled={busy}
+                          aria-label={`Repair action for ${label.toLowerCase()}`}
+                        >
+                          {allowed.map(action => (
+                            <MenuItem key={action} value={action}>{ACTION_LABELS[action]}</MenuItem>
+                          ))}
+                        </Select>
+                      </Box>
+
+                      <List dense>
+                        {issues.slice(0, LISTED_ISSUE_COUNT).map(issue => (
+                          <ListItem key={`${issue.store}:${issue.id}:${issue.field || ''}`} divider>
+                            <ListItemText
+                              primary={`${issue.store} ${issue.id}`}
+                              secondary={issue.message}
+                            />
+                          </ListItem>
+                        ))}
+                        {issues.length > LISTED_ISSUE_COUNT && (
+                          <ListItem>
+                            <ListItemText secondary={`and ${issues.length - LISTED_ISSUE_COUNT} more`} />
+                          </ListItem>
+                        )}
+                      </List>
+                    </Box>
+                  );
+                })
+            )}
+          </>
+        )}
+
+        {message && (
+          <Alert severity="success" sx={{ mt: 2 }}>
+            {message}
+          </Alert>
+        )}
+
+        {error && (
+          <Alert severity="error" sx={{ mt: 2 }}>
+            {error}
+          </Alert>
+        )}
+      </DialogContent>
+
+      <DialogActions>
+        <Button startIcon={<Refresh />} onClick={runCheck} disabled={busy}>
+          Check Again
+        </Button>
+        <Button
+          variant="contained"
+          startIcon={<Build />}
+          onClick={handleRepair}
+          disabled={busy || !report || report.isHealthy}
+        >
+          Repair
+        </Button>
+        <Button onClick={onClose} disabled={repairing}>
+          Close
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default DiagnosticsDialog;
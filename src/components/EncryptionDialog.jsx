@@ -0,0 +1,273 @@
+import React, { useState } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  Button,
+  Alert,
+  Typography,
+  Box,
+  Tabs,
+  Tab
+} from '@mui/material';
+import { Lock, LockOpen, Visibility, VisibilityOff } from '@mui/icons-material';
+
+const MIN_PASSPHRASE_LENGTH = 8;
+
+/**
+ * EncryptionDialog - Unlock encrypted storage or manage encryption at rest
+ *
+ * Modes:
+ * - `unlock`: ask for the passphrase of encrypted storage
+ * - `manage`: turn encryption on, or change the passphrase, lock or turn it off
+ */
+const EncryptionDialog = ({
+  open,
+  mode = 'manage',
+  isEnabled = false,
+  onClose,
+  onUnlock,
+  onLock,
+  onEnable,
+  onChangePassphrase,
+  onDisable
+}) => {
+  const [action, setAction] = useState('change');
+  const [passphrase, setPassphrase] = useState('');
+  const [newPassphrase, setNewPassphrase] = useState('');
+  const [confirmPassphrase, setConfirmPassphrase] = useState('');
+  const [showPassphrase, setShowPassphrase] = useState(false);
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const resetForm = () => {
+    setPassphrase('');
+    setNewPassphrase('');
+    setConfirmPassphrase('');
+    setShowPassphrase(false);
+    setError('');
+  };
+
+  const handleClose = () => {
+    resetForm();
+    setAction('change');
+    onClose();
+  };
+
+  /**
+   * Check a new passphrase and its confirmation
+   * @param {string} value - New passphrase
+   * @returns {string} Error message, or an empty string if valid
+   */
+  const validateNewPassphrase = (value) => {
+    if (value.length < MIN_PASSPHRASE_LENGTH) {
+      return `Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`;
+    }
+    if (value !== confirmPassphrase) {
+      return 'Passphrases do not match';
+    }
+    return '';
+  };
+
+  const isUnlockMode = mode === 'unlock';
+  const isSetup = !isUnlockMode && !isEnabled;
+
+  const handleSubmit = async () => {
+    let validationError = '';
+    if (isSetup) {
+      validationError = validateNewPassphrase(newPassphrase);
+    } else if (!isUnlockMode && action === 'change') {
+      validationError = validateNewPassphrase(newPassphrase);
+    }
+
+    if (!isSetup && !passphrase) {
+      validationError = 'Please enter your passphrase';
+    }
+
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+
+    setLoading(true);
+    setError('');
+
+    try {
+      if (isUnlockMode) {
+        await onUnlock(passphrase);
+      } else if (isSetup) {
+        await onEnable(newPassphrase);
+      } else if (action === 'change') {
+        await onChangePassphrase(passphrase, newPassphrase);
+      } else {
+        await onDisable(passphrase);
+      }
+      handleClose();
+    } catch (err) {
+      setError(err.message || 'Encryption operation failed');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const visibilityToggle = (
+    <Button
+      onClick={() => setShowPassphrase(!showPassphrase)}
+      size="small"
+      sx={{ minWidth: 'auto' }}
+    >
+      {showPassphrase ? <VisibilityOff /> : <Visibility />}
+    </Button>
+  );
+
+  const passphraseField = (label, value, onChange, autoFocus = false) => (
+    <TextField
+      fullWidth
+      label={label}
+      type={showPassphrase ? 'text' : 'password'}
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      onKeyDown={(e) => {
+        if (e.key === 'Enter') {
+          handleSubmit();
+        }
+      }}
+      autoFocus={autoFocus}
+      disabled={loading}
+      sx={{ mb: 2 }}
+      InputProps={{ endAdornment: visibilityToggle }}
+    />
+  );
+
+  const getTitle = () => {
+    if (isUnlockMode) {
+      return 'Unlock Interview Data';
+    }
+    return isSetup ? 'Encrypt Interview Data' : 'Encryption Settings';
+  };
+
+  const getSubmitLabel = () => {
+    if (loading) {
+      return 'Working...';
+    }
+    if (isUnlockMode) {
+      return 'Unlock';
+    }
+    if (isSetup) {
+      return 'Turn On Encryption';
+    }
+    return action === 'change' ? 'Change Passphrase' : 'Turn Off Encryption';
+  };
+
+  return (
+    <Dialog open={open} onClose={handleClose} maxWidth="sm" fullWidth>
+      <DialogTitle>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+          {isUnlockMode || isEnabled ? <Lock color="primary" /> : <LockOpen color="primary" />}
+          {getTitle()}
+        </Box>
+      </DialogTitle>
+
+      <DialogContent>
+        {isUnlockMode && (
+          <>
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+              Stored transcripts and summaries are encrypted. Enter your passphrase to open them.
+            </Typography>
+            {passphraseField('Passphrase', passphrase, setPassphrase, true)}
+          </>
+        )}
+
+        {isSetup && (
+          <>
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+              Transcripts, summaries and session details will be encrypted on this device with a key derived from your passphrase.
+              Session titles, tags and folder names are encrypted too; dates, durations, platforms, stars and folder
+              membership stay readable so sessions can be listed and organized while storage is locked.
+              Full-text search falls back to a slower scan while encryption is on.
+            </Typography>
+            {passphraseField('New passphrase', newPassphrase, setNewPassphrase, true)}
+            {passphraseField('Confirm passphrase', confirmPassphrase, setConfirmPassphrase)}
+            <Alert severity="warning">
+              <Typography variant="body2">
+                <strong>There is no recovery:</strong> if you forget the passphrase, the encrypted data cannot be read.
+              </Typography>
+            </Alert>
+          </>
+        )}
+
+        {!isUnlockMode && isEnabled && (
+          <>
+            <Tabs
+              value={action}
+              onChange={(e, value) => {
+                resetForm();
+                setAction(value);
+              }}
+              sx={{ mb: 2 }}
+            >
+              <Tab label="Change passphrase" value="change" />
+              <Tab label="Turn off" value="disable" />
+            </Tabs>
+
+            {passphraseField('Current passphrase', passphrase, setPassphrase, true)}
+
+            {action === 'change' ? (
+              <>
+                {passphraseField('New passphrase', newPassphrase, setNewPassphrase)}
+                {passphraseField('Confirm new passphrase', confirmPassphrase, setConfirmPassphrase)}
+                <Typography variant="body2" color="text.secondary">
+                  All stored data is re-encrypted with a new key.
+                </Typography>
+              </>
+            ) : (
+              <Alert severity="warning">
+                <Typography variant="body2">
+                  All stored data will be decrypted and kept in plaintext on this device.
+                </Typography>
+              </Alert>
+            )}
+          </>
+        )}
+
+        {error && (
+          <Alert severity="error" sx={{ mt: 2 }}>
+            {error}
+          </Alert>
+        )}
+      </DialogContent>
+
+      <DialogActions>
+        {!isUnlockMode && isEnabled && onLock && (
+          <Button
+            onClick={() => {
+              onLock();
+              handleClose();
+            }}
+            disabled={loading}
+            startIcon={<Lock />}
+            sx={{ mr: 'auto' }}
+          >
+            Lock Now
+          </Button>
+        )}
+        <Button onClick={handleClose} disabled={loading}>
+          {isUnlockMode ? 'Not Now' : 'Cancel'}
+        </Button>
+        <Button
+          onClick={handleSubmit}
+          variant="contained"
+          color={!isUnlockMode && isEnabled && action === 'disable' ? 'warning' : 'primary'}
+          disabled={loading}
+          startIcon={isUnlockMode ? <LockOpen /> : <Lock />}
+        >
+          {getSubmitLabel()}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default EncryptionDialog;
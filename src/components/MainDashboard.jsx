@@ -42,6 +42,13 @@ import {
   DarkMode as DarkModeIcon,
   Menu as MenuIcon,
   Notifications as NotificationsIcon,
+  Lock as LockIcon,
+  LockOpen as LockOpenIcon,
+  NoEncryption as NoEncryptionIcon,
+  Undo as UndoIcon,
+  Storage as StorageIcon,
+  TextSnippet as PromptTemplateIcon,
+  ViewList as SessionsIcon,
 } from "@mui/icons-material";
 
 // Import components
@@ -49,16 +56,37 @@ import TranscriptView from "./TranscriptView";
 import SummaryPanel from "./SummaryPanel";
 import AudioControls from "./AudioControls";
 import AIConfigDialog from "./AIConfigDialog";
+import EncryptionDialog from "./EncryptionDialog";
+import SessionRecoveryDialog from "./SessionRecoveryDialog";
+import AnnotationBar from "./AnnotationBar";
+import SessionAudioPlayer from "./SessionAudioPlayer";
+import StorageUsageDialog from "./StorageUsageDialog";
+import SessionsDialog from "./SessionsDialog";
+import DiagnosticsDialog from "./DiagnosticsDialog";
+import PromptTemplatesDialog from "./PromptTemplatesDialog";
+import ScorecardPanel from "./ScorecardPanel";
+import TokenBudgetDialog from "./TokenBudgetDialog";
+import { useNotifications } from "./NotificationSystem";
 
 // Import hooks
 import useAudioCapture from "../hooks/useAudioCapture";
 import useTranscription from "../hooks/useTranscription";
 import useSummary from "../hooks/useSummary";
 
+// Import utilities
+import { findSegmentAtTime, getSegmentStartTime } from "../utils/audioUtils";
+import { carryOverRatings, setCompetencyRating } from "../services/scorecards";
+
 // Import services
 import SearchService from "../services/searchService";
 import storageService from "../services/storageService";
 
+// How often an in-progress recording is written to storage
+const AUTOSAVE_INTERVAL_MS = 10000;
+
+// Failed autosaves in a row before the user is warned
+const AUTOSAVE_FAILURES_BEFORE_WARNING = 3;
+
 /**
  * MainDashboard - Integrated dashboard interface for the Real-Time Interview Summarizer
  * Features:
@@ -79,7 +107,26 @@ const MainDashboard = ({
   const [notifications, setNotifications] = useState([]);
 
   const [aiConfigDialogOpen, setAiConfigDialogOpen] = useState(false);
+  const [encryptionDialogMode, setEncryptionDialogMode] = useState(null);
+  const [storageDialogOpen, setStorageDialogOpen] = useState(false);
+  const [sessionsDialogOpen, setSessionsDialogOpen] = useState(false);
+  const [diagnosticsDialogOpen, setDiagnosticsDialogOpen] = useState(false);
+  const [promptTemplatesDialogOpen, setPromptTemplatesDialogOpen] = useState(false);
+  const [tokenBudgetDialogOpen, setTokenBudgetDialogOpen] = useState(false);
+  const [recoverableSessions, setRecoverableSessions] = useState([]);
+  const [recoveryDialogOpen, setRecoveryDialogOpen] = useState(false);
+  const [storageLock, setStorageLock] = useState({
+    isEnabled: false,
+    isLocked: false,
+  });
   const [isRecordingSession, setIsRecordingSession] = useState(false);
+  const [annotations, setAnnotations] = useState([]);
+  const [sessionRecordings, setSessionRecordings] = useState([]);
+  const [playbackSegmentId, setPlaybackSegmentId] = useState(null);
+  const [savedSessionId, setSavedSessionId] = useState(null);
+  const [scorecard, setScorecard] = useState(null);
+  const [scorecardRubric, setScorecardRubric] = useState(null);
+  const [isScoring, setIsScoring] = useState(false);
   const isStoppingRef = useRef(false);
   const [sessionStats, setSessionStats] = useState({
     duration: 0,
@@ -90,6 +137,9 @@ const MainDashboard = ({
   // Services - memoized to prevent recreation
   const [searchService] = useState(() => new SearchService(storageService));
 
+  // Toasts that carry actions (e.g. undo) go through the notification system
+  const { addNotification: addActionNotification } = useNotifications();
+
   // Hooks for feature management - store in refs to prevent re-renders
   const audioCapture = useAudioCapture();
   const transcription = useTranscription();
@@ -125,6 +175,21 @@ const MainDashboard = ({
   const prevTranscriptSegmentsLengthRef = useRef(0);
   const prevSummaryStatusRef = useRef(false);
   const autoSummaryTimeoutRef = useRef(null);
+  const savedSessionIdRef = useRef(null);
+  // Scorecard of the current session, saved with it when recording stops
+  const scorecardRef = useRef(null);
+  const activeSessionRef = useRef(null);
+  // Session of the latest recording; kept after stopping until its audio is saved
+  const recordingSessionRef = useRef(null);
+  const audioPlayerRef = useRef(null);
+  const resumeSessionRef = useRef(null);
+  const autosavePromiseRef = useRef(null);
+  const autosaveFailuresRef = useRef(0);
+  const autosavedRef = useRef({
+    segmentIds: new Set(),
+    summaryIds: new Set(),
+    sessionWritten: false,
+  });
 
   /**
    * Add notification to the queue - memoized to prevent recreation
@@ -150,6 +215,150 @@ const MainDashboard = ({
     []
   ); // Empty dependency array - function doesn't depend on external values
 
+  /**
+   * Read the encryption state of storage into component state
+   */
+  const refreshStorageLock = useCallback(() => {
+    setStorageLock({
+      isEnabled: storageService.isEncryptionEnabled(),
+      isLocked: storageService.isLocked(),
+    });
+  }, []);
+
+  /**
+   * Hand the active prompt template and the glossary to the summary service
+   */
+  const applyPromptTemplate = useCallback(async () => {
+    const [template, glossary] = await Promise.all([
+      storageService.getActivePromptTemplate(),
+      storageService.getSummaryGlossary(),
+    ]);
+    summaryRef.current.setPromptTemplate(template, glossary);
+  }, []);
+
+  /**
+   * Hand the token budget and the tokens used so far to the summary service,
+   * and store the usage after every request
+   */
+  const applyTokenBudget = useCallback(async () => {
+    const [budget, usage] = await Promise.all([
+      storageService.getTokenBudget(),
+      storageService.getTokenUsage(),
+    ]);
+    summaryRef.current.setTokenBudget(budget, usage);
+    summaryRef.current.setTokenUsageListener((tokenUsage) => {
+      storageService
+        .saveTokenUsage(tokenUsage)
+        .catch((error) => console.warn("Failed to save token usage:", error));
+    });
+  }, []);
+
+  /**
+   * Look for autosaved recordings that were never finalized
+   */
+  const checkForRecoverableSessions = useCallback(async () => {
+    if (storageService.isLocked()) {
+      return;
+    }
+
+    try {
+      const sessions = await storageService.getRecoverableSessions();
+      if (sessions.length > 0) {
+        setRecoverableSessions(sessions);
+        setRecoveryDialogOpen(true);
+      }
+    } catch (error) {
+      console.warn("Failed to check for recoverable sessions:", error);
+    }
+  }, []);
+
+  /**
+   * Warn when stored data gets close to the browser's storage quota
+   */
+  const checkStorageQuota = useCallback(async () => {
+    try {
+      const quota = await storageService.getQuotaInfo();
+      if (quota && quota.isNearQuota) {
+        addActionNotification({
+          message: `Storage is ${Math.round(quota.usageRatio * 100)}% full. Free up space to keep saving sessions.`,
+          severity: "warning",
+          actions: [
+            {
+              label: "Manage",
+              icon: <StorageIcon />,
+              onClick: () => setStorageDialogOpen(true),
+            },
+          ],
+        });
+      }
+    } catch (error) {
+      console.warn("Failed to check storage quota:", error);
+    }
+  }, [addActionNotification]);
+
+  /**
+   * Write new transcript segments and summary versions of the current
+   * recording to storage. Only one autosave runs at a time; the user is warned
+   * once autosaves keep failing.
+   */
+  const autosaveSession = useCallback(() => {
+    const activeSession = activeSessionRef.current;
+    if (!activeSession || storageService.isLocked()) {
+      return Promise.resolve();
+    }
+
+    if (autosavePromiseRef.current) {
+      return autosavePromiseRef.current;
+    }
+
+    const autosaved = autosavedRef.current;
+    const segments = (transcriptionRef.current?.getAllSegments?.() || []).filter(
+      (segment) => !autosaved.segmentIds.has(segment.id)
+    );
+    const summaries = (summaryRef.current?.summaryHistory || []).filter(
+      (version) => !autosaved.summaryIds.has(version.id)
+    );
+
+    if (autosaved.sessionWritten && segments.length === 0 && summaries.length === 0) {
+      return Promise.resolve();
+    }
+
+    autosavePromiseRef.current = storageService
+      .autosaveSession({
+        id: activeSession.id,
+        date: activeSession.date,
+        duration: sessionStartTimeRef.current
+          ? Math.floor((Date.now() - sessionStartTimeRef.current) / 1000)
+          : undefined,
+        platform: "unknown",
+        transcript: segments,
+        summaries,
+      })
+      .then(() => {
+        segments.forEach((segment) => autosaved.segmentIds.add(segment.id));
+        summaries.forEach((version) => autosaved.summaryIds.add(version.id));
+        autosaved.sessionWritten = true;
+        autosaveFailuresRef.current = 0;
+      })
+      .catch((error) => {
+        console.warn("Autosave failed:", error);
+        autosaveFailuresRef.current += 1;
+        if (autosaveFailuresRef.current === AUTOSAVE_FAILURES_BEFORE_WARNING) {
+          addNotification(
+            `Autosave failed ${AUTOSAVE_FAILURES_BEFORE_WARNING} times in a row: ${error.message || "Unknown error"}. ` +
+              "The recording is not safe from a crash until it is saved.",
+            "warning",
+            10000
+          );
+        }
+      })
+      .finally(() => {
+        autosavePromiseRef.current = null;
+      });
+
+    return autosavePromiseRef.current;
+  }, [addNotification]);
+
   /**
    * Remove notification by ID - memoized to prevent recreation
    */
@@ -206,9 +415,31 @@ const MainDashboard = ({
         // Initialize storage service
         await storageService.initialize();
 
+        // Sessions left in the trash past the trash retention period are purged
+        storageService
+          .purgeExpiredTrash()
+          .catch((error) => console.warn("Failed to purge trash:", error));
+
         // Initialize search service with storage
         await searchService.initialize(storageService);
 
+        setScorecardRubric(await storageService.getScorecardRubric());
+
+        // Token usage counts on from earlier sessions this day and month
+        await applyTokenBudget();
+
+        // Encrypted storage stays locked until the user enters the passphrase
+        refreshStorageLock();
+        if (storageService.isLocked()) {
+          setEncryptionDialogMode("unlock");
+        } else {
+          // Summaries use the prompt template chosen in an earlier session
+          // (sealed with the rest of the data, so it is read after unlocking)
+          await applyPromptTemplate();
+          await checkForRecoverableSessions();
+        }
+        await checkStorageQuota();
+
         // Small delay to ensure services are ready
         await new Promise((resolve) => setTimeout(resolve, 100));
 
@@ -230,7 +461,33 @@ const MainDashboard = ({
     };
 
     initializeServices();
-  }, [addNotification, searchService]);
+  }, [addNotification, searchService, refreshStorageLock, checkForRecoverableSessions, checkStorageQuota, applyPromptTemplate, applyTokenBudget]);
+
+  // Tell the user when stored data could not be written, and store pending
+  // writes before the desktop window closes
+  useEffect(() => {
+    storageService.setWriteErrorListener((error) => {
+      addNotification(
+        `${error.message}. Changes since then are lost when the app closes; export a backup now.`,
+        "error"
+      );
+    });
+
+    const electronAPI = window.electronAPI;
+    if (electronAPI && electronAPI.onCloseRequested) {
+      // A failed write was already reported, so the window closes either way
+      electronAPI.onCloseRequested(() => {
+        storageService.flush().then(electronAPI.confirmClose, electronAPI.confirmClose);
+      });
+    }
+
+    return () => {
+      storageService.setWriteErrorListener(null);
+      if (electronAPI && electronAPI.onCloseRequested) {
+        electronAPI.removeAllListeners("app-close-requested");
+      }
+    };
+  }, [addNotification]);
 
   // Session duration tracking
   useEffect(() => {
@@ -331,25 +588,69 @@ const MainDashboard = ({
     };
   }, [isRecordingSession]);
 
+  // Autosave the recording periodically so a crash does not lose it
+  useEffect(() => {
+    if (!isRecordingSession) {
+      return;
+    }
+
+    const interval = setInterval(autosaveSession, AUTOSAVE_INTERVAL_MS);
+
+    return () => clearInterval(interval);
+  }, [isRecordingSession, autosaveSession]);
+
   /**
    * Handle recording state changes - memoized to prevent recreation
    */
   const handleRecordingStateChange = useCallback(
     async (state) => {
       if (state.isRecording && !isRecordingSession) {
-        // Start new session
+        // Start a new session, or continue one restored from an autosave
+        const resumed = resumeSessionRef.current;
+        resumeSessionRef.current = null;
+
         setIsRecordingSession(true);
-        sessionStartTimeRef.current = Date.now();
-        setSessionStats({
-          duration: 0,
-          transcriptWords: 0,
-          summaryGenerated: false,
-        });
+        sessionStartTimeRef.current = Date.now() - (resumed ? resumed.duration * 1000 : 0);
+        savedSessionIdRef.current = null;
+        setSavedSessionId(null);
+        activeSessionRef.current = resumed
+          ? { id: resumed.id, date: resumed.date }
+          : { id: `session_${Date.now()}`, date: new Date().toISOString() };
+        recordingSessionRef.current = {
+          id: activeSessionRef.current.id,
+          startTime: sessionStartTimeRef.current,
+        };
+        autosavedRef.current = resumed
+          ? resumed.autosaved
+          : { segmentIds: new Set(), summaryIds: new Set(), sessionWritten: false };
+        autosaveFailuresRef.current = 0;
+
+        setSessionRecordings([]);
+        setPlaybackSegmentId(null);
+
+        if (!resumed) {
+          summaryRef.current.clearSummary();
+          scorecardRef.current = null;
+          setScorecard(null);
+          setAnnotations([]);
+          setSessionStats({
+            duration: 0,
+            transcriptWords: 0,
+            summaryGenerated: false,
+          });
+        }
 
         // Start transcription
-        await transcriptionRef.current.startListening();
+        await transcriptionRef.current.startListening({
+          preserveSegments: Boolean(resumed),
+          sessionStartTime: sessionStartTimeRef.current,
+        });
+        autosaveSession();
 
-        addNotification("Recording session started", "success");
+        addNotification(
+          resumed ? "Recording session resumed" : "Recording session started",
+          "success"
+        );
 
         // Switch to live session tab
         setActiveTab(0);
@@ -388,23 +689,33 @@ const MainDashboard = ({
             await storageService.initialize();
           }
 
+          // Let a running autosave finish, then stop autosaving this session
+          await autosavePromiseRef.current;
+          const activeSession = activeSessionRef.current;
+          activeSessionRef.current = null;
+
           const sessionData = {
-            id: `session_${Date.now()}`,
-            date: new Date().toISOString(),
+            id: activeSession?.id || `session_${Date.now()}`,
+            date: activeSession?.date || new Date().toISOString(),
             duration: sessionStats.duration,
             transcript: transcriptionRef.current?.getAllSegments
               ? transcriptionRef.current.getAllSegments()
               : [],
             summary: summaryRef.current?.currentSummary || null,
+            summaries: summaryRef.current?.summaryHistory || [],
+            platform: "unknown",
             metadata: {
               platform: "unknown",
               audioQuality: 1.0,
               processingTime: summaryRef.current?.currentSummary?.processingTime || 0,
+              ...(scorecardRef.current ? { scorecard: scorecardRef.current } : {}),
             },
           };
 
-          await storageService.saveMeetingSession(sessionData);
+          savedSessionIdRef.current = await storageService.saveMeetingSession(sessionData);
+          setSavedSessionId(savedSessionIdRef.current);
           addNotification("Session saved successfully", "success");
+          await checkStorageQuota();
         } catch (error) {
           // Failed to save session
           addNotification(
@@ -421,9 +732,466 @@ const MainDashboard = ({
       isRecordingSession,
       sessionStats.duration,
       addNotification,
+      autosaveSession,
+      checkStorageQuota,
     ]
   );
 
+  /**
+   * Store the audio of a finished recording with its session
+   */
+  const handleAudioData = useCallback(
+    async (audioBlob, recordingInfo) => {
+      const recordingSession = recordingSessionRef.current;
+      if (!recordingSession || !recordingInfo || audioBlob.size === 0) {
+        return;
+      }
+
+      try {
+        await storageService.saveAudioRecording(recordingSession.id, audioBlob, {
+          mimeType: recordingInfo.mimeType,
+          startedAt: recordingInfo.startedAt,
+          duration: recordingInfo.duration,
+          pauses: recordingInfo.pauses,
+          sessionOffset: recordingInfo.startedAt - recordingSession.startTime,
+        });
+        setSessionRecordings(await storageService.getAudioRecordings(recordingSession.id));
+      } catch (error) {
+        addNotification(
+          "Failed to save recording audio: " + (error.message || "Unknown error"),
+          "error"
+        );
+      }
+    },
+    [addNotification]
+  );
+
+  /**
+   * Highlight the transcript segment at the playback position
+   */
+  const handlePlaybackTimeChange = useCallback((relativeTime) => {
+    if (relativeTime === null) {
+      setPlaybackSegmentId(null);
+      return;
+    }
+
+    const segments = (transcriptionRef.current?.transcriptSegments || []).filter(
+      (segment) => segment.isFinal
+    );
+    const segment = findSegmentAtTime(segments, relativeTime);
+    setPlaybackSegmentId(segment ? segment.id : null);
+  }, []);
+
+  /**
+   * Play the session audio from the start of a transcript segment
+   */
+  const handleSegmentSeek = useCallback((segment) => {
+    if (audioPlayerRef.current && typeof segment.relativeTime === "number") {
+      audioPlayerRef.current.seekTo(getSegmentStartTime(segment));
+    }
+  }, []);
+
+  /**
+   * Show a stored session's transcript, summaries, annotations and audio in the live tab
+   */
+  const loadStoredSession = useCallback(async (session) => {
+    const [segments, history, sessionAnnotations, recordings] = await Promise.all([
+      storageService.getTranscriptSegments(session.id),
+      storageService.getSummaryHistory(session.id),
+      storageService.getAnnotations(session.id),
+      storageService.getAudioRecordings(session.id),
+    ]);
+    const versions = [...history].reverse();
+
+    transcriptionRef.current.loadSegments(segments);
+    summaryRef.current.loadSummaryHistory(versions, segments);
+    setAnnotations(sessionAnnotations);
+    setSessionRecordings(recordings);
+    setPlaybackSegmentId(null);
+    scorecardRef.current = session.metadata?.scorecard || null;
+    setScorecard(scorecardRef.current);
+
+    setSessionStats({
+      duration: session.duration || 0,
+      transcriptWords: segments
+        .map((segment) => segment.text)
+        .join(" ")
+        .split(/\s+/)
+        .filter(Boolean).length,
+      summaryGenerated: versions.length > 0,
+    });
+
+    return { segments, history };
+  }, []);
+
+  /**
+   * Load an autosaved recording back into the live session so it can continue
+   */
+  const handleResumeSession = useCallback(
+    async (session) => {
+      const { segments, history } = await loadStoredSession(session);
+      savedSessionIdRef.current = null;
+      setSavedSessionId(null);
+
+      resumeSessionRef.current = {
+        id: session.id,
+        date: session.date,
+        duration: session.duration || 0,
+        autosaved: {
+          segmentIds: new Set(segments.map((segment) => segment.id)),
+          summaryIds: new Set(history.map((version) => version.id)),
+          sessionWritten: true,
+        },
+      };
+
+      setRecoverableSessions((prev) => prev.filter((s) => s.id !== session.id));
+      setRecoveryDialogOpen(false);
+      setActiveTab(0);
+      addNotification("Session restored. Start recording to continue it.", "info");
+    },
+    [addNotification, loadStoredSession]
+  );
+
+  /**
+   * Split the saved session shown in the live tab, starting a new session at a segment
+   */
+  const handleSplitSession = useCallback(
+    async (segment) => {
+      try {
+        await storageService.splitSession(savedSessionId, getSegmentStartTime(segment));
+        await loadStoredSession(await storageService.getSession(savedSessionId));
+        addNotification("Session split in two. The second part was saved as a new session.", "success");
+      } catch (error) {
+        addNotification(
+          "Failed to split session: " + (error.message || "Unknown error"),
+          "error"
+        );
+      }
+    },
+    [savedSessionId, addNotification, loadStoredSession]
+  );
+
+  /**
+   * Keep the scorecard of the current session, saving it to a stored session
+   * @param {Object} updated - Scorecard
+   */
+  const updateScorecard = useCallback(async (updated) => {
+    scorecardRef.current = updated;
+    setScorecard(updated);
+    if (savedSessionIdRef.current) {
+      await storageService.saveScorecard(savedSessionIdRef.current, updated);
+    }
+  }, []);
+
+  /**
+   * Suggest a scorecard for the transcript; ratings already decided are kept
+   */
+  const handleGenerateScorecard = useCallback(async () => {
+    setIsScoring(true);
+    try {
+      const rubric = await storageService.getScorecardRubric();
+      setScorecardRubric(rubric);
+      const generated = await summaryRef.current.generateScorecard(
+        transcriptionRef.current.getAllSegments
+          ? transcriptionRef.current.getAllSegments()
+          : transcriptionRef.current.transcriptSegments,
+        rubric
+      );
+      await updateScorecard(carryOverRatings(generated, scorecardRef.current));
+      addNotification("Scorecard suggested", "success");
+    } catch (error) {
+      addNotification(
+        "Failed to generate scorecard: " + (error.message || "Unknown error"),
+        "error"
+      );
+    } finally {
+      setIsScoring(false);
+    }
+  }, [addNotification, updateScorecard]);
+
+  /**
+   * Accept or override the rating of a scorecard competency
+   */
+  const handleRateCompetency = useCallback(
+    async (competencyId, rating) => {
+      try {
+        await updateScorecard(setCompetencyRating(scorecardRef.current, competencyId, rating));
+      } catch (error) {
+        addNotification(
+          "Failed to save rating: " + (error.message || "Unknown error"),
+          "error"
+        );
+      }
+    },
+    [addNotification, updateScorecard]
+  );
+
+  /**
+   * Get the time since the current recording started
+   * @returns {number} Elapsed milliseconds
+   */
+  const getElapsedSessionTime = useCallback(
+    () => (sessionStartTimeRef.current ? Date.now() - sessionStartTimeRef.current : 0),
+    []
+  );
+
+  /**
+   * Bookmark a moment of the current recording or attach a note to it
+   */
+  const handleAddAnnotation = useCallback(
+    async ({ type, text, relativeTime }) => {
+      const activeSession = activeSessionRef.current;
+      if (!activeSession || !sessionStartTimeRef.current) {
+        return;
+      }
+
+      try {
+        const annotation = {
+          type,
+          text,
+          relativeTime,
+          timestamp: sessionStartTimeRef.current + relativeTime,
+        };
+        const id = await storageService.saveAnnotation(activeSession.id, annotation);
+        setAnnotations((prev) => [...prev, { ...annotation, id, sessionId: activeSession.id }]);
+        addNotification(type === "note" ? "Note added" : "Bookmark added", "success", 2000);
+      } catch (error) {
+        addNotification(
+          "Failed to save annotation: " + (error.message || "Unknown error"),
+          "error"
+        );
+        throw error;
+      }
+    },
+    [addNotification]
+  );
+
+  /**
+   * Delete a bookmark or note
+   */
+  const handleDeleteAnnotation = useCallback(
+    async (annotation) => {
+      try {
+        await storageService.deleteAnnotation(annotation.id);
+        setAnnotations((prev) => prev.filter((a) => a.id !== annotation.id));
+      } catch (error) {
+        addNotification(
+          "Failed to delete annotation: " + (error.message || "Unknown error"),
+          "error"
+        );
+      }
+    },
+    [addNotification]
+  );
+
+  /**
+   * Finalize an autosaved recording as it was stored
+   */
+  const handleFinalizeRecoveredSession = useCallback(
+    async (session) => {
+      await storageService.finalizeRecoveredSession(session.id);
+
+      const remaining = recoverableSessions.filter((s) => s.id !== session.id);
+      setRecoverableSessions(remaining);
+      if (remaining.length === 0) {
+        setRecoveryDialogOpen(false);
+      }
+      addNotification("Recovered session saved", "success");
+    },
+    [recoverableSessions, addNotification]
+  );
+
+  /**
+   * Tell the user a session went to the trash and offer to restore it
+   * @param {string} sessionId - Session ID
+   * @param {string} message - Notification message
+   * @param {Function} [onRestored] - Called after the session was restored
+   */
+  const notifySessionTrashed = useCallback(
+    (sessionId, message, onRestored) => {
+      addActionNotification({
+        message,
+        severity: "info",
+        duration: 8000,
+        actions: [
+          {
+            label: "Undo",
+            icon: <UndoIcon />,
+            onClick: async () => {
+              try {
+                await storageService.restoreSession(sessionId);
+                if (onRestored) {
+                  onRestored();
+                }
+              } catch (error) {
+                addNotification(
+                  "Failed to restore session: " + (error.message || "Unknown error"),
+                  "error"
+                );
+              }
+            },
+          },
+        ],
+      });
+    },
+    [addNotification, addActionNotification]
+  );
+
+  /**
+   * Move an autosaved recording to the trash and offer to undo it
+   */
+  const handleDiscardRecoveredSession = useCallback(
+    async (session) => {
+      await storageService.deleteSession(session.id);
+
+      const remaining = recoverableSessions.filter((s) => s.id !== session.id);
+      setRecoverableSessions(remaining);
+      if (remaining.length === 0) {
+        setRecoveryDialogOpen(false);
+      }
+
+      notifySessionTrashed(session.id, "Recording moved to the trash", () => {
+        setRecoverableSessions((prev) =>
+          [...prev.filter((s) => s.id !== session.id), session].sort(
+            (a, b) => b.lastAutosavedAt - a.lastAutosavedAt
+          )
+        );
+        setRecoveryDialogOpen(true);
+      });
+    },
+    [recoverableSessions, notifySessionTrashed]
+  );
+
+  /**
+   * Measure stored data for the storage dialog
+   */
+  const handleLoadStorageUsage = useCallback(async ({ limit }) => {
+    const [stats, sessions, sizeLimit, backend] = await Promise.all([
+      storageService.getStorageStats(),
+      storageService.getSessionSizes({ limit }),
+      storageService.getRetentionSizeLimit(),
+      storageService.getBackendInfo(),
+    ]);
+    return { stats, sessions, sizeLimit, backend };
+  }, []);
+
+  /**
+   * Move the data to another storage backend from the storage dialog
+   */
+  const handleSwitchStorageBackend = useCallback(
+    (type) => storageService.switchBackend(type),
+    []
+  );
+
+  /**
+   * List stored sessions for the sessions dialog, newest first
+   */
+  const handleLoadSessionsPage = useCallback(
+    ({ pageSize, cursor }) => storageService.getSessionsPage({ pageSize, cursor }),
+    []
+  );
+
+  /**
+   * Merge sessions selected in the sessions dialog into the earliest one,
+   * showing the merged session if the live tab showed one of them
+   */
+  const handleMergeSessions = useCallback(
+    async (sessionIds) => {
+      const mergedId = await storageService.mergeSessions(sessionIds);
+
+      if (sessionIds.includes(savedSessionIdRef.current)) {
+        savedSessionIdRef.current = mergedId;
+        setSavedSessionId(mergedId);
+        await loadStoredSession(await storageService.getSession(mergedId));
+      }
+      addNotification(`Merged ${sessionIds.length} sessions`, "success");
+    },
+    [addNotification, loadStoredSession]
+  );
+
+  /**
+   * Split a session from the sessions dialog, starting a new session at a segment
+   */
+  const handleSplitStoredSession = useCallback(
+    async (session, segment) => {
+      await storageService.splitSession(session.id, getSegmentStartTime(segment));
+
+      if (session.id === savedSessionIdRef.current) {
+        await loadStoredSession(await storageService.getSession(session.id));
+      }
+      addNotification("Session split in two. The second part was saved as a new session.", "success");
+    },
+    [addNotification, loadStoredSession]
+  );
+
+  /**
+   * Move a session listed in the storage dialog to the trash
+   */
+  const handleDeleteStoredSession = useCallback(
+    async (session) => {
+      await storageService.deleteSession(session.sessionId);
+      notifySessionTrashed(session.sessionId, "Session moved to the trash");
+    },
+    [notifySessionTrashed]
+  );
+
+  /**
+   * Run retention cleanup now, with the size limit from the storage dialog
+   */
+  const handleCleanupStorage = useCallback(
+    ({ maxBytes }) => storageService.cleanupOldData(null, { maxBytes }),
+    []
+  );
+
+  /**
+   * Check stored data for integrity problems
+   */
+  const handleVerifyIntegrity = useCallback(
+    () => storageService.verifyIntegrity(),
+    []
+  );
+
+  /**
+   * Repair integrity problems with the actions chosen in the diagnostics dialog
+   */
+  const handleRepairIntegrity = useCallback(async (actions) => {
+    const results = await storageService.repair(actions);
+    if (results.sessionsCreated > 0) {
+      addNotification(
+        `Recovered ${results.sessionsCreated} session${results.sessionsCreated === 1 ? "" : "s"} from orphaned data`,
+        "info",
+        5000,
+      );
+    }
+    return results;
+  }, [addNotification]);
+
+  /**
+   * Restore an earlier summary version as the current summary
+   */
+  const handleRestoreSummaryVersion = useCallback(
+    async (summaryId) => {
+      const restored = summaryRef.current.restoreSummaryVersion(summaryId);
+      if (!restored) {
+        return;
+      }
+
+      try {
+        // Keep the saved session in step once the recording has been stored
+        if (savedSessionIdRef.current) {
+          await storageService.saveSummary(savedSessionIdRef.current, restored);
+        }
+        addNotification("Summary version restored", "success", 3000);
+      } catch (error) {
+        addNotification(
+          "Failed to save restored summary: " + (error.message || "Unknown error"),
+          "error"
+        );
+      }
+    },
+    [addNotification]
+  );
+
   /**
    * Handle tab change - memoized to prevent recreation
    */
@@ -448,13 +1216,60 @@ const MainDashboard = ({
     }
   }, [isDarkMode, onThemeChange]);
 
+  /**
+   * Encryption at rest handlers
+   */
+  const handleUnlockStorage = useCallback(
+    async (passphrase) => {
+      await storageService.unlock(passphrase);
+      refreshStorageLock();
+      addNotification("Interview data unlocked", "success", 3000);
+      await applyPromptTemplate();
+      await checkForRecoverableSessions();
+    },
+    [addNotification, refreshStorageLock, applyPromptTemplate, checkForRecoverableSessions]
+  );
+
+  const handleLockStorage = useCallback(() => {
+    storageService.lock();
+    refreshStorageLock();
+    addNotification("Interview data locked", "info", 3000);
+  }, [addNotification, refreshStorageLock]);
+
+  const handleEnableEncryption = useCallback(
+    async (passphrase) => {
+      await storageService.enableEncryption(passphrase);
+      refreshStorageLock();
+      addNotification("Encryption at rest turned on", "success");
+    },
+    [addNotification, refreshStorageLock]
+  );
+
+  const handleChangePassphrase = useCallback(
+    async (currentPassphrase, newPassphrase) => {
+      await storageService.rotateEncryptionKey(currentPassphrase, newPassphrase);
+      refreshStorageLock();
+      addNotification("Passphrase changed and data re-encrypted", "success");
+    },
+    [addNotification, refreshStorageLock]
+  );
+
+  const handleDisableEncryption = useCallback(
+    async (passphrase) => {
+      await storageService.disableEncryption(passphrase);
+      refreshStorageLock();
+      addNotification("Encryption at rest turned off", "warning");
+    },
+    [addNotification, refreshStorageLock]
+  );
+
   /**
    * Handle AI service configuration - memoized to prevent recreation
    */
   const handleAIConfiguration = useCallback(
-    async (apiKey) => {
+    async (config) => {
       try {
-        await summaryRef.current.initialize(apiKey);
+        await summaryRef.current.initialize(config);
         addNotification("AI service configured successfully", "success");
         if (transcriptionRef.current?.transcriptSegments?.length > 0) {
           await summaryRef.current.generateSummary(transcriptionRef.current.transcriptSegments);
@@ -470,6 +1285,83 @@ const MainDashboard = ({
     [addNotification]
   );
 
+  /**
+   * List the prompt templates for the prompt templates dialog
+   */
+  const handleLoadPromptTemplates = useCallback(async () => {
+    const [templates, active, glossary] = await Promise.all([
+      storageService.getPromptTemplates(),
+      storageService.getActivePromptTemplate(),
+      storageService.getSummaryGlossary(),
+    ]);
+    return { templates, activeId: active.id, glossary };
+  }, []);
+
+  /**
+   * Choose the prompt template new summaries are generated with
+   */
+  const handleSelectPromptTemplate = useCallback(
+    async (id) => {
+      await storageService.setActivePromptTemplate(id);
+      await applyPromptTemplate();
+    },
+    [applyPromptTemplate]
+  );
+
+  /**
+   * Save a user prompt template; edits to the active one apply right away
+   */
+  const handleSavePromptTemplate = useCallback(
+    async (template) => {
+      const saved = await storageService.savePromptTemplate(template);
+      await applyPromptTemplate();
+      return saved;
+    },
+    [applyPromptTemplate]
+  );
+
+  /**
+   * Delete a user prompt template
+   */
+  const handleDeletePromptTemplate = useCallback(
+    async (id) => {
+      await storageService.deletePromptTemplate(id);
+      await applyPromptTemplate();
+    },
+    [applyPromptTemplate]
+  );
+
+  /**
+   * Save the glossary passed to prompt templates
+   */
+  const handleSaveGlossary = useCallback(
+    async (terms) => {
+      const saved = await storageService.setSummaryGlossary(terms);
+      await applyPromptTemplate();
+      return saved;
+    },
+    [applyPromptTemplate]
+  );
+
+  /**
+   * Load the token budget and the tokens used this day and month
+   */
+  const handleLoadTokenBudget = useCallback(async () => {
+    const [budget, usage] = await Promise.all([
+      storageService.getTokenBudget(),
+      storageService.getTokenUsage(),
+    ]);
+    return { budget, usage };
+  }, []);
+
+  /**
+   * Save the token budget; it applies to the next automatic summary
+   */
+  const handleSaveTokenBudget = useCallback(async (budget) => {
+    await storageService.setTokenBudget(budget);
+    summaryRef.current.setTokenBudget(budget);
+  }, []);
+
   /**
    * Format session duration - memoized to prevent recreation
    */
@@ -645,6 +1537,47 @@ const MainDashboard = ({
               </Badge>
             )}
 
+            <Tooltip title="Prompt templates">
+              <IconButton color="inherit" onClick={() => setPromptTemplatesDialogOpen(true)}>
+                <PromptTemplateIcon />
+              </IconButton>
+            </Tooltip>
+
+            <Tooltip title="Sessions">
+              <IconButton color="inherit" onClick={() => setSessionsDialogOpen(true)}>
+                <SessionsIcon />
+              </IconButton>
+            </Tooltip>
+
+            <Tooltip title="Storage">
+              <IconButton color="inherit" onClick={() => setStorageDialogOpen(true)}>
+                <StorageIcon />
+              </IconButton>
+            </Tooltip>
+
+            <Tooltip
+              title={
+                storageLock.isLocked
+                  ? "Unlock interview data"
+                  : "Encryption settings"
+              }
+            >
+              <IconButton
+                color="inherit"
+                onClick={() =>
+                  setEncryptionDialogMode(
+                    storageLock.isLocked ? "unlock" : "manage"
+                  )
+                }
+              >
+                {storageLock.isLocked && <LockIcon />}
+                {!storageLock.isLocked && storageLock.isEnabled && (
+                  <LockOpenIcon />
+                )}
+                {!storageLock.isEnabled && <NoEncryptionIcon />}
+              </IconButton>
+            </Tooltip>
+
             {!isMobile && (
               <Tooltip title={isDarkMode ? "Light Mode" : "Dark Mode"}>
                 <IconButton color="inherit" onClick={handleThemeToggle}>
@@ -719,11 +1652,24 @@ const MainDashboard = ({
               <Paper elevation={2} sx={{ p: 2 }}>
                 <AudioControls
                   onRecordingStateChange={handleRecordingStateChange}
-                  onAudioData={(_audioBlob) => {
-                    // Handle audio data if needed
-                    // Audio data received
-                  }}
+                  onAudioData={handleAudioData}
                 />
+                {!isRecordingSession && sessionRecordings.length > 0 && (
+                  <Box sx={{ mt: 2 }}>
+                    <SessionAudioPlayer
+                      ref={audioPlayerRef}
+                      recordings={sessionRecordings}
+                      onTimeChange={handlePlaybackTimeChange}
+                    />
+                  </Box>
+                )}
+                <Box sx={{ mt: 2 }}>
+                  <AnnotationBar
+                    disabled={!isRecordingSession}
+                    getElapsedTime={getElapsedSessionTime}
+                    onAddAnnotation={handleAddAnnotation}
+                  />
+                </Box>
               </Paper>
 
               {/* Live Transcript */}
@@ -734,6 +1680,17 @@ const MainDashboard = ({
                   isListening={transcription.isListening}
                   processingMode={transcription.processingMode}
                   onClearTranscript={transcription.clearTranscript}
+                  annotations={annotations}
+                  onDeleteAnnotation={handleDeleteAnnotation}
+                  activeSegmentId={playbackSegmentId}
+                  onSegmentSeek={
+                    !isRecordingSession && sessionRecordings.length > 0
+                      ? handleSegmentSeek
+                      : undefined
+                  }
+                  onSplitSession={
+                    !isRecordingSession && savedSessionId ? handleSplitSession : undefined
+                  }
                   showTimestamps={true}
                   showConfidence={true}
                   autoScroll={true}
@@ -744,27 +1701,56 @@ const MainDashboard = ({
 
           {/* AI Summary Tab */}
           {activeTab === 1 && (
-            <Box sx={{ height: "100%" }}>
-              <SummaryPanel
-                summary={summary.currentSummary}
-                isGenerating={summary.isGenerating}
-                processingProgress={summary.processingProgress}
-                estimatedTimeRemaining={summary.estimatedTimeRemaining}
-                onRefreshSummary={summary.refreshSummary}
-                onCopySummary={(section, _content) => {
-                  addNotification(
-                    `${section} copied to clipboard`,
-                    "success",
-                    3000
-                  );
-                }}
-                showTopicSegmentation={true}
-                showProcessingDetails={true}
-                autoUpdate={true}
-                onConfigureAI={() => {
-                  setAiConfigDialogOpen(true);
-                }}
-              />
+            <Box
+              sx={{
+                height: "100%",
+                display: "flex",
+                flexDirection: { xs: "column", md: "row" },
+                gap: 2,
+              }}
+            >
+              <Box sx={{ flex: 3, minWidth: 0, minHeight: 0 }}>
+                <SummaryPanel
+                  summary={summary.currentSummary}
+                  versions={summary.summaryHistory}
+                  onRestoreVersion={handleRestoreSummaryVersion}
+                  isGenerating={summary.isGenerating}
+                  processingProgress={summary.processingProgress}
+                  estimatedTimeRemaining={summary.estimatedTimeRemaining}
+                  onRefreshSummary={summary.refreshSummary}
+                  onCopySummary={(section, _content) => {
+                    addNotification(
+                      `${section} copied to clipboard`,
+                      "success",
+                      3000
+                    );
+                  }}
+                  showTopicSegmentation={true}
+                  showProcessingDetails={true}
+                  autoUpdate={true}
+                  onConfigureAI={() => {
+                    setAiConfigDialogOpen(true);
+                  }}
+                  error={summary.error}
+                  onDismissError={summary.clearError}
+                  rateLimitStatus={summary.rateLimitStatus}
+                  onOpenTokenBudget={() => setTokenBudgetDialogOpen(true)}
+                />
+              </Box>
+
+              {/* Interview Scorecard */}
+              <Box sx={{ flex: 2, minWidth: 0, minHeight: 0 }}>
+                <ScorecardPanel
+                  scorecard={scorecard}
+                  rubricName={scorecardRubric ? scorecardRubric.name : ""}
+                  isGenerating={isScoring}
+                  isAIReady={summary.isReady}
+                  hasTranscript={transcription.transcriptSegments.length > 0}
+                  onGenerate={handleGenerateScorecard}
+                  onRate={handleRateCompetency}
+                  onConfigureAI={() => setAiConfigDialogOpen(true)}
+                />
+              </Box>
             </Box>
           )}
         </Box>
@@ -777,6 +1763,78 @@ const MainDashboard = ({
         onConfigure={handleAIConfiguration}
       />
 
+      {/* Prompt Templates Dialog */}
+      <PromptTemplatesDialog
+        open={promptTemplatesDialogOpen}
+        onClose={() => setPromptTemplatesDialogOpen(false)}
+        onLoad={handleLoadPromptTemplates}
+        onSelect={handleSelectPromptTemplate}
+        onSave={handleSavePromptTemplate}
+        onDelete={handleDeletePromptTemplate}
+        onSaveGlossary={handleSaveGlossary}
+      />
+
+      <TokenBudgetDialog
+        open={tokenBudgetDialogOpen}
+        onClose={() => setTokenBudgetDialogOpen(false)}
+        onLoad={handleLoadTokenBudget}
+        onSave={handleSaveTokenBudget}
+      />
+
+      {/* Session Recovery Dialog */}
+      <SessionRecoveryDialog
+        open={recoveryDialogOpen}
+        sessions={recoverableSessions}
+        canResume={!isRecordingSession}
+        onResume={handleResumeSession}
+        onFinalize={handleFinalizeRecoveredSession}
+        onDiscard={handleDiscardRecoveredSession}
+        onClose={() => setRecoveryDialogOpen(false)}
+      />
+
+      {/* Storage Usage Dialog */}
+      <StorageUsageDialog
+        open={storageDialogOpen}
+        onClose={() => setStorageDialogOpen(false)}
+        onLoadUsage={handleLoadStorageUsage}
+        onDeleteSession={handleDeleteStoredSession}
+        onSaveSizeLimit={(maxBytes) => storageService.setRetentionSizeLimit(maxBytes)}
+        onCleanup={handleCleanupStorage}
+        onOpenDiagnostics={() => setDiagnosticsDialogOpen(true)}
+        onSwitchBackend={handleSwitchStorageBackend}
+      />
+
+      {/* Sessions Dialog */}
+      <SessionsDialog
+        open={sessionsDialogOpen}
+        onClose={() => setSessionsDialogOpen(false)}
+        onLoadPage={handleLoadSessionsPage}
+        onLoadTranscript={(sessionId) => storageService.getTranscriptSegments(sessionId)}
+        onMerge={handleMergeSessions}
+        onSplit={handleSplitStoredSession}
+      />
+
+      {/* Data Diagnostics Dialog */}
+      <DiagnosticsDialog
+        open={diagnosticsDialogOpen}
+        onClose={() => setDiagnosticsDialogOpen(false)}
+        onVerify={handleVerifyIntegrity}
+        onRepair={handleRepairIntegrity}
+      />
+
+      {/* Encryption Dialog */}
+      <EncryptionDialog
+        open={encryptionDialogMode !== null}
+        mode={encryptionDialogMode || "manage"}
+        isEnabled={storageLock.isEnabled}
+        onClose={() => setEncryptionDialogMode(null)}
+        onUnlock={handleUnlockStorage}
+        onLock={handleLockStorage}
+        onEnable={handleEnableEncryption}
+        onChangePassphrase={handleChangePassphrase}
+        onDisable={handleDisableEncryption}
+      />
+
       {/* Notifications */}
       {notifications.map((notification) => (
         <Snackbar
@@ -4,6 +4,7 @@ import {
   Alert,
   AlertTitle,
   IconButton,
+  Button,
   Box,
   Typography,
   useTheme
@@ -142,21 +143,36 @@ const NotificationItem = ({
         
         {notification.actions && (
           <Box sx={{ mt: 1, display: 'flex', gap: 1 }}>
-            {notification.actions.map((action, index) => (
-              <IconButton
-                key={index}
-                size="small"
-                onClick={() => {
-                  action.onClick();
-                  if (action.closeOnClick !== false) {
-                    onClose(notification.id);
-                  }
-                }}
-                sx={{ color: 'inherit' }}
-              >
-                {action.icon}
-              </IconButton>
-            ))}
+            {notification.actions.map((action, index) => {
+              const handleClick = () => {
+                action.onClick();
+                if (action.closeOnClick !== false) {
+                  onClose(notification.id);
+                }
+              };
+
+              // Actions with a label (e.g. "Undo") render as text buttons
+              return action.label ? (
+                <Button
+                  key={index}
+                  size="small"
+                  startIcon={action.icon}
+                  onClick={handleClick}
+                  sx={{ color: 'inherit', fontWeight: 'bold' }}
+                >
+                  {action.label}
+                </Button>
+              ) : (
+                <IconButton
+                  key={index}
+                  size="small"
+                  onClick={handleClick}
+                  sx={{ color: 'inherit' }}
+                >
+                  {action.icon}
+                </IconButton>
+              );
+            })}
           </Box>
         )}
       </Alert>
@@ -0,0 +1,342 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Alert,
+  Typography,
+  Box,
+  List,
+  ListItemButton,
+  ListItemText,
+  TextField,
+  CircularProgress,
+  Chip,
+  Divider
+} from '@mui/material';
+import { TextSnippet, ContentCopy, DeleteOutline, Save, CheckCircleOutline } from '@mui/icons-material';
+import { TEMPLATE_VARIABLES, validateTemplate } from '../services/promptTemplates';
+
+const VARIABLE_HINT = Object.values(TEMPLATE_VARIABLES).map(name => `{{${name}}}`).join(', ');
+
+/**
+ * Editable fields of a template
+ * @param {Object} template - Template
+ * @returns {Object} Draft
+ */
+const toDraft = (template) => ({
+  id: template.id,
+  name: template.name,
+  meetingType: template.meetingType,
+  basedOn: template.basedOn || null,
+  summarization: template.summarization,
+  incrementalUpdate: template.incrementalUpdate
+});
+
+/**
+ * PromptTemplatesDialog - Choose and edit the prompts summaries are generated with
+ * Features:
+ * - Built-in presets per meeting type (general, technical interview,
+ *   behavioral interview, hiring debrief)
+ * - User templates copied from any template, with their own prompts
+ * - The template new summaries use
+ * - A glossary of names and terms passed to every prompt
+ */
+const PromptTemplatesDialog = ({
+  open,
+  onClose,
+  onLoad,
+  onSelect,
+  onSave,
+  onDelete,
+  onSaveGlossary
+}) => {
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const [draft, setDraft] = useState(null);
+  const [glossaryText, setGlossaryText] = useState('');
+  const [confirmingDelete, setConfirmingDelete] = useState(false);
+
+  const load = useCallback(async (selectId) => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const loaded = await onLoad();
+      setData(loaded);
+      setGlossaryText(loaded.glossary.join('\n'));
+
+      const selected = loaded.templates.find(template => template.id === (selectId || loaded.activeId));
+      setDraft(selected ? toDraft(selected) : null);
+      setConfirmingDelete(false);
+    } catch (err) {
+      setError(err.message || 'Failed to load prompt templates');
+    } finally {
+      setLoading(false);
+    }
+  }, [onLoad]);
+
+  useEffect(() => {
+    if (open) {
+      setMessage('');
+      load();
+    }
+  }, [open, load]);
+
+  /**
+   * Run an action, then reload the templates
+   * @param {Function} action - Async action returning `{message, selectId}`
+   */
+  const runAction = async (action) => {
+    setBusy(true);
+    setError('');
+    setMessage('');
+
+    try {
+      const result = await action();
+      await load(result.selectId);
+      setMessage(result.message);
+    } catch (err) {
+      setError(err.message || 'Action failed');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const templates = data ? data.templates : [];
+  const selected = draft && draft.id ? templates.find(template => template.id === draft.id) : null;
+  const isBuiltIn = Boolean(selected && selected.builtIn);
+  const isActive = Boolean(selected && data && selected.id === data.activeId);
+  const draftErrors = draft && !isBuiltIn ? validateTemplate(draft) : [];
+
+  /**
+   * Show a template in the editor
+   * @param {Object} nextDraft - Draft to edit
+   */
+  const editDraft = (nextDraft) => {
+    setMessage('');
+    setConfirmingDelete(false);
+    setDraft(nextDraft);
+  };
+
+  const handleDuplicate = () => {
+    editDraft({
+      ...draft,
+      id: null,
+      name: `${draft.name} (copy)`,
+      basedOn: draft.id || draft.basedOn
+    });
+  };
+
+  const handleSave = () => runAction(async () => {
+    const saved = await onSave(draft);
+    return {
+      message: `Saved "${saved.name}" (version ${saved.version})`,
+      selectId: saved.id
+    };
+  });
+
+  const handleDelete = () => {
+    // The first click asks for confirmation
+    if (!confirmingDelete) {
+      setConfirmingDelete(true);
+      return;
+    }
+
+    runAction(async () => {
+      await onDelete(selected.id);
+      return { message: `Deleted "${selected.name}"` };
+    });
+  };
+
+  const handleSelect = () => runAction(async () => {
+    await onSelect(selected.id);
+    return { message: `New summaries use "${selected.name}"`, selectId: selected.id };
+  });
+
+  const handleSaveGlossary = () => runAction(async () => {
+    const saved = await onSaveGlossary(glossaryText.split('\n'));
+    return {
+      message: saved.length > 0 ? `Saved ${saved.length} glossary terms` : 'Cleared the glossary',
+      selectId: draft ? draft.id : null
+    };
+  });
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+          <TextSnippet color="primary" />
+          Prompt Templates
+        </Box>
+      </DialogTitle>
+
+      <DialogContent dividers>
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+        {message && <Alert severity="success" sx={{ mb: 2 }}>{message}</Alert>}
+
+        {loading && !data ? (
+          <Box sx={{ display: 'flex', justifyContent: 'center', py: 4 }}>
+            <CircularProgress />
+          </Box>
+        ) : (
+          <Box sx={{ display: 'flex', gap: 2, flexDirection: { xs: 'column', md: 'row' } }}>
+            <Box sx={{ width: { md: 240 }, flexShrink: 0 }}>
+              <List dense disablePadding>
+                {templates.map(template => (
+                  <ListItemButton
+                    key={template.id}
+                    selected={Boolean(draft && draft.id === template.id)}
+                    onClick={() => editDraft(toDraft(template))}
+                  >
+                    <ListItemText
+                      primary={template.name}
+                      secondary={`${template.builtIn ? 'Built-in' : 'Custom'} · v${template.version}`}
+                    />
+                    {data && template.id === data.activeId && (
+                      <Chip label="Active" size="small" color="primary" />
+                    )}
+                  </ListItemButton>
+                ))}
+              </List>
+            </Box>
+
+            <Box sx={{ flexGrow: 1, minWidth: 0 }}>
+              {draft ? (
+                <>
+                  {isBuiltIn && (
+                    <Alert severity="info" sx={{ mb: 2 }}>
+                      Built-in templates cannot be edited. Duplicate this one to change its prompts.
+                    </Alert>
+                  )}
+
+                  <TextField
+                    fullWidth
+                    size="small"
+                    label="Name"
+                    value={draft.name}
+                    onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+                    disabled={isBuiltIn}
+                    sx={{ mb: 2 }}
+                  />
+
+                  <TextField
+                    fullWidth
+                    multiline
+                    minRows={6}
+                    maxRows={14}
+                    label="Summarization prompt"
+                    value={draft.summarization}
+                    onChange={(e) => setDraft({ ...draft, summarization: e.target.value })}
+                    InputProps={{ readOnly: isBuiltIn, sx: { fontFamily: 'monospace', fontSize: '0.8rem' } }}
+                    sx={{ mb: 2 }}
+                  />
+
+                  <TextField
+                    fullWidth
+                    multiline
+                    minRows={6}
+                    maxRows={14}
+                    label="Incremental update prompt"
+                    value={draft.incrementalUpdate}
+                    onChange={(e) => setDraft({ ...draft, incrementalUpdate: e.target.value })}
+                    InputProps={{ readOnly: isBuiltIn, sx: { fontFamily: 'monospace', fontSize: '0.8rem' } }}
+                    helperText={`Variables: ${VARIABLE_HINT}`}
+                    sx={{ mb: 1 }}
+                  />
+
+                  {draftErrors.length > 0 && (
+                    <Alert severity="warning" sx={{ mb: 1 }}>
+                      {draftErrors.join('. ')}
+                    </Alert>
+                  )}
+
+                  <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap' }}>
+                    <Button
+                      size="small"
+                      variant="outlined"
+                      startIcon={<CheckCircleOutline />}
+                      onClick={handleSelect}
+                      disabled={busy || !selected || isActive}
+                    >
+                      {isActive ? 'In use' : 'Use for new summaries'}
+                    </Button>
+                    <Button
+                      size="small"
+                      startIcon={<ContentCopy />}
+                      onClick={handleDuplicate}
+                      disabled={busy}
+                    >
+                      Duplicate
+                    </Button>
+                    {!isBuiltIn && (
+                      <Button
+                        size="small"
+                        startIcon={<Save />}
+                        onClick={handleSave}
+                        disabled={busy || draftErrors.length > 0}
+                      >
+                        {draft.id ? 'Save' : 'Save copy'}
+                      </Button>
+                    )}
+                    {selected && !isBuiltIn && (
+                      <Button
+                        size="small"
+                        color="error"
+                        startIcon={<DeleteOutline />}
+                        onClick={handleDelete}
+                        disabled={busy}
+                      >
+                        {confirmingDelete ? 'Confirm delete' : 'Delete'}
+                      </Button>
+                    )}
+                  </Box>
+                </>
+              ) : (
+                <Typography variant="body2" color="text.secondary">
+                  Select a template to view its prompts.
+                </Typography>
+              )}
+            </Box>
+          </Box>
+        )}
+
+        <Divider sx={{ my: 2 }} />
+
+        <Typography variant="subtitle2" gutterBottom>
+          Glossary
+        </Typography>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+          Names and terms the model should spell as written, one per line. Templates include them
+          where they use {'{{glossary}}'}.
+        </Typography>
+        <Box sx={{ display: 'flex', gap: 1, alignItems: 'flex-start' }}>
+          <TextField
+            fullWidth
+            multiline
+            minRows={2}
+            maxRows={6}
+            size="small"
+            value={glossaryText}
+            onChange={(e) => setGlossaryText(e.target.value)}
+            placeholder={'Kubernetes\nPostgreSQL'}
+          />
+          <Button onClick={handleSaveGlossary} disabled={busy || !data}>
+            Save
+          </Button>
+        </Box>
+      </DialogContent>
+
+      <DialogActions>
+        <Button onClick={onClose}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default PromptTemplatesDialog;
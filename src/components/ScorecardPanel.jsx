@@ -0,0 +1,228 @@
+import React from 'react';
+import {
+  Box,
+  Typography,
+  Paper,
+  Chip,
+  Card,
+  CardContent,
+  Button,
+  TextField,
+  MenuItem,
+  CircularProgress
+} from '@mui/material';
+import { FactCheck, FormatQuote, HelpOutline, Refresh, Psychology, Check } from '@mui/icons-material';
+import { RATING_SOURCES, getCompetencyScale, getScorecardProgress } from '../services/scorecards';
+
+/**
+ * Find the label of a rating on a scale
+ * @param {Array<Object>} scale - Scale levels
+ * @param {number|null} rating - Rating
+ * @returns {string} `value · label`
+ */
+const formatRating = (scale, rating) => {
+  const level = scale.find(item => item.value === rating);
+  return level ? `${level.value} · ${level.label}` : String(rating);
+};
+
+/**
+ * ScorecardPanel - Interview scorecard against a competency rubric
+ * Features:
+ * - A suggested rating per competency with its rationale
+ * - Evidence quotes from the transcript and the signals the interview missed
+ * - Accepting or overriding each suggested rating
+ * - Progress of the competencies decided so far
+ */
+const ScorecardPanel = ({
+  scorecard = null,
+  rubricName = '',
+  isGenerating = false,
+  isAIReady = false,
+  hasTranscript = false,
+  onGenerate,
+  onRate,
+  onConfigureAI = null
+}) => {
+  const progress = scorecard ? getScorecardProgress(scorecard) : null;
+  const canGenerate = isAIReady && hasTranscript && !isGenerating;
+
+  /**
+   * Render one competency of the scorecard
+   * @param {Object} entry - Scorecard entry
+   */
+  const renderCompetency = (entry) => {
+    const competency = scorecard.rubric.competencies.find(item => item.id === entry.competencyId);
+    const scale = getCompetencyScale(scorecard.rubric, competency);
+    const isAccepted = entry.ratingSource === RATING_SOURCES.ACCEPTED;
+
+    return (
+      <Card key={entry.competencyId} variant="outlined" sx={{ mb: 1.5 }}>
+        <CardContent sx={{ pb: '12px !important' }}>
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, flexWrap: 'wrap', mb: 1 }}>
+            <Typography variant="subtitle2" sx={{ flexGrow: 1 }}>
+              {entry.name}
+            </Typography>
+            <Chip
+              label={entry.suggestedRating !== null
+                ? `Suggested: ${formatRating(scale, entry.suggestedRating)}`
+                : 'No suggestion'}
+              size="small"
+              variant="outlined"
+            />
+            {entry.ratingSource && (
+              <Chip
+                label={isAccepted ? 'Accepted' : 'Overridden'}
+                size="small"
+                color={isAccepted ? 'success' : 'warning'}
+              />
+            )}
+          </Box>
+
+          {entry.rationale && (
+            <Typography variant="body2" sx={{ mb: 1 }}>
+              {entry.rationale}
+            </Typography>
+          )}
+
+          {entry.evidence.map(quote => (
+            <Box key={quote} sx={{ display: 'flex', gap: 1, mb: 0.5 }}>
+              <FormatQuote fontSize="small" color="action" />
+              <Typography variant="body2" color="text.secondary" sx={{ fontStyle: 'italic' }}>
+                {quote}
+              </Typography>
+            </Box>
+          ))}
+
+          {entry.missingSignals.length > 0 && (
+            <Box sx={{ mt: 1 }}>
+              <Typography variant="caption" color="warning.main">
+                Not covered
+              </Typography>
+              {entry.missingSignals.map(signal => (
+                <Box key={signal} sx={{ display: 'flex', gap: 1 }}>
+                  <HelpOutline fontSize="small" color="warning" />
+                  <Typography variant="body2" color="text.secondary">
+                    {signal}
+                  </Typography>
+                </Box>
+              ))}
+            </Box>
+          )}
+
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mt: 1.5 }}>
+            <Button
+              size="small"
+              variant="outlined"
+              startIcon={<Check />}
+              onClick={() => onRate(entry.competencyId, entry.suggestedRating)}
+              disabled={entry.suggestedRating === null || isAccepted}
+            >
+              Accept
+            </Button>
+            <TextField
+              select
+              size="small"
+              label="Rating"
+              value={entry.rating === null ? '' : entry.rating}
+              onChange={(e) => onRate(entry.competencyId, e.target.value === '' ? null : Number(e.target.value))}
+              sx={{ minWidth: 180 }}
+            >
+              <MenuItem value="">
+                <em>Not rated</em>
+              </MenuItem>
+              {scale.map(level => (
+                <MenuItem key={level.value} value={level.value}>
+                  {formatRating(scale, level.value)}
+                </MenuItem>
+              ))}
+            </TextField>
+          </Box>
+        </CardContent>
+      </Card>
+    );
+  };
+
+  return (
+    <Paper
+      elevation={2}
+      sx={{
+        height: '100%',
+        display: 'flex',
+        flexDirection: 'column',
+        overflow: 'hidden'
+      }}
+    >
+      {/* Header */}
+      <Box sx={{
+        p: 2,
+        borderBottom: 1,
+        borderColor: 'divider',
+        display: 'flex',
+        alignItems: 'center',
+        gap: 1
+      }}>
+        <FactCheck color="primary" />
+        <Typography variant="h6" component="h2" sx={{ flexGrow: 1 }}>
+          Scorecard
+        </Typography>
+
+        {progress && (
+          <Chip
+            label={`${progress.decided}/${progress.total} rated`}
+            size="small"
+            color={progress.decided === progress.total ? 'success' : 'default'}
+            variant="outlined"
+          />
+        )}
+
+        {scorecard && (
+          <Button
+            size="small"
+            startIcon={isGenerating ? <CircularProgress size={16} /> : <Refresh />}
+            onClick={onGenerate}
+            disabled={!canGenerate}
+          >
+            Regenerate
+          </Button>
+        )}
+      </Box>
+
+      <Box sx={{ flex: 1, overflow: 'auto', p: 2 }}>
+        {scorecard ? (
+          <>
+            <Typography variant="caption" color="text.secondary" component="div" sx={{ mb: 1.5 }}>
+              {scorecard.rubric.name} · suggested {new Date(scorecard.generatedAt).toLocaleTimeString()}
+            </Typography>
+            {scorecard.competencies.map(renderCompetency)}
+          </>
+        ) : (
+          <Box sx={{ textAlign: 'center', py: 4 }}>
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+              {`Suggest ratings for the ${rubricName || 'competency'} rubric from the transcript. You can accept or override each one.`}
+            </Typography>
+            {isAIReady || !onConfigureAI ? (
+              <Button
+                variant="contained"
+                startIcon={isGenerating ? <CircularProgress size={16} color="inherit" /> : <FactCheck />}
+                onClick={onGenerate}
+                disabled={!canGenerate}
+              >
+                {isGenerating ? 'Scoring...' : 'Generate Scorecard'}
+              </Button>
+            ) : (
+              <Button
+                variant="outlined"
+                startIcon={<Psychology />}
+                onClick={onConfigureAI}
+              >
+                Configure AI Service
+              </Button>
+            )}
+          </Box>
+        )}
+      </Box>
+    </Paper>
+  );
+};
+
+export default ScorecardPanel;
@@ -0,0 +1,315 @@
+import React, { forwardRef, useCallback, useEffect, useImperativeHandle, useMemo, useRef, useState } from 'react';
+import {
+  Box,
+  IconButton,
+  Slider,
+  Typography,
+  Select,
+  MenuItem,
+  FormControlLabel,
+  Switch,
+  Tooltip,
+  Chip
+} from '@mui/material';
+import { PlayArrow, Pause, Replay10, Forward10 } from '@mui/icons-material';
+import {
+  detectSilentRanges,
+  findRecordingAtTime,
+  getRecordingOffset,
+  getSessionTime
+} from '../utils/audioUtils';
+
+const PLAYBACK_RATES = [0.5, 0.75, 1, 1.25, 1.5, 1.75, 2];
+
+// Silence is skipped up to this close to its end, so speech is not clipped
+const SILENCE_LEAD_IN_MS = 150;
+
+/**
+ * Format milliseconds as mm:ss or h:mm:ss
+ * @param {number} ms - Milliseconds
+ * @returns {string} Formatted time
+ */
+const formatTime = (ms) => {
+  const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  const padded = `${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
+  return hours > 0 ? `${hours}:${padded}` : padded;
+};
+
+/**
+ * Get the session time a recording ends at
+ * @param {Object} recording - Recording
+ * @returns {number} Milliseconds since the session started
+ */
+const getRecordingEnd = (recording) => getSessionTime(recording, recording.duration);
+
+/**
+ * SessionAudioPlayer - Play back the stored audio of a session on the session timeline
+ * Features:
+ * - Plays the recordings of a stopped and resumed session back to back
+ * - Reports the playback position as session time (like segment `relativeTime`)
+ * - Seeking by session time through the `seekTo(relativeTime)` ref method
+ * - 0.5x to 2x playback speed and optional skipping of silence
+ */
+const SessionAudioPlayer = forwardRef(({ recordings = [], onTimeChange }, ref) => {
+  const audioRef = useRef(null);
+  const pendingSeekRef = useRef(null);
+  const silentRangesRef = useRef(new Map());
+  const [currentIndex, setCurrentIndex] = useState(0);
+  const [currentTime, setCurrentTime] = useState(0);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [playbackRate, setPlaybackRate] = useState(1);
+  const [skipSilence, setSkipSilence] = useState(false);
+  const [silenceError, setSilenceError] = useState('');
+
+  const sortedRecordings = useMemo(
+    () => [...recordings].sort((a, b) => a.sessionOffset - b.sessionOffset),
+    [recordings]
+  );
+  const recording = sortedRecordings[currentIndex] || null;
+
+  const timelineStart = sortedRecordings.length > 0 ? Math.max(0, sortedRecordings[0].sessionOffset) : 0;
+  const timelineEnd = sortedRecordings.length > 0 ? getRecordingEnd(sortedRecordings[sortedRecordings.length - 1]) : 0;
+
+  // One object URL per recording, released when the recordings change
+  const sourceUrls = useMemo(
+    () => sortedRecordings.map(item => URL.createObjectURL(item.data)),
+    [sortedRecordings]
+  );
+
+  useEffect(() => {
+    return () => sourceUrls.forEach(url => URL.revokeObjectURL(url));
+  }, [sourceUrls]);
+
+  // Start from the beginning when a different set of recordings is loaded
+  useEffect(() => {
+    setCurrentIndex(0);
+    setCurrentTime(timelineStart);
+    setIsPlaying(false);
+  }, [sortedRecordings, timelineStart]);
+
+  useEffect(() => {
+    if (audioRef.current) {
+      audioRef.current.playbackRate = playbackRate;
+    }
+  }, [playbackRate, currentIndex]);
+
+  // Find the silent stretches of the current recording once per recording
+  useEffect(() => {
+    if (!skipSilence || !recording || silentRangesRef.current.has(recording.id)) {
+      return;
+    }
+
+    let cancelled = false;
+    setSilenceError('');
+    silentRangesRef.current.set(recording.id, []);
+
+    detectSilentRanges(recording.data)
+      .then(ranges => {
+        if (!cancelled) {
+          silentRangesRef.current.set(recording.id, ranges);
+        }
+      })
+      .catch(error => {
+        console.warn('Failed to analyze audio for silence:', error);
+        silentRangesRef.current.delete(recording.id);
+        if (!cancelled) {
+          setSilenceError('Silence detection is not available for this recording');
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [skipSilence, recording]);
+
+  /**
+   * Move playback to a time in the session
+   * @param {number} relativeTime - Milliseconds since the session started
+   * @param {boolean} [play=false] - Start playing from there
+   */
+  const seekTo = useCallback((relativeTime, play = false) => {
+    if (sortedRecordings.length === 0) {
+      return;
+    }
+
+    // Times between two recordings jump ahead to the next one
+    const match = findRecordingAtTime(sortedRecordings, relativeTime);
+    let index = match ? sortedRecordings.indexOf(match.recording) : sortedRecordings.findIndex(item => item.sessionOffset > relativeTime);
+    if (index < 0) {
+      index = sortedRecordings.length - 1;
+    }
+    const target = sortedRecordings[index];
+    const offset = match ? match.offset : getRecordingOffset(target, relativeTime);
+
+    pendingSeekRef.current = { offset, play };
+    setCurrentTime(getSessionTime(target, offset));
+
+    if (index === currentIndex && audioRef.current && audioRef.current.readyState > 0) {
+      audioRef.current.currentTime = offset / 1000;
+      pendingSeekRef.current = null;
+      if (play) {
+        audioRef.current.play().catch(error => console.warn('Playback failed:', error));
+      }
+    } else {
+      setCurrentIndex(index);
+    }
+  }, [sortedRecordings, currentIndex]);
+
+  useImperativeHandle(ref, () => ({
+    seekTo: (relativeTime) => seekTo(relativeTime, true)
+  }), [seekTo]);
+
+  const handleLoadedMetadata = () => {
+    const audio = audioRef.current;
+    audio.playbackRate = playbackRate;
+
+    const pending = pendingSeekRef.current;
+    pendingSeekRef.current = null;
+    if (pending) {
+      audio.currentTime = pending.offset / 1000;
+      if (pending.play) {
+        audio.play().catch(error => console.warn('Playback failed:', error));
+      }
+    }
+  };
+
+  const handleTimeUpdate = () => {
+    const audio = audioRef.current;
+    if (!audio || !recording) {
+      return;
+    }
+
+    const offset = audio.currentTime * 1000;
+
+    if (skipSilence && !audio.paused) {
+      const ranges = silentRangesRef.current.get(recording.id) || [];
+      const silence = ranges.find(range => offset >= range.start && offset < range.end - SILENCE_LEAD_IN_MS * 2);
+      if (silence) {
+        audio.currentTime = (silence.end - SILENCE_LEAD_IN_MS) / 1000;
+        return;
+      }
+    }
+
+    const sessionTime = getSessionTime(recording, offset);
+    setCurrentTime(sessionTime);
+    if (onTimeChange) {
+      onTimeChange(sessionTime);
+    }
+  };
+
+  const handleEnded = () => {
+    // Continue with the next part of a resumed session
+    if (currentIndex < sortedRecordings.length - 1) {
+      pendingSeekRef.current = { offset: 0, play: true };
+      setCurrentIndex(currentIndex + 1);
+      return;
+    }
+
+    setIsPlaying(false);
+    if (onTimeChange) {
+      onTimeChange(null);
+    }
+  };
+
+  const togglePlayback = () => {
+    const audio = audioRef.current;
+    if (!audio) {
+      return;
+    }
+
+    if (audio.paused) {
+      audio.play().catch(error => console.warn('Playback failed:', error));
+    } else {
+      audio.pause();
+    }
+  };
+
+  if (sortedRecordings.length === 0) {
+    return null;
+  }
+
+  return (
+    <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, flexWrap: 'wrap' }}>
+      <audio
+        ref={audioRef}
+        src={sourceUrls[currentIndex]}
+        preload="metadata"
+        onLoadedMetadata={handleLoadedMetadata}
+        onTimeUpdate={handleTimeUpdate}
+        onPlay={() => setIsPlaying(true)}
+        onPause={() => setIsPlaying(false)}
+        onEnded={handleEnded}
+      />
+
+      <Box sx={{ display: 'flex', alignItems: 'center' }}>
+        <Tooltip title="Back 10 seconds">
+          <IconButton size="small" onClick={() => seekTo(Math.max(timelineStart, currentTime - 10000), isPlaying)}>
+            <Replay10 />
+          </IconButton>
+        </Tooltip>
+        <Tooltip title={isPlaying ? 'Pause' : 'Play'}>
+          <IconButton color="primary" onClick={togglePlayback}>
+            {isPlaying ? <Pause /> : <PlayArrow />}
+          </IconButton>
+        </Tooltip>
+        <Tooltip title="Forward 10 seconds">
+          <IconButton size="small" onClick={() => seekTo(Math.min(timelineEnd, currentTime + 10000), isPlaying)}>
+            <Forward10 />
+          </IconButton>
+        </Tooltip>
+      </Box>
+
+      <Box sx={{ flex: 1, minWidth: 200, display: 'flex', alignItems: 'center', gap: 2 }}>
+        <Typography variant="caption" color="text.secondary" sx={{ minWidth: 40 }}>
+          {formatTime(currentTime)}
+        </Typography>
+        <Slider
+          size="small"
+          min={timelineStart}
+          max={Math.max(timelineEnd, timelineStart + 1)}
+          value={Math.min(Math.max(currentTime, timelineStart), timelineEnd)}
+          onChange={(e, value) => seekTo(value, isPlaying)}
+          aria-label="Playback position"
+        />
+        <Typography variant="caption" color="text.secondary" sx={{ minWidth: 40 }}>
+          {formatTime(timelineEnd)}
+        </Typography>
+      </Box>
+
+      {sortedRecordings.length > 1 && (
+        <Chip label={`Part ${currentIndex + 1} of ${sortedRecordings.length}`} size="small" variant="outlined" />
+      )}
+
+      <Select
+        size="small"
+        value={playbackRate}
+        onChange={(e) => setPlaybackRate(e.target.value)}
+        aria-label="Playback speed"
+      >
+        {PLAYBACK_RATES.map(rate => (
+          <MenuItem key={rate} value={rate}>{rate}x</MenuItem>
+        ))}
+      </Select>
+
+      <Tooltip title={silenceError || 'Jump over pauses in the conversation'}>
+        <FormControlLabel
+          control={
+            <Switch
+              size="small"
+              checked={skipSilence}
+              onChange={(e) => setSkipSilence(e.target.checked)}
+            />
+          }
+          label="Skip silence"
+        />
+      </Tooltip>
+    </Box>
+  );
+});
+
+SessionAudioPlayer.displayName = 'SessionAudioPlayer';
+
+export default SessionAudioPlayer;
@@ -0,0 +1,141 @@
+import React, { useState } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Alert,
+  Typography,
+  Box,
+  List,
+  ListItem,
+  ListItemText,
+  CircularProgress
+} from '@mui/material';
+import { Restore, PlayArrow, CheckCircle, DeleteOutline } from '@mui/icons-material';
+
+/**
+ * SessionRecoveryDialog - Offer to resume, finalize or discard recordings that
+ * were autosaved but never finished (e.g. after a crash or closed window)
+ */
+const SessionRecoveryDialog = ({ open, sessions = [], canResume = true, onResume, onFinalize, onDiscard, onClose }) => {
+  const [busySessionId, setBusySessionId] = useState(null);
+  const [error, setError] = useState('');
+
+  /**
+   * Format a duration in seconds as mm:ss or h:mm:ss
+   * @param {number} seconds - Duration in seconds
+   * @returns {string} Formatted duration
+   */
+  const formatDuration = (seconds = 0) => {
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    const secs = Math.floor(seconds % 60);
+    const padded = `${String(minutes).padStart(2, '0')}:${String(secs).padStart(2, '0')}`;
+    return hours > 0 ? `${hours}:${padded}` : padded;
+  };
+
+  const runAction = async (session, action) => {
+    setBusySessionId(session.id);
+    setError('');
+
+    try {
+      await action(session);
+    } catch (err) {
+      setError(err.message || 'Failed to recover session');
+    } finally {
+      setBusySessionId(null);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+          <Restore color="primary" />
+          Recover Unfinished Recordings
+        </Box>
+      </DialogTitle>
+
+      <DialogContent>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          These recordings were autosaved but the app closed before they were finished.
+          Resume one to keep recording into it, finalize it to save it as it is,
+          or discard it to move it to the trash.
+        </Typography>
+
+        <List dense>
+          {sessions.map(session => (
+            <ListItem
+              key={session.id}
+              divider
+              secondaryAction={
+                busySessionId === session.id ? (
+                  <CircularProgress size={24} />
+                ) : (
+                  <Box sx={{ display: 'flex', gap: 1 }}>
+                    <Button
+                      size="small"
+                      startIcon={<PlayArrow />}
+                      onClick={() => runAction(session, onResume)}
+                      disabled={!canResume || busySessionId !== null}
+                    >
+                      Resume
+                    </Button>
+                    <Button
+                      size="small"
+                      variant="outlined"
+                      startIcon={<CheckCircle />}
+                      onClick={() => runAction(session, onFinalize)}
+                      disabled={busySessionId !== null}
+                    >
+                      Finalize
+                    </Button>
+                    {onDiscard && (
+                      <Button
+                        size="small"
+                        color="error"
+                        startIcon={<DeleteOutline />}
+                        onClick={() => runAction(session, onDiscard)}
+                        disabled={busySessionId !== null}
+                      >
+                        Discard
+                      </Button>
+                    )}
+                  </Box>
+                )
+              }
+            >
+              <ListItemText
+                primary={new Date(session.date).toLocaleString()}
+                secondary={`${formatDuration(session.duration)} · ${session.segmentCount || 0} segments · last saved ${new Date(session.lastAutosavedAt).toLocaleTimeString()}`}
+                sx={{ pr: onDiscard ? 36 : 24 }}
+              />
+            </ListItem>
+          ))}
+        </List>
+
+        {!canResume && (
+          <Alert severity="info" sx={{ mt: 2 }}>
+            Stop the current recording to resume an earlier one.
+          </Alert>
+        )}
+
+        {error && (
+          <Alert severity="error" sx={{ mt: 2 }}>
+            {error}
+          </Alert>
+        )}
+      </DialogContent>
+
+      <DialogActions>
+        <Button onClick={onClose} disabled={busySessionId !== null}>
+          Later
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default SessionRecoveryDialog;
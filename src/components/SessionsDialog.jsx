@@ -0,0 +1,333 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Alert,
+  Typography,
+  Box,
+  List,
+  ListItem,
+  ListItemButton,
+  ListItemIcon,
+  ListItemText,
+  Checkbox,
+  IconButton,
+  Tooltip,
+  CircularProgress
+} from '@mui/material';
+import { ViewList, CallMerge, ContentCut, ArrowBack } from '@mui/icons-material';
+import { formatDuration, getSegmentStartTime } from '../utils/audioUtils';
+
+const PAGE_SIZE = 25;
+
+/**
+ * Format milliseconds since the session start as mm:ss
+ * @param {number} ms - Elapsed milliseconds
+ * @returns {string} Formatted time
+ */
+const formatElapsed = (ms) => {
+  const elapsed = Math.floor(ms / 1000);
+  return `${String(Math.floor(elapsed / 60)).padStart(2, '0')}:${String(elapsed % 60).padStart(2, '0')}`;
+};
+
+/**
+ * Describe a session in one line
+ * @param {Object} session - Session
+ * @returns {string} Date, length and tags
+ */
+const describeSession = (session) => [
+  new Date(session.date).toLocaleString(),
+  formatDuration(Math.round(session.duration || 0)),
+  session.status === 'active' ? 'recording' : null,
+  ...(session.tags || [])
+].filter(Boolean).join(' · ');
+
+/**
+ * SessionsDialog - Stored sessions, with merging and splitting
+ * Features:
+ * - Sessions newest first, loaded a page at a time
+ * - Merge two or more selected sessions into the earliest one
+ * - Split a session at a transcript segment into two sessions
+ */
+const SessionsDialog = ({
+  open,
+  onClose,
+  onLoadPage,
+  onLoadTranscript,
+  onMerge,
+  onSplit
+}) => {
+  const [sessions, setSessions] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [totalCount, setTotalCount] = useState(null);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [splitSession, setSplitSession] = useState(null);
+  const [segments, setSegments] = useState([]);
+  const [splitSegment, setSplitSegment] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  /**
+   * Load the first page again, or the page after the loaded sessions
+   * @param {string|null} cursor - Cursor of the next page, null for the first
+   */
+  const loadSessions = useCallback(async (cursor = null) => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const page = await onLoadPage({ pageSize: PAGE_SIZE, cursor });
+      setSessions(prev => (cursor ? [...prev, ...page.sessions] : page.sessions));
+      setNextCursor(page.nextCursor);
+      setTotalCount(page.totalCount);
+    } catch (err) {
+      setError(err.message || 'Failed to load sessions');
+    } finally {
+      setLoading(false);
+    }
+  }, [onLoadPage]);
+
+  useEffect(() => {
+    if (open) {
+      setSelectedIds([]);
+      setSplitSession(null);
+      setMessage('');
+      loadSessions();
+    }
+  }, [open, loadSessions]);
+
+  /**
+   * Run an action, then list the sessions again
+   * @param {Function} action - Async action returning a message
+   */
+  const runAction = async (action) => {
+    setBusy(true);
+    setError('');
+    setMessage('');
+
+    try {
+      setMessage(await action());
+      setSelectedIds([]);
+      setSplitSession(null);
+      await loadSessions();
+    } catch (err) {
+      setError(err.message || 'Session action failed');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const toggleSelected = (sessionId) => {
+    setSelectedIds(prev => (prev.includes(sessionId)
+      ? prev.filter(id => id !== sessionId)
+      : [...prev, sessionId]));
+  };
+
+  const handleMerge = () => runAction(async () => {
+    await onMerge(selectedIds);
+    return `Merged ${selectedIds.length} sessions into the earliest one`;
+  });
+
+  /**
+   * Show the transcript of a session to pick where it is split
+   * @param {Object} session - Session
+   */
+  const openSplit = async (session) => {
+    setBusy(true);
+    setError('');
+    setMessage('');
+
+    try {
+      setSegments(await onLoadTranscript(session.id));
+      setSplitSegment(null);
+      setSplitSession(session);
+    } catch (err) {
+      setError(err.message || 'Failed to load the transcript');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleSplit = () => runAction(async () => {
+    await onSplit(splitSession, splitSegment);
+    return 'Session split in two. The second part was saved as a new session.';
+  });
+
+  const splitIndex = splitSegment ? segments.indexOf(splitSegment) : -1;
+
+  const renderSessionList = () => (
+    <>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+        Select sessions to merge them, or split one at a point in its transcript.
+        {totalCount !== null && ` ${totalCount} session${totalCount === 1 ? '' : 's'} stored.`}
+      </Typography>
+      <List dense>
+        {sessions.map(session => (
+          <ListItem
+            key={session.id}
+            divider
+            disablePadding
+            secondaryAction={
+              <Tooltip title="Split this session">
+                <span>
+                  <IconButton
+                    edge="end"
+                    size="small"
+                    onClick={() => openSplit(session)}
+                    disabled={busy || session.status === 'active'}
+                  >
+                    <ContentCut fontSize="small" />
+                  </IconButton>
+                </span>
+              </Tooltip>
+            }
+          >
+            <ListItemButton
+              onClick={() => toggleSelected(session.id)}
+              disabled={busy || session.status === 'active'}
+              dense
+            >
+              <ListItemIcon>
+                <Checkbox edge="start" checked={selectedIds.includes(session.id)} tabIndex={-1} disableRipple />
+              </ListItemIcon>
+              <ListItemText
+                primary={session.title || new Date(session.date).toLocaleString()}
+                secondary={describeSession(session)}
+              />
+            </ListItemButton>
+          </ListItem>
+        ))}
+        {!loading && sessions.length === 0 && (
+          <ListItem>
+            <ListItemText secondary="No sessions stored" />
+          </ListItem>
+        )}
+      </List>
+
+      {loading && (
+        <Box sx={{ display: 'flex', justifyContent: 'center', py: 2 }}>
+          <CircularProgress size={24} />
+        </Box>
+      )}
+
+      {!loading && nextCursor && (
+        <Box sx={{ display: 'flex', justifyContent: 'center' }}>
+          <Button onClick={() => loadSessions(nextCursor)} disabled={busy}>
+            Load More
+          </Button>
+        </Box>
+      )}
+    </>
+  );
+
+  const renderSplit = () => (
+    <>
+      <Button size="small" startIcon={<ArrowBack />} onClick={() => setSplitSession(null)} disabled={busy} sx={{ mb: 1 }}>
+        All sessions
+      </Button>
+      <Typography variant="subtitle2">
+        {splitSession.title || new Date(splitSession.date).toLocaleString()}
+      </Typography>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+        Pick the segment the second part starts with.
+      </Typography>
+      <List dense sx={{ maxHeight: 320, overflow: 'auto' }}>
+        {segments.map((segment, index) => (
+          <ListItemButton
+            key={segment.id}
+            divider
+            selected={segment === splitSegment}
+            onClick={() => setSplitSegment(segment)}
+            disabled={busy || index === 0}
+          >
+            <ListItemText
+              primary={segment.text}
+              secondary={formatElapsed(getSegmentStartTime(segment))}
+            />
+          </ListItemButton>
+        ))}
+        {segments.length < 2 && (
+          <ListItem>
+            <ListItemText secondary="The transcript is too short to split" />
+          </ListItem>
+        )}
+      </List>
+      {splitSegment && (
+        <Typography variant="body2" sx={{ mt: 1 }}>
+          {`${splitIndex} segment${splitIndex === 1 ? '' : 's'} stay in this session; ` +
+            `${segments.length - splitIndex} move to a new session with the bookmarks, notes and audio from there on. ` +
+            'The summaries of this session are marked out of date.'}
+        </Typography>
+      )}
+    </>
+  );
+
+  return (
+    <Dialog open={open} onClose={busy ? undefined : onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+          <ViewList color="primary" />
+          Sessions
+        </Box>
+      </DialogTitle>
+
+      <DialogContent>
+        {splitSession ? renderSplit() : renderSessionList()}
+
+        {message && (
+          <Alert severity="success" sx={{ mt: 2 }}>
+            {message}
+          </Alert>
+        )}
+
+        {error && (
+          <Alert severity="error" sx={{ mt: 2 }}>
+            {error}
+          </Alert>
+        )}
+      </DialogContent>
+
+      <DialogActions>
+        {splitSession ? (
+          <Button
+            variant="contained"
+            startIcon={<ContentCut />}
+            onClick={handleSplit}
+            disabled={busy || !splitSegment}
+          >
+            Split
+          </Button>
+        ) : (
+          <Button
+            variant="contained"
+            startIcon={<CallMerge />}
+            onClick={handleMerge}
+            disabled={busy || selectedIds.length < 2}
+          >
+            Merge{selectedIds.length > 1 ? ` ${selectedIds.length} Sessions` : ''}
+          </Button>
+        )}
+        <Button onClick={onClose} disabled={busy}>
+          Close
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+SessionsDialog.propTypes = {
+  open: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired,
+  onLoadPage: PropTypes.func.isRequired,
+  onLoadTranscript: PropTypes.func.isRequired,
+  onMerge: PropTypes.func.isRequired,
+  onSplit: PropTypes.func.isRequired
+};
+
+export default SessionsDialog;
@@ -0,0 +1,330 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Alert,
+  Typography,
+  Box,
+  List,
+  ListItem,
+  ListItemText,
+  IconButton,
+  Tooltip,
+  TextField,
+  LinearProgress,
+  CircularProgress,
+  Chip
+} from '@mui/material';
+import { Storage, DeleteOutline, CleaningServices, HealthAndSafety, FolderOpen } from '@mui/icons-material';
+
+const LARGEST_SESSION_COUNT = 20;
+const MEGABYTE = 1024 * 1024;
+
+// Store labels in the order they are listed
+const STORE_LABELS = {
+  audio: 'Audio',
+  transcripts: 'Transcripts',
+  summaries: 'Summaries',
+  searchIndex: 'Search index',
+  annotations: 'Notes and bookmarks',
+  sessions: 'Sessions',
+  folders: 'Folders',
+  settings: 'Settings',
+  purgeLog: 'Purge log',
+  quarantine: 'Quarantine'
+};
+
+/**
+ * Format a byte count for display
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Formatted size
+ */
+const formatBytes = (bytes = 0) => {
+  const units = ['B', 'KB', 'MB', 'GB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${unit === 0 ? value : value.toFixed(1)} ${units[unit]}`;
+};
+
+/**
+ * StorageUsageDialog - Show how much space interview data takes and free it up
+ * Features:
+ * - Browser quota usage and estimated size per store
+ * - The largest sessions, which can be moved to the trash
+ * - A size limit for retention cleanup ("keep under N MB")
+ * - A link to the data diagnostics (integrity check and repair)
+ * - Where the data is kept, with a switch between browser storage and data
+ *   files in the desktop app
+ */
+const StorageUsageDialog = ({
+  open,
+  onClose,
+  onLoadUsage,
+  onDeleteSession,
+  onSaveSizeLimit,
+  onCleanup,
+  onOpenDiagnostics,
+  onSwitchBackend
+}) => {
+  const [usage, setUsage] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const [limitMb, setLimitMb] = useState('');
+
+  const loadUsage = useCallback(async () => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const loaded = await onLoadUsage({ limit: LARGEST_SESSION_COUNT });
+      setUsage(loaded);
+      setLimitMb(loaded.sizeLimit ? String(Math.round(loaded.sizeLimit / MEGABYTE)) : '');
+    } catch (err) {
+      setError(err.message || 'Failed to measure storage');
+    } finally {
+      setLoading(false);
+    }
+  }, [onLoadUsage]);
+
+  useEffect(() => {
+    if (open) {
+      setMessage('');
+      loadUsage();
+    }
+  }, [open, loadUsage]);
+
+  /**
+   * Run an action, then measure again
+   * @param {Function} action - Async action returning an optional message
+   */
+  const runAction = async (action) => {
+    setBusy(true);
+    setError('');
+    setMessage('');
+
+    try {
+      const result = await action();
+      if (result) {
+        setMessage(result);
+      }
+      await loadUsage();
+    } catch (err) {
+      setError(err.message || 'Storage action failed');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const limitBytes = limitMb.trim() ? Number(limitMb) * MEGABYTE : null;
+  const isLimitValid = limitBytes === null || (Number.isFinite(limitBytes) && limitBytes > 0);
+
+  const handleSaveLimit = () => runAction(async () => {
+    await onSaveSizeLimit(limitBytes);
+    return limitBytes ? `Data will be kept under ${formatBytes(limitBytes)}` : 'Size limit removed';
+  });
+
+  const handleCleanup = () => runAction(async () => {
+    const results = await onCleanup({ maxBytes: limitBytes });
+    const purged = results.sessionsDeleted + results.sessionsDeletedForSize + (results.trashPurged || 0);
+    return purged > 0 ? `Removed ${purged} session${purged === 1 ? '' : 's'}` : 'Nothing to clean up';
+  });
+
+  const handleSwitchBackend = (type) => runAction(async () => {
+    const backend = await onSwitchBackend(type);
+    return backend.location ? `Data moved to ${backend.location}` : 'Data moved to browser storage';
+  });
+
+  const stats = usage && usage.stats;
+  const quota = stats && stats.quota;
+  const backend = usage && usage.backend;
+  const isFileBackend = backend && backend.type === 'filesystem';
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+          <Storage color="primary" />
+          Storage
+        </Box>
+      </DialogTitle>
+
+      <DialogContent>
+        {loading && !usage && (
+          <Box sx={{ display: 'flex', justifyContent: 'center', py: 4 }}>
+            <CircularProgress />
+          </Box>
+        )}
+
+        {stats && (
+          <>
+            {quota ? (
+              <Box sx={{ mb: 2 }}>
+                <Typography variant="body2" gutterBottom>
+                  {formatBytes(quota.usage)} of {formatBytes(quota.quota)} used
+                </Typography>
+                <LinearProgress
+                  variant="determinate"
+                  value={Math.min(100, quota.usageRatio * 100)}
+                  color={quota.isNearQuota ? 'warning' : 'primary'}
+                />
+                {quota.isNearQuota && (
+                  <Alert severity="warning" sx={{ mt: 1 }}>
+                    Storage is almost full. Delete large sessions or set a size limit below.
+                  </Alert>
+                )}
+              </Box>
+            ) : (
+              <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+                The browser quota is not available here.
+              </Typography>
+            )}
+
+            <Typography variant="subtitle2" gutterBottom>
+              Interview data: about {formatBytes(stats.totalSize)}
+            </Typography>
+            <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, mb: 2 }}>
+              {Object.entries(STORE_LABELS)
+                .filter(([store]) => stats.stores[store] && stats.stores[store].size > 0)
+                .map(([store, label]) => (
+                  <Chip
+                    key={store}
+                    size="small"
+                    variant="outlined"
+                    label={`${label}: ${formatBytes(stats.stores[store].size)}`}
+                  />
+                ))}
+            </Box>
+
+            <Typography variant="subtitle2">
+              Largest sessions
+            </Typography>
+            <List dense>
+              {usage.sessions.map(session => (
+                <ListItem
+                  key={session.sessionId}
+                  divider
+                  secondaryAction={!session.deletedAt && (
+                    <Tooltip title="Move to trash">
+                      <span>
+                        <IconButton
+                          edge="end"
+                          size="small"
+                          onClick={() => runAction(() => onDeleteSession(session))}
+                          disabled={busy}
+                        >
+                          <DeleteOutline />
+                        </IconButton>
+                      </span>
+                    </Tooltip>
+                  )}
+                >
+                  <ListItemText
+                    primary={session.title || new Date(session.date).toLocaleString()}
+                    secondary={[
+                      formatBytes(session.size),
+                      session.breakdown.audio ? `${formatBytes(session.breakdown.audio)} audio` : null,
+                      session.starred ? 'starred' : null,
+                      session.deletedAt ? 'in trash' : null
+                    ].filter(Boolean).join(' · ')}
+                  />
+                </ListItem>
+              ))}
+              {usage.sessions.length === 0 && (
+                <ListItem>
+                  <ListItemText secondary="No sessions stored" />
+                </ListItem>
+              )}
+            </List>
+
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mt: 2 }}>
+              <TextField
+                size="small"
+                type="number"
+                label="Keep data under (MB)"
+                value={limitMb}
+                onChange={(e) => setLimitMb(e.target.value)}
+                error={!isLimitValid}
+                helperText={isLimitValid ? 'Leave empty for no limit' : 'Enter a positive size'}
+                inputProps={{ min: 1 }}
+              />
+              <Button onClick={handleSaveLimit} disabled={busy || !isLimitValid}>
+                Save Limit
+              </Button>
+            </Box>
+            <Typography variant="caption" color="text.secondary">
+              Cleanup removes sessions older than the retention period, then the oldest sessions until
+              the data fits the limit. Starred sessions and protected folders are kept.
+            </Typography>
+
+            {backend && (
+              <Box sx={{ mt: 3 }}>
+                <Typography variant="subtitle2" gutterBottom>
+                  Storage location
+                </Typography>
+                <Typography variant="body2" sx={{ wordBreak: 'break-all' }}>
+                  {isFileBackend ? `Data files in ${backend.location}` : 'Browser storage (IndexedDB)'}
+                </Typography>
+                {backend.canUseFileSystem && onSwitchBackend && (
+                  <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mt: 1 }}>
+                    <Button
+                      size="small"
+                      startIcon={isFileBackend ? <Storage /> : <FolderOpen />}
+                      onClick={() => handleSwitchBackend(isFileBackend ? 'indexeddb' : 'filesystem')}
+                      disabled={busy || loading}
+                    >
+                      {isFileBackend ? 'Move to Browser Storage' : 'Move to Data Files'}
+                    </Button>
+                    <Typography variant="caption" color="text.secondary">
+                      The data is copied; the previous location keeps its copy.
+                    </Typography>
+                  </Box>
+                )}
+              </Box>
+            )}
+          </>
+        )}
+
+        {message && (
+          <Alert severity="success" sx={{ mt: 2 }}>
+            {message}
+          </Alert>
+        )}
+
+        {error && (
+          <Alert severity="error" sx={{ mt: 2 }}>
+            {error}
+          </Alert>
+        )}
+      </DialogContent>
+
+      <DialogActions>
+        {onOpenDiagnostics && (
+          <Button startIcon={<HealthAndSafety />} onClick={onOpenDiagnostics} disabled={busy}>
+            Diagnostics
+          </Button>
+        )}
+        <Button
+          startIcon={<CleaningServices />}
+          onClick={handleCleanup}
+          disabled={busy || loading || !isLimitValid}
+        >
+          Clean Up Now
+        </Button>
+        <Button onClick={onClose} disabled={busy}>
+          Close
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default StorageUsageDialog;
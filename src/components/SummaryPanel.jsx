@@ -15,11 +15,15 @@ import {
   Skeleton,
   Fade,
   CircularProgress,
-  Button
+  Button,
+  TextField,
+  MenuItem
 } from '@mui/material';
 import ReactMarkdown from 'react-markdown';
 import remarkGfm from 'remark-gfm';
-import { Psychology, ExpandMore, ExpandLess, ContentCopy, Refresh, Schedule, TrendingUp, Assignment, FormatQuote, Topic, CheckCircle, Warning, Error as ErrorIcon } from '@mui/icons-material';
+import { Psychology, ExpandMore, ExpandLess, ContentCopy, Refresh, Schedule, TrendingUp, Assignment, FormatQuote, Topic, CheckCircle, Warning, Error as ErrorIcon, History, Restore, DataUsage } from '@mui/icons-material';
+import { diffSummaries } from '../utils/summaryUtils';
+import { BUDGET_ACTIONS, formatTokenCount } from '../services/tokenBudget';
 
 /**
  * SummaryPanel component for displaying real-time AI-generated meeting summaries
@@ -30,9 +34,16 @@ import { Psychology, ExpandMore, ExpandLess, ContentCopy, Refresh, Schedule, Tre
  * - Loading states with estimated completion times
  * - Expandable sections for better organization
  * - Copy functionality for summary content
+ * - Version picker showing what changed between summary versions
+ * - A notice on summaries made out of date by merging or splitting sessions
+ * - The reason a summary could not be generated, such as a response that
+ *   failed validation
+ * - Tokens used against the token budget, next to the request rate limit
  */
 const SummaryPanel = ({
-  summary = null,
+  summary: currentSummary = null,
+  versions = [],
+  onRestoreVersion = null,
   isGenerating = false,
   processingProgress = 0,
   estimatedTimeRemaining = null,
@@ -42,27 +53,42 @@ const SummaryPanel = ({
   showProcessingDetails = true,
   maxHeight = 600,
   autoUpdate = true,
-  onConfigureAI = null
+  onConfigureAI = null,
+  error = null,
+  onDismissError = null,
+  rateLimitStatus = null,
+  onOpenTokenBudget = null
 }) => {
   const [expandedSections, setExpandedSections] = useState({
     keyPoints: true,
     decisions: true,
     actionItems: true,
     quotes: false,
-    topics: false
+    topics: false,
+    changes: true
   });
+  const [selectedVersionId, setSelectedVersionId] = useState(null);
   const [copiedSection, setCopiedSection] = useState(null);
   const [lastUpdateTime, setLastUpdateTime] = useState(null);
   const [processingStage, setProcessingStage] = useState('');
   const previousSummaryRef = useRef(null);
 
+  // The version being viewed; falls back to the current summary
+  const viewedVersion = selectedVersionId
+    ? versions.find(version => version.id === selectedVersionId) || null
+    : null;
+  const summary = viewedVersion || currentSummary;
+  const isViewingOlderVersion = Boolean(
+    viewedVersion && currentSummary && viewedVersion.id !== currentSummary.id
+  );
+
   // Update last update time when summary changes
   useEffect(() => {
-    if (summary && summary !== previousSummaryRef.current) {
+    if (currentSummary && currentSummary !== previousSummaryRef.current) {
       setLastUpdateTime(Date.now());
-      previousSummaryRef.current = summary;
+      previousSummaryRef.current = currentSummary;
     }
-  }, [summary]);
+  }, [currentSummary]);
 
   // Simulate processing stages for better UX
   useEffect(() => {
@@ -214,6 +240,70 @@ ${topic.points?.map(point => `  • ${point}`).join('\n') || '  No specific poin
     return `${minutes}m ${remainingSeconds}s remaining`;
   };
 
+  /**
+   * Get the display number of a version
+   * @param {Object} version - Summary version
+   * @returns {number} Version number
+   */
+  const getVersionNumber = (version) => {
+    return version.version || versions.findIndex(v => v.id === version.id) + 1;
+  };
+
+  /**
+   * Build the picker label for a version
+   * @param {Object} version - Summary version
+   * @returns {string} Label
+   */
+  const getVersionLabel = (version) => {
+    const source = version.source || (version.isIncremental ? 'incremental' : 'generated');
+    const time = new Date(version.generatedAt).toLocaleTimeString();
+    const latest = currentSummary && version.id === currentSummary.id ? ' (current)' : '';
+    return `v${getVersionNumber(version)} · ${time} · ${source}${latest}`;
+  };
+
+  /**
+   * Restore the version being viewed
+   */
+  const restoreViewedVersion = () => {
+    if (viewedVersion && onRestoreVersion) {
+      onRestoreVersion(viewedVersion.id);
+      setSelectedVersionId(null);
+    }
+  };
+
+  // Compare the displayed version with the one it was derived from
+  const versionIndex = summary ? versions.findIndex(version => version.id === summary.id) : -1;
+  const predecessor = versionIndex >= 0
+    ? versions.find(version => version.id === summary.previousSummaryId) ||
+      (versionIndex > 0 ? versions[versionIndex - 1] : null)
+    : null;
+  const versionChanges = predecessor ? diffSummaries(predecessor, summary) : null;
+
+  const tokenBudget = rateLimitStatus && rateLimitStatus.tokenBudget;
+
+  /**
+   * Describe the rate limit and the token usage for the usage chip tooltip
+   * @returns {string} Tooltip text
+   */
+  const getUsageTooltip = () => {
+    const lines = [
+      `Requests: ${rateLimitStatus.requestsInLastMinute}/${rateLimitStatus.requestsPerMinuteLimit} in the last minute` +
+        (rateLimitStatus.queueLength > 0 ? `, ${rateLimitStatus.queueLength} queued` : ''),
+      `This month: ${formatTokenCount(tokenBudget.monthTokens)}` +
+        (tokenBudget.monthlyLimit ? ` of ${formatTokenCount(tokenBudget.monthlyLimit)}` : '') + ' tokens',
+      `Today: ${formatTokenCount(tokenBudget.dayTokens)}` +
+        (tokenBudget.dailyLimit ? ` of ${formatTokenCount(tokenBudget.dailyLimit)}` : '') + ' tokens'
+    ];
+
+    if (tokenBudget.isExceeded) {
+      lines.push(tokenBudget.action === BUDGET_ACTIONS.BLOCK
+        ? 'Budget used up: automatic summaries are stopped'
+        : 'Budget used up: automatic summaries only update, less often');
+    }
+
+    return lines.join(' · ');
+  };
+
   const confidenceStyle = summary ? getConfidenceStyle(summary) : { color: 'text.secondary', level: 'unknown' };
   const hasContent = summary && (
     summary.content || 
@@ -269,6 +359,41 @@ ${topic.points?.map(point => `  • ${point}`).join('\n') || '  No specific poin
         </Box>
 
         <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+          {tokenBudget && (
+            <Tooltip title={getUsageTooltip()}>
+              <Chip
+                icon={<DataUsage />}
+                label={tokenBudget.monthlyLimit
+                  ? `${formatTokenCount(tokenBudget.monthTokens)} / ${formatTokenCount(tokenBudget.monthlyLimit)} tokens`
+                  : `${formatTokenCount(tokenBudget.monthTokens)} tokens`}
+                size="small"
+                variant="outlined"
+                color={tokenBudget.isExceeded ? 'error' : tokenBudget.isNearLimit ? 'warning' : 'default'}
+                onClick={onOpenTokenBudget || undefined}
+              />
+            </Tooltip>
+          )}
+
+          {versions.length > 1 && (
+            <TextField
+              select
+              size="small"
+              label="Version"
+              value={summary && versionIndex >= 0 ? summary.id : ''}
+              onChange={(e) => setSelectedVersionId(
+                currentSummary && e.target.value === currentSummary.id ? null : e.target.value
+              )}
+              sx={{ minWidth: 220 }}
+              InputProps={{ startAdornment: <History fontSize="small" sx={{ mr: 1, color: 'text.secondary' }} /> }}
+            >
+              {[...versions].reverse().map(version => (
+                <MenuItem key={version.id} value={version.id}>
+                  {getVersionLabel(version)}
+                </MenuItem>
+              ))}
+            </TextField>
+          )}
+
           {summary && (
             <>
               <Tooltip title="Copy full summary">
@@ -329,6 +454,45 @@ ${topic.points?.map(point => `  • ${point}`).join('\n') || '  No specific poin
           maxHeight: maxHeight
         }}
       >
+        {error && (
+          <Alert
+            severity="error"
+            sx={{ mb: 2 }}
+            onClose={onDismissError || undefined}
+            action={onRefreshSummary && hasContent && (
+              <Button
+                color="inherit"
+                size="small"
+                startIcon={<Refresh />}
+                onClick={onRefreshSummary}
+                disabled={isGenerating}
+              >
+                Retry
+              </Button>
+            )}
+          >
+            <Typography variant="body2" sx={{ fontWeight: 'medium' }}>
+              {error.message}
+            </Typography>
+            {error.details && error.details.length > 0 ? (
+              <>
+                <Typography variant="body2">
+                  The model's response was still invalid after a repair request:
+                </Typography>
+                {error.details.map(detail => (
+                  <Typography key={detail} variant="body2" sx={{ pl: 2 }}>
+                    • {detail}
+                  </Typography>
+                ))}
+              </>
+            ) : error.error && error.error.message && (
+              <Typography variant="body2">
+                {error.error.message}
+              </Typography>
+            )}
+          </Alert>
+        )}
+
         {!hasContent && !isGenerating && (
           <Box sx={{ mt: 2 }}>
             <Alert severity="info" sx={{ mb: 2 }}>
@@ -395,6 +559,121 @@ ${topic.points?.map(point => `  • ${point}`).join('\n') || '  No specific poin
         {hasContent && (
           <Fade in={true} timeout={500}>
             <Box>
+              {/* Older version notice */}
+              {isViewingOlderVersion && (
+                <Alert
+                  severity="info"
+                  sx={{ mb: 2 }}
+                  action={
+                    <Box sx={{ display: 'flex', gap: 1 }}>
+                      {onRestoreVersion && (
+                        <Button
+                          color="inherit"
+                          size="small"
+                          startIcon={<Restore />}
+                          onClick={restoreViewedVersion}
+                          disabled={isGenerating}
+                        >
+                          Restore
+                        </Button>
+                      )}
+                      <Button color="inherit" size="small" onClick={() => setSelectedVersionId(null)}>
+                        Latest
+                      </Button>
+                    </Box>
+                  }
+                >
+                  Viewing version {getVersionNumber(viewedVersion)} of {versions.length}
+                </Alert>
+              )}
+
+              {/* Summary written before the session was merged or split */}
+              {summary.staleAt && (
+                <Alert
+                  severity="warning"
+                  sx={{ mb: 2 }}
+                  action={onRefreshSummary && (
+                    <Button
+                      color="inherit"
+                      size="small"
+                      startIcon={<Refresh />}
+                      onClick={onRefreshSummary}
+                      disabled={isGenerating}
+                    >
+                      Regenerate
+                    </Button>
+                  )}
+                >
+                  {summary.staleReason === 'split'
+                    ? 'The session was split after this summary was generated.'
+                    : 'Sessions were merged after this summary was generated.'}
+                  {' '}It may not match the transcript.
+                </Alert>
+              )}
+
+              {/* Changes from the previous version */}
+              {versionChanges && (
+                <Card sx={{ mb: 2 }} variant="outlined">
+                  <CardContent sx={{ pb: expandedSections.changes ? 2 : 1 }}>
+                    <Box 
+                      sx={{ 
+                        display: 'flex', 
+                        alignItems: 'center', 
+                        justifyContent: 'space-between',
+                        cursor: 'pointer'
+                      }}
+                      onClick={() => toggleSection('changes')}
+                    >
+                      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                        <History color="action" fontSize="small" />
+                        <Typography variant="subtitle1">
+                          Changes since v{getVersionNumber(predecessor)}
+                        </Typography>
+                      </Box>
+                      {expandedSections.changes ? <ExpandLess /> : <ExpandMore />}
+                    </Box>
+
+                    <Collapse in={expandedSections.changes}>
+                      <Box sx={{ mt: 2 }}>
+                        {!versionChanges.hasChanges && (
+                          <Typography variant="body2" color="text.secondary">
+                            No changes from the previous version
+                          </Typography>
+                        )}
+
+                        {versionChanges.contentChanged && (
+                          <Typography variant="body2" sx={{ mb: 1 }}>
+                            Summary text rewritten ({versionChanges.wordDelta >= 0 ? '+' : ''}{versionChanges.wordDelta} words)
+                          </Typography>
+                        )}
+
+                        {versionChanges.sections.map(section => (
+                          <Box key={section.key} sx={{ mb: 1 }}>
+                            <Typography variant="caption" color="text.secondary">
+                              {section.label}
+                            </Typography>
+                            {section.added.map(item => (
+                              <Typography key={item} variant="body2" sx={{ pl: 2, color: 'success.main' }}>
+                                + {item}
+                              </Typography>
+                            ))}
+                            {section.removed.map(item => (
+                              <Typography
+                                key={item}
+                                variant="body2"
+                                sx={{ pl: 2, color: 'error.main', textDecoration: 'line-through' }}
+                              >
+                                − {item}
+                              </Typography>
+                            ))}
+                          </Box>
+                        ))}
+                      </Box>
+                    </Collapse>
+                  </CardContent>
+                </Card>
+              )}
+
               {/* Main summary content */}
               {summary.content && (
                 <Card sx={{ mb: 3 }}>
@@ -796,7 +1075,23 @@ ${topic.points?.map(point => `  • ${point}`).join('\n') || '  No specific poin
                 color="info"
               />
             )}
-            
+
+            {summary.tokenUsage > 0 && (
+              <Chip
+                label={`Tokens: ${formatTokenCount(summary.tokenUsage)}`}
+                size="small"
+                variant="outlined"
+              />
+            )}
+
+            {summary.promptTemplate && (
+              <Chip
+                label={`Template: ${summary.promptTemplate.name} v${summary.promptTemplate.version}`}
+                size="small"
+                variant="outlined"
+              />
+            )}
+
             {lastUpdateTime && autoUpdate && (
               <Typography variant="caption" color="text.secondary" sx={{ ml: 'auto' }}>
                 Last updated: {Math.floor((Date.now() - lastUpdateTime) / 1000)}s ago
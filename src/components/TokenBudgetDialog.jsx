@@ -0,0 +1,211 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Alert,
+  Typography,
+  Box,
+  TextField,
+  MenuItem,
+  LinearProgress,
+  CircularProgress
+} from '@mui/material';
+import { DataUsage } from '@mui/icons-material';
+import { BUDGET_ACTIONS, BUDGET_WARNING_RATIO, formatTokenCount, getBudgetStatus } from '../services/tokenBudget';
+
+const ACTION_LABELS = {
+  [BUDGET_ACTIONS.DOWNGRADE]: 'Only update automatic summaries, less often',
+  [BUDGET_ACTIONS.BLOCK]: 'Stop automatic summaries'
+};
+
+/**
+ * Read a token limit field
+ * @param {string} value - Field value
+ * @returns {number|null|undefined} Limit, null when blank, undefined when invalid
+ */
+const parseLimit = (value) => {
+  if (!value.trim()) {
+    return null;
+  }
+  const limit = Number(value);
+  return Number.isInteger(limit) && limit > 0 ? limit : undefined;
+};
+
+/**
+ * TokenBudgetDialog - Tokens used by AI requests and the budget for them
+ * Features:
+ * - Tokens used this month and today against the limits
+ * - Monthly and daily token limits
+ * - What automatic summaries do once the budget is used up
+ */
+const TokenBudgetDialog = ({
+  open,
+  onClose,
+  onLoad,
+  onSave
+}) => {
+  const [usage, setUsage] = useState(null);
+  const [monthlyLimit, setMonthlyLimit] = useState('');
+  const [dailyLimit, setDailyLimit] = useState('');
+  const [action, setAction] = useState(BUDGET_ACTIONS.DOWNGRADE);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadBudget = useCallback(async () => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const loaded = await onLoad();
+      setUsage(loaded.usage);
+      setMonthlyLimit(loaded.budget.monthlyTokens ? String(loaded.budget.monthlyTokens) : '');
+      setDailyLimit(loaded.budget.dailyTokens ? String(loaded.budget.dailyTokens) : '');
+      setAction(loaded.budget.action);
+    } catch (err) {
+      setError(err.message || 'Failed to load the token budget');
+    } finally {
+      setLoading(false);
+    }
+  }, [onLoad]);
+
+  useEffect(() => {
+    if (open) {
+      loadBudget();
+    }
+  }, [open, loadBudget]);
+
+  const budget = {
+    monthlyTokens: parseLimit(monthlyLimit),
+    dailyTokens: parseLimit(dailyLimit),
+    action
+  };
+  const isValid = budget.monthlyTokens !== undefined && budget.dailyTokens !== undefined;
+  const status = usage && isValid ? getBudgetStatus(usage, budget) : null;
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError('');
+
+    try {
+      await onSave(budget);
+      onClose();
+    } catch (err) {
+      setError(err.message || 'Failed to save the token budget');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  /**
+   * Render the usage of one period against its limit
+   * @param {string} label - Period label
+   * @param {number} tokens - Tokens used
+   * @param {number|null} limit - Token limit
+   */
+  const renderUsage = (label, tokens, limit) => (
+    <Box sx={{ mb: 2 }}>
+      <Typography variant="body2" gutterBottom>
+        {label}: {formatTokenCount(tokens)} {limit ? `of ${formatTokenCount(limit)} ` : ''}tokens
+      </Typography>
+      {limit && (
+        <LinearProgress
+          variant="determinate"
+          value={Math.min(100, (tokens / limit) * 100)}
+          color={tokens >= limit ? 'error' : tokens / limit >= BUDGET_WARNING_RATIO ? 'warning' : 'primary'}
+        />
+      )}
+    </Box>
+  );
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="xs" fullWidth>
+      <DialogTitle>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+          <DataUsage color="primary" />
+          Token Budget
+        </Box>
+      </DialogTitle>
+
+      <DialogContent>
+        {loading && !usage && (
+          <Box sx={{ display: 'flex', justifyContent: 'center', py: 4 }}>
+            <CircularProgress />
+          </Box>
+        )}
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+
+        {status && (
+          <>
+            {renderUsage('This month', status.monthTokens, status.monthlyLimit)}
+            {renderUsage('Today', status.dayTokens, status.dailyLimit)}
+            {status.isExceeded && (
+              <Alert severity="warning" sx={{ mb: 2 }}>
+                {action === BUDGET_ACTIONS.BLOCK
+                  ? 'The budget is used up. Automatic summaries are stopped.'
+                  : 'The budget is used up. Automatic summaries only add new transcript, less often.'}
+              </Alert>
+            )}
+          </>
+        )}
+
+        <TextField
+          fullWidth
+          margin="normal"
+          label="Monthly limit (tokens)"
+          value={monthlyLimit}
+          onChange={(e) => setMonthlyLimit(e.target.value)}
+          error={budget.monthlyTokens === undefined}
+          helperText="Leave empty for no monthly limit"
+          inputProps={{ inputMode: 'numeric' }}
+        />
+        <TextField
+          fullWidth
+          margin="normal"
+          label="Daily limit (tokens)"
+          value={dailyLimit}
+          onChange={(e) => setDailyLimit(e.target.value)}
+          error={budget.dailyTokens === undefined}
+          helperText="Leave empty for no daily limit"
+          inputProps={{ inputMode: 'numeric' }}
+        />
+        <TextField
+          select
+          fullWidth
+          margin="normal"
+          label="When the budget is used up"
+          value={action}
+          onChange={(e) => setAction(e.target.value)}
+        >
+          {Object.entries(ACTION_LABELS).map(([value, label]) => (
+            <MenuItem key={value} value={value}>
+              {label}
+            </MenuItem>
+          ))}
+        </TextField>
+
+        <Typography variant="caption" color="text.secondary" component="div" sx={{ mt: 1 }}>
+          Summaries and scorecards you generate yourself are not limited. Tokens are counted as
+          the AI provider reports them, or estimated from the text when it does not.
+        </Typography>
+      </DialogContent>
+
+      <DialogActions>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button variant="contained" onClick={handleSave} disabled={!isValid || loading || saving}>
+          Save
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default TokenBudgetDialog;
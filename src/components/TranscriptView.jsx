@@ -8,7 +8,13 @@ import {
   Tooltip,
   Alert,
   LinearProgress,
-  Divider
+  Divider,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions,
+  Button
 } from '@mui/material';
 import {
   VolumeUp,
@@ -16,8 +22,13 @@ import {
   AccessTime,
   SignalCellularAlt,
   Clear,
-  ContentCopy
+  ContentCopy,
+  Bookmark,
+  StickyNote2,
+  Delete,
+  ContentCut
 } from '@mui/icons-material';
+import { getSegmentStartTime } from '../utils/audioUtils';
 
 /**
  * TranscriptView component for displaying real-time speech-to-text transcription
@@ -27,6 +38,9 @@ import {
  * - Confidence indicators with visual feedback
  * - Auto-scrolling for readability
  * - Text formatting and styling
+ * - Bookmarks and notes shown inline after the segment they were made during
+ * - Highlighting of the segment being played back, and click-to-seek on timestamps
+ * - Splitting a saved session in two at a segment
  */
 const TranscriptView = ({
   transcriptSegments = [],
@@ -34,14 +48,22 @@ const TranscriptView = ({
   isListening = false,
   processingMode = 'webspeech',
   onClearTranscript,
+  annotations = [],
+  onDeleteAnnotation,
+  activeSegmentId = null,
+  onSegmentSeek,
+  onSplitSession,
   showTimestamps = true,
   showConfidence = true,
   autoScroll = true,
   maxHeight = 400
 }) => {
   const scrollContainerRef = useRef(null);
+  const segmentRefs = useRef(new Map());
   const [shouldAutoScroll, setShouldAutoScroll] = useState(autoScroll);
   const [copiedSegmentId, setCopiedSegmentId] = useState(null);
+  const [splitSegment, setSplitSegment] = useState(null);
+  const [isSplitting, setIsSplitting] = useState(false);
 
   // Auto-scroll to bottom when new content is added
   useEffect(() => {
@@ -55,6 +77,14 @@ const TranscriptView = ({
     }
   }, [transcriptSegments, currentTranscript, shouldAutoScroll]);
 
+  // Keep the segment being played back in view
+  useEffect(() => {
+    const element = activeSegmentId && segmentRefs.current.get(activeSegmentId);
+    if (element && element.scrollIntoView) {
+      element.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+    }
+  }, [activeSegmentId]);
+
   // Handle manual scrolling to disable auto-scroll
   const handleScroll = () => {
     if (!scrollContainerRef.current) return;
@@ -74,7 +104,16 @@ const TranscriptView = ({
   const formatTimestamp = (timestamp, sessionStart) => {
     if (!sessionStart) return '00:00';
     
-    const elapsed = Math.floor((timestamp - sessionStart) / 1000);
+    return formatElapsed(timestamp - sessionStart);
+  };
+
+  /**
+   * Format elapsed time for display
+   * @param {number} ms - Elapsed milliseconds
+   * @returns {string} Formatted time string
+   */
+  const formatElapsed = (ms) => {
+    const elapsed = Math.floor(ms / 1000);
     const minutes = Math.floor(elapsed / 60);
     const seconds = elapsed % 60;
     
@@ -157,6 +196,90 @@ const TranscriptView = ({
 
   const hasContent = transcriptSegments.length > 0 || currentTranscript.length > 0;
 
+  const finalSegments = transcriptSegments.filter(segment => segment.isFinal);
+
+  /**
+   * Group annotations by the last final segment spoken before them.
+   * Annotations made before the first segment are keyed by null.
+   * @returns {Map<string|null, Array>} Annotations by segment ID
+   */
+  const getAnnotationsBySegment = () => {
+    const grouped = new Map();
+
+    [...annotations]
+      .sort((a, b) => a.relativeTime - b.relativeTime)
+      .forEach(annotation => {
+        const time = annotation.timestamp ?? sessionStartTime + annotation.relativeTime;
+        const segment = finalSegments.filter(s => s.timestamp <= time).pop();
+        const key = segment ? segment.id : null;
+
+        if (!grouped.has(key)) {
+          grouped.set(key, []);
+        }
+        grouped.get(key).push(annotation);
+      });
+
+    return grouped;
+  };
+
+  const annotationsBySegment = getAnnotationsBySegment();
+
+  const splitIndex = splitSegment ? finalSegments.indexOf(splitSegment) : -1;
+
+  /**
+   * Split the session at the segment picked for the split
+   */
+  const confirmSplit = async () => {
+    setIsSplitting(true);
+    try {
+      await onSplitSession(splitSegment);
+    } finally {
+      setIsSplitting(false);
+      setSplitSegment(null);
+    }
+  };
+
+  /**
+   * Render a bookmark or note
+   * @param {object} annotation - Annotation
+   * @returns {JSX.Element} Annotation row
+   */
+  const renderAnnotation = (annotation) => {
+    const isNote = annotation.type === 'note';
+
+    return (
+      <Box
+        key={annotation.id}
+        data-testid="transcript-annotation"
+        sx={{
+          display: 'flex',
+          alignItems: 'center',
+          gap: 1,
+          mt: 1,
+          py: 0.5,
+          px: 1,
+          borderLeft: 3,
+          borderColor: isNote ? 'info.main' : 'warning.main',
+          backgroundColor: 'action.hover',
+          borderRadius: 1
+        }}
+      >
+        {isNote ? <StickyNote2 fontSize="small" color="info" /> : <Bookmark fontSize="small" color="warning" />}
+        <Chip label={formatElapsed(annotation.relativeTime)} size="small" variant="outlined" />
+        <Typography variant="body2" sx={{ flex: 1, wordBreak: 'break-word' }}>
+          {annotation.text || 'Bookmark'}
+        </Typography>
+        {onDeleteAnnotation && (
+          <Tooltip title={isNote ? 'Delete note' : 'Remove bookmark'}>
+            <IconButton size="small" onClick={() => onDeleteAnnotation(annotation)}>
+              <Delete fontSize="small" />
+            </IconButton>
+          </Tooltip>
+        )}
+      </Box>
+    );
+  };
+
   return (
     <Paper 
       elevation={2} 
@@ -272,11 +395,30 @@ const TranscriptView = ({
           </Box>
         )}
 
+        {/* Annotations made before the first segment */}
+        {(annotationsBySegment.get(null) || []).map(renderAnnotation)}
+
         {/* Final transcript segments */}
-        {transcriptSegments
-          .filter(segment => segment.isFinal)
+        {finalSegments
           .map((segment, index) => (
-            <Box key={segment.id} sx={{ mb: 2 }}>
+            <Box
+              key={segment.id}
+              ref={(element) => {
+                if (element) {
+                  segmentRefs.current.set(segment.id, element);
+                } else {
+                  segmentRefs.current.delete(segment.id);
+                }
+              }}
+              sx={{
+                mb: 2,
+                ...(segment.id === activeSegmentId && {
+                  backgroundColor: 'action.selected',
+                  borderRadius: 1,
+                  boxShadow: (theme) => `0 0 0 8px ${theme.palette.action.selected}`
+                })
+              }}
+            >
               <Box sx={{ 
                 display: 'flex', 
                 alignItems: 'flex-start', 
@@ -284,13 +426,17 @@ const TranscriptView = ({
                 mb: 1
               }}>
                 {showTimestamps && (
-                  <Chip
-                    icon={<AccessTime />}
-                    label={formatTimestamp(segment.timestamp, sessionStartTime)}
-                    size="small"
-                    variant="outlined"
-                    sx={{ minWidth: 80 }}
-                  />
+                  <Tooltip title={onSegmentSeek ? 'Play from here' : ''}>
+                    <Chip
+                      icon={<AccessTime />}
+                      label={formatTimestamp(segment.timestamp, sessionStartTime)}
+                      size="small"
+                      variant="outlined"
+                      color={segment.id === activeSegmentId ? 'primary' : 'default'}
+                      onClick={onSegmentSeek ? () => onSegmentSeek(segment) : undefined}
+                      sx={{ minWidth: 80 }}
+                    />
+                  </Tooltip>
                 )}
                 
                 {showConfidence && (
@@ -315,6 +461,14 @@ const TranscriptView = ({
                     <ContentCopy fontSize="small" />
                   </IconButton>
                 </Tooltip>
+
+                {onSplitSession && index > 0 && (
+                  <Tooltip title="Split the session here">
+                    <IconButton size="small" onClick={() => setSplitSegment(segment)}>
+                      <ContentCut fontSize="small" />
+                    </IconButton>
+                  </Tooltip>
+                )}
               </Box>
               
               <Typography 
@@ -327,8 +481,10 @@ const TranscriptView = ({
               >
                 {segment.text}
               </Typography>
+
+              {(annotationsBySegment.get(segment.id) || []).map(renderAnnotation)}
               
-              {index < transcriptSegments.filter(s => s.isFinal).length - 1 && (
+              {index < finalSegments.length - 1 && (
                 <Divider sx={{ mt: 2 }} />
               )}
             </Box>
@@ -409,6 +565,29 @@ const TranscriptView = ({
           </Typography>
         </Box>
       )}
+
+      {/* Split confirmation */}
+      <Dialog open={Boolean(splitSegment)} onClose={() => !isSplitting && setSplitSegment(null)}>
+        <DialogTitle>Split session?</DialogTitle>
+        <DialogContent>
+          <DialogContentText>
+            {splitSegment && (
+              `The session is split at ${formatElapsed(getSegmentStartTime(splitSegment))}. ` +
+              `${splitIndex} segment${splitIndex === 1 ? '' : 's'} before it stay in this session; ` +
+              `${finalSegments.length - splitIndex} move to a new session with the bookmarks, notes and audio from there on. ` +
+              'The summaries of this session are marked out of date.'
+            )}
+          </DialogContentText>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setSplitSegment(null)} disabled={isSplitting}>
+            Cancel
+          </Button>
+          <Button onClick={confirmSplit} disabled={isSplitting} startIcon={<ContentCut />}>
+            Split
+          </Button>
+        </DialogActions>
+      </Dialog>
     </Paper>
   );
 };
@@ -203,6 +203,13 @@ const useAudioCapture = () => {
     return audioServiceRef.current.getRecordingState();
   }, []);
 
+  /**
+   * Get timing details of the last stopped recording
+   */
+  const getLastRecordingInfo = useCallback(() => {
+    return audioServiceRef.current ? audioServiceRef.current.getLastRecordingInfo() : null;
+  }, []);
+
   /**
    * Clear current error
    */
@@ -249,6 +256,7 @@ const useAudioCapture = () => {
     
     // Utilities
     getRecordingState,
+    getLastRecordingInfo,
     getFormattedDuration,
     
     // Computed state
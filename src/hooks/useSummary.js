@@ -1,5 +1,20 @@
 import { useState, useEffect, useRef, useCallback } from 'react';
 import AIService from '../services/aiService';
+import { getAutoSummaryPolicy } from '../services/tokenBudget';
+
+/**
+ * Describe a failed summary request; the problems of a response that failed
+ * validation are listed as details instead of staying inside the error
+ * @param {string} message - What failed
+ * @param {Error} err - Error from AIService
+ * @returns {Object} `{message, details, error, timestamp}`
+ */
+const createSummaryError = (message, err) => ({
+  message,
+  details: err.validationErrors || [],
+  error: err,
+  timestamp: Date.now()
+});
 
 /**
  * Custom React hook for managing AI summary functionality
@@ -9,6 +24,7 @@ const useSummary = () => {
   const [isInitialized, setIsInitialized] = useState(false);
   const [isGenerating, setIsGenerating] = useState(false);
   const [currentSummary, setCurrentSummary] = useState(null);
+  const [summaryHistory, setSummaryHistory] = useState([]);
   const [error, setError] = useState(null);
   const [isInitializing, setIsInitializing] = useState(false);
   const [processingProgress, setProcessingProgress] = useState(0);
@@ -18,21 +34,28 @@ const useSummary = () => {
   const aiServiceRef = useRef(null);
   const processingTimeoutRef = useRef(null);
   const lastTranscriptSegmentsRef = useRef([]);
+  // Prompt template and glossary, kept for services created later
+  const promptTemplateRef = useRef({ template: null, glossary: [] });
+  // Token budget, the usage counted so far and who is told of new usage
+  const tokenBudgetRef = useRef({ budget: null, usage: null, listener: null });
 
   /**
-   * Initialize AI service with API key
-   * @param {string} apiKey - Google Gemini API key
+   * Make a summary current and keep it in the session's version history
+   * @param {Object} summary - Summary to record
    */
-  const initialize = useCallback(async (apiKey) => {
-    if (aiServiceRef.current || isInitializing) {
-      return;
-    }
+  const recordSummaryVersion = useCallback((summary) => {
+    setCurrentSummary(summary);
+    setSummaryHistory(prev => (
+      prev.some(version => version.id === summary.id) ? prev : [...prev, summary]
+    ));
+  }, []);
 
-    if (!apiKey || !apiKey.trim()) {
-      setError({
-        message: 'API key is required for AI service initialization',
-        timestamp: Date.now()
-      });
+  /**
+   * Initialize the AI service, replacing a configured one
+   * @param {Object|string} config - Provider configuration (see AIService.initialize), or a Google Gemini API key
+   */
+  const initialize = useCallback(async (config) => {
+    if (isInitializing) {
       return;
     }
 
@@ -41,8 +64,18 @@ const useSummary = () => {
 
     try {
       const aiService = new AIService();
-      await aiService.initialize(apiKey);
-      
+      await aiService.initialize(config);
+      aiService.setPromptTemplate(promptTemplateRef.current.template, promptTemplateRef.current.glossary);
+      aiService.setTokenBudget(tokenBudgetRef.current.budget, tokenBudgetRef.current.usage);
+      aiService.setTokenUsageListener((usage) => {
+        tokenBudgetRef.current.usage = usage;
+        setRateLimitStatus(aiService.getRateLimitStatus());
+        if (tokenBudgetRef.current.listener) {
+          tokenBudgetRef.current.listener(usage);
+        }
+      });
+
+      // Requests already queued on the previous service still complete there
       aiServiceRef.current = aiService;
       setIsInitialized(true);
       
@@ -56,11 +89,62 @@ const useSummary = () => {
         error: err,
         timestamp: Date.now()
       });
+      // Let the caller show why, e.g. an unreachable endpoint
+      throw err;
     } finally {
       setIsInitializing(false);
     }
   }, [isInitializing]);
 
+  /**
+   * Set the prompt template and glossary used for new summaries
+   * @param {Object|null} template - Prompt template (the default template when null)
+   * @param {Array<string>} glossary - Names and terms for the model to spell as given
+   */
+  const setPromptTemplate = useCallback((template, glossary = []) => {
+    promptTemplateRef.current = { template, glossary };
+    if (aiServiceRef.current) {
+      aiServiceRef.current.setPromptTemplate(template, glossary);
+    }
+  }, []);
+
+  /**
+   * Set the token budget and the usage counted so far, e.g. from storage
+   * @param {Object|null} budget - Token budget (the default budget when null)
+   * @param {Object|null} [usage] - Token usage (the usage so far when omitted)
+   */
+  const setTokenBudget = useCallback((budget, usage = tokenBudgetRef.current.usage) => {
+    tokenBudgetRef.current = { ...tokenBudgetRef.current, budget, usage };
+    if (aiServiceRef.current) {
+      aiServiceRef.current.setTokenBudget(budget, usage);
+      setRateLimitStatus(aiServiceRef.current.getRateLimitStatus());
+    }
+  }, []);
+
+  /**
+   * Set the function told of the token usage after every request, e.g. to store it
+   * @param {Function|null} listener - Called with the token usage
+   */
+  const setTokenUsageListener = useCallback((listener) => {
+    tokenBudgetRef.current.listener = listener;
+  }, []);
+
+  /**
+   * Suggest a scorecard for the interview against a competency rubric
+   * @param {Array} transcriptSegments - Array of transcript segments
+   * @param {Object} rubric - Competency rubric (see scorecards.js)
+   * @returns {Promise<Object>} Scorecard
+   */
+  const generateScorecard = useCallback(async (transcriptSegments, rubric) => {
+    if (!aiServiceRef.current) {
+      throw new Error('AI service not initialized. Please initialize first.');
+    }
+
+    const scorecard = await aiServiceRef.current.generateScorecard(transcriptSegments, rubric);
+    setRateLimitStatus(aiServiceRef.current.getRateLimitStatus());
+    return scorecard;
+  }, []);
+
   /**
    * Generate summary from transcript segments
    * @param {Array} transcriptSegments - Array of transcript segments
@@ -117,7 +201,7 @@ const useSummary = () => {
     try {
       const summary = await aiServiceRef.current.generateSummary(transcriptSegments, options);
       
-      setCurrentSummary(summary);
+      recordSummaryVersion(summary);
       setProcessingProgress(100);
       lastTranscriptSegmentsRef.current = [...transcriptSegments];
       
@@ -126,11 +210,7 @@ const useSummary = () => {
       setRateLimitStatus(status);
       
     } catch (err) {
-      setError({
-        message: 'Failed to generate summary',
-        error: err,
-        timestamp: Date.now()
-      });
+      setError(createSummaryError('Failed to generate summary', err));
     } finally {
       clearInterval(progressInterval);
       clearInterval(countdownInterval);
@@ -138,7 +218,7 @@ const useSummary = () => {
       setProcessingProgress(0);
       setEstimatedTimeRemaining(null);
     }
-  }, []);
+  }, [recordSummaryVersion]);
 
   /**
    * Generate incremental summary update
@@ -196,7 +276,7 @@ const useSummary = () => {
       );
       
       if (updatedSummary) {
-        setCurrentSummary(updatedSummary);
+        recordSummaryVersion(updatedSummary);
         setProcessingProgress(100);
         
         // Update the reference with all segments
@@ -209,11 +289,7 @@ const useSummary = () => {
       setRateLimitStatus(status);
       
     } catch (err) {
-      setError({
-        message: 'Failed to generate incremental summary',
-        error: err,
-        timestamp: Date.now()
-      });
+      setError(createSummaryError('Failed to generate incremental summary', err));
     } finally {
       clearInterval(progressInterval);
       clearInterval(countdownInterval);
@@ -221,7 +297,33 @@ const useSummary = () => {
       setProcessingProgress(0);
       setEstimatedTimeRemaining(null);
     }
-  }, [currentSummary]);
+  }, [currentSummary, recordSummaryVersion]);
+
+  /**
+   * Restore an earlier version from this session's history.
+   * The restored copy becomes a new version so the history stays linear.
+   * @param {string} summaryId - ID of the version to restore
+   * @returns {Object|null} The restored summary
+   */
+  const restoreSummaryVersion = useCallback((summaryId) => {
+    const version = summaryHistory.find(summary => summary.id === summaryId);
+    if (!version) {
+      return null;
+    }
+
+    const restored = {
+      ...version,
+      id: `summary_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`,
+      generatedAt: Date.now(),
+      isIncremental: false,
+      source: 'restored',
+      restoredFromId: version.id,
+      previousSummaryId: currentSummary ? currentSummary.id : null
+    };
+
+    recordSummaryVersion(restored);
+    return restored;
+  }, [summaryHistory, currentSummary, recordSummaryVersion]);
 
   /**
    * Refresh current summary with latest transcript data
@@ -237,6 +339,7 @@ const useSummary = () => {
    */
   const clearSummary = useCallback(() => {
     setCurrentSummary(null);
+    setSummaryHistory([]);
     setError(null);
     setProcessingProgress(0);
     setEstimatedTimeRemaining(null);
@@ -248,6 +351,18 @@ const useSummary = () => {
     }
   }, []);
 
+  /**
+   * Load the summary versions of a saved session
+   * @param {Array} history - Summary versions, oldest first
+   * @param {Array} transcriptSegments - Segments the latest version covers
+   */
+  const loadSummaryHistory = useCallback((history, transcriptSegments = []) => {
+    setSummaryHistory(history);
+    setCurrentSummary(history.length > 0 ? history[history.length - 1] : null);
+    setError(null);
+    lastTranscriptSegmentsRef.current = history.length > 0 ? [...transcriptSegments] : [];
+  }, []);
+
   /**
    * Clear current error
    */
@@ -281,7 +396,9 @@ const useSummary = () => {
   }, []);
 
   /**
-   * Auto-generate summary when transcript reaches certain thresholds
+   * Auto-generate summary when transcript reaches certain thresholds.
+   * Over the token budget, auto-generation stops or is downgraded to
+   * incremental updates at a longer interval (see getAutoSummaryPolicy).
    * @param {Array} transcriptSegments - Current transcript segments
    * @param {Object} options - Auto-generation options
    */
@@ -301,6 +418,11 @@ const useSummary = () => {
       return;
     }
 
+    const policy = getAutoSummaryPolicy(aiServiceRef.current.getTokenBudgetStatus(), intervalSeconds);
+    if (!policy.allowed) {
+      return;
+    }
+
     // Check if we have enough content
     const finalSegments = transcriptSegments.filter(segment => segment.isFinal);
     const totalWords = finalSegments
@@ -314,7 +436,7 @@ const useSummary = () => {
     // Check if enough time has passed since last summary
     if (currentSummary) {
       const timeSinceLastSummary = Date.now() - currentSummary.generatedAt;
-      if (timeSinceLastSummary < intervalSeconds * 1000) {
+      if (timeSinceLastSummary < policy.intervalSeconds * 1000) {
         return;
       }
 
@@ -323,7 +445,7 @@ const useSummary = () => {
       if (newSegments.length > 0) {
         await generateIncrementalSummary(newSegments, options);
       }
-    } else {
+    } else if (!policy.incrementalOnly) {
       // Generate initial summary
       await generateSummary(finalSegments, options);
     }
@@ -394,6 +516,7 @@ const useSummary = () => {
     isInitializing,
     isGenerating,
     currentSummary,
+    summaryHistory,
     error,
     processingProgress,
     estimatedTimeRemaining,
@@ -401,10 +524,16 @@ const useSummary = () => {
     
     // Actions
     initialize,
+    setPromptTemplate,
+    setTokenBudget,
+    setTokenUsageListener,
     generateSummary,
     generateIncrementalSummary,
+    generateScorecard,
     refreshSummary,
+    restoreSummaryVersion,
     clearSummary,
+    loadSummaryHistory,
     clearError,
     autoGenerateSummary,
     
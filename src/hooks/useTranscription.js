@@ -103,8 +103,11 @@ const useTranscription = () => {
 
   /**
    * Start speech recognition
+   * @param {Object} options - Start options
+   * @param {boolean} options.preserveSegments - Keep loaded segments (when resuming a session)
+   * @param {number} [options.sessionStartTime] - Time segment `relativeTime` values count from
    */
-  const startListening = useCallback(async () => {
+  const startListening = useCallback(async (options = {}) => {
     if (!speechServiceRef.current || isListening) {
       return false;
     }
@@ -112,10 +115,14 @@ const useTranscription = () => {
     setError(null);
     
     try {
-      const success = await speechServiceRef.current.startListening();
+      const success = await speechServiceRef.current.startListening({
+        sessionStartTime: options.sessionStartTime
+      });
       if (success) {
         sessionStartTimeRef.current = Date.now();
-        setTranscriptSegments([]);
+        if (!options.preserveSegments) {
+          setTranscriptSegments([]);
+        }
         setCurrentTranscript('');
       }
       return success;
@@ -240,6 +247,15 @@ const useTranscription = () => {
     setCurrentTranscript('');
   }, []);
 
+  /**
+   * Replace the transcript with previously saved segments
+   * @param {Array} segments - Finalized transcript segments
+   */
+  const loadSegments = useCallback((segments) => {
+    setTranscriptSegments(segments.map(segment => ({ ...segment, isFinal: true })));
+    setCurrentTranscript('');
+  }, []);
+
   /**
    * Force stop and cleanup - more aggressive than regular stop
    */
@@ -331,6 +347,7 @@ const useTranscription = () => {
     resumeListening,
     clearError,
     clearTranscript,
+    loadSegments,
     forceStop,
     
     // Utilities
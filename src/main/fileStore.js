@@ -0,0 +1,406 @@
+/**
+ * File store - Interview data as NDJSON files for the renderer's FileSystemBackend
+ *
+ * Every database is a directory holding `schema.json` (schema version and
+ * object store definitions) and one `<store>.ndjson` file per object store
+ * with one record per line. Writes are appended: a record line replaces the
+ * record with the same key and `{"$delete": key}` removes one; clearing a store
+ * rewrites its file. Files are compacted to plain record lines when loaded.
+ * Binary values are written as `{"$binary": "<base64>"}`.
+ *
+ * Audio is not loaded with the rest: binary fields of audio records are kept
+ * in files of their own, `audio/<sha256>.bin`, and the record line holds
+ * `{"$file": "audio/<sha256>.bin", "byteLength": n}` in their place. The
+ * renderer reads them on demand with readFile. Files no record refers to any
+ * more are removed when the database is loaded.
+ *
+ * The storage configuration (which backend the renderer uses) is kept in
+ * `storage-config.json` next to the database directories.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+const CONFIG_FILE = 'storage-config.json';
+const SCHEMA_FILE = 'schema.json';
+const BACKENDS = ['indexeddb', 'filesystem'];
+const DEFAULT_CONFIG = { backend: 'indexeddb' };
+
+// Database and store names become file names
+const NAME_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+// Stores whose binary fields are kept in separate files
+const DETACHED_STORES = ['audio'];
+
+// Detached file names: `<store>/<sha256 of the content>.bin`
+const DETACHED_FILE_PATTERN = /^([A-Za-z0-9_-]+)\/[0-9a-f]{64}\.bin$/;
+
+/**
+ * Check that a name is safe to use as a file name
+ * @param {string} name - Database or store name
+ * @returns {string} The name
+ */
+function assertName(name) {
+  if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+    throw new Error(`Invalid storage name: ${name}`);
+  }
+  return name;
+}
+
+/**
+ * Serialize a record as one line of JSON, with binary data as base64
+ * @param {*} value - Record
+ * @returns {string} JSON line
+ */
+function encodeLine(value) {
+  return JSON.stringify(value, (key, item) => {
+    if (item instanceof ArrayBuffer) {
+      return { $binary: Buffer.from(item).toString('base64'), type: 'ArrayBuffer' };
+    }
+    if (ArrayBuffer.isView(item)) {
+      return { $binary: Buffer.from(item.buffer, item.byteOffset, item.byteLength).toString('base64') };
+    }
+    return item;
+  });
+}
+
+/**
+ * Parse a line written by encodeLine
+ * @param {string} line - JSON line
+ * @returns {*} Record
+ */
+function decodeLine(line) {
+  return JSON.parse(line, (key, item) => {
+    if (item && typeof item === 'object' && typeof item.$binary === 'string') {
+      const bytes = new Uint8Array(Buffer.from(item.$binary, 'base64'));
+      return item.type === 'ArrayBuffer' ? bytes.buffer : bytes;
+    }
+    return item;
+  });
+}
+
+/**
+ * Read a record's key as a string, for matching records across lines
+ * @param {Object} record - Record
+ * @param {string|Array<string>} keyPath - Key path of the store
+ * @returns {string} Key
+ */
+function getRecordKey(record, keyPath) {
+  const read = (keyPathPart) => keyPathPart.split('.').reduce(
+    (current, part) => (current !== null && typeof current === 'object' ? current[part] : undefined),
+    record
+  );
+  return encodeLine(Array.isArray(keyPath) ? keyPath.map(read) : read(keyPath));
+}
+
+/**
+ * Write a file through a temporary file, so a crash never leaves half of it
+ * @param {string} filePath - File path
+ * @param {string} content - File content
+ * @returns {Promise<void>}
+ */
+async function writeFileAtomic(filePath, content) {
+  const tempPath = `${filePath}.tmp`;
+  await fs.writeFile(tempPath, content, typeof content === 'string' ? 'utf8' : undefined);
+  await fs.rename(tempPath, filePath);
+}
+
+/**
+ * Read a file, or return null if it does not exist
+ * @param {string} filePath - File path
+ * @param {string|null} [encoding='utf8'] - Encoding, null for a Buffer
+ * @returns {Promise<string|Buffer|null>} Content
+ */
+async function readFileIfExists(filePath, encoding = 'utf8') {
+  try {
+    return await fs.readFile(filePath, encoding);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Check whether a value is binary data
+ * @param {*} value - Value
+ * @returns {boolean} True for ArrayBuffers and their views
+ */
+function isBinary(value) {
+  return value instanceof ArrayBuffer || ArrayBuffer.isView(value);
+}
+
+/**
+ * Move the binary fields of a record into files of their own
+ * @param {string} databaseDirectory - Database directory
+ * @param {string} storeName - Store name
+ * @param {Object} record - Record
+ * @returns {Promise<Object>} Record with `{$file, byteLength}` in place of its binary fields
+ */
+async function detachBinaryFields(databaseDirectory, storeName, record) {
+  const detached = { ...record };
+
+  for (const [field, value] of Object.entries(record)) {
+    if (!isBinary(value)) {
+      continue;
+    }
+
+    const bytes = Buffer.from(value instanceof ArrayBuffer ? value : value.buffer, value.byteOffset || 0, value.byteLength);
+    const file = `${storeName}/${crypto.createHash('sha256').update(bytes).digest('hex')}.bin`;
+    const filePath = path.join(databaseDirectory, file);
+
+    // Files are named by their content, so an existing one already holds these bytes
+    if ((await readFileIfExists(filePath, null)) === null) {
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await writeFileAtomic(filePath, bytes);
+    }
+
+    detached[field] = { $file: file, byteLength: bytes.length };
+  }
+
+  return detached;
+}
+
+/**
+ * Collect the detached files a value refers to
+ * @param {*} value - Record or part of one
+ * @param {Set<string>} files - Collected file names
+ */
+function collectDetachedFiles(value, files) {
+  if (!value || typeof value !== 'object' || isBinary(value)) {
+    return;
+  }
+  if (typeof value.$file === 'string') {
+    files.add(value.$file);
+    return;
+  }
+  Object.values(value).forEach(item => collectDetachedFiles(item, files));
+}
+
+/**
+ * Remove the detached files of a store that no record refers to
+ * @param {string} databaseDirectory - Database directory
+ * @param {string} storeName - Store name
+ * @param {Set<string>} referenced - Files records refer to
+ * @returns {Promise<void>}
+ */
+async function removeUnreferencedFiles(databaseDirectory, storeName, referenced) {
+  let names;
+  try {
+    names = await fs.readdir(path.join(databaseDirectory, storeName));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return;
+    }
+    throw error;
+  }
+
+  for (const name of names) {
+    const file = `${storeName}/${name}`;
+    if (DETACHED_FILE_PATTERN.test(file) && !referenced.has(file)) {
+      await fs.unlink(path.join(databaseDirectory, file));
+    }
+  }
+}
+
+/**
+ * Load the records of a store, compacting its file when it has replaced or deleted records
+ * @param {string} filePath - Store file
+ * @param {Object} definition - Store definition from the schema
+ * @returns {Promise<Array>} Records
+ */
+async function loadStoreFile(filePath, definition) {
+  const content = await readFileIfExists(filePath);
+  if (content === null) {
+    return [];
+  }
+
+  const records = new Map();
+  let lineCount = 0;
+
+  content.split('\n').forEach((line, index) => {
+    if (!line.trim()) {
+      return;
+    }
+    lineCount++;
+
+    let entry;
+    try {
+      entry = decodeLine(line);
+    } catch (error) {
+      // A line cut short by a crash during an append
+      console.warn(`Skipping unreadable line ${index + 1} of ${filePath}:`, error.message);
+      return;
+    }
+
+    if (entry.$delete !== undefined) {
+      records.delete(encodeLine(entry.$delete));
+    } else {
+      records.set(getRecordKey(entry, definition.keyPath), entry);
+    }
+  });
+
+  if (lineCount > records.size) {
+    await writeFileAtomic(filePath, Array.from(records.values(), record => `${encodeLine(record)}\n`).join(''));
+  }
+
+  return Array.from(records.values());
+}
+
+/**
+ * Create the file store for a directory
+ * @param {string} directory - Directory holding the databases
+ * @returns {Object} File store with `getConfig`, `setConfig`, `load`, `readFile` and `commit`
+ */
+function createFileStore(directory) {
+  // Commits of a database are written one after the other
+  const queues = new Map();
+
+  const getDatabaseDirectory = (name) => path.join(directory, assertName(name));
+
+  /**
+   * Read the storage configuration
+   * @returns {Promise<Object>} `{backend, directory}`
+   */
+  async function getConfig() {
+    const content = await readFileIfExists(path.join(directory, CONFIG_FILE));
+    const config = content ? { ...DEFAULT_CONFIG, ...JSON.parse(content) } : { ...DEFAULT_CONFIG };
+    return { ...config, directory };
+  }
+
+  /**
+   * Save the storage configuration; it takes effect the next time the app starts
+   * @param {Object} config - Configuration
+   * @param {string} config.backend - 'indexeddb' or 'filesystem'
+   * @returns {Promise<Object>} Saved configuration
+   */
+  async function setConfig(config) {
+    if (!config || !BACKENDS.includes(config.backend)) {
+      throw new Error(`Storage backend must be one of: ${BACKENDS.join(', ')}`);
+    }
+
+    await fs.mkdir(directory, { recursive: true });
+    await writeFileAtomic(path.join(directory, CONFIG_FILE), JSON.stringify({ backend: config.backend }, null, 2));
+    return getConfig();
+  }
+
+  /**
+   * Load a database
+   * @param {string} name - Database name
+   * @returns {Promise<Object>} `{version, schema, records, directory}`; version 0 for a new database
+   */
+  async function load(name) {
+    const databaseDirectory = getDatabaseDirectory(name);
+    await fs.mkdir(databaseDirectory, { recursive: true });
+
+    const schemaContent = await readFileIfExists(path.join(databaseDirectory, SCHEMA_FILE));
+    const { version = 0, schema = {} } = schemaContent ? JSON.parse(schemaContent) : {};
+
+    const records = {};
+    for (const [storeName, definition] of Object.entries(schema)) {
+      records[storeName] = await loadStoreFile(path.join(databaseDirectory, `${assertName(storeName)}.ndjson`), definition);
+    }
+
+    // Any store may refer to detached files (repair copies records to the quarantine)
+    const referenced = new Set();
+    Object.values(records).forEach(storeRecords => collectDetachedFiles(storeRecords, referenced));
+    for (const storeName of DETACHED_STORES) {
+      await removeUnreferencedFiles(databaseDirectory, storeName, referenced);
+    }
+
+    return { version, schema, records, directory: databaseDirectory };
+  }
+
+  /**
+   * Read a detached file
+   * @param {string} name - Database name
+   * @param {string} file - File name from a `{$file}` field
+   * @returns {Promise<Uint8Array>} Content
+   */
+  async function readFile(name, file) {
+    const match = typeof file === 'string' ? DETACHED_FILE_PATTERN.exec(file) : null;
+    if (!match || !DETACHED_STORES.includes(match[1])) {
+      throw new Error(`Invalid storage file: ${file}`);
+    }
+
+    const content = await readFileIfExists(path.join(getDatabaseDirectory(name), file), null);
+    if (content === null) {
+      throw new Error(`Storage file not found: ${file}`);
+    }
+    return new Uint8Array(content.buffer, content.byteOffset, content.byteLength);
+  }
+
+  /**
+   * Write a committed transaction
+   * @param {string} name - Database name
+   * @param {Object} commit - Commit
+   * @param {number} commit.version - Schema version
+   * @param {Object|null} commit.schema - Store definitions, after a schema upgrade
+   * @param {Array<Object>} commit.changes - `{store, cleared, puts, deletes}` per store
+   * @returns {Promise<void>}
+   */
+  async function writeCommit(name, { version, schema, changes }) {
+    const databaseDirectory = getDatabaseDirectory(name);
+    await fs.mkdir(databaseDirectory, { recursive: true });
+
+    for (const { store, cleared, puts, deletes } of changes) {
+      const filePath = path.join(databaseDirectory, `${assertName(store)}.ndjson`);
+      // Detached files are written before the lines that refer to them
+      const records = DETACHED_STORES.includes(store)
+        ? await Promise.all(puts.map(record => detachBinaryFields(databaseDirectory, store, record)))
+        : puts;
+      const lines = [
+        ...deletes.map(key => encodeLine({ $delete: key })),
+        ...records.map(record => encodeLine(record))
+      ].map(line => `${line}\n`).join('');
+
+      if (cleared) {
+        await writeFileAtomic(filePath, lines);
+      } else if (lines) {
+        await fs.appendFile(filePath, lines, 'utf8');
+      }
+    }
+
+    // The schema goes last: an upgrade only counts once its data is written
+    if (schema) {
+      await writeFileAtomic(path.join(databaseDirectory, SCHEMA_FILE), JSON.stringify({ version, schema }, null, 2));
+    }
+  }
+
+  /**
+   * Queue a committed transaction for writing
+   * @param {string} name - Database name
+   * @param {Object} transactionCommit - Commit (see writeCommit)
+   * @returns {Promise<void>}
+   */
+  function commit(name, transactionCommit) {
+    const previous = queues.get(name) || Promise.resolve();
+    const next = previous.catch(() => {}).then(() => writeCommit(name, transactionCommit));
+    queues.set(name, next);
+    return next;
+  }
+
+  return { getConfig, setConfig, load, readFile, commit };
+}
+
+/**
+ * Register the IPC handlers of the file store
+ * @param {Electron.IpcMain} ipcMain - IPC main
+ * @param {string} directory - Directory holding the databases
+ * @returns {Object} The file store
+ */
+function registerFileStoreHandlers(ipcMain, directory) {
+  const fileStore = createFileStore(directory);
+
+  ipcMain.handle('storage-get-config', () => fileStore.getConfig());
+  ipcMain.handle('storage-set-config', (event, config) => fileStore.setConfig(config));
+  ipcMain.handle('storage-load', (event, name) => fileStore.load(name));
+  ipcMain.handle('storage-read-file', (event, name, file) => fileStore.readFile(name, file));
+  ipcMain.handle('storage-commit', (event, name, commit) => fileStore.commit(name, commit));
+
+  return fileStore;
+}
+
+module.exports = { createFileStore, registerFileStoreHandlers };
@@ -0,0 +1,136 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createFileStore } from './fileStore';
+
+const DB_NAME = 'InterviewSummarizerDB';
+
+const SCHEMA = {
+  sessions: { keyPath: 'id', autoIncrement: false, indexes: {} },
+  audio: { keyPath: 'id', autoIncrement: false, indexes: {} }
+};
+
+/**
+ * Read the lines of a store file
+ * @param {string} directory - Database directory
+ * @param {string} storeName - Store name
+ * @returns {Promise<Array<string>>} Non-empty lines
+ */
+const readLines = async (directory, storeName) => {
+  const content = await fs.readFile(path.join(directory, `${storeName}.ndjson`), 'utf8');
+  return content.split('\n').filter(Boolean);
+};
+
+describe('file store', () => {
+  let directory;
+  let fileStore;
+  let databaseDirectory;
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'file-store-'));
+    fileStore = createFileStore(directory);
+    databaseDirectory = path.join(directory, DB_NAME);
+
+    await fileStore.commit(DB_NAME, { version: 1, schema: SCHEMA, changes: [] });
+  });
+
+  afterEach(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  it('appends every commit to the store file', async () => {
+    await fileStore.commit(DB_NAME, {
+      version: 1,
+      schema: null,
+      changes: [{ store: 'sessions', cleared: false, puts: [{ id: 'a', title: 'First' }], deletes: [] }]
+    });
+    await fileStore.commit(DB_NAME, {
+      version: 1,
+      schema: null,
+      changes: [{ store: 'sessions', cleared: false, puts: [{ id: 'b', title: 'Second' }], deletes: [] }]
+    });
+
+    expect(await readLines(databaseDirectory, 'sessions')).toEqual([
+      '{"id":"a","title":"First"}',
+      '{"id":"b","title":"Second"}'
+    ]);
+
+    const { version, records } = await fileStore.load(DB_NAME);
+    expect(version).toBe(1);
+    expect(records.sessions).toEqual([{ id: 'a', title: 'First' }, { id: 'b', title: 'Second' }]);
+  });
+
+  it('compacts replaced and deleted records when loading', async () => {
+    await fileStore.commit(DB_NAME, {
+      version: 1,
+      schema: null,
+      changes: [{ store: 'sessions', cleared: false, puts: [{ id: 'a', title: 'Draft' }, { id: 'b', title: 'Gone' }], deletes: [] }]
+    });
+    await fileStore.commit(DB_NAME, {
+      version: 1,
+      schema: null,
+      changes: [{ store: 'sessions', cleared: false, puts: [{ id: 'a', title: 'Final' }], deletes: ['b'] }]
+    });
+    expect(await readLines(databaseDirectory, 'sessions')).toHaveLength(4);
+
+    const { records } = await fileStore.load(DB_NAME);
+
+    expect(records.sessions).toEqual([{ id: 'a', title: 'Final' }]);
+    expect(await readLines(databaseDirectory, 'sessions')).toEqual(['{"id":"a","title":"Final"}']);
+  });
+
+  it('skips a last line cut short by a crash', async () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    await fileStore.commit(DB_NAME, {
+      version: 1,
+      schema: null,
+      changes: [{ store: 'sessions', cleared: false, puts: [{ id: 'a', title: 'Kept' }], deletes: [] }]
+    });
+    await fs.appendFile(path.join(databaseDirectory, 'sessions.ndjson'), '{"id":"b","tit');
+
+    const { records } = await fileStore.load(DB_NAME);
+
+    expect(records.sessions).toEqual([{ id: 'a', title: 'Kept' }]);
+    expect(warn).toHaveBeenCalledTimes(1);
+    expect(await readLines(databaseDirectory, 'sessions')).toEqual(['{"id":"a","title":"Kept"}']);
+    warn.mockRestore();
+  });
+
+  it('keeps audio in files of its own, read on demand', async () => {
+    const audio = Uint8Array.from([1, 2, 3, 4]);
+    await fileStore.commit(DB_NAME, {
+      version: 1,
+      schema: null,
+      changes: [{ store: 'audio', cleared: false, puts: [{ id: 'rec', sessionId: 'a', payload: audio }], deletes: [] }]
+    });
+
+    const [line] = await readLines(databaseDirectory, 'audio');
+    expect(line).not.toContain('$binary');
+
+    const { records } = await fileStore.load(DB_NAME);
+    const [record] = records.audio;
+    expect(record.payload).toEqual({ $file: expect.stringMatching(/^audio\/[0-9a-f]{64}\.bin$/), byteLength: 4 });
+    expect(Array.from(await fileStore.readFile(DB_NAME, record.payload.$file))).toEqual([1, 2, 3, 4]);
+
+    await expect(fileStore.readFile(DB_NAME, '../storage-config.json')).rejects.toThrow('Invalid storage file');
+  });
+
+  it('removes audio files no record refers to when loading', async () => {
+    await fileStore.commit(DB_NAME, {
+      version: 1,
+      schema: null,
+      changes: [{ store: 'audio', cleared: false, puts: [{ id: 'rec', payload: Uint8Array.from([9, 9]) }], deletes: [] }]
+    });
+    const { records } = await fileStore.load(DB_NAME);
+    const { $file } = records.audio[0].payload;
+
+    await fileStore.commit(DB_NAME, {
+      version: 1,
+      schema: null,
+      changes: [{ store: 'audio', cleared: false, puts: [], deletes: ['rec'] }]
+    });
+    await fileStore.load(DB_NAME);
+
+    await expect(fs.access(path.join(databaseDirectory, $file))).rejects.toThrow();
+  });
+});
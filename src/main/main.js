@@ -1,9 +1,38 @@
 const { app, BrowserWindow, ipcMain, globalShortcut } = require('electron');
 const path = require('path');
+const { registerFileStoreHandlers } = require('./fileStore');
 const isDev = process.env.NODE_ENV === 'development' || !app.isPackaged;
 
 let mainWindow;
 
+// How long a closing window waits for the renderer to store pending data
+const CLOSE_TIMEOUT_MS = 5000;
+
+/**
+ * Ask the renderer to store pending data before its window closes
+ * @param {BrowserWindow} window - Closing window
+ * @returns {Promise<void>} Resolves when the renderer is done, or after CLOSE_TIMEOUT_MS
+ */
+function requestRendererClose(window) {
+  return new Promise((resolve) => {
+    const onReady = (event) => {
+      if (event.sender === window.webContents) {
+        done();
+      }
+    };
+    const timer = setTimeout(() => done(), CLOSE_TIMEOUT_MS);
+
+    function done() {
+      clearTimeout(timer);
+      ipcMain.removeListener('app-close-ready', onReady);
+      resolve();
+    }
+
+    ipcMain.on('app-close-ready', onReady);
+    window.webContents.send('app-close-requested');
+  });
+}
+
 function createWindow() {
   // Create the browser window
   mainWindow = new BrowserWindow({
@@ -60,6 +89,21 @@ function createWindow() {
     }
   });
 
+  // Let the renderer store pending data before the window closes; a renderer
+  // that does not answer is closed after CLOSE_TIMEOUT_MS
+  let closeConfirmed = false;
+  mainWindow.on('close', (event) => {
+    if (closeConfirmed) {
+      return;
+    }
+
+    event.preventDefault();
+    requestRendererClose(mainWindow).then(() => {
+      closeConfirmed = true;
+      mainWindow.close();
+    });
+  });
+
   // Handle window closed
   mainWindow.on('closed', () => {
     mainWindow = null;
@@ -156,6 +200,9 @@ ipcMain.handle('app-version', () => {
   return app.getVersion();
 });
 
+// Interview data files for the renderer's file system storage backend
+registerFileStoreHandlers(ipcMain, path.join(app.getPath('userData'), isDev ? 'interview-data-dev' : 'interview-data'));
+
 ipcMain.handle('platform-info', () => {
   return {
     platform: process.platform,
@@ -12,6 +12,17 @@ contextBridge.exposeInMainWorld('electronAPI', {
   stopAudioCapture: () => ipcRenderer.invoke('stop-audio-capture'),
   pauseAudioCapture: () => ipcRenderer.invoke('pause-audio-capture'),
   
+  // Interview data storage (see fileStore.js)
+  getStorageConfig: () => ipcRenderer.invoke('storage-get-config'),
+  setStorageConfig: (config) => ipcRenderer.invoke('storage-set-config', config),
+  loadStorageFiles: (name) => ipcRenderer.invoke('storage-load', name),
+  readStorageFile: (name, file) => ipcRenderer.invoke('storage-read-file', name, file),
+  commitStorageChanges: (name, commit) => ipcRenderer.invoke('storage-commit', name, commit),
+
+  // Window close: the renderer stores pending data, then confirms
+  onCloseRequested: (callback) => ipcRenderer.on('app-close-requested', callback),
+  confirmClose: () => ipcRenderer.send('app-close-ready'),
+  
   // File operations (to be implemented in future tasks)
   saveFile: (data, filename) => ipcRenderer.invoke('save-file', data, filename),
   openFile: () => ipcRenderer.invoke('open-file'),
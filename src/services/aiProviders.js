@@ -0,0 +1,206 @@
+/**
+ * AI providers - The language models AIService sends its prompts to
+ *
+ * A provider turns a prompt into the model's reply. `initialize()` checks the
+ * configuration (and, where possible, that the model can be reached) and
+ * `generate(prompt)` resolves to `{text, tokenUsage}`. `requestsPerMinute`
+ * is the rate AIService queues requests at.
+ *
+ * - GeminiProvider uses the Google Gemini API (the default).
+ * - OpenAICompatibleProvider talks to any server with an OpenAI-compatible
+ *   chat completions endpoint, such as a local Ollama or llama.cpp server, where
+ *   transcripts stay on the machine.
+ */
+
+import { GoogleGenerativeAI } from '@google/generative-ai';
+
+/**
+ * Available provider types
+ */
+export const AI_PROVIDERS = {
+  GEMINI: 'gemini',
+  OPENAI_COMPATIBLE: 'openai-compatible'
+};
+
+export const DEFAULT_GEMINI_MODEL = 'gemini-2.5-flash';
+
+// Ollama's OpenAI-compatible endpoint; llama.cpp's server listens on http://localhost:8080/v1
+export const DEFAULT_OPENAI_COMPATIBLE_BASE_URL = 'http://localhost:11434/v1';
+
+/**
+ * Provider on the Google Gemini API
+ */
+export class GeminiProvider {
+  /**
+   * @param {Object} config - Provider configuration
+   * @param {string} config.apiKey - Google Gemini API key
+   * @param {string} [config.model] - Model name
+   */
+  constructor({ apiKey, model } = {}) {
+    this.type = AI_PROVIDERS.GEMINI;
+    this.apiKey = apiKey;
+    this.modelName = model || DEFAULT_GEMINI_MODEL;
+    this.model = null;
+
+    // Free tier limit
+    this.requestsPerMinute = 15;
+  }
+
+  /**
+   * Create the Gemini client
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    if (!this.apiKey) {
+      throw new Error('API key is required for AI service initialization');
+    }
+
+    this.model = new GoogleGenerativeAI(this.apiKey).getGenerativeModel({ model: this.modelName });
+  }
+
+  /**
+   * Send a prompt to the model
+   * @param {string} prompt - Prompt
+   * @returns {Promise<Object>} `{text, tokenUsage}`
+   */
+  async generate(prompt) {
+    const result = await this.model.generateContent(prompt);
+    const response = await result.response;
+
+    return {
+      text: response.text(),
+      tokenUsage: response.usageMetadata ? response.usageMetadata.totalTokenCount || 0 : 0
+    };
+  }
+}
+
+/**
+ * Provider on an OpenAI-compatible chat completions endpoint
+ */
+export class OpenAICompatibleProvider {
+  /**
+   * @param {Object} config - Provider configuration
+   * @param {string} [config.baseUrl] - Base URL of the API, e.g. `http://localhost:11434/v1`
+   * @param {string} config.model - Model name, e.g. `llama3.1`
+   * @param {string} [config.apiKey] - Bearer token, for servers that require one
+   * @param {Function} [fetchFn] - fetch implementation (defaults to the global fetch)
+   */
+  constructor({ baseUrl, model, apiKey } = {}, fetchFn = (...args) => fetch(...args)) {
+    this.type = AI_PROVIDERS.OPENAI_COMPATIBLE;
+    this.baseUrl = (baseUrl || DEFAULT_OPENAI_COMPATIBLE_BASE_URL).trim().replace(/\/+$/, '');
+    this.modelName = (model || '').trim();
+    this.apiKey = apiKey || null;
+    this.fetch = fetchFn;
+
+    // A local server is not rate limited; requests still go one at a time
+    this.requestsPerMinute = Infinity;
+  }
+
+  /**
+   * Check the configuration and that the server knows the model
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    let url;
+    try {
+      url = new URL(this.baseUrl);
+    } catch (error) {
+      throw new Error(`Invalid endpoint URL: ${this.baseUrl}`);
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      throw new Error('The endpoint URL must start with http:// or https://');
+    }
+
+    if (!this.modelName) {
+      throw new Error('A model name is required for the OpenAI-compatible endpoint');
+    }
+
+    // Some servers have no catalogue (404) or list no models; only a listed
+    // catalogue is checked. Ollama lists tagged names and accepts the bare
+    // name for `:latest`
+    const catalogue = await this.request('/models', { method: 'GET' }, { allowNotFound: true });
+    const models = catalogue && Array.isArray(catalogue.data) ? catalogue.data.map(model => model.id) : [];
+
+    if (models.length > 0 && !models.includes(this.modelName) && !models.includes(`${this.modelName}:latest`)) {
+      throw new Error(`Model "${this.modelName}" is not available at ${this.baseUrl} (available: ${models.join(', ')})`);
+    }
+  }
+
+  /**
+   * Send a prompt to the model
+   * @param {string} prompt - Prompt
+   * @returns {Promise<Object>} `{text, tokenUsage}`
+   */
+  async generate(prompt) {
+    const response = await this.request('/chat/completions', {
+      method: 'POST',
+      body: JSON.stringify({
+        model: this.modelName,
+        messages: [{ role: 'user', content: prompt }],
+        temperature: 0.3,
+        stream: false
+      })
+    });
+
+    const choice = response.choices && response.choices[0];
+    if (!choice || !choice.message || typeof choice.message.content !== 'string') {
+      throw new Error('The endpoint returned no completion');
+    }
+
+    return {
+      text: choice.message.content,
+      tokenUsage: response.usage ? response.usage.total_tokens || 0 : 0
+    };
+  }
+
+  /**
+   * Call the API and parse its JSON response
+   * @param {string} path - Path below the base URL
+   * @param {Object} init - fetch options
+   * @param {Object} [options] - Request options
+   * @param {boolean} [options.allowNotFound=false] - Resolve to null on a 404 instead of failing
+   * @returns {Promise<Object|null>} Response body
+   */
+  async request(path, init, { allowNotFound = false } = {}) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+
+    let response;
+    try {
+      response = await this.fetch(`${this.baseUrl}${path}`, { ...init, headers });
+    } catch (error) {
+      throw new Error(`Could not reach ${this.baseUrl}: ${error.message}`);
+    }
+
+    if (response.status === 404 && allowNotFound) {
+      return null;
+    }
+
+    if (!response.ok) {
+      const detail = await response.text().catch(() => '');
+      throw new Error(`${this.baseUrl}${path} responded with ${response.status}${detail ? `: ${detail.slice(0, 200)}` : ''}`);
+    }
+
+    return response.json();
+  }
+}
+
+/**
+ * Create the provider for a configuration
+ * @param {Object} config - Provider configuration
+ * @param {string} [config.provider='gemini'] - Provider type (see AI_PROVIDERS)
+ * @returns {Object} Provider
+ */
+export const createProvider = (config = {}) => {
+  const { provider = AI_PROVIDERS.GEMINI, ...options } = config;
+
+  if (provider === AI_PROVIDERS.GEMINI) {
+    return new GeminiProvider(options);
+  }
+  if (provider === AI_PROVIDERS.OPENAI_COMPATIBLE) {
+    return new OpenAICompatibleProvider(options);
+  }
+  throw new Error(`Unknown AI provider: ${provider}`);
+};
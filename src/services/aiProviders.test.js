@@ -0,0 +1,108 @@
+import { AI_PROVIDERS, OpenAICompatibleProvider, createProvider } from './aiProviders';
+
+const BASE_URL = 'http://localhost:11434/v1';
+
+/**
+ * fetch stand-in answering from a table of responses by method and path
+ * @param {Object} routes - `{'GET /models': {status, body}}`; a missing route throws like a network error
+ * @returns {Function} Mocked fetch
+ */
+const createFetch = (routes) => jest.fn(async (url, init) => {
+  const route = routes[`${init.method} ${url.slice(BASE_URL.length)}`];
+  if (!route) {
+    throw new Error('connect ECONNREFUSED');
+  }
+
+  const { status = 200, body = {} } = route;
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    json: async () => body,
+    text: async () => (typeof body === 'string' ? body : JSON.stringify(body))
+  };
+});
+
+const COMPLETION = {
+  choices: [{ message: { role: 'assistant', content: '{"content": "Summary"}' } }],
+  usage: { prompt_tokens: 40, completion_tokens: 12, total_tokens: 52 }
+};
+
+describe('OpenAICompatibleProvider', () => {
+  it('sends the prompt as a chat completion with a bearer token', async () => {
+    const fetchFn = createFetch({ 'POST /chat/completions': { body: COMPLETION } });
+    const provider = new OpenAICompatibleProvider({ baseUrl: `${BASE_URL}/`, model: ' llama3.1 ', apiKey: 'secret' }, fetchFn);
+
+    const reply = await provider.generate('Summarize this');
+
+    expect(reply).toEqual({ text: '{"content": "Summary"}', tokenUsage: 52 });
+    const [url, init] = fetchFn.mock.calls[0];
+    expect(url).toBe(`${BASE_URL}/chat/completions`);
+    expect(init.headers).toEqual({ 'Content-Type': 'application/json', Authorization: 'Bearer secret' });
+    expect(JSON.parse(init.body)).toEqual({
+      model: 'llama3.1',
+      messages: [{ role: 'user', content: 'Summarize this' }],
+      temperature: 0.3,
+      stream: false
+    });
+  });
+
+  it('sends no authorization header without an API key and counts missing usage as zero', async () => {
+    const fetchFn = createFetch({ 'POST /chat/completions': { body: { choices: COMPLETION.choices } } });
+    const provider = new OpenAICompatibleProvider({ model: 'llama3.1' }, fetchFn);
+
+    expect((await provider.generate('Hi')).tokenUsage).toBe(0);
+    expect(fetchFn.mock.calls[0][1].headers).not.toHaveProperty('Authorization');
+  });
+
+  it('reports the status and response text of a failed request', async () => {
+    const fetchFn = createFetch({ 'POST /chat/completions': { status: 500, body: 'model failed to load' } });
+    const provider = new OpenAICompatibleProvider({ model: 'llama3.1' }, fetchFn);
+
+    await expect(provider.generate('Hi')).rejects.toThrow(`${BASE_URL}/chat/completions responded with 500: model failed to load`);
+    await expect(new OpenAICompatibleProvider({ model: 'llama3.1' }, createFetch({})).generate('Hi'))
+      .rejects.toThrow(`Could not reach ${BASE_URL}: connect ECONNREFUSED`);
+  });
+
+  it('fails when the reply has no completion', async () => {
+    const provider = new OpenAICompatibleProvider({ model: 'llama3.1' }, createFetch({ 'POST /chat/completions': { body: { choices: [] } } }));
+
+    await expect(provider.generate('Hi')).rejects.toThrow('The endpoint returned no completion');
+  });
+
+  describe('initialize', () => {
+    it('accepts a model from the catalogue, also by its bare Ollama name', async () => {
+      const fetchFn = createFetch({ 'GET /models': { body: { data: [{ id: 'llama3.1:latest' }, { id: 'mistral' }] } } });
+
+      await expect(new OpenAICompatibleProvider({ model: 'llama3.1' }, fetchFn).initialize()).resolves.toBeUndefined();
+      await expect(new OpenAICompatibleProvider({ model: 'qwen2' }, fetchFn).initialize())
+        .rejects.toThrow(`Model "qwen2" is not available at ${BASE_URL} (available: llama3.1:latest, mistral)`);
+    });
+
+    it('treats a missing or empty catalogue as no catalogue', async () => {
+      const missing = createFetch({ 'GET /models': { status: 404, body: 'Not Found' } });
+      const empty = createFetch({ 'GET /models': { body: { object: 'list' } } });
+
+      await expect(new OpenAICompatibleProvider({ model: 'llama3.1' }, missing).initialize()).resolves.toBeUndefined();
+      await expect(new OpenAICompatibleProvider({ model: 'llama3.1' }, empty).initialize()).resolves.toBeUndefined();
+    });
+
+    it('fails on other catalogue errors and on invalid settings', async () => {
+      const unauthorized = createFetch({ 'GET /models': { status: 401, body: 'invalid api key' } });
+
+      await expect(new OpenAICompatibleProvider({ model: 'llama3.1' }, unauthorized).initialize())
+        .rejects.toThrow(`${BASE_URL}/models responded with 401: invalid api key`);
+      await expect(new OpenAICompatibleProvider({ baseUrl: 'ftp://host', model: 'llama3.1' }, unauthorized).initialize())
+        .rejects.toThrow('The endpoint URL must start with http:// or https://');
+      await expect(new OpenAICompatibleProvider({ model: ' ' }, unauthorized).initialize())
+        .rejects.toThrow('A model name is required for the OpenAI-compatible endpoint');
+    });
+  });
+});
+
+describe('createProvider', () => {
+  it('creates the configured provider', () => {
+    expect(createProvider({ apiKey: 'key' }).type).toBe(AI_PROVIDERS.GEMINI);
+    expect(createProvider({ provider: AI_PROVIDERS.OPENAI_COMPATIBLE, model: 'llama3.1' }).type).toBe(AI_PROVIDERS.OPENAI_COMPATIBLE);
+    expect(() => createProvider({ provider: 'claude' })).toThrow('Unknown AI provider: claude');
+  });
+});
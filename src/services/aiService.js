@@ -1,27 +1,103 @@
 /**
- * AIService - Google Gemini AI integration for meeting summarization
- * Handles rate limiting, request queuing, and chunked processing
+ * AIService - AI integration for meeting summarization
+ * Handles rate limiting, request queuing, and chunked processing. Prompts go
+ * to a provider (see aiProviders.js): Google Gemini or an OpenAI-compatible
+ * endpoint such as a local Ollama or llama.cpp server. The prompts come from
+ * a prompt template (see promptTemplates.js). Interviews can also be scored
+ * against a competency rubric (see scorecards.js).
+ *
+ * Summary and scorecard responses are checked against a JSON schema (see
+ * summarySchema.js). * An invalid response gets one repair request that lists the problems; if the
+ * repaired response is still invalid, the request fails.
+ *
+ * Every request is counted against a token budget (see tokenBudget.js), with
+ * the provider's usage metadata or, when it reports none, an estimate.
  */
 
-import { GoogleGenerativeAI } from "@google/generative-ai";
+import { AI_PROVIDERS, createProvider } from "./aiProviders";
+import {
+  DEFAULT_TEMPLATE_ID,
+  getBuiltInTemplate,
+  renderTemplate,
+  formatPreviousSummary,
+  formatGlossary,
+  getTemplateReference,
+} from "./promptTemplates";
+import {
+  getCompetencyScale,
+  normalizeScorecardCompetencies,
+  validateRubric,
+} from "./scorecards";
+import {
+  SCORECARD_RESPONSE_SCHEMA,
+  SUMMARY_RESPONSE_SCHEMA,
+  validateScorecardResponse,
+  validateSummaryResponse,
+} from "./summarySchema";
+import {
+  DEFAULT_TOKEN_BUDGET,
+  estimateTokens,
+  getCurrentUsage,
+  addTokenUsage,
+  getBudgetStatus,
+} from "./tokenBudget";
+
+// JSON responses checked against a schema; the label names them in repair prompts
+const RESPONSE_KINDS = {
+  summary: {
+    name: 'summary',
+    label: 'meeting summary',
+    schema: SUMMARY_RESPONSE_SCHEMA,
+    validate: validateSummaryResponse
+  },
+  scorecard: {
+    name: 'scorecard',
+    label: 'interview scorecard',
+    schema: SCORECARD_RESPONSE_SCHEMA,
+    validate: validateScorecardResponse
+  }
+};
+
+/**
+ * Add context to an error, keeping the schema problems of an invalid response
+ * @param {string} context - What failed
+ * @param {Error} error - Cause
+ * @returns {Error} Error with `validationErrors` when the cause had them
+ */
+const wrapError = (context, error) => {
+  const wrapped = new Error(`${context}: ${error.message}`);
+  if (error.validationErrors) {
+    wrapped.validationErrors = error.validationErrors;
+  }
+  return wrapped;
+};
 
 class AIService {
   constructor() {
-    this.genAI = null;
-    this.model = null;
-    this.apiKey = null;
+    // Language model the prompts are sent to
+    this.provider = null;
     this.isInitialized = false;
 
-    // Rate limiting configuration (15 RPM, 1M tokens/month)
+    // Prompt template and glossary the prompts are built from
+    this.promptTemplate = getBuiltInTemplate(DEFAULT_TEMPLATE_ID);
+    this.glossary = [];
+
+    // Rate limiting configuration (15 RPM, 1M tokens/month); the provider sets the request rate
+    // and the token budget the monthly tokens
     this.rateLimiter = {
       requestsPerMinute: 15,
-      tokensPerMonth: 1000000,
+      tokensPerMonth: DEFAULT_TOKEN_BUDGET.monthlyTokens,
       requestQueue: [],
       requestHistory: [],
       tokenUsage: 0,
       isProcessing: false,
     };
 
+    // Token budget and the tokens used this day and month; onTokenUsage is told of every change
+    this.tokenBudget = { ...DEFAULT_TOKEN_BUDGET };
+    this.tokenUsage = getCurrentUsage(null);
+    this.onTokenUsage = null;
+
     // Chunk processing configuration
     this.chunkConfig = {
       segmentDuration: 30, // 30-second segments
@@ -38,18 +114,28 @@ class AIService {
   }
 
   /**
-   * Initialize the AI service with API key
-   * @param {string} apiKey - Google Gemini API key
+   * Initialize the AI service with a provider configuration
+   * @param {Object|string} config - Provider configuration (see createProvider), or a Google Gemini API key
+   * @param {string} [config.provider='gemini'] - 'gemini' or 'openai-compatible'
+   * @param {string} [config.apiKey] - API key (required for Gemini)
+   * @param {string} [config.model] - Model name (required for an OpenAI-compatible endpoint)
+   * @param {string} [config.baseUrl] - Base URL of the OpenAI-compatible endpoint
    */
-  async initialize(apiKey) {
-    if (!apiKey) {
-      throw new Error("API key is required for AI service initialization");
+  async initialize(config) {
+    const providerConfig = typeof config === "string"
+      ? { provider: AI_PROVIDERS.GEMINI, apiKey: config }
+      : config;
+
+    if (!providerConfig) {
+      throw new Error("AI provider configuration is required for AI service initialization");
     }
 
     try {
-      this.apiKey = apiKey;
-      this.genAI = new GoogleGenerativeAI(apiKey);
-      this.model = this.genAI.getGenerativeModel({ model: "gemini-2.5-flash" });
+      const provider = createProvider(providerConfig);
+      await provider.initialize();
+
+      this.provider = provider;
+      this.rateLimiter.requestsPerMinute = provider.requestsPerMinute;
       this.isInitialized = true;
 
       console.log("AI Service initialized successfully");
@@ -64,7 +150,99 @@ class AIService {
    * Check if the service is properly initialized
    */
   isReady() {
-    return this.isInitialized && this.model !== null;
+    return this.isInitialized && this.provider !== null;
+  }
+
+  /**
+   * Describe the provider in use
+   * @returns {Object|null} `{provider, model, baseUrl}`, or null before initialization
+   */
+  getProviderInfo() {
+    if (!this.provider) {
+      return null;
+    }
+
+    return {
+      provider: this.provider.type,
+      model: this.provider.modelName,
+      baseUrl: this.provider.baseUrl || null,
+    };
+  }
+
+  /**
+   * Set the prompt template and glossary used for new summaries
+   * @param {Object|null} template - Prompt template (the default template when null)
+   * @param {Array<string>} [glossary] - Names and terms for the model to spell as given
+   */
+  setPromptTemplate(template, glossary = this.glossary) {
+    this.promptTemplate = template || getBuiltInTemplate(DEFAULT_TEMPLATE_ID);
+    this.glossary = glossary || [];
+  }
+
+  /**
+   * Set the token budget and the usage counted so far
+   * @param {Object|null} budget - Token budget (the default budget when null)
+   * @param {Object|null} [usage] - Stored token usage
+   */
+  setTokenBudget(budget, usage = this.tokenUsage) {
+    this.tokenBudget = budget || { ...DEFAULT_TOKEN_BUDGET };
+    this.tokenUsage = getCurrentUsage(usage);
+    this.rateLimiter.tokensPerMonth = this.tokenBudget.monthlyTokens;
+    this.rateLimiter.tokenUsage = this.tokenUsage.monthTokens;
+  }
+
+  /**
+   * Set the function told of the usage after every request, e.g. to store it
+   * @param {Function|null} listener - Called with the token usage
+   */
+  setTokenUsageListener(listener) {
+    this.onTokenUsage = listener;
+  }
+
+  /**
+   * Compare the tokens used with the budget
+   * @returns {Object} Budget status (see getBudgetStatus)
+   */
+  getTokenBudgetStatus() {
+    return getBudgetStatus(this.tokenUsage, this.tokenBudget);
+  }
+
+  /**
+   * Send a prompt to the provider and count its tokens
+   * @param {string} prompt - Prompt
+   * @returns {Promise<Object>} `{text, tokenUsage}`
+   */
+  async generate(prompt) {
+    const { text, tokenUsage } = await this.provider.generate(prompt);
+    const tokens = tokenUsage > 0
+      ? tokenUsage
+      : estimateTokens(prompt) + estimateTokens(text);
+
+    this.recordTokenUsage(tokens);
+    return { text, tokenUsage: tokens };
+  }
+
+  /**
+   * Add the tokens of a request to the usage
+   * @param {number} tokens - Tokens used
+   */
+  recordTokenUsage(tokens) {
+    this.tokenUsage = addTokenUsage(this.tokenUsage, tokens);
+    this.rateLimiter.tokenUsage = this.tokenUsage.monthTokens;
+
+    if (this.onTokenUsage) {
+      this.onTokenUsage(this.tokenUsage);
+    }
+  }
+
+  /**
+   * Get the prompt template for a request
+   * @param {Object} options - Request options
+   * @param {Object} [options.template] - Template overriding the one set on the service
+   * @returns {Object} Prompt template
+   */
+  getPromptTemplate(options = {}) {
+    return options.template || this.promptTemplate;
   }
 
   /**
@@ -107,10 +285,11 @@ class AIService {
         generatedAt: Date.now(),
         processingTime: finalSummary.processingTime,
         tokenUsage: finalSummary.tokenUsage,
+        promptTemplate: getTemplateReference(this.getPromptTemplate(options)),
       };
     } catch (error) {
       console.error('Summary generation failed:', error);
-      throw new Error(`Summary generation failed: ${error.message}`);
+      throw wrapError('Summary generation failed', error);
     }
   }
 
@@ -148,10 +327,7 @@ class AIService {
         options
       );
 
-      const result = await this.queueRequest(async () => {
-        const response = await this.model.generateContent(updatePrompt);
-        return this.parseSummaryResponse(response.response.text());
-      });
+      const result = await this.requestSummary(updatePrompt);
 
       const processingTime = Date.now() - startTime;
 
@@ -165,14 +341,15 @@ class AIService {
         topics: result.topics || [],
         generatedAt: Date.now(),
         processingTime,
+        tokenUsage: result.tokenUsage,
         isIncremental: true,
-        previousSummaryId: previousSummary.id
+        previousSummaryId: previousSummary.id,
+        promptTemplate: getTemplateReference(this.getPromptTemplate(options))
       };
 
     } catch (error) {
       console.error('Incremental summary generation failed:', error);
-      // Fallback to previous summary if update fails
-      return previousSummary;
+      throw wrapError('Incremental summary generation failed', error);
     }
   }
 
@@ -184,46 +361,11 @@ class AIService {
    * @returns {string} Update prompt
    */
   buildIncrementalUpdatePrompt(newContent, previousSummary, options = {}) {
-    return `
-Role: You are an expert meeting summarizer updating a real-time summary.
-Task: Update the existing summary with new transcript content while maintaining coherence.
-Context: This is an incremental update to an ongoing meeting summary.
-
-PREVIOUS SUMMARY:
-Content: "${previousSummary.content}"
-Key Points: ${JSON.stringify(previousSummary.keyPoints || [])}
-Decisions: ${JSON.stringify(previousSummary.decisions || [])}
-Action Items: ${JSON.stringify(previousSummary.actionItems || [])}
-Quotes: ${JSON.stringify(previousSummary.quotes || [])}
-Topics: ${JSON.stringify(previousSummary.topics || [])}
-
-NEW TRANSCRIPT CONTENT:
-"${newContent.trim()}"
-
-REQUIREMENTS:
-1. Update the summary to incorporate new information (maintain 150-200 words)
-2. Merge new key points with existing ones, avoiding duplicates
-3. Add any new decisions or action items identified
-4. Include new important quotes (without speaker attribution)
-5. Update topic segmentation if new topics emerge
-6. Maintain coherent narrative flow
-
-Respond with updated JSON in this exact structure:
-{
-  "content": "Updated summary text (150-200 words)",
-  "keyPoints": ["Updated list of key points"],
-  "decisions": ["Updated list of decisions"],
-  "actionItems": ["Updated list of action items"],
-  "quotes": ["Updated list of important quotes"],
-  "topics": [
-    {
-      "name": "Topic Name",
-      "points": ["Points for this topic"]
-    }
-  ]
-}
-
-Provide only the JSON response without additional commentary.`;
+    return renderTemplate(this.getPromptTemplate(options).incrementalUpdate, {
+      transcript: newContent.trim(),
+      previousSummary: formatPreviousSummary(previousSummary),
+      glossary: formatGlossary(this.glossary),
+    });
   }
 
   /**
@@ -300,140 +442,249 @@ Provide only the JSON response without additional commentary.`;
    */
   async processChunk(chunk, options = {}) {
     const prompt = this.buildSummarizationPrompt(chunk.text, options);
+    const startTime = Date.now();
 
-    return await this.queueRequest(async () => {
-      const startTime = Date.now();
+    const summary = await this.requestSummary(prompt);
 
-      try {
-        const result = await this.model.generateContent(prompt);
-        const response = await result.response;
-        const text = response.text();
+    return {
+      ...summary,
+      processingTime: Date.now() - startTime,
+      chunkInfo: {
+        startTime: chunk.startTime,
+        endTime: chunk.endTime,
+        segmentCount: chunk.segments.length,
+      },
+    };
+  }
 
-        const processingTime = Date.now() - startTime;
-        const parsedSummary = this.parseSummaryResponse(text);
+  /**
+   * Send a summary prompt and check the response against the summary schema
+   * @param {string} prompt - Summary prompt
+   * @returns {Promise<Object>} Summary fields with `tokenUsage`
+   */
+  async requestSummary(prompt) {
+    const { parsed, tokenUsage } = await this.requestValidatedJson(prompt, RESPONSE_KINDS.summary);
+    return { ...this.parseSummaryResponse(parsed), tokenUsage };
+  }
 
-        return {
-          ...parsedSummary,
-          processingTime,
-          chunkInfo: {
-            startTime: chunk.startTime,
-            endTime: chunk.endTime,
-            segmentCount: chunk.segments.length,
-          },
-        };
-      } catch (error) {
-        console.error("Chunk processing failed:", error);
-        throw error;
-      }
-    });
+  /**
+   * Send a prompt and check its JSON response against a schema. An invalid
+   * response is sent back once with its problems to be repaired; if it is
+   * still invalid, the error lists them in `validationErrors`.
+   * @param {string} prompt - Prompt
+   * @param {Object} kind - Expected response, one of RESPONSE_KINDS
+   * @returns {Promise<Object>} `{parsed, tokenUsage}`
+   */
+  async requestValidatedJson(prompt, kind) {
+    const response = await this.queueRequest(() => this.generate(prompt));
+    let tokenUsage = response.tokenUsage;
+    let result = this.checkJsonResponse(response.text, kind);
+
+    if (result.errors.length === 0) {
+      return { parsed: result.parsed, tokenUsage };
+    }
+
+    console.warn(`The ${kind.name} response failed validation, requesting a repair:`, result.errors);
+    const repairResponse = await this.queueRequest(() => (
+      this.generate(this.buildRepairPrompt(response.text, result.errors, kind))
+    ));
+    tokenUsage += repairResponse.tokenUsage;
+    result = this.checkJsonResponse(repairResponse.text, kind);
+
+    if (result.errors.length > 0) {
+      const error = new Error(
+        `The model returned an invalid ${kind.name}, also after a repair request: ${result.errors.slice(0, 5).join("; ")}`
+      );
+      error.validationErrors = result.errors;
+      throw error;
+    }
+
+    return { parsed: result.parsed, tokenUsage };
   }
 
   /**
-   * Build summarization prompt for Gemini
+   * Build the prompt asking the model to fix an invalid response
+   * @param {string} responseText - Invalid response
+   * @param {Array<string>} errors - Validation errors
+   * @param {Object} kind - Expected response, one of RESPONSE_KINDS
+   * @returns {string} Repair prompt
+   */
+  buildRepairPrompt(responseText, errors, kind) {
+    return `
+Role: You are fixing an invalid ${kind.label} response.
+Task: Return the same ${kind.name} as valid JSON that matches the schema below. Keep its content; only fix the problems listed.
+
+PROBLEMS FOUND:
+${errors.map(error => `- ${error}`).join("\n")}
+
+JSON SCHEMA:
+${JSON.stringify(kind.schema, null, 2)}
+
+RESPONSE TO FIX:
+${responseText.trim()}
+
+Provide only the JSON response without markdown formatting or additional commentary.`;
+  }
+
+  /**
+   * Build summarization prompt for the model
    * @param {string} transcript - Transcript text
    * @param {Object} options - Prompt options
    * @returns {string} Formatted prompt
    */
   buildSummarizationPrompt(transcript, options = {}) {
-    const basePrompt = `
-Role: You are an expert meeting summarizer and note-taker specializing in real-time meeting analysis.
-Task: Analyze this meeting transcript segment and create a structured, intelligent summary.
-Context: This is a real-time transcript from an online meeting without speaker attribution.
-
-CRITICAL REQUIREMENTS:
-1. Create a concise summary (150-200 words maximum) - this is strictly enforced
-2. Identify key discussion points, decisions made, and action items with high accuracy
-3. Automatically segment discussions into topic-based sections for better organization
-4. Extract important quotes and insights WITHOUT any speaker attribution or names
-5. Focus on content substance rather than conversational flow
-6. Use clear, professional language suitable for business documentation
-
-TOPIC SEGMENTATION INSTRUCTIONS:
-- Analyze the conversation flow to identify distinct discussion topics
-- Group related points under logical topic headings
-- Identify transitions between different subjects or themes
-- Create coherent topic-based organization of the content
-
-QUOTE EXTRACTION GUIDELINES:
-- Extract verbatim important statements, decisions, or insights
-- Remove any speaker names or identifiers from quotes
-- Focus on substantive content rather than casual conversation
-- Prioritize quotes that contain key decisions, insights, or important information
-
-FORMAT REQUIREMENTS:
+    return renderTemplate(this.getPromptTemplate(options).summarization, {
+      transcript: transcript.trim(),
+      glossary: formatGlossary(this.glossary),
+    });
+  }
+
+  /**
+   * Suggest a scorecard for an interview: a rating per competency of the
+   * rubric with the evidence quotes behind it and the signals the interview
+   * did not cover
+   * @param {Array} transcriptSegments - Transcript segments of the interview
+   * @param {Object} rubric - Competency rubric (see scorecards.js)
+   * @returns {Promise<Object>} Scorecard `{id, rubric, competencies, generatedAt, processingTime, tokenUsage}`
+   */
+  async generateScorecard(transcriptSegments, rubric) {
+    if (!this.isReady()) {
+      throw new Error('AI service not initialized. Call initialize() first.');
+    }
+
+    if (!transcriptSegments || transcriptSegments.length === 0) {
+      throw new Error('No transcript segments provided for the scorecard');
+    }
+
+    const rubricErrors = validateRubric(rubric);
+    if (rubricErrors.length > 0) {
+      throw new Error(`Invalid rubric: ${rubricErrors.join('; ')}`);
+    }
+
+    try {
+      const transcript = transcriptSegments.map(segment => segment.text).join('\n');
+      const prompt = this.buildScorecardPrompt(transcript, rubric);
+
+      const startTime = Date.now();
+      const { parsed, tokenUsage } = await this.requestValidatedJson(prompt, RESPONSE_KINDS.scorecard);
+
+      return {
+        id: this.generateId(),
+        rubric,
+        competencies: normalizeScorecardCompetencies(parsed, rubric),
+        generatedAt: Date.now(),
+        processingTime: Date.now() - startTime,
+        tokenUsage,
+      };
+    } catch (error) {
+      console.error('Scorecard generation failed:', error);
+      throw wrapError('Scorecard generation failed', error);
+    }
+  }
+
+  /**
+   * Build the prompt that scores an interview against a rubric
+   * @param {string} transcript - Transcript text
+   * @param {Object} rubric - Competency rubric
+   * @returns {string} Scorecard prompt
+   */
+  buildScorecardPrompt(transcript, rubric) {
+    const competencies = rubric.competencies.map(competency => {
+      const scale = getCompetencyScale(rubric, competency)
+        .map(level => `${level.value} = ${level.label}`)
+        .join(", ");
+      const description = competency.description ? `: ${competency.description}` : "";
+      return `- ${competency.id} (${competency.name})${description}\n  Scale: ${scale}`;
+    }).join("\n");
+
+    return `
+Role: You are an experienced interviewer filling in an interview scorecard.
+Task: Rate the candidate on each competency of the rubric using only evidence from the interview transcript.
+Context: This is a transcript of an interview without speaker attribution.
+
+RUBRIC (${rubric.name}):
+${competencies}
+
+REQUIREMENTS:
+1. Rate every competency on its own scale; use null when the transcript holds too little evidence to rate it
+2. Support each rating with verbatim quotes from the transcript, without speaker names
+3. List the signals the rubric asks for that the interview did not cover (missing signals)
+4. Explain each rating in one or two sentences
+5. Do not infer anything that is not in the transcript
+
+GLOSSARY (spell these names and terms exactly as listed):
+${formatGlossary(this.glossary)}
+
 Respond with valid JSON in this exact structure:
 {
-  "content": "Main summary text (exactly 150-200 words)",
-  "keyPoints": ["Specific discussion point 1", "Specific discussion point 2", "Specific discussion point 3"],
-  "decisions": ["Concrete decision 1", "Concrete decision 2"],
-  "actionItems": ["Specific action with context", "Another actionable item"],
-  "quotes": ["Important statement without speaker attribution", "Key insight or decision quote"],
-  "topics": [
+  "competencies": [
     {
-      "name": "Topic Name 1",
-      "points": ["Point related to this topic", "Another point for this topic"]
-    },
-    {
-      "name": "Topic Name 2", 
-      "points": ["Point for topic 2", "Another point for topic 2"]
+      "id": "competency id from the rubric",
+      "rating": 3,
+      "rationale": "Why this rating",
+      "evidence": ["Verbatim quote from the transcript"],
+      "missingSignals": ["Signal the interview did not cover"]
     }
   ]
 }
 
-Transcript segment to analyze:
+Interview transcript:
 "${transcript.trim()}"
 
 Provide only the JSON response without markdown formatting or additional commentary.`;
+  }
 
-    return basePrompt;
+  /**
+   * Strip markdown code fences and surrounding text from a JSON response
+   * @param {string} responseText - Raw AI response
+   * @returns {string} JSON text
+   */
+  extractJsonText(responseText) {
+    // Remove markdown code blocks if present
+    const cleanedResponse = responseText
+      .trim()
+      .replace(/```json\n?/g, '')
+      .replace(/```\n?/g, '')
+      .replace(/^```/g, '')
+      .replace(/```$/g, '');
+
+    // Extract JSON from the response
+    const jsonMatch = cleanedResponse.match(/\{.*\}/s);
+    return jsonMatch ? jsonMatch[0] : cleanedResponse;
   }
 
   /**
-   * Parse AI response into structured summary
+   * Parse a JSON response and check it against the schema of its kind
    * @param {string} responseText - Raw AI response
-   * @returns {Object} Parsed summary object
+   * @param {Object} kind - Expected response, one of RESPONSE_KINDS
+   * @returns {Object} `{parsed, errors}`; parsed is null when errors were found
    */
-  parseSummaryResponse(responseText) {
+  checkJsonResponse(responseText, kind) {
+    let parsed;
     try {
-      // Clean the response text
-      let cleanedResponse = responseText.trim();
-
-      // Remove markdown code blocks if present
-      cleanedResponse = cleanedResponse
-        .replace(/```json\n?/g, '')
-        .replace(/```\n?/g, '')
-        .replace(/^```/g, '')
-        .replace(/```$/g, '');
-
-      // Extract JSON from the response
-      const jsonMatch = cleanedResponse.match(/\{.*\}/s);
-      if (jsonMatch) {
-        cleanedResponse = jsonMatch[0];
-      }
-
-      // Parse JSON response
-      const parsed = JSON.parse(cleanedResponse);
-
-      // Validate and structure the response
-      const result = {
-        content: this.validateAndTrimContent(parsed.content || ''),
-        keyPoints: Array.isArray(parsed.keyPoints) ? parsed.keyPoints : [],
-        decisions: Array.isArray(parsed.decisions) ? parsed.decisions : [],
-        actionItems: Array.isArray(parsed.actionItems) ? parsed.actionItems : [],
-        quotes: this.sanitizeQuotes(Array.isArray(parsed.quotes) ? parsed.quotes : []),
-        topics: this.parseTopicSegmentation(parsed.topics || []),
-      };
-
-      return result;
+      parsed = JSON.parse(this.extractJsonText(responseText));
     } catch (error) {
-      console.warn(
-        'Failed to parse AI response as JSON, using fallback:',
-        error
-      );
-
-      // Enhanced fallback: try to extract some structure from plain text
-      return this.createFallbackSummary(responseText);
+      return { parsed: null, errors: [`The response is not valid JSON: ${error.message}`] };
     }
+
+    const errors = kind.validate(parsed);
+    return { parsed: errors.length > 0 ? null : parsed, errors };
+  }
+
+  /**
+   * Structure a summary response that passed validation
+   * @param {Object} parsed - Parsed response
+   * @returns {Object} Parsed summary object
+   */
+  parseSummaryResponse(parsed) {
+    return {
+      content: this.validateAndTrimContent(parsed.content),
+      keyPoints: parsed.keyPoints,
+      decisions: parsed.decisions,
+      actionItems: parsed.actionItems,
+      quotes: this.sanitizeQuotes(parsed.quotes),
+      topics: this.parseTopicSegmentation(parsed.topics),
+    };
   }
 
   /**
@@ -509,45 +760,6 @@ Provide only the JSON response without markdown formatting or additional comment
     }).filter(topic => topic !== null);
   }
 
-  /**
-   * Create fallback summary when JSON parsing fails
-   * @param {string} responseText - Raw response text
-   * @returns {Object} Fallback summary structure
-   */
-  createFallbackSummary(responseText) {
-    const content = this.validateAndTrimContent(responseText);
-    
-    // Try to extract some basic structure from plain text
-    const lines = responseText.split('\n').filter(line => line.trim());
-    const keyPoints = [];
-    const decisions = [];
-    const actionItems = [];
-    const quotes = [];
-
-    // Simple pattern matching for common structures
-    lines.forEach(line => {
-      const trimmed = line.trim();
-      if (trimmed.startsWith('- ') || trimmed.startsWith('• ')) {
-        keyPoints.push(trimmed.substring(2));
-      } else if (trimmed.toLowerCase().includes('decision') || trimmed.toLowerCase().includes('decided')) {
-        decisions.push(trimmed);
-      } else if (trimmed.toLowerCase().includes('action') || trimmed.toLowerCase().includes('will ')) {
-        actionItems.push(trimmed);
-      } else if (trimmed.startsWith('"') && trimmed.endsWith('"')) {
-        quotes.push(this.sanitizeQuotes([trimmed])[0]);
-      }
-    });
-
-    return {
-      content,
-      keyPoints: keyPoints.slice(0, 10), // Limit to prevent overflow
-      decisions: decisions.slice(0, 5),
-      actionItems: actionItems.slice(0, 5),
-      quotes: quotes.slice(0, 3),
-      topics: []
-    };
-  }
-
   /**
    * Combine multiple chunk summaries into final summary
    * @param {Array} chunkSummaries - Array of chunk summaries
@@ -559,26 +771,11 @@ Provide only the JSON response without markdown formatting or additional comment
       return chunkSummaries[0];
     }
 
-    // Combine all content and extract unique items
-    const combined = {
-      content: "",
-      keyPoints: [],
-      decisions: [],
-      actionItems: [],
-      quotes: [],
-      topics: [],
-      processingTime: 0,
-      tokenUsage: 0,
-    };
-
     // Aggregate processing metrics
-    chunkSummaries.forEach((summary) => {
-      combined.processingTime += summary.processingTime || 0;
-      combined.tokenUsage += summary.tokenUsage || 0;
-    });
+    const processingTime = chunkSummaries.reduce((total, summary) => total + (summary.processingTime || 0), 0);
+    const tokenUsage = chunkSummaries.reduce((total, summary) => total + (summary.tokenUsage || 0), 0);
 
-    // Combine and deduplicate content
-    const allContent = chunkSummaries.map((s) => s.content).join(' ');
+    // Combine and deduplicate items
     const allKeyPoints = [
       ...new Set(chunkSummaries.flatMap((s) => s.keyPoints || [])),
     ];
@@ -593,9 +790,8 @@ Provide only the JSON response without markdown formatting or additional comment
     ];
     const allTopics = this.mergeTopics(chunkSummaries.flatMap((s) => s.topics || []));
 
-    // If we have multiple chunks, create a final consolidation prompt
-    if (chunkSummaries.length > 1) {
-      const consolidationPrompt = `
+    // Multiple chunks are consolidated by a final prompt
+    const consolidationPrompt = `
 Role: You are an expert meeting summarizer.
 Task: Consolidate these meeting summary segments into one cohesive final summary.
 
@@ -603,7 +799,8 @@ Requirements:
 1. Create a unified summary (150-200 words maximum)
 2. Merge and deduplicate key points, decisions, and action items
 3. Maintain the most important quotes
-4. Ensure logical flow and coherence
+4. Merge topics that cover the same subject
+5. Ensure logical flow and coherence
 
 Format as JSON:
 {
@@ -611,7 +808,13 @@ Format as JSON:
   "keyPoints": ["Merged key points"],
   "decisions": ["Consolidated decisions"],
   "actionItems": ["Combined action items"],
-  "quotes": ["Most important quotes"]
+  "quotes": ["Most important quotes"],
+  "topics": [
+    {
+      "name": "Topic Name",
+      "points": ["Points for this topic"]
+    }
+  ]
 }
 
 Summary segments to consolidate:
@@ -623,32 +826,13 @@ Action Items: ${allActionItems.join(', ')}
 Quotes: ${allQuotes.join(', ')}
 Topics: ${JSON.stringify(allTopics)}`;
 
-      try {
-        const consolidatedResult = await this.queueRequest(async () => {
-          const result = await this.model.generateContent(consolidationPrompt);
-          const response = await result.response;
-          return this.parseSummaryResponse(response.text());
-        });
+    const consolidatedResult = await this.requestSummary(consolidationPrompt);
 
-        return {
-          ...consolidatedResult,
-          processingTime: combined.processingTime,
-          tokenUsage: combined.tokenUsage,
-        };
-      } catch (error) {
-        console.warn('Consolidation failed, using merged content:', error);
-      }
-    }
-
-    // Fallback: simple merge
-    combined.content = this.validateAndTrimContent(allContent);
-    combined.keyPoints = allKeyPoints.slice(0, 10); // Limit to top 10
-    combined.decisions = allDecisions.slice(0, 10);
-    combined.actionItems = allActionItems.slice(0, 10);
-    combined.quotes = allQuotes.slice(0, 5);
-    combined.topics = allTopics.slice(0, 8);
-
-    return combined;
+    return {
+      ...consolidatedResult,
+      processingTime,
+      tokenUsage: tokenUsage + consolidatedResult.tokenUsage,
+    };
   }
 
   /**
@@ -848,17 +1032,17 @@ Topics: ${JSON.stringify(allTopics)}`;
       queueLength: this.rateLimiter.requestQueue.length,
       canMakeRequest: this.canMakeRequest(),
       waitTime: this.getWaitTime(),
+      tokenBudget: this.getTokenBudgetStatus(),
     };
   }
 
   /**
-   * Clear request queue and reset rate limiting
+   * Clear request queue and reset rate limiting (the token usage is kept)
    */
   reset() {
     this.rateLimiter.requestQueue = [];
     this.rateLimiter.requestHistory = [];
     this.rateLimiter.isProcessing = false;
-    this.rateLimiter.tokenUsage = 0;
   }
 
   /**
@@ -866,8 +1050,7 @@ Topics: ${JSON.stringify(allTopics)}`;
    */
   cleanup() {
     this.reset();
-    this.genAI = null;
-    this.model = null;
+    this.provider = null;
     this.isInitialized = false;
   }
 }
@@ -0,0 +1,276 @@
+import AIService from './aiService';
+import { createProvider } from './aiProviders';
+
+jest.mock('./aiProviders', () => ({
+  ...jest.requireActual('./aiProviders'),
+  createProvider: jest.fn()
+}));
+
+const SUMMARY = {
+  content: 'The candidate walked through a caching design.',
+  keyPoints: ['Uses a write-through cache'],
+  decisions: ['Move to the onsite round'],
+  actionItems: [],
+  quotes: ['We measured before we optimized'],
+  topics: [{ name: 'Caching', points: ['Eviction by LRU'] }]
+};
+
+const SEGMENTS = [
+  { id: 'segment_1', text: 'Tell me about a cache you built', timestamp: 1000 },
+  { id: 'segment_2', text: 'We measured before we optimized', timestamp: 2000 }
+];
+
+/**
+ * Provider whose replies are given in order
+ * @param {Array<Object>} replies - `{text, tokenUsage}` per request
+ * @returns {Object} Provider with a mocked generate
+ */
+const createFakeProvider = (replies) => {
+  const generate = jest.fn();
+  replies.forEach(reply => generate.mockResolvedValueOnce(reply));
+
+  return {
+    type: 'gemini',
+    modelName: 'test-model',
+    requestsPerMinute: 100,
+    initialize: jest.fn().mockResolvedValue(),
+    generate
+  };
+};
+
+/**
+ * Create an AI service on a fake provider
+ * @param {Object} provider - Fake provider
+ * @returns {Promise<AIService>} Initialized service
+ */
+const createService = async (provider) => {
+  createProvider.mockReturnValue(provider);
+  const service = new AIService();
+  await service.initialize({ provider: 'gemini', apiKey: 'test-key' });
+  return service;
+};
+
+describe('AIService', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('summary validation', () => {
+    it('accepts a valid response without a repair request', async () => {
+      const provider = createFakeProvider([{ text: JSON.stringify(SUMMARY), tokenUsage: 120 }]);
+      const service = await createService(provider);
+
+      const summary = await service.generateSummary(SEGMENTS);
+
+      expect(provider.generate).toHaveBeenCalledTimes(1);
+      expect(summary).toMatchObject({ content: SUMMARY.content, decisions: SUMMARY.decisions, tokenUsage: 120 });
+    });
+
+    it('sends an invalid response back once with its problems', async () => {
+      const invalid = { ...SUMMARY, keyPoints: 'Uses a cache' };
+      delete invalid.quotes;
+      const provider = createFakeProvider([
+        { text: `\`\`\`json\n${JSON.stringify(invalid)}\n\`\`\``, tokenUsage: 100 },
+        { text: JSON.stringify(SUMMARY), tokenUsage: 150 }
+      ]);
+      const service = await createService(provider);
+
+      const summary = await service.generateSummary(SEGMENTS);
+
+      expect(provider.generate).toHaveBeenCalledTimes(2);
+      const repairPrompt = provider.generate.mock.calls[1][0];
+      expect(repairPrompt).toContain('- response.quotes is required');
+      expect(repairPrompt).toContain('- response.keyPoints must be an array, not string');
+      expect(repairPrompt).toContain('"Uses a cache"');
+      expect(summary).toMatchObject({ keyPoints: SUMMARY.keyPoints, tokenUsage: 250 });
+    });
+
+    it('repairs a response that is not JSON', async () => {
+      const provider = createFakeProvider([
+        { text: 'Here is the summary: the candidate did well.', tokenUsage: 80 },
+        { text: JSON.stringify(SUMMARY), tokenUsage: 90 }
+      ]);
+      const service = await createService(provider);
+
+      await service.generateSummary(SEGMENTS);
+
+      expect(provider.generate.mock.calls[1][0]).toContain('- The response is not valid JSON');
+    });
+
+    it('fails when the repaired response is still invalid', async () => {
+      const invalid = JSON.stringify({ ...SUMMARY, content: '' });
+      const provider = createFakeProvider([
+        { text: invalid, tokenUsage: 100 },
+        { text: invalid, tokenUsage: 100 },
+        { text: JSON.stringify(SUMMARY), tokenUsage: 100 }
+      ]);
+      const service = await createService(provider);
+
+      await expect(service.generateSummary(SEGMENTS)).rejects.toThrow(
+        'Summary generation failed: The model returned an invalid summary, also after a repair request: response.content must not be empty'
+      );
+      expect(provider.generate).toHaveBeenCalledTimes(2);
+    });
+
+    it('lists the problems of an incremental update that stays invalid', async () => {
+      const invalid = JSON.stringify({ ...SUMMARY, keyPoints: [''], topics: null });
+      const provider = createFakeProvider([
+        { text: invalid, tokenUsage: 100 },
+        { text: invalid, tokenUsage: 100 }
+      ]);
+      const service = await createService(provider);
+
+      const error = await service.generateIncrementalSummary(SEGMENTS, { id: 'summary_1', ...SUMMARY }).catch(caught => caught);
+
+      expect(error.message).toMatch(/^Incremental summary generation failed: The model returned an invalid summary/);
+      expect(error.validationErrors).toEqual([
+        'response.keyPoints[0] must not be empty',
+        'response.topics must be an array, not null'
+      ]);
+    });
+  });
+
+  describe('scorecard validation', () => {
+    const RUBRIC = {
+      name: 'Backend',
+      scale: [{ value: 1, label: 'No' }, { value: 2, label: 'Yes' }],
+      competencies: [{ id: 'coding', name: 'Coding' }]
+    };
+    const SCORECARD = {
+      competencies: [{ id: 'coding', rating: 2, rationale: 'Tested the cache', evidence: ['We measured first'], missingSignals: [] }]
+    };
+
+    it('repairs a scorecard response that does not match the schema', async () => {
+      const provider = createFakeProvider([
+        { text: JSON.stringify({ competencies: [{ id: 'coding', rating: 2 }] }), tokenUsage: 100 },
+        { text: JSON.stringify(SCORECARD), tokenUsage: 100 }
+      ]);
+      const service = await createService(provider);
+
+      const scorecard = await service.generateScorecard(SEGMENTS, RUBRIC);
+
+      const repairPrompt = provider.generate.mock.calls[1][0];
+      expect(repairPrompt).toContain('You are fixing an invalid interview scorecard response');
+      expect(repairPrompt).toContain('- response.competencies[0].rationale is required');
+      expect(repairPrompt).toContain('"missingSignals"');
+      expect(scorecard.competencies[0]).toMatchObject({ competencyId: 'coding', suggestedRating: 2, evidence: ['We measured first'] });
+      expect(scorecard.tokenUsage).toBe(200);
+    });
+
+    it('fails when the repaired scorecard is still invalid', async () => {
+      const provider = createFakeProvider([
+        { text: 'No scorecard today', tokenUsage: 100 },
+        { text: JSON.stringify({ ratings: [] }), tokenUsage: 100 }
+      ]);
+      const service = await createService(provider);
+
+      const error = await service.generateScorecard(SEGMENTS, RUBRIC).catch(caught => caught);
+
+      expect(error.message).toBe(
+        'Scorecard generation failed: The model returned an invalid scorecard, also after a repair request: response.competencies is required'
+      );
+      expect(error.validationErrors).toEqual(['response.competencies is required']);
+    });
+  });
+
+  describe('token accounting', () => {
+    it('counts reported usage and estimates it when none is reported', async () => {
+      const provider = createFakeProvider([
+        { text: 'abcdefgh', tokenUsage: 500 },
+        { text: 'abcdefgh', tokenUsage: 0 }
+      ]);
+      const service = await createService(provider);
+      const listener = jest.fn();
+      service.setTokenUsageListener(listener);
+
+      await service.generate('prompt');
+      // 'abcd'.repeat(3) is 3 tokens, the 8 character reply 2
+      const { tokenUsage } = await service.generate('abcd'.repeat(3));
+
+      expect(tokenUsage).toBe(5);
+      expect(service.tokenUsage).toMatchObject({ dayTokens: 505, monthTokens: 505 });
+      expect(service.rateLimiter.tokenUsage).toBe(505);
+      expect(listener).toHaveBeenCalledTimes(2);
+      expect(listener).toHaveBeenLastCalledWith(service.tokenUsage);
+    });
+
+    it('counts the repair request of a summary as well', async () => {
+      const provider = createFakeProvider([
+        { text: JSON.stringify({ ...SUMMARY, topics: null }), tokenUsage: 100 },
+        { text: JSON.stringify(SUMMARY), tokenUsage: 150 }
+      ]);
+      const service = await createService(provider);
+      service.setTokenBudget({ monthlyTokens: 1000, dailyTokens: 200, action: 'block' }, null);
+
+      await service.generateSummary(SEGMENTS);
+
+      expect(service.getTokenBudgetStatus()).toMatchObject({
+        dayTokens: 250,
+        monthTokens: 250,
+        usageRatio: 1.25,
+        isExceeded: true
+      });
+    });
+
+    it('keeps the usage counted so far when the budget changes', async () => {
+      const service = await createService(createFakeProvider([{ text: 'reply', tokenUsage: 300 }]));
+      await service.generate('prompt');
+
+      service.setTokenBudget({ monthlyTokens: 600, dailyTokens: null, action: 'downgrade' });
+
+      expect(service.rateLimiter.tokensPerMonth).toBe(600);
+      expect(service.getTokenBudgetStatus()).toMatchObject({ monthTokens: 300, usageRatio: 0.5 });
+    });
+  });
+
+  describe('prompt templates', () => {
+    const TEMPLATE = {
+      id: 'template_1',
+      version: 2,
+      name: 'Acme loop',
+      summarization: 'ACME SUMMARY\n{{glossary}}\n{{transcript}}',
+      incrementalUpdate: 'ACME UPDATE\n{{previousSummary}}\n{{transcript}}'
+    };
+    const REFERENCE = { id: 'template_1', version: 2, name: 'Acme loop' };
+
+    it('renders the active template with the glossary and records it on the summary', async () => {
+      const provider = createFakeProvider([{ text: JSON.stringify(SUMMARY), tokenUsage: 100 }]);
+      const service = await createService(provider);
+      service.setPromptTemplate(TEMPLATE, ['Jane Doe']);
+
+      const summary = await service.generateSummary(SEGMENTS);
+
+      const prompt = provider.generate.mock.calls[0][0];
+      expect(prompt).toContain('ACME SUMMARY\n- Jane Doe\n');
+      expect(prompt).toContain('We measured before we optimized');
+      expect(summary.promptTemplate).toEqual(REFERENCE);
+    });
+
+    it('records the template of an incremental update', async () => {
+      const provider = createFakeProvider([{ text: JSON.stringify(SUMMARY), tokenUsage: 100 }]);
+      const service = await createService(provider);
+      service.setPromptTemplate(TEMPLATE);
+
+      const summary = await service.generateIncrementalSummary(SEGMENTS.slice(1), { id: 'summary_1', ...SUMMARY });
+
+      expect(provider.generate.mock.calls[0][0]).toContain(`ACME UPDATE\nContent: "${SUMMARY.content}"`);
+      expect(summary).toMatchObject({ isIncremental: true, previousSummaryId: 'summary_1', promptTemplate: REFERENCE });
+    });
+
+    it('falls back to the default template', async () => {
+      const provider = createFakeProvider([{ text: JSON.stringify(SUMMARY), tokenUsage: 100 }]);
+      const service = await createService(provider);
+      service.setPromptTemplate(null);
+
+      const summary = await service.generateSummary(SEGMENTS);
+
+      expect(summary.promptTemplate).toMatchObject({ id: 'general' });
+    });
+  });
+});
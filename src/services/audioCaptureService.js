@@ -13,6 +13,8 @@ class AudioCaptureService {
     this.isRecording = false;
     this.isPaused = false;
     this.audioChunks = [];
+    this.recordingTiming = null;
+    this.lastRecordingInfo = null;
     this.audioLevel = 0;
     this.onAudioLevelChange = null;
     this.onRecordingStateChange = null;
@@ -174,6 +176,7 @@ class AudioCaptureService {
 
       // Clear previous audio chunks
       this.audioChunks = [];
+      this.lastRecordingInfo = null;
       
       // Resume audio context if suspended
       if (this.audioContext.state === 'suspended') {
@@ -184,6 +187,7 @@ class AudioCaptureService {
       this.mediaRecorder.start(100); // Collect data every 100ms
       this.isRecording = true;
       this.isPaused = false;
+      this.recordingTiming = { startedAt: Date.now(), pauses: [], pausedAt: null, pausedTotal: 0 };
 
       this.notifyRecordingStateChange('recording');
       return true;
@@ -206,6 +210,7 @@ class AudioCaptureService {
 
       this.mediaRecorder.pause();
       this.isPaused = true;
+      this.recordingTiming.pausedAt = Date.now();
       
       this.notifyRecordingStateChange('paused');
       return true;
@@ -228,6 +233,7 @@ class AudioCaptureService {
 
       this.mediaRecorder.resume();
       this.isPaused = false;
+      this.endPause(Date.now());
       
       this.notifyRecordingStateChange('recording');
       return true;
@@ -250,10 +256,22 @@ class AudioCaptureService {
           return;
         }
 
+        const stoppedAt = Date.now();
+        this.endPause(stoppedAt);
+        const { startedAt, pauses, pausedTotal } = this.recordingTiming;
+        const mimeType = this.mediaRecorder.mimeType || this.config.mimeType;
+
+        this.lastRecordingInfo = {
+          mimeType,
+          startedAt,
+          duration: stoppedAt - startedAt - pausedTotal,
+          pauses
+        };
+
         // Set up one-time listener for stop event
         const handleStop = () => {
           this.mediaRecorder.removeEventListener('stop', handleStop);
-          const audioBlob = new Blob(this.audioChunks, { type: this.config.mimeType });
+          const audioBlob = new Blob(this.audioChunks, { type: mimeType });
           resolve(audioBlob);
         };
 
@@ -271,6 +289,34 @@ class AudioCaptureService {
     });
   }
 
+  /**
+   * Close the current pause, if any, and record where it falls in the audio
+   * @param {number} endedAt - Time the pause ended (ms since epoch)
+   */
+  endPause(endedAt) {
+    const timing = this.recordingTiming;
+    if (!timing || timing.pausedAt === null) {
+      return;
+    }
+
+    timing.pauses.push({
+      at: timing.pausedAt - timing.startedAt - timing.pausedTotal,
+      duration: endedAt - timing.pausedAt
+    });
+    timing.pausedTotal += endedAt - timing.pausedAt;
+    timing.pausedAt = null;
+  }
+
+  /**
+   * Get timing details of the last stopped recording, used to line the audio
+   * up with transcript segments. Pauses are listed by their position in the
+   * recorded audio (`at`, ms) and how long they lasted (`duration`, ms).
+   * @returns {Object|null} mimeType, startedAt (ms since epoch), duration (ms of audio) and pauses
+   */
+  getLastRecordingInfo() {
+    return this.lastRecordingInfo;
+  }
+
   /**
    * Start monitoring audio levels for real-time indicators
    */
@@ -460,6 +506,7 @@ class AudioCaptureService {
       this.analyser = null;
       this.dataArray = null;
       this.audioChunks = [];
+      this.recordingTiming = null;
       this.isRecording = false;
       this.isPaused = false;
       this.audioLevel = 0;
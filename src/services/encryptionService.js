@@ -0,0 +1,185 @@
+/**
+ * EncryptionService - Passphrase-based encryption for data stored at rest
+ * Derives an AES-GCM key from a passphrase with PBKDF2 (WebCrypto) and keeps
+ * the key in memory only while storage is unlocked.
+ */
+
+// Known plaintext encrypted with the key, used to check a passphrase
+const VERIFIER_TEXT = 'interview-summarizer-key-check';
+
+class EncryptionService {
+  constructor() {
+    this.key = null;
+    this.keyId = null;
+
+    // Key derivation configuration
+    this.kdfConfig = {
+      iterations: 310000,
+      hash: 'SHA-256',
+      saltLength: 16
+    };
+
+    // AES-GCM uses a fresh 96-bit IV for every encryption
+    this.ivLength = 12;
+  }
+
+  /**
+   * Get the WebCrypto subtle interface
+   * @returns {SubtleCrypto} Subtle crypto
+   */
+  getSubtle() {
+    if (!globalThis.crypto || !globalThis.crypto.subtle) {
+      throw new Error('WebCrypto is not available in this environment');
+    }
+    return globalThis.crypto.subtle;
+  }
+
+  /**
+   * Check whether a key is loaded
+   * @returns {boolean} True when unlocked
+   */
+  isUnlocked() {
+    return this.key !== null;
+  }
+
+  /**
+   * Forget the loaded key
+   * @returns {void}
+   */
+  lock() {
+    this.key = null;
+    this.keyId = null;
+  }
+
+  /**
+   * Derive an AES-GCM key from a passphrase
+   * @param {string} passphrase - User passphrase
+   * @param {Uint8Array} salt - Random salt
+   * @param {number} iterations - PBKDF2 iterations
+   * @returns {Promise<CryptoKey>} Derived key
+   */
+  async deriveKey(passphrase, salt, iterations) {
+    if (!passphrase || typeof passphrase !== 'string') {
+      throw new Error('Passphrase is required');
+    }
+
+    const subtle = this.getSubtle();
+    const baseKey = await subtle.importKey(
+      'raw',
+      new TextEncoder().encode(passphrase),
+      'PBKDF2',
+      false,
+      ['deriveKey']
+    );
+
+    return subtle.deriveKey(
+      { name: 'PBKDF2', salt, iterations, hash: this.kdfConfig.hash },
+      baseKey,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  /**
+   * Create a new key and the configuration needed to derive it again.
+   * The configuration holds no secret: only the salt, parameters and a verifier.
+   * @param {string} passphrase - User passphrase
+   * @returns {Promise<Object>} Key and its configuration
+   */
+  async createKey(passphrase) {
+    const salt = globalThis.crypto.getRandomValues(new Uint8Array(this.kdfConfig.saltLength));
+    const key = await this.deriveKey(passphrase, salt, this.kdfConfig.iterations);
+    const verifier = await this.encryptBytes(new TextEncoder().encode(VERIFIER_TEXT), key);
+
+    return {
+      key,
+      config: {
+        enabled: true,
+        algorithm: 'AES-GCM',
+        kdf: 'PBKDF2',
+        hash: this.kdfConfig.hash,
+        iterations: this.kdfConfig.iterations,
+        salt,
+        keyId: `key_${Date.now()}`,
+        verifier,
+        createdAt: Date.now()
+      }
+    };
+  }
+
+  /**
+   * Derive the key for a configuration and check it against the verifier
+   * @param {string} passphrase - User passphrase
+   * @param {Object} config - Key configuration from createKey
+   * @returns {Promise<CryptoKey>} Verified key
+   */
+  async verifyPassphrase(passphrase, config) {
+    const key = await this.deriveKey(passphrase, config.salt, config.iterations);
+
+    try {
+      await this.decryptBytes(config.verifier.data, config.verifier.iv, key);
+    } catch (error) {
+      throw new Error('Incorrect passphrase');
+    }
+
+    return key;
+  }
+
+  /**
+   * Unlock with a passphrase
+   * @param {string} passphrase - User passphrase
+   * @param {Object} config - Key configuration
+   * @returns {Promise<void>}
+   */
+  async unlock(passphrase, config) {
+    this.key = await this.verifyPassphrase(passphrase, config);
+    this.keyId = config.keyId;
+  }
+
+  /**
+   * Use an already derived key
+   * @param {CryptoKey} key - Key
+   * @param {string} keyId - Key identifier
+   * @returns {void}
+   */
+  setKey(key, keyId) {
+    this.key = key;
+    this.keyId = keyId;
+  }
+
+  /**
+   * Encrypt bytes with AES-GCM
+   * @param {Uint8Array} bytes - Plaintext
+   * @param {CryptoKey} [key] - Key (defaults to the loaded key)
+   * @returns {Promise<{iv: Uint8Array, data: Uint8Array}>} IV and ciphertext
+   */
+  async encryptBytes(bytes, key = this.key) {
+    if (!key) {
+      throw new Error('Storage is locked');
+    }
+
+    const iv = globalThis.crypto.getRandomValues(new Uint8Array(this.ivLength));
+    const data = await this.getSubtle().encrypt({ name: 'AES-GCM', iv }, key, bytes);
+
+    return { iv, data: new Uint8Array(data) };
+  }
+
+  /**
+   * Decrypt AES-GCM ciphertext
+   * @param {Uint8Array} data - Ciphertext
+   * @param {Uint8Array} iv - IV used for encryption
+   * @param {CryptoKey} [key] - Key (defaults to the loaded key)
+   * @returns {Promise<Uint8Array>} Plaintext
+   */
+  async decryptBytes(data, iv, key = this.key) {
+    if (!key) {
+      throw new Error('Storage is locked');
+    }
+
+    const plaintext = await this.getSubtle().decrypt({ name: 'AES-GCM', iv }, key, data);
+    return new Uint8Array(plaintext);
+  }
+}
+
+export default EncryptionService;
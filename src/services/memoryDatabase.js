@@ -0,0 +1,1254 @@
+/**
+ * Memory database - In-memory implementation of the IndexedDB API subset StorageService uses
+ *
+ * Lets StorageService, its migrations and SearchService run unchanged on a
+ * backend that is not IndexedDB (see FileSystemBackend in storageBackends.js).
+ * Supported: object stores with in-line keys, indexes (compound, unique and
+ * multiEntry), key ranges, cursors (`continue`, `continuePrimaryKey`,
+ * `update`, `delete`) and request/transaction events with auto-commit and
+ * rollback on abort.
+ *
+ * Transactions run one at a time in creation order, which is stricter than
+ * IndexedDB's scope-based scheduling but gives the same results. Once a
+ * read-write or upgrade transaction commits, `onCommit` receives the records
+ * it changed so the backend can persist them.
+ */
+
+// Type order of keys: number < date < string < binary < array
+const KEY_TYPE_ORDER = ['number', 'date', 'string', 'binary', 'array'];
+
+/**
+ * Create a DOMException-style error
+ * @param {string} name - Error name, e.g. 'ConstraintError'
+ * @param {string} message - Error message
+ * @returns {Error} Error
+ */
+const createError = (name, message) => {
+  if (typeof DOMException !== 'undefined') {
+    return new DOMException(message, name);
+  }
+  const error = new Error(message);
+  error.name = name;
+  return error;
+};
+
+/**
+ * Get the key type of a value
+ * @param {*} key - Value
+ * @returns {string|null} Key type, or null if the value is not a valid key
+ */
+const getKeyType = (key) => {
+  if (typeof key === 'number') {
+    return Number.isNaN(key) ? null : 'number';
+  }
+  if (typeof key === 'string') {
+    return 'string';
+  }
+  if (key instanceof Date) {
+    return Number.isNaN(key.getTime()) ? null : 'date';
+  }
+  if (key instanceof ArrayBuffer || ArrayBuffer.isView(key)) {
+    return 'binary';
+  }
+  if (Array.isArray(key)) {
+    return key.every(item => getKeyType(item) !== null) ? 'array' : null;
+  }
+  return null;
+};
+
+/**
+ * Compare two keys in IndexedDB order
+ * @param {*} a - Key
+ * @param {*} b - Key
+ * @returns {number} -1, 0 or 1
+ */
+export const compareKeys = (a, b) => {
+  const typeA = getKeyType(a);
+  const typeB = getKeyType(b);
+  if (typeA === null || typeB === null) {
+    throw createError('DataError', 'The parameter is not a valid key');
+  }
+
+  if (typeA !== typeB) {
+    return KEY_TYPE_ORDER.indexOf(typeA) < KEY_TYPE_ORDER.indexOf(typeB) ? -1 : 1;
+  }
+
+  if (typeA === 'array') {
+    for (let i = 0; i < Math.min(a.length, b.length); i++) {
+      const result = compareKeys(a[i], b[i]);
+      if (result !== 0) {
+        return result;
+      }
+    }
+    return a.length === b.length ? 0 : (a.length < b.length ? -1 : 1);
+  }
+
+  if (typeA === 'binary') {
+    const bytesA = new Uint8Array(a.buffer || a, a.byteOffset || 0, a.byteLength);
+    const bytesB = new Uint8Array(b.buffer || b, b.byteOffset || 0, b.byteLength);
+    for (let i = 0; i < Math.min(bytesA.length, bytesB.length); i++) {
+      if (bytesA[i] !== bytesB[i]) {
+        return bytesA[i] < bytesB[i] ? -1 : 1;
+      }
+    }
+    return bytesA.length === bytesB.length ? 0 : (bytesA.length < bytesB.length ? -1 : 1);
+  }
+
+  const valueA = typeA === 'date' ? a.getTime() : a;
+  const valueB = typeB === 'date' ? b.getTime() : b;
+  if (valueA === valueB) {
+    return 0;
+  }
+  return valueA < valueB ? -1 : 1;
+};
+
+/**
+ * Get a string that identifies a key, for use in a Map
+ * @param {*} key - Valid key
+ * @returns {string} Key ID
+ */
+const getKeyId = (key) => {
+  const type = getKeyType(key);
+  if (type === 'array') {
+    return `a:${JSON.stringify(key.map(getKeyId))}`;
+  }
+  if (type === 'binary') {
+    return `b:${Array.from(new Uint8Array(key.buffer || key, key.byteOffset || 0, key.byteLength)).join(',')}`;
+  }
+  return `${type[0]}:${type === 'date' ? key.getTime() : key}`;
+};
+
+/**
+ * Read a key path from a value
+ * @param {Object} value - Record
+ * @param {string|Array<string>} keyPath - Key path
+ * @returns {*} Key, or undefined when the value has no valid key at the path
+ */
+const extractKey = (value, keyPath) => {
+  if (Array.isArray(keyPath)) {
+    const keys = keyPath.map(path => extractKey(value, path));
+    return keys.every(key => key !== undefined) ? keys : undefined;
+  }
+
+  const key = keyPath.split('.').reduce(
+    (current, part) => (current !== null && typeof current === 'object' ? current[part] : undefined),
+    value
+  );
+  return getKeyType(key) === null ? undefined : key;
+};
+
+/**
+ * Turn a query (key, key range or nothing) into a range
+ * @param {*} query - Key, IDBKeyRange or null
+ * @returns {Object|null} `{lower, upper, lowerOpen, upperOpen}`, or null for all keys
+ */
+const toRange = (query) => {
+  if (query === null || query === undefined) {
+    return null;
+  }
+
+  // IDBKeyRange instances (global or from fake-indexeddb) are read through their properties
+  if (typeof query === 'object' && 'lower' in query && 'upper' in query && 'lowerOpen' in query) {
+    return {
+      lower: query.lower,
+      upper: query.upper,
+      lowerOpen: query.lowerOpen,
+      upperOpen: query.upperOpen
+    };
+  }
+
+  if (getKeyType(query) === null) {
+    throw createError('DataError', 'The parameter is not a valid key');
+  }
+  return { lower: query, upper: query, lowerOpen: false, upperOpen: false };
+};
+
+/**
+ * Check whether a key lies in a range
+ * @param {Object|null} range - Range from toRange
+ * @param {*} key - Key
+ * @returns {boolean} True if the key is in the range
+ */
+const inRange = (range, key) => {
+  if (!range) {
+    return true;
+  }
+  if (range.lower !== undefined) {
+    const result = compareKeys(key, range.lower);
+    if (result < 0 || (result === 0 && range.lowerOpen)) {
+      return false;
+    }
+  }
+  if (range.upper !== undefined) {
+    const result = compareKeys(key, range.upper);
+    if (result > 0 || (result === 0 && range.upperOpen)) {
+      return false;
+    }
+  }
+  return true;
+};
+
+/**
+ * Find the first position in a sorted array where `isAfter` holds
+ * @param {Array} array - Sorted array
+ * @param {Function} isAfter - (item) => boolean, false for a prefix of the array and true after it
+ * @returns {number} Position
+ */
+const findPosition = (array, isAfter) => {
+  let low = 0;
+  let high = array.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (isAfter(array[middle])) {
+      high = middle;
+    } else {
+      low = middle + 1;
+    }
+  }
+  return low;
+};
+
+/**
+ * Minimal DOMStringList for `objectStoreNames` and `indexNames`
+ * @param {Array<string>} names - Names
+ * @returns {Array<string>} Sorted names with a `contains` method
+ */
+const createNameList = (names) => {
+  const list = [...names].sort();
+  list.contains = (name) => list.includes(name);
+  list.item = (index) => list[index] ?? null;
+  return list;
+};
+
+/**
+ * Stored data of an index: `[key, primaryKey]` entries sorted by key, then primary key
+ */
+class IndexData {
+  constructor(name, keyPath, { unique = false, multiEntry = false } = {}) {
+    this.name = name;
+    this.keyPath = keyPath;
+    this.unique = Boolean(unique);
+    this.multiEntry = Boolean(multiEntry);
+    this.entries = [];
+  }
+
+  /**
+   * Get the index keys of a record
+   * @param {Object} value - Record
+   * @returns {Array} Index keys (none if the record is not indexed)
+   */
+  getKeys(value) {
+    if (this.multiEntry && !Array.isArray(this.keyPath)) {
+      const raw = this.keyPath.split('.').reduce(
+        (current, part) => (current !== null && typeof current === 'object' ? current[part] : undefined),
+        value
+      );
+      if (Array.isArray(raw)) {
+        const keys = raw.filter(key => getKeyType(key) !== null);
+        return keys.filter((key, i) => keys.findIndex(other => compareKeys(other, key) === 0) === i);
+      }
+    }
+
+    const key = extractKey(value, this.keyPath);
+    return key === undefined ? [] : [key];
+  }
+
+  /**
+   * Compare an entry with a position
+   * @param {Array} entry - `[key, primaryKey]`
+   * @param {*} key - Index key
+   * @param {*} primaryKey - Primary key
+   * @returns {number} -1, 0 or 1
+   */
+  static compareEntry(entry, key, primaryKey) {
+    return compareKeys(entry[0], key) || compareKeys(entry[1], primaryKey);
+  }
+
+  /**
+   * Add the entries of a record
+   * @param {*} primaryKey - Primary key
+   * @param {Object} value - Record
+   */
+  add(primaryKey, value) {
+    this.getKeys(value).forEach(key => {
+      const position = findPosition(this.entries, entry => IndexData.compareEntry(entry, key, primaryKey) > 0);
+      this.entries.splice(position, 0, [key, primaryKey]);
+    });
+  }
+
+  /**
+   * Remove the entries of a record
+   * @param {*} primaryKey - Primary key
+   * @param {Object} value - Record
+   */
+  remove(primaryKey, value) {
+    this.getKeys(value).forEach(key => {
+      const position = findPosition(this.entries, entry => IndexData.compareEntry(entry, key, primaryKey) >= 0);
+      if (position < this.entries.length && IndexData.compareEntry(this.entries[position], key, primaryKey) === 0) {
+        this.entries.splice(position, 1);
+      }
+    });
+  }
+
+  /**
+   * Find a unique-index conflict for a record
+   * @param {*} primaryKey - Primary key of the record
+   * @param {Object} value - Record
+   * @returns {boolean} True if another record has one of the keys
+   */
+  hasConflict(primaryKey, value) {
+    if (!this.unique) {
+      return false;
+    }
+
+    return this.getKeys(value).some(key => {
+      for (
+        let position = findPosition(this.entries, entry => compareKeys(entry[0], key) >= 0);
+        position < this.entries.length && compareKeys(this.entries[position][0], key) === 0;
+        position++
+      ) {
+        if (compareKeys(this.entries[position][1], primaryKey) !== 0) {
+          return true;
+        }
+      }
+      return false;
+    });
+  }
+
+  /**
+   * Rebuild the entries from all records of the store at once
+   * @param {Array} records - `[primaryKey, value]` entries of the store
+   */
+  build(records) {
+    this.entries = [];
+    records.forEach(([primaryKey, value]) => {
+      this.getKeys(value).forEach(key => this.entries.push([key, primaryKey]));
+    });
+    this.entries.sort((a, b) => IndexData.compareEntry(a, b[0], b[1]));
+  }
+}
+
+/**
+ * Stored data of an object store: `[primaryKey, value]` entries sorted by key, plus its indexes
+ */
+class StoreData {
+  constructor(name, { keyPath, autoIncrement = false } = {}) {
+    this.name = name;
+    this.keyPath = keyPath;
+    this.autoIncrement = Boolean(autoIncrement);
+    this.keyGenerator = 1;
+    this.entries = [];
+    this.indexes = new Map();
+  }
+
+  /**
+   * Find the position of a primary key
+   * @param {*} key - Primary key
+   * @returns {Object} `{position, found}`
+   */
+  locate(key) {
+    const position = findPosition(this.entries, entry => compareKeys(entry[0], key) >= 0);
+    const found = position < this.entries.length && compareKeys(this.entries[position][0], key) === 0;
+    return { position, found };
+  }
+
+  /**
+   * Get a record by primary key
+   * @param {*} key - Primary key
+   * @returns {Object|undefined} Stored record
+   */
+  get(key) {
+    const { position, found } = this.locate(key);
+    return found ? this.entries[position][1] : undefined;
+  }
+
+  /**
+   * Store a record, replacing the one with the same key
+   * @param {*} key - Primary key
+   * @param {Object} value - Record (already cloned)
+   */
+  set(key, value) {
+    const { position, found } = this.locate(key);
+    if (found) {
+      const previous = this.entries[position][1];
+      this.indexes.forEach(index => index.remove(key, previous));
+      this.entries[position][1] = value;
+    } else {
+      this.entries.splice(position, 0, [key, value]);
+    }
+    this.indexes.forEach(index => index.add(key, value));
+  }
+
+  /**
+   * Remove a record
+   * @param {*} key - Primary key
+   */
+  remove(key) {
+    const { position, found } = this.locate(key);
+    if (found) {
+      const [, previous] = this.entries[position];
+      this.indexes.forEach(index => index.remove(key, previous));
+      this.entries.splice(position, 1);
+    }
+  }
+
+  /**
+   * Replace all records at once (when a database is loaded)
+   * @param {Array<Object>} values - Records
+   */
+  load(values) {
+    this.entries = values.map(value => [extractKey(value, this.keyPath), value]);
+    this.entries.sort((a, b) => compareKeys(a[0], b[0]));
+    this.indexes.forEach(index => index.build(this.entries));
+
+    if (this.autoIncrement) {
+      this.entries.forEach(([key]) => {
+        if (typeof key === 'number') {
+          this.keyGenerator = Math.max(this.keyGenerator, Math.floor(key) + 1);
+        }
+      });
+    }
+  }
+
+  /**
+   * Describe the store for persistence
+   * @returns {Object} `{keyPath, autoIncrement, indexes}`
+   */
+  getSchema() {
+    return {
+      keyPath: this.keyPath,
+      autoIncrement: this.autoIncrement,
+      indexes: Object.fromEntries(Array.from(this.indexes.values(), index => [
+        index.name,
+        { keyPath: index.keyPath, unique: index.unique, multiEntry: index.multiEntry }
+      ]))
+    };
+  }
+}
+
+/**
+ * Request returned by every store, index and cursor operation
+ */
+class MemoryRequest {
+  constructor(source, transaction) {
+    this.source = source;
+    this.transaction = transaction;
+    this.readyState = 'pending';
+    this.result = undefined;
+    this.error = null;
+    this.onsuccess = null;
+    this.onerror = null;
+  }
+}
+
+/**
+ * Cursor over a store or an index
+ */
+class MemoryCursor {
+  constructor(request, { source, range, direction, withValue }) {
+    this.request = request;
+    this.source = source;
+    this.range = range;
+    this.direction = direction;
+    this.withValue = withValue;
+    this.key = undefined;
+    this.primaryKey = undefined;
+    this.value = undefined;
+    // Position to move past on the next step, and an optional target
+    this.position = null;
+    this.target = null;
+  }
+
+  /**
+   * Move to the next record, or to the first one at or after a key
+   * @param {*} [key] - Key to continue to
+   */
+  continue(key) {
+    this.advanceTo(key === undefined ? null : { key, primaryKey: undefined });
+  }
+
+  /**
+   * Move to the first record at or after an index key and primary key
+   * @param {*} key - Index key
+   * @param {*} primaryKey - Primary key
+   */
+  continuePrimaryKey(key, primaryKey) {
+    this.advanceTo({ key, primaryKey });
+  }
+
+  /**
+   * Queue the next step of the cursor
+   * @param {Object|null} target - Key (and primary key) to move to
+   */
+  advanceTo(target) {
+    this.source.transaction.assertActive();
+    this.target = target;
+    this.request.readyState = 'pending';
+    this.source.transaction.queue(this.request, () => this.step());
+  }
+
+  /**
+   * Replace the current record
+   * @param {Object} value - New record
+   * @returns {MemoryRequest} Request
+   */
+  update(value) {
+    return this.source.objectStoreHandle().put(value);
+  }
+
+  /**
+   * Delete the current record
+   * @returns {MemoryRequest} Request
+   */
+  delete() {
+    return this.source.objectStoreHandle().delete(this.primaryKey);
+  }
+
+  /**
+   * Find the next entry and expose it
+   * @returns {MemoryCursor|null} This cursor, or null at the end
+   */
+  step() {
+    const entries = this.source.getEntries();
+    const forward = this.direction.startsWith('next');
+    // Unique directions visit one entry per key: the first in key order
+    const unique = this.direction.endsWith('unique');
+    const compare = (entry, key, primaryKey) => {
+      const result = compareKeys(entry[0], key);
+      return result !== 0 || primaryKey === undefined ? result : compareKeys(entry[1], primaryKey);
+    };
+
+    let position;
+    if (forward) {
+      position = findPosition(entries, entry => {
+        if (this.position && compare(entry, this.position.key, this.position.primaryKey) <= 0) {
+          return false;
+        }
+        if (this.target && compare(entry, this.target.key, this.target.primaryKey) < 0) {
+          return false;
+        }
+        return !this.range || this.range.lower === undefined || inRange({ ...this.range, upper: undefined }, entry[0]);
+      });
+    } else {
+      position = findPosition(entries, entry => {
+        if (this.position && compare(entry, this.position.key, this.position.primaryKey) >= 0) {
+          return true;
+        }
+        if (this.target && compare(entry, this.target.key, this.target.primaryKey) > 0) {
+          return true;
+        }
+        return Boolean(this.range) && this.range.upper !== undefined && !inRange({ ...this.range, lower: undefined }, entry[0]);
+      }) - 1;
+
+      while (unique && position > 0 && compareKeys(entries[position - 1][0], entries[position][0]) === 0) {
+        position--;
+      }
+    }
+
+    this.target = null;
+    const entry = entries[position];
+    if (!entry || !inRange(this.range, entry[0])) {
+      this.key = undefined;
+      this.primaryKey = undefined;
+      this.value = undefined;
+      return null;
+    }
+
+    // Store entries are [key, value], index entries [key, primaryKey]
+    const isIndex = this.source instanceof MemoryIndex;
+    this.key = entry[0];
+    this.primaryKey = isIndex ? entry[1] : entry[0];
+    this.position = { key: this.key, primaryKey: isIndex && !unique ? this.primaryKey : undefined };
+    if (this.withValue) {
+      this.value = structuredClone(isIndex ? this.source.store.data.get(this.primaryKey) : entry[1]);
+    }
+    return this;
+  }
+}
+
+/**
+ * Operations shared by object stores and indexes: reads with keys or ranges
+ */
+class MemorySource {
+  /**
+   * Collect the entries in a range
+   * @param {*} query - Key or key range
+   * @param {number} [count] - Maximum number of entries
+   * @returns {Array} Entries
+   */
+  collect(query, count) {
+    const range = toRange(query);
+    const entries = this.getEntries();
+    const start = range && range.lower !== undefined
+      ? findPosition(entries, entry => inRange({ ...range, upper: undefined }, entry[0]))
+      : 0;
+
+    const result = [];
+    for (let i = start; i < entries.length && inRange(range, entries[i][0]); i++) {
+      if (count && result.length >= count) {
+        break;
+      }
+      result.push(entries[i]);
+    }
+    return result;
+  }
+
+  /**
+   * Queue a read
+   * @param {Function} read - () => result
+   * @returns {MemoryRequest} Request
+   */
+  read(read) {
+    this.transaction.assertActive();
+    const request = new MemoryRequest(this, this.transaction);
+    this.transaction.queue(request, read);
+    return request;
+  }
+
+  get(query) {
+    return this.read(() => {
+      const [entry] = this.collect(query, 1);
+      return entry ? structuredClone(this.getValue(entry)) : undefined;
+    });
+  }
+
+  getKey(query) {
+    return this.read(() => {
+      const [entry] = this.collect(query, 1);
+      return entry ? this.getPrimaryKey(entry) : undefined;
+    });
+  }
+
+  getAll(query, count) {
+    return this.read(() => this.collect(query, count).map(entry => structuredClone(this.getValue(entry))));
+  }
+
+  getAllKeys(query, count) {
+    return this.read(() => this.collect(query, count).map(entry => this.getPrimaryKey(entry)));
+  }
+
+  count(query) {
+    return this.read(() => this.collect(query).length);
+  }
+
+  openCursor(query, direction = 'next') {
+    return this.openCursorRequest(query, direction, true);
+  }
+
+  openKeyCursor(query, direction = 'next') {
+    return this.openCursorRequest(query, direction, false);
+  }
+
+  /**
+   * Open a cursor
+   * @param {*} query - Key or key range
+   * @param {string} direction - 'next', 'nextunique', 'prev' or 'prevunique'
+   * @param {boolean} withValue - Expose record values
+   * @returns {MemoryRequest} Request whose result is the cursor
+   */
+  openCursorRequest(query, direction, withValue) {
+    if (!['next', 'nextunique', 'prev', 'prevunique'].includes(direction)) {
+      throw createError('NotSupportedError', `Cursor direction ${direction} is not supported`);
+    }
+
+    this.transaction.assertActive();
+    const request = new MemoryRequest(this, this.transaction);
+    const cursor = new MemoryCursor(request, { source: this, range: toRange(query), direction, withValue });
+    this.transaction.queue(request, () => cursor.step());
+    return request;
+  }
+}
+
+/**
+ * Index handle within a transaction
+ */
+class MemoryIndex extends MemorySource {
+  constructor(store, data) {
+    super();
+    this.store = store;
+    this.data = data;
+    this.transaction = store.transaction;
+    this.name = data.name;
+    this.keyPath = data.keyPath;
+    this.unique = data.unique;
+    this.multiEntry = data.multiEntry;
+  }
+
+  getEntries() {
+    return this.data.entries;
+  }
+
+  getValue(entry) {
+    return this.store.data.get(entry[1]);
+  }
+
+  getPrimaryKey(entry) {
+    return entry[1];
+  }
+
+  objectStoreHandle() {
+    return this.store;
+  }
+}
+
+/**
+ * Object store handle within a transaction
+ */
+class MemoryObjectStore extends MemorySource {
+  constructor(transaction, data) {
+    super();
+    this.transaction = transaction;
+    this.data = data;
+    this.name = data.name;
+    this.keyPath = data.keyPath;
+    this.autoIncrement = data.autoIncrement;
+  }
+
+  get indexNames() {
+    return createNameList(this.data.indexes.keys());
+  }
+
+  getEntries() {
+    return this.data.entries;
+  }
+
+  getValue(entry) {
+    return entry[1];
+  }
+
+  getPrimaryKey(entry) {
+    return entry[0];
+  }
+
+  objectStoreHandle() {
+    return this;
+  }
+
+  index(name) {
+    if (!this.data.indexes.has(name)) {
+      throw createError('NotFoundError', `Index ${name} does not exist in ${this.name}`);
+    }
+    return new MemoryIndex(this, this.data.indexes.get(name));
+  }
+
+  createIndex(name, keyPath, options = {}) {
+    this.transaction.assertUpgrade();
+    if (this.data.indexes.has(name)) {
+      throw createError('ConstraintError', `Index ${name} already exists in ${this.name}`);
+    }
+
+    const index = new IndexData(name, keyPath, options);
+    this.data.entries.forEach(([key, value]) => {
+      if (index.hasConflict(key, value)) {
+        throw createError('ConstraintError', `Records in ${this.name} violate the unique index ${name}`);
+      }
+      index.add(key, value);
+    });
+    this.data.indexes.set(name, index);
+    this.transaction.recordSchemaChange(() => this.data.indexes.delete(name));
+    return new MemoryIndex(this, index);
+  }
+
+  assertWritable() {
+    this.transaction.assertActive();
+    if (this.transaction.mode === 'readonly') {
+      throw createError('ReadOnlyError', 'The transaction is read-only');
+    }
+  }
+
+  /**
+   * Queue a write
+   * @param {Function} write - () => result
+   * @returns {MemoryRequest} Request
+   */
+  write(write) {
+    this.assertWritable();
+    const request = new MemoryRequest(this, this.transaction);
+    this.transaction.queue(request, write);
+    return request;
+  }
+
+  /**
+   * Get the primary key of a record to store
+   * @param {Object} value - Record
+   * @param {*} [key] - Key argument, which stores with in-line keys do not take
+   * @returns {*} Primary key
+   */
+  resolveKey(value, key) {
+    if (key !== undefined) {
+      throw createError('DataError', 'A key cannot be given for a store with in-line keys');
+    }
+
+    const inline = extractKey(value, this.keyPath);
+    if (inline !== undefined) {
+      return inline;
+    }
+    if (this.autoIncrement && !Array.isArray(this.keyPath)) {
+      const generated = this.data.keyGenerator++;
+      value[this.keyPath] = generated;
+      return generated;
+    }
+    throw createError('DataError', `Record has no valid key at ${this.keyPath}`);
+  }
+
+  /**
+   * Store a record
+   * @param {Object} value - Record
+   * @param {*} key - Key argument (not supported)
+   * @param {boolean} overwrite - Replace an existing record (put) or fail (add)
+   * @returns {MemoryRequest} Request
+   */
+  store(value, key, overwrite) {
+    this.assertWritable();
+    const stored = structuredClone(value);
+    const primaryKey = this.resolveKey(stored, key);
+
+    return this.write(() => {
+      if (!overwrite && this.data.locate(primaryKey).found) {
+        throw createError('ConstraintError', `Key already exists in ${this.name}`);
+      }
+      for (const index of this.data.indexes.values()) {
+        if (index.hasConflict(primaryKey, stored)) {
+          throw createError('ConstraintError', `Record violates the unique index ${index.name} of ${this.name}`);
+        }
+      }
+
+      this.transaction.recordWrite(this.data, primaryKey);
+      this.data.set(primaryKey, stored);
+      return primaryKey;
+    });
+  }
+
+  put(value, key) {
+    return this.store(value, key, true);
+  }
+
+  add(value, key) {
+    return this.store(value, key, false);
+  }
+
+  delete(query) {
+    if (toRange(query) === null) {
+      throw createError('DataError', 'A key or key range is required');
+    }
+
+    return this.write(() => {
+      this.collect(query).map(([key]) => key).forEach(key => {
+        this.transaction.recordWrite(this.data, key);
+        this.data.remove(key);
+      });
+      return undefined;
+    });
+  }
+
+  clear() {
+    return this.write(() => {
+      this.data.entries.map(([key]) => key).forEach(key => {
+        this.transaction.recordWrite(this.data, key);
+        this.data.remove(key);
+      });
+      this.transaction.recordClear(this.data);
+      return undefined;
+    });
+  }
+}
+
+/**
+ * Transaction: runs its requests in order and commits once none are left
+ */
+class MemoryTransaction {
+  constructor(database, storeNames, mode) {
+    this.db = database;
+    this.mode = mode;
+    this.objectStoreNames = createNameList(storeNames);
+    this.error = null;
+    this.oncomplete = null;
+    this.onerror = null;
+    this.onabort = null;
+
+    this.state = 'waiting';
+    this.requests = [];
+    // Previous value per written record, and schema steps to undo on abort
+    this.undo = new Map();
+    this.schemaUndo = [];
+    this.cleared = new Set();
+  }
+
+  objectStore(name) {
+    if (!this.objectStoreNames.contains(name)) {
+      throw createError('NotFoundError', `Object store ${name} is not in the transaction scope`);
+    }
+    return new MemoryObjectStore(this, this.db.stores.get(name));
+  }
+
+  assertActive() {
+    if (this.state === 'committed' || this.state === 'aborted') {
+      throw createError('TransactionInactiveError', 'The transaction has finished');
+    }
+  }
+
+  assertUpgrade() {
+    if (this.mode !== 'versionchange') {
+      throw createError('InvalidStateError', 'The schema can only change in an upgrade transaction');
+    }
+  }
+
+  /**
+   * Add a request to the queue
+   * @param {MemoryRequest} request - Request
+   * @param {Function} operation - () => result; throwing fails the request
+   */
+  queue(request, operation) {
+    this.requests.push({ request, operation });
+    if (this.state === 'running') {
+      this.db.schedule();
+    }
+  }
+
+  /**
+   * Remember the value of a record before its first write
+   * @param {StoreData} store - Store
+   * @param {*} key - Primary key
+   */
+  recordWrite(store, key) {
+    if (!this.undo.has(store)) {
+      this.undo.set(store, []);
+    }
+    this.undo.get(store).push({ key, previous: store.get(key) });
+  }
+
+  recordClear(store) {
+    this.cleared.add(store.name);
+  }
+
+  recordSchemaChange(revert) {
+    this.schemaUndo.push(revert);
+  }
+
+  /**
+   * Run the queued requests
+   */
+  runRequests() {
+    while (this.state === 'running' && this.requests.length > 0) {
+      const { request, operation } = this.requests.shift();
+
+      try {
+        request.result = operation();
+        request.readyState = 'done';
+      } catch (error) {
+        request.readyState = 'done';
+        request.error = error;
+        this.fail(request, error);
+        continue;
+      }
+
+      this.dispatch(request, 'onsuccess', { type: 'success', target: request });
+    }
+  }
+
+  /**
+   * Fire a request's error event; unless it is handled with preventDefault the transaction aborts
+   * @param {MemoryRequest} request - Failed request
+   * @param {Error} error - Error
+   */
+  fail(request, error) {
+    let prevented = false;
+    const event = { type: 'error', target: request, preventDefault: () => { prevented = true; }, stopPropagation: () => {} };
+
+    this.dispatch(request, 'onerror', event);
+    if (!prevented && this.state === 'running') {
+      this.error = error;
+      this.dispatch(this, 'onerror', event);
+      this.abort(error);
+    }
+  }
+
+  /**
+   * Call an event handler; an exception in a handler aborts the transaction
+   * @param {Object} target - Request or transaction
+   * @param {string} handler - Handler property
+   * @param {Object} event - Event
+   */
+  dispatch(target, handler, event) {
+    if (typeof target[handler] !== 'function') {
+      return;
+    }
+    try {
+      target[handler].call(target, event);
+    } catch (error) {
+      if (this.state === 'running') {
+        this.abort(error);
+      }
+    }
+  }
+
+  abort(error = null) {
+    if (this.state === 'committed' || this.state === 'aborted') {
+      throw createError('InvalidStateError', 'The transaction has finished');
+    }
+
+    this.state = 'aborted';
+    this.error = this.error || error || createError('AbortError', 'The transaction was aborted');
+
+    // Undo record writes newest first, then schema changes
+    this.undo.forEach((writes, store) => {
+      writes.reverse().forEach(({ key, previous }) => {
+        if (previous === undefined) {
+          store.remove(key);
+        } else {
+          store.set(key, previous);
+        }
+      });
+    });
+    this.schemaUndo.reverse().forEach(revert => revert());
+
+    const pending = this.requests;
+    this.requests = [];
+    pending.forEach(({ request }) => {
+      request.readyState = 'done';
+      request.error = createError('AbortError', 'The transaction was aborted');
+      if (typeof request.onerror === 'function') {
+        request.onerror({ type: 'error', target: request, preventDefault: () => {}, stopPropagation: () => {} });
+      }
+    });
+
+    if (typeof this.onabort === 'function') {
+      this.onabort({ type: 'abort', target: this });
+    }
+    this.db.finish(this);
+  }
+
+  /**
+   * Commit: report the changed records, then fire complete
+   */
+  commit() {
+    this.state = 'committed';
+
+    if (this.mode !== 'readonly') {
+      const changes = [];
+      this.undo.forEach((writes, store) => {
+        const keys = new Map();
+        writes.forEach(({ key }) => keys.set(getKeyId(key), key));
+
+        const puts = [];
+        const deletes = [];
+        keys.forEach(key => {
+          const value = store.get(key);
+          if (value === undefined) {
+            deletes.push(key);
+          } else {
+            puts.push(value);
+          }
+        });
+        changes.push({ store: store.name, cleared: this.cleared.has(store.name), puts, deletes });
+      });
+
+      this.db.reportCommit(this, changes);
+    }
+
+    if (typeof this.oncomplete === 'function') {
+      this.oncomplete({ type: 'complete', target: this });
+    }
+    this.db.finish(this);
+  }
+}
+
+/**
+ * In-memory database with an IDBDatabase-like interface
+ */
+export class MemoryDatabase {
+  /**
+   * @param {Object} state - Loaded state
+   * @param {string} state.name - Database name
+   * @param {number} state.version - Schema version (0 for a new database)
+   * @param {Object} state.schema - Store definitions: `{[store]: {keyPath, autoIncrement, indexes}}`
+   * @param {Object} state.records - Records per store
+   * @param {Object} [options] - Options
+   * @param {Function} [options.onCommit] - ({version, schema, changes}) => void, after every write transaction
+   */
+  constructor({ name, version = 0, schema = {}, records = {} }, { onCommit = null } = {}) {
+    this.name = name;
+    this.version = version;
+    this.onCommit = onCommit;
+    this.onversionchange = null;
+    this.stores = new Map();
+    this.transactions = [];
+    this.scheduled = false;
+    // Resolved once no transaction is queued (see whenIdle)
+    this.idleWaiters = [];
+
+    Object.entries(schema).forEach(([storeName, definition]) => {
+      const store = new StoreData(storeName, definition);
+      Object.entries(definition.indexes || {}).forEach(([indexName, index]) => {
+        store.indexes.set(indexName, new IndexData(indexName, index.keyPath, index));
+      });
+      store.load(records[storeName] || []);
+      this.stores.set(storeName, store);
+    });
+  }
+
+  get objectStoreNames() {
+    return createNameList(this.stores.keys());
+  }
+
+  transaction(storeNames, mode = 'readonly') {
+    const names = Array.isArray(storeNames) ? storeNames : [storeNames];
+    if (names.length === 0) {
+      throw createError('InvalidAccessError', 'A transaction needs at least one object store');
+    }
+    names.forEach(name => {
+      if (!this.stores.has(name)) {
+        throw createError('NotFoundError', `Object store ${name} does not exist`);
+      }
+    });
+    if (mode !== 'readonly' && mode !== 'readwrite') {
+      throw createError('TypeError', `Invalid transaction mode: ${mode}`);
+    }
+
+    return this.enqueue(new MemoryTransaction(this, [...new Set(names)], mode));
+  }
+
+  /**
+   * Start an upgrade transaction covering every store
+   * @returns {MemoryTransaction} Versionchange transaction
+   */
+  upgradeTransaction() {
+    return this.enqueue(new MemoryTransaction(this, Array.from(this.stores.keys()), 'versionchange'));
+  }
+
+  createObjectStore(name, options = {}) {
+    const transaction = this.transactions[0];
+    if (!transaction || transaction.mode !== 'versionchange' || transaction.state !== 'running') {
+      throw createError('InvalidStateError', 'Object stores can only be created in an upgrade transaction');
+    }
+    if (this.stores.has(name)) {
+      throw createError('ConstraintError', `Object store ${name} already exists`);
+    }
+    // Records are persisted without their keys, so keys must be part of the record
+    if (!options.keyPath) {
+      throw createError('NotSupportedError', `Object store ${name} needs a key path`);
+    }
+
+    const store = new StoreData(name, options);
+    this.stores.set(name, store);
+    transaction.objectStoreNames = createNameList(this.stores.keys());
+    transaction.recordSchemaChange(() => this.stores.delete(name));
+    return transaction.objectStore(name);
+  }
+
+  /**
+   * Get the store definitions
+   * @returns {Object} `{[store]: {keyPath, autoIncrement, indexes}}`
+   */
+  getSchema() {
+    return Object.fromEntries(Array.from(this.stores.values(), store => [store.name, store.getSchema()]));
+  }
+
+  close() {
+    this.closed = true;
+  }
+
+  /**
+   * Wait until every queued transaction has committed or aborted
+   * @returns {Promise<void>}
+   */
+  whenIdle() {
+    if (this.transactions.length === 0) {
+      return Promise.resolve();
+    }
+    return new Promise(resolve => this.idleWaiters.push(resolve));
+  }
+
+  /**
+   * Queue a transaction; the first one in the queue runs
+   * @param {MemoryTransaction} transaction - Transaction
+   * @returns {MemoryTransaction} The transaction
+   */
+  enqueue(transaction) {
+    if (this.closed) {
+      throw createError('InvalidStateError', 'The database connection is closed');
+    }
+
+    this.transactions.push(transaction);
+    if (this.transactions.length === 1) {
+      transaction.state = 'running';
+      // Upgrade callbacks create stores right away, before any request runs
+      this.schedule();
+    }
+    return transaction;
+  }
+
+  /**
+   * Run the current transaction on a later task, so callers can attach handlers first
+   */
+  schedule() {
+    if (this.scheduled) {
+      return;
+    }
+    this.scheduled = true;
+
+    setTimeout(() => {
+      this.scheduled = false;
+      const transaction = this.transactions[0];
+      if (!transaction || transaction.state !== 'running') {
+        return;
+      }
+
+      transaction.runRequests();
+      if (transaction.state !== 'running') {
+        return;
+      }
+
+      // Commit once a full task passes without new requests (handlers may still queue some)
+      setTimeout(() => {
+        if (transaction.state !== 'running') {
+          return;
+        }
+        if (transaction.requests.length > 0) {
+          this.schedule();
+        } else {
+          transaction.commit();
+        }
+      }, 0);
+    }, 0);
+  }
+
+  /**
+   * Remove a finished transaction and start the next one
+   * @param {MemoryTransaction} transaction - Finished transaction
+   */
+  finish(transaction) {
+    this.transactions = this.transactions.filter(queued => queued !== transaction);
+    const next = this.transactions[0];
+    if (next && next.state === 'waiting') {
+      next.state = 'running';
+      this.schedule();
+    }
+
+    if (this.transactions.length === 0) {
+      const waiters = this.idleWaiters;
+      this.idleWaiters = [];
+      waiters.forEach(resolve => resolve());
+    }
+  }
+
+  /**
+   * Pass the changes of a committed write transaction to `onCommit`
+   * @param {MemoryTransaction} transaction - Committed transaction
+   * @param {Array<Object>} changes - `{store, cleared, puts, deletes}` per written store
+   */
+  reportCommit(transaction, changes) {
+    const isUpgrade = transaction.mode === 'versionchange';
+    if (!this.onCommit || (changes.length === 0 && !isUpgrade)) {
+      return;
+    }
+
+    this.onCommit({
+      version: this.version,
+      schema: isUpgrade ? this.getSchema() : null,
+      changes
+    });
+  }
+}
+
+export default MemoryDatabase;
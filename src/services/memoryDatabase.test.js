@@ -0,0 +1,198 @@
+import { MemoryDatabase } from './memoryDatabase';
+
+const SESSIONS = [
+  { id: 'a', date: 1, tags: ['onsite', 'backend'] },
+  { id: 'b', date: 2, tags: ['onsite'] },
+  { id: 'c', date: 2, tags: [] },
+  { id: 'd', date: 2, tags: ['backend'] },
+  { id: 'e', date: 3, tags: [] }
+];
+
+/**
+ * Database with a sessions store indexed by date and by tag
+ * @param {Function} [onCommit] - Commit listener
+ * @returns {MemoryDatabase} Database
+ */
+const createDatabase = (onCommit = null) => new MemoryDatabase({
+  name: 'test',
+  version: 1,
+  schema: {
+    sessions: {
+      keyPath: 'id',
+      indexes: {
+        date: { keyPath: 'date' },
+        tags: { keyPath: 'tags', multiEntry: true }
+      }
+    }
+  },
+  records: { sessions: SESSIONS }
+}, { onCommit });
+
+/**
+ * Wait for a request
+ * @param {Object} request - Request
+ * @returns {Promise<*>} Request result
+ */
+const toPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+/**
+ * Walk a cursor, letting `move` decide how it continues
+ * @param {Object} request - Cursor request
+ * @param {Function} [move] - (cursor, visited) => boolean; return true once the cursor was moved
+ * @returns {Promise<Array>} `[key, primaryKey]` per visited record
+ */
+const walk = (request, move = () => false) => new Promise((resolve, reject) => {
+  const visited = [];
+  request.onsuccess = () => {
+    const cursor = request.result;
+    if (!cursor) {
+      resolve(visited);
+      return;
+    }
+    visited.push([cursor.key, cursor.primaryKey]);
+    if (!move(cursor, visited)) {
+      cursor.continue();
+    }
+  };
+  request.onerror = () => reject(request.error);
+});
+
+/**
+ * Wait for a transaction to finish
+ * @param {Object} transaction - Transaction
+ * @returns {Promise<string>} 'complete' or 'abort'
+ */
+const whenDone = (transaction) => new Promise(resolve => {
+  transaction.oncomplete = () => resolve('complete');
+  transaction.onabort = () => resolve('abort');
+});
+
+/**
+ * Read every session ID
+ * @param {MemoryDatabase} db - Database
+ * @returns {Promise<Array<string>>} IDs in key order
+ */
+const getIds = (db) => toPromise(db.transaction(['sessions']).objectStore('sessions').getAllKeys());
+
+describe('MemoryDatabase', () => {
+  describe('cursors', () => {
+    it('moves an index cursor to a key and primary key', async () => {
+      const db = createDatabase();
+      const index = db.transaction(['sessions']).objectStore('sessions').index('date');
+      const resume = (cursor, visited) => {
+        if (visited.length === 1) {
+          cursor.continuePrimaryKey(2, 'c');
+          return true;
+        }
+        return false;
+      };
+
+      expect(await walk(index.openCursor(null, 'next'), resume)).toEqual([[1, 'a'], [2, 'c'], [2, 'd'], [3, 'e']]);
+      expect(await walk(index.openCursor(null, 'prev'), resume)).toEqual([[3, 'e'], [2, 'c'], [2, 'b'], [1, 'a']]);
+    });
+
+    it('visits the first record of each key in the unique directions', async () => {
+      const db = createDatabase();
+      const store = db.transaction(['sessions']).objectStore('sessions');
+
+      expect(await walk(store.index('date').openCursor(null, 'nextunique'))).toEqual([[1, 'a'], [2, 'b'], [3, 'e']]);
+      expect(await walk(store.index('date').openKeyCursor(null, 'prevunique'))).toEqual([[3, 'e'], [2, 'b'], [1, 'a']]);
+      expect(await walk(store.index('tags').openCursor(null, 'nextunique'))).toEqual([['backend', 'a'], ['onsite', 'a']]);
+    });
+
+    it('keeps cursors within a key range', async () => {
+      const db = createDatabase();
+      const index = db.transaction(['sessions']).objectStore('sessions').index('date');
+
+      expect(await walk(index.openCursor(IDBKeyRange.lowerBound(2, true)))).toEqual([[3, 'e']]);
+      expect(await walk(index.openCursor(IDBKeyRange.upperBound(2), 'prev'))).toEqual([[2, 'd'], [2, 'c'], [2, 'b'], [1, 'a']]);
+      expect(await toPromise(index.count(2))).toBe(3);
+      expect((await toPromise(index.getAll(IDBKeyRange.bound(1, 2, true)))).map(session => session.id)).toEqual(['b', 'c', 'd']);
+    });
+
+    it('updates and deletes through a cursor and reports the changes', async () => {
+      const onCommit = jest.fn();
+      const db = createDatabase(onCommit);
+      const transaction = db.transaction(['sessions'], 'readwrite');
+      const done = whenDone(transaction);
+      const request = transaction.objectStore('sessions').index('date').openCursor(2);
+
+      await walk(request, (cursor) => {
+        if (cursor.primaryKey === 'c') {
+          cursor.update({ ...cursor.value, date: 4 });
+        } else {
+          cursor.delete();
+        }
+        return false;
+      });
+
+      expect(await done).toBe('complete');
+      expect(await getIds(db)).toEqual(['a', 'c', 'e']);
+      expect(onCommit).toHaveBeenCalledWith({
+        version: 1,
+        schema: null,
+        changes: [{ store: 'sessions', cleared: false, puts: [{ id: 'c', date: 4, tags: [] }], deletes: ['b', 'd'] }]
+      });
+    });
+  });
+
+  describe('aborts', () => {
+    it('rolls back the writes of an aborted transaction, indexes included', async () => {
+      const onCommit = jest.fn();
+      const db = createDatabase(onCommit);
+      const transaction = db.transaction(['sessions'], 'readwrite');
+      const done = whenDone(transaction);
+      const store = transaction.objectStore('sessions');
+
+      store.put({ id: 'f', date: 1, tags: [] });
+      store.put({ id: 'a', date: 9, tags: [] });
+      store.delete('b');
+      await toPromise(store.count());
+      transaction.abort();
+
+      expect(await done).toBe('abort');
+      expect(transaction.error.name).toBe('AbortError');
+      expect(await getIds(db)).toEqual(['a', 'b', 'c', 'd', 'e']);
+      const index = db.transaction(['sessions']).objectStore('sessions').index('date');
+      expect(await toPromise(index.getAllKeys(1))).toEqual(['a']);
+      expect(await toPromise(index.count(2))).toBe(3);
+      expect(onCommit).not.toHaveBeenCalled();
+    });
+
+    it('aborts on a failed request unless its error is prevented', async () => {
+      const db = createDatabase();
+
+      const failed = db.transaction(['sessions'], 'readwrite');
+      const failedDone = whenDone(failed);
+      failed.objectStore('sessions').put({ id: 'f', date: 1, tags: [] });
+      failed.objectStore('sessions').add({ id: 'a', date: 1, tags: [] });
+      expect(await failedDone).toBe('abort');
+      expect(failed.error.name).toBe('ConstraintError');
+
+      const handled = db.transaction(['sessions'], 'readwrite');
+      const handledDone = whenDone(handled);
+      handled.objectStore('sessions').put({ id: 'g', date: 1, tags: [] });
+      handled.objectStore('sessions').add({ id: 'a', date: 1, tags: [] }).onerror = (event) => event.preventDefault();
+      expect(await handledDone).toBe('complete');
+
+      expect(await getIds(db)).toEqual(['a', 'b', 'c', 'd', 'e', 'g']);
+    });
+
+    it('undoes the schema changes of an aborted upgrade', async () => {
+      const db = createDatabase();
+      const transaction = db.upgradeTransaction();
+      const done = whenDone(transaction);
+
+      db.createObjectStore('notes', { keyPath: 'id' });
+      transaction.objectStore('sessions').createIndex('title', 'title');
+      transaction.abort();
+
+      expect(await done).toBe('abort');
+      expect(Array.from(db.objectStoreNames)).toEqual(['sessions']);
+      expect(Object.keys(db.getSchema().sessions.indexes)).toEqual(['date', 'tags']);
+    });
+  });
+});
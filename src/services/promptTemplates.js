@@ -0,0 +1,390 @@
+/**
+ * Prompt templates - The prompts AIService sends for summaries
+ *
+ * A template has a summarization prompt (a fresh summary of a transcript) and
+ * an incremental update prompt (an existing summary updated with new
+ * transcript content). Prompts hold `{{variable}}` placeholders that are
+ * filled in when a prompt is built:
+ *
+ * - `{{transcript}}` - the transcript text to summarize
+ * - `{{previousSummary}}` - the summary being updated (update prompt only)
+ * - `{{glossary}}` - names and terms the model should spell as given
+ *
+ * Built-in templates are presets for common meeting types and cannot be
+ * edited; user templates are kept in the StorageService settings and get a new
+ * version whenever their prompts change. Every summary records the id and
+ * version of the template that produced it.
+ *
+ * Whatever the meeting type, the model must answer with the JSON structure
+ * AIService parses (content, keyPoints, decisions, actionItems, quotes and
+ * topics); presets change what goes into those fields.
+ */
+
+export const TEMPLATE_VARIABLES = {
+  TRANSCRIPT: 'transcript',
+  PREVIOUS_SUMMARY: 'previousSummary',
+  GLOSSARY: 'glossary'
+};
+
+export const DEFAULT_TEMPLATE_ID = 'general';
+
+// Matches `{{ name }}`
+const VARIABLE_PATTERN = /\{\{\s*([A-Za-z]+)\s*\}\}/g;
+
+const GLOSSARY_SECTION = `GLOSSARY (spell these names and terms exactly as listed):
+{{glossary}}`;
+
+const SUMMARY_FORMAT = `FORMAT REQUIREMENTS:
+Respond with valid JSON in this exact structure:
+{
+  "content": "Main summary text (exactly 150-200 words)",
+  "keyPoints": ["Specific discussion point 1", "Specific discussion point 2", "Specific discussion point 3"],
+  "decisions": ["Concrete decision 1", "Concrete decision 2"],
+  "actionItems": ["Specific action with context", "Another actionable item"],
+  "quotes": ["Important statement without speaker attribution", "Key insight or decision quote"],
+  "topics": [
+    {
+      "name": "Topic Name 1",
+      "points": ["Point related to this topic", "Another point for this topic"]
+    },
+    {
+      "name": "Topic Name 2",
+      "points": ["Point for topic 2", "Another point for topic 2"]
+    }
+  ]
+}`;
+
+const UPDATE_FORMAT = `Respond with updated JSON in this exact structure:
+{
+  "content": "Updated summary text (150-200 words)",
+  "keyPoints": ["Updated list of key points"],
+  "decisions": ["Updated list of decisions"],
+  "actionItems": ["Updated list of action items"],
+  "quotes": ["Updated list of important quotes"],
+  "topics": [
+    {
+      "name": "Topic Name",
+      "points": ["Points for this topic"]
+    }
+  ]
+}`;
+
+/**
+ * Build the summarization prompt of a preset
+ * @param {Object} parts - Prompt parts
+ * @param {string} parts.role - Role line
+ * @param {string} parts.context - Context line
+ * @param {string} parts.instructions - Meeting-type instructions
+ * @returns {string} Prompt
+ */
+const buildPresetSummarization = ({ role, context, instructions }) => `
+Role: ${role}
+Task: Analyze this transcript segment and create a structured, intelligent summary.
+Context: ${context}
+
+${instructions}
+
+${GLOSSARY_SECTION}
+
+${SUMMARY_FORMAT}
+
+Transcript segment to analyze:
+"{{transcript}}"
+
+Provide only the JSON response without markdown formatting or additional commentary.`;
+
+/**
+ * Build the incremental update prompt of a preset
+ * @param {Object} parts - Prompt parts
+ * @param {string} parts.role - Role line
+ * @param {string} parts.requirements - Meeting-type update requirements
+ * @returns {string} Prompt
+ */
+const buildPresetIncrementalUpdate = ({ role, requirements }) => `
+Role: ${role}
+Task: Update the existing summary with new transcript content while maintaining coherence.
+Context: This is an incremental update to an ongoing summary.
+
+PREVIOUS SUMMARY:
+{{previousSummary}}
+
+NEW TRANSCRIPT CONTENT:
+"{{transcript}}"
+
+${GLOSSARY_SECTION}
+
+REQUIREMENTS:
+${requirements}
+
+${UPDATE_FORMAT}
+
+Provide only the JSON response without additional commentary.`;
+
+/**
+ * Presets shipped with the app
+ */
+export const BUILT_IN_TEMPLATES = [
+  {
+    id: DEFAULT_TEMPLATE_ID,
+    name: 'General meeting',
+    meetingType: 'general',
+    version: 1,
+    builtIn: true,
+    summarization: `
+Role: You are an expert meeting summarizer and note-taker specializing in real-time meeting analysis.
+Task: Analyze this meeting transcript segment and create a structured, intelligent summary.
+Context: This is a real-time transcript from an online meeting without speaker attribution.
+
+CRITICAL REQUIREMENTS:
+1. Create a concise summary (150-200 words maximum) - this is strictly enforced
+2. Identify key discussion points, decisions made, and action items with high accuracy
+3. Automatically segment discussions into topic-based sections for better organization
+4. Extract important quotes and insights WITHOUT any speaker attribution or names
+5. Focus on content substance rather than conversational flow
+6. Use clear, professional language suitable for business documentation
+
+TOPIC SEGMENTATION INSTRUCTIONS:
+- Analyze the conversation flow to identify distinct discussion topics
+- Group related points under logical topic headings
+- Identify transitions between different subjects or themes
+- Create coherent topic-based organization of the content
+
+QUOTE EXTRACTION GUIDELINES:
+- Extract verbatim important statements, decisions, or insights
+- Remove any speaker names or identifiers from quotes
+- Focus on substantive content rather than casual conversation
+- Prioritize quotes that contain key decisions, insights, or important information
+
+${GLOSSARY_SECTION}
+
+${SUMMARY_FORMAT}
+
+Transcript segment to analyze:
+"{{transcript}}"
+
+Provide only the JSON response without markdown formatting or additional commentary.`,
+    incrementalUpdate: `
+Role: You are an expert meeting summarizer updating a real-time summary.
+Task: Update the existing summary with new transcript content while maintaining coherence.
+Context: This is an incremental update to an ongoing meeting summary.
+
+PREVIOUS SUMMARY:
+{{previousSummary}}
+
+NEW TRANSCRIPT CONTENT:
+"{{transcript}}"
+
+${GLOSSARY_SECTION}
+
+REQUIREMENTS:
+1. Update the summary to incorporate new information (maintain 150-200 words)
+2. Merge new key points with existing ones, avoiding duplicates
+3. Add any new decisions or action items identified
+4. Include new important quotes (without speaker attribution)
+5. Update topic segmentation if new topics emerge
+6. Maintain coherent narrative flow
+
+${UPDATE_FORMAT}
+
+Provide only the JSON response without additional commentary.`
+  },
+  {
+    id: 'technical-interview',
+    name: 'Technical interview',
+    meetingType: 'technical-interview',
+    version: 1,
+    builtIn: true,
+    summarization: buildPresetSummarization({
+      role: 'You are an experienced engineering interviewer writing notes on a technical interview.',
+      context: 'This is a real-time transcript of a technical interview without speaker attribution.',
+      instructions: `CRITICAL REQUIREMENTS:
+1. Create a concise summary (150-200 words maximum) of the problems posed and how the candidate approached them
+2. Record evidence of problem solving, coding, system design and communication, not impressions
+3. Note where the candidate needed hints, corrected themselves or missed edge cases
+4. Keep a neutral tone; do not make a hiring recommendation
+
+FIELD INSTRUCTIONS:
+- keyPoints: observed strengths and concerns, each tied to something the candidate said or did
+- decisions: technical choices the candidate made and the trade-offs they gave (data structures, complexity, design)
+- actionItems: follow-up questions or areas for the next interviewer to probe
+- quotes: verbatim explanations that show the candidate's reasoning, without speaker names
+- topics: one topic per interview question or exercise, with the points covered in it`
+    }),
+    incrementalUpdate: buildPresetIncrementalUpdate({
+      role: 'You are an experienced engineering interviewer updating notes on a technical interview.',
+      requirements: `1. Update the summary to incorporate the new part of the interview (maintain 150-200 words)
+2. Add new strengths and concerns to keyPoints, each tied to observed evidence, avoiding duplicates
+3. Add the technical choices and trade-offs the candidate made to decisions
+4. Add follow-up questions for later interviewers to actionItems
+5. Start a new topic when a new question or exercise begins
+6. Keep a neutral tone; do not make a hiring recommendation`
+    })
+  },
+  {
+    id: 'behavioral-interview',
+    name: 'Behavioral interview',
+    meetingType: 'behavioral-interview',
+    version: 1,
+    builtIn: true,
+    summarization: buildPresetSummarization({
+      role: 'You are an experienced interviewer writing notes on a behavioral interview.',
+      context: 'This is a real-time transcript of a behavioral interview without speaker attribution.',
+      instructions: `CRITICAL REQUIREMENTS:
+1. Create a concise summary (150-200 words maximum) of the experiences the candidate described
+2. Capture each story as situation, task, action and result (STAR), noting any part that was missing
+3. Separate what the candidate did personally from what their team did
+4. Keep a neutral tone; do not make a hiring recommendation
+
+FIELD INSTRUCTIONS:
+- keyPoints: competencies shown (ownership, collaboration, conflict handling, learning), each with its evidence
+- decisions: decisions the candidate made in their stories and the reasons they gave
+- actionItems: gaps in the stories or competencies for the next interviewer to probe
+- quotes: verbatim statements that show the candidate's judgement or values, without speaker names
+- topics: one topic per question or story, with its situation, action and result as points`
+    }),
+    incrementalUpdate: buildPresetIncrementalUpdate({
+      role: 'You are an experienced interviewer updating notes on a behavioral interview.',
+      requirements: `1. Update the summary to incorporate the new part of the interview (maintain 150-200 words)
+2. Add newly shown competencies and their evidence to keyPoints, avoiding duplicates
+3. Complete the situation, action and result of stories that continue in the new content
+4. Add gaps to probe to actionItems
+5. Start a new topic when a new question or story begins
+6. Keep a neutral tone; do not make a hiring recommendation`
+    })
+  },
+  {
+    id: 'hiring-debrief',
+    name: 'Hiring debrief',
+    meetingType: 'hiring-debrief',
+    version: 1,
+    builtIn: true,
+    summarization: buildPresetSummarization({
+      role: 'You are a recruiting coordinator taking notes in a hiring debrief.',
+      context: 'This is a real-time transcript of a hiring committee discussing a candidate, without speaker attribution.',
+      instructions: `CRITICAL REQUIREMENTS:
+1. Create a concise summary (150-200 words maximum) of the panel's assessment of the candidate
+2. Keep each interviewer's signal distinct without naming interviewers
+3. Record where the panel agreed and where it disagreed, with the evidence given
+4. Record the outcome only if the panel reached one
+
+FIELD INSTRUCTIONS:
+- keyPoints: signals raised about the candidate (strengths, concerns, level), each with its evidence
+- decisions: the hiring decision, level or role, and any conditions, as stated by the panel
+- actionItems: follow-ups such as reference checks, extra interviews, offer details, with owners if stated
+- quotes: verbatim statements that explain the panel's reasoning, without speaker names
+- topics: one topic per area discussed (e.g. technical skills, collaboration, level), with the points raised`
+    }),
+    incrementalUpdate: buildPresetIncrementalUpdate({
+      role: 'You are a recruiting coordinator updating notes from a hiring debrief.',
+      requirements: `1. Update the summary to incorporate the new discussion (maintain 150-200 words)
+2. Add new signals and their evidence to keyPoints, avoiding duplicates
+3. Update decisions only with outcomes the panel stated
+4. Add new follow-ups to actionItems
+5. Note where the new discussion changed an earlier assessment
+6. Keep interviewers unnamed`
+    })
+  }
+];
+
+/**
+ * Find a built-in template by id
+ * @param {string} id - Template id
+ * @returns {Object|null} Template
+ */
+export const getBuiltInTemplate = (id) => BUILT_IN_TEMPLATES.find(template => template.id === id) || null;
+
+/**
+ * List the variables a prompt uses
+ * @param {string} text - Prompt
+ * @returns {Array<string>} Variable names, once each
+ */
+export const getTemplateVariables = (text) => [
+  ...new Set(Array.from(String(text || '').matchAll(VARIABLE_PATTERN), match => match[1]))
+];
+
+/**
+ * Fill in the variables of a prompt; unknown variables are left as they are
+ * @param {string} text - Prompt
+ * @param {Object} values - Values by variable name
+ * @returns {string} Prompt
+ */
+export const renderTemplate = (text, values = {}) => String(text || '').replace(
+  VARIABLE_PATTERN,
+  (placeholder, name) => (values[name] !== undefined && values[name] !== null ? String(values[name]) : placeholder)
+);
+
+/**
+ * Check a template before it is saved
+ * @param {Object} template - Template
+ * @returns {Array<string>} Problems found; empty when the template is valid
+ */
+export const validateTemplate = (template) => {
+  const errors = [];
+  if (!template || typeof template !== 'object') {
+    return ['Template is missing'];
+  }
+
+  if (!String(template.name || '').trim()) {
+    errors.push('Template name is required');
+  }
+
+  const known = Object.values(TEMPLATE_VARIABLES);
+  const prompts = [
+    ['summarization', 'Summarization prompt', [TEMPLATE_VARIABLES.TRANSCRIPT]],
+    ['incrementalUpdate', 'Incremental update prompt', [TEMPLATE_VARIABLES.TRANSCRIPT, TEMPLATE_VARIABLES.PREVIOUS_SUMMARY]]
+  ];
+
+  prompts.forEach(([field, label, required]) => {
+    const text = template[field];
+    if (!String(text || '').trim()) {
+      errors.push(`${label} is required`);
+      return;
+    }
+
+    const variables = getTemplateVariables(text);
+    required
+      .filter(name => !variables.includes(name))
+      .forEach(name => errors.push(`${label} must contain {{${name}}}`));
+    variables
+      .filter(name => !known.includes(name))
+      .forEach(name => errors.push(`${label} uses unknown variable {{${name}}}`));
+  });
+
+  return errors;
+};
+
+/**
+ * Format a summary as the `{{previousSummary}}` of an update prompt
+ * @param {Object} summary - Summary
+ * @returns {string} Summary text
+ */
+export const formatPreviousSummary = (summary = {}) => [
+  `Content: "${summary.content || ''}"`,
+  `Key Points: ${JSON.stringify(summary.keyPoints || [])}`,
+  `Decisions: ${JSON.stringify(summary.decisions || [])}`,
+  `Action Items: ${JSON.stringify(summary.actionItems || [])}`,
+  `Quotes: ${JSON.stringify(summary.quotes || [])}`,
+  `Topics: ${JSON.stringify(summary.topics || [])}`
+].join('\n');
+
+/**
+ * Format glossary terms as the `{{glossary}}` of a prompt
+ * @param {Array<string>|string} glossary - Terms, as a list or one per line
+ * @returns {string} Glossary text
+ */
+export const formatGlossary = (glossary) => {
+  const terms = (Array.isArray(glossary) ? glossary : String(glossary || '').split('\n'))
+    .map(term => String(term).trim())
+    .filter(Boolean);
+
+  return terms.length > 0 ? terms.map(term => `- ${term}`).join('\n') : 'None';
+};
+
+/**
+ * Reference to a template, as recorded on the summaries it produced
+ * @param {Object} template - Template
+ * @returns {Object|null} `{id, version, name}`
+ */
+export const getTemplateReference = (template) => (
+  template ? { id: template.id, version: template.version, name: template.name } : null
+);
@@ -0,0 +1,64 @@
+import {
+  BUILT_IN_TEMPLATES,
+  DEFAULT_TEMPLATE_ID,
+  formatGlossary,
+  getBuiltInTemplate,
+  getTemplateReference,
+  getTemplateVariables,
+  renderTemplate,
+  validateTemplate
+} from './promptTemplates';
+
+const TEMPLATE = {
+  name: 'Acme loop',
+  summarization: 'Summarize:\n{{transcript}}\n{{glossary}}',
+  incrementalUpdate: 'Update {{ previousSummary }} with:\n{{transcript}}'
+};
+
+describe('prompt templates', () => {
+  it('fills in variables and leaves unknown or missing ones as they are', () => {
+    expect(renderTemplate('Summarize {{ transcript }} then {{transcript}}', { transcript: 'Hello' }))
+      .toBe('Summarize Hello then Hello');
+    expect(renderTemplate('{{transcript}} {{speaker}} {{glossary}}', { transcript: 0, glossary: null }))
+      .toBe('0 {{speaker}} {{glossary}}');
+    expect(renderTemplate(null, { transcript: 'Hello' })).toBe('');
+  });
+
+  it('lists the variables a prompt uses once each', () => {
+    expect(getTemplateVariables(TEMPLATE.incrementalUpdate)).toEqual(['previousSummary', 'transcript']);
+    expect(getTemplateVariables('{{transcript}} {{ transcript }}')).toEqual(['transcript']);
+  });
+
+  it('accepts a template with the required variables', () => {
+    expect(validateTemplate(TEMPLATE)).toEqual([]);
+    BUILT_IN_TEMPLATES.forEach(template => expect(validateTemplate(template)).toEqual([]));
+    expect(getBuiltInTemplate(DEFAULT_TEMPLATE_ID)).not.toBeNull();
+  });
+
+  it('lists every problem of an invalid template', () => {
+    expect(validateTemplate({
+      name: ' ',
+      summarization: 'Summarize {{transcipt}}',
+      incrementalUpdate: 'Update with {{transcript}}'
+    })).toEqual([
+      'Template name is required',
+      'Summarization prompt must contain {{transcript}}',
+      'Summarization prompt uses unknown variable {{transcipt}}',
+      'Incremental update prompt must contain {{previousSummary}}'
+    ]);
+    expect(validateTemplate({ ...TEMPLATE, summarization: '' })).toEqual(['Summarization prompt is required']);
+    expect(validateTemplate(null)).toEqual(['Template is missing']);
+  });
+
+  it('formats the glossary from a list or from lines', () => {
+    expect(formatGlossary(['Jane Doe', ' ', 'Acme'])).toBe('- Jane Doe\n- Acme');
+    expect(formatGlossary('Jane Doe\n\nAcme\n')).toBe('- Jane Doe\n- Acme');
+    expect(formatGlossary([])).toBe('None');
+  });
+
+  it('refers to a template by id, version and name', () => {
+    expect(getTemplateReference({ ...TEMPLATE, id: 'template_1', version: 3, builtIn: false }))
+      .toEqual({ id: 'template_1', version: 3, name: 'Acme loop' });
+    expect(getTemplateReference(null)).toBeNull();
+  });
+});
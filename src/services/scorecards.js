@@ -0,0 +1,237 @@
+/**
+ * Scorecards - Interview scorecards against a competency rubric
+ *
+ * A rubric lists the competencies an interview assesses, each rated on a
+ * scale of numbered levels. The rubric's scale applies to every competency
+ * that does not define its own.
+ *
+ * AIService.generateScorecard suggests a rating per competency with the
+ * evidence quotes behind it and the signals the interview did not cover. The
+ * interviewer then accepts each suggestion or overrides it; `rating` holds
+ * the decided value and `ratingSource` how it was decided. A scorecard keeps a
+ * copy of its rubric, so later changes to the rubric do not affect it.
+ */
+
+export const RATING_SOURCES = {
+  ACCEPTED: 'accepted',
+  OVERRIDDEN: 'overridden'
+};
+
+export const DEFAULT_RATING_SCALE = [
+  { value: 1, label: 'Strong no' },
+  { value: 2, label: 'No' },
+  { value: 3, label: 'Yes' },
+  { value: 4, label: 'Strong yes' }
+];
+
+/**
+ * Rubric used until the user saves their own
+ */
+export const DEFAULT_RUBRIC = {
+  id: 'software-engineer',
+  name: 'Software engineer',
+  scale: DEFAULT_RATING_SCALE,
+  competencies: [
+    {
+      id: 'problem-solving',
+      name: 'Problem solving',
+      description: 'Breaks down the problem, explores approaches and reasons about trade-offs and complexity'
+    },
+    {
+      id: 'coding',
+      name: 'Coding',
+      description: 'Writes correct, readable code, handles edge cases and tests their solution'
+    },
+    {
+      id: 'system-design',
+      name: 'System design',
+      description: 'Designs components, data flow and storage that meet the requirements and scale'
+    },
+    {
+      id: 'communication',
+      name: 'Communication',
+      description: 'Explains their thinking clearly, asks clarifying questions and responds to hints'
+    },
+    {
+      id: 'collaboration',
+      name: 'Collaboration',
+      description: 'Works with others, handles disagreement and shares ownership of outcomes'
+    }
+  ]
+};
+
+/**
+ * Get the rating scale of a competency
+ * @param {Object} rubric - Rubric
+ * @param {Object} competency - Competency of the rubric
+ * @returns {Array<Object>} Scale levels `{value, label}`
+ */
+export const getCompetencyScale = (rubric, competency) => (
+  (competency && competency.scale) || rubric.scale || DEFAULT_RATING_SCALE
+);
+
+/**
+ * Check a rubric before it is used or saved
+ * @param {Object} rubric - Rubric
+ * @returns {Array<string>} Problems found; empty when the rubric is valid
+ */
+export const validateRubric = (rubric) => {
+  if (!rubric || typeof rubric !== 'object') {
+    return ['Rubric is missing'];
+  }
+
+  const errors = [];
+  if (!String(rubric.name || '').trim()) {
+    errors.push('Rubric name is required');
+  }
+
+  const checkScale = (scale, label) => {
+    if (!Array.isArray(scale) || scale.length < 2) {
+      errors.push(`${label} needs at least two levels`);
+      return;
+    }
+    if (scale.some(level => !level || !Number.isFinite(level.value) || !String(level.label || '').trim())) {
+      errors.push(`${label} levels need a numeric value and a label`);
+    }
+    if (new Set(scale.map(level => level && level.value)).size !== scale.length) {
+      errors.push(`${label} has repeated values`);
+    }
+  };
+
+  if (rubric.scale !== undefined) {
+    checkScale(rubric.scale, 'Rating scale');
+  }
+
+  if (!Array.isArray(rubric.competencies) || rubric.competencies.length === 0) {
+    errors.push('Rubric needs at least one competency');
+    return errors;
+  }
+
+  const ids = new Set();
+  rubric.competencies.forEach((competency, index) => {
+    const label = `Competency ${index + 1}`;
+    if (!competency || !String(competency.id || '').trim() || !String(competency.name || '').trim()) {
+      errors.push(`${label} needs an id and a name`);
+      return;
+    }
+    if (ids.has(competency.id)) {
+      errors.push(`${label} repeats the id "${competency.id}"`);
+    }
+    ids.add(competency.id);
+
+    if (competency.scale !== undefined) {
+      checkScale(competency.scale, `Rating scale of ${competency.name}`);
+    }
+  });
+
+  return errors;
+};
+
+/**
+ * Keep the non-empty strings of a list, each once
+ * @param {*} items - List from the model
+ * @returns {Array<string>} Strings
+ */
+const toStringList = (items) => Array.from(new Set((Array.isArray(items) ? items : [])
+  .filter(item => typeof item === 'string')
+  .map(item => item.trim())
+  .filter(Boolean)));
+
+/**
+ * Turn the model's scorecard into one entry per competency of the rubric, in
+ * rubric order. Ratings outside the competency's scale are dropped and
+ * competencies the model left out are listed without a suggestion.
+ * @param {Object} parsed - Parsed model response `{competencies: [...]}`
+ * @param {Object} rubric - Rubric the scorecard was generated for
+ * @returns {Array<Object>} `{competencyId, name, suggestedRating, rationale, evidence, missingSignals, rating, ratingSource}`
+ */
+export const normalizeScorecardCompetencies = (parsed, rubric) => {
+  const entries = parsed && Array.isArray(parsed.competencies) ? parsed.competencies : [];
+
+  return rubric.competencies.map(competency => {
+    const entry = entries.find(item => item && (item.id === competency.id || item.competencyId === competency.id)) ||
+      entries.find(item => item && typeof item.name === 'string' && item.name.trim().toLowerCase() === competency.name.toLowerCase()) ||
+      {};
+    const suggestedRating = Number(entry.rating);
+    const inScale = getCompetencyScale(rubric, competency).some(level => level.value === suggestedRating);
+
+    return {
+      competencyId: competency.id,
+      name: competency.name,
+      suggestedRating: entry.rating !== null && inScale ? suggestedRating : null,
+      rationale: typeof entry.rationale === 'string' ? entry.rationale.trim() : '',
+      evidence: toStringList(entry.evidence),
+      missingSignals: toStringList(entry.missingSignals),
+      rating: null,
+      ratingSource: null
+    };
+  });
+};
+
+/**
+ * Decide the rating of a competency
+ * @param {Object} scorecard - Scorecard, with the rubric it was generated for
+ * @param {string} competencyId - Competency ID
+ * @param {number|null} rating - Rating on the competency's scale, or null to undo the decision
+ * @returns {Object} Updated scorecard
+ */
+export const setCompetencyRating = (scorecard, competencyId, rating) => {
+  const competency = scorecard.rubric.competencies.find(item => item.id === competencyId);
+  if (!competency) {
+    throw new Error(`Competency not in scorecard: ${competencyId}`);
+  }
+  if (rating !== null && !getCompetencyScale(scorecard.rubric, competency).some(level => level.value === rating)) {
+    throw new Error(`Rating ${rating} is not on the scale of ${competency.name}`);
+  }
+
+  return {
+    ...scorecard,
+    updatedAt: Date.now(),
+    competencies: scorecard.competencies.map(entry => {
+      if (entry.competencyId !== competencyId) {
+        return entry;
+      }
+      if (rating === null) {
+        return { ...entry, rating: null, ratingSource: null };
+      }
+      return {
+        ...entry,
+        rating,
+        ratingSource: rating === entry.suggestedRating ? RATING_SOURCES.ACCEPTED : RATING_SOURCES.OVERRIDDEN
+      };
+    })
+  };
+};
+
+/**
+ * Keep the interviewer's ratings when a scorecard is generated again
+ * @param {Object} scorecard - New scorecard
+ * @param {Object|null} previous - Scorecard it replaces
+ * @returns {Object} New scorecard with the ratings of competencies already decided
+ */
+export const carryOverRatings = (scorecard, previous) => {
+  if (!previous) {
+    return scorecard;
+  }
+
+  return previous.competencies
+    .filter(entry => entry.rating !== null)
+    .reduce((updated, entry) => {
+      try {
+        return setCompetencyRating(updated, entry.competencyId, entry.rating);
+      } catch (error) {
+        // The competency or its rating is no longer in the rubric
+        return updated;
+      }
+    }, scorecard);
+};
+
+/**
+ * Count the competencies the interviewer has decided
+ * @param {Object} scorecard - Scorecard
+ * @returns {Object} `{decided, total}`
+ */
+export const getScorecardProgress = (scorecard) => ({
+  decided: scorecard.competencies.filter(entry => entry.rating !== null).length,
+  total: scorecard.competencies.length
+});
@@ -0,0 +1,149 @@
+import {
+  DEFAULT_RUBRIC,
+  RATING_SOURCES,
+  carryOverRatings,
+  normalizeScorecardCompetencies,
+  setCompetencyRating,
+  validateRubric
+} from './scorecards';
+
+const RUBRIC = {
+  id: 'backend',
+  name: 'Backend',
+  scale: [
+    { value: 1, label: 'No' },
+    { value: 2, label: 'Yes' }
+  ],
+  competencies: [
+    { id: 'coding', name: 'Coding' },
+    {
+      id: 'design',
+      name: 'System design',
+      scale: [
+        { value: 1, label: 'Weak' },
+        { value: 2, label: 'Fair' },
+        { value: 3, label: 'Strong' }
+      ]
+    }
+  ]
+};
+
+/**
+ * Scorecard for RUBRIC from a model response
+ * @param {Array<Object>} competencies - Competencies as the model returned them
+ * @returns {Object} Scorecard
+ */
+const createScorecard = (competencies) => ({
+  rubric: RUBRIC,
+  competencies: normalizeScorecardCompetencies({ competencies }, RUBRIC)
+});
+
+describe('normalizeScorecardCompetencies', () => {
+  it('keeps ratings on the scale of each competency and drops the rest', () => {
+    const entries = normalizeScorecardCompetencies({
+      competencies: [
+        { id: 'coding', rating: 3 },
+        { id: 'design', rating: '3' }
+      ]
+    }, RUBRIC);
+
+    expect(entries.map(entry => entry.suggestedRating)).toEqual([null, 3]);
+
+    const outOfScale = normalizeScorecardCompetencies({
+      competencies: [
+        { id: 'coding', rating: 0 },
+        { id: 'design', rating: 2.5 }
+      ]
+    }, RUBRIC);
+    expect(outOfScale.map(entry => entry.suggestedRating)).toEqual([null, null]);
+    expect(normalizeScorecardCompetencies({ competencies: [{ id: 'coding', rating: null }] }, RUBRIC)[0].suggestedRating).toBeNull();
+  });
+
+  it('ignores unknown competencies and lists missing ones in rubric order', () => {
+    const entries = normalizeScorecardCompetencies({
+      competencies: [
+        { id: 'leadership', rating: 2, rationale: 'Led the project' },
+        { name: ' system design ', rating: 1, rationale: ' Skipped storage ' },
+        { competencyId: 'coding', rating: 2 }
+      ]
+    }, RUBRIC);
+
+    expect(entries).toEqual([
+      {
+        competencyId: 'coding',
+        name: 'Coding',
+        suggestedRating: 2,
+        rationale: '',
+        evidence: [],
+        missingSignals: [],
+        rating: null,
+        ratingSource: null
+      },
+      {
+        competencyId: 'design',
+        name: 'System design',
+        suggestedRating: 1,
+        rationale: 'Skipped storage',
+        evidence: [],
+        missingSignals: [],
+        rating: null,
+        ratingSource: null
+      }
+    ]);
+    expect(normalizeScorecardCompetencies(null, RUBRIC).map(entry => entry.suggestedRating)).toEqual([null, null]);
+  });
+
+  it('keeps each evidence quote and missing signal once', () => {
+    const [entry] = normalizeScorecardCompetencies({
+      competencies: [{
+        id: 'coding',
+        evidence: ['"I would add a cache"', ' "I would add a cache" ', 42, ''],
+        missingSignals: 'testing'
+      }]
+    }, RUBRIC);
+
+    expect(entry.evidence).toEqual(['"I would add a cache"']);
+    expect(entry.missingSignals).toEqual([]);
+  });
+});
+
+describe('scorecard ratings', () => {
+  it('records whether a rating accepts or overrides the suggestion', () => {
+    const scorecard = createScorecard([{ id: 'coding', rating: 2 }, { id: 'design', rating: 3 }]);
+
+    const accepted = setCompetencyRating(scorecard, 'coding', 2);
+    const overridden = setCompetencyRating(accepted, 'design', 1);
+
+    expect(overridden.competencies.map(entry => [entry.rating, entry.ratingSource])).toEqual([
+      [2, RATING_SOURCES.ACCEPTED],
+      [1, RATING_SOURCES.OVERRIDDEN]
+    ]);
+    expect(setCompetencyRating(overridden, 'design', null).competencies[1]).toMatchObject({ rating: null, ratingSource: null });
+    expect(() => setCompetencyRating(scorecard, 'coding', 3)).toThrow('Rating 3 is not on the scale of Coding');
+    expect(() => setCompetencyRating(scorecard, 'leadership', 1)).toThrow('Competency not in scorecard: leadership');
+  });
+
+  it('carries decided ratings over to a regenerated scorecard when they still fit', () => {
+    const previous = setCompetencyRating(createScorecard([]), 'design', 3);
+    const regenerated = createScorecard([{ id: 'design', rating: 3 }]);
+
+    expect(carryOverRatings(regenerated, previous).competencies[1]).toMatchObject({ rating: 3, ratingSource: RATING_SOURCES.ACCEPTED });
+
+    const narrowed = {
+      rubric: { ...RUBRIC, competencies: [RUBRIC.competencies[0], { id: 'design', name: 'System design' }] },
+      competencies: regenerated.competencies
+    };
+    expect(carryOverRatings(narrowed, previous).competencies[1].rating).toBeNull();
+  });
+});
+
+describe('validateRubric', () => {
+  it('accepts the default rubric and lists the problems of an invalid one', () => {
+    expect(validateRubric(DEFAULT_RUBRIC)).toEqual([]);
+    expect(validateRubric({
+      name: 'Backend',
+      scale: [{ value: 1, label: 'No' }, { value: 1, label: 'Yes' }],
+      competencies: [{ id: 'coding', name: 'Coding' }, { id: 'coding', name: 'Pairing' }]
+    })).toEqual(['Rating scale has repeated values', 'Competency 2 repeats the id "coding"']);
+  });
+});
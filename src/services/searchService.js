@@ -1,16 +1,768 @@
+/**
+ * SearchService - Full-text search over stored transcripts, summaries and annotations
+ * Maintains a tokenized inverted index in its own IndexedDB store and ranks
+ * matches with BM25. Supports quoted phrase queries, prefix terms (`term*`)
+ * and filtering by session date, platform and tag.
+ */
+
+// Bump when tokenization or posting layout changes to force a rebuild
+const INDEX_VERSION = 4;
+
+// Key of the record in the index store that holds the number of indexed
+// documents and their total length. It has no term, docId or sessionId, so
+// the index store's indexes skip it.
+const CORPUS_STATS_ID = '$corpus';
+
+// Corpus stats changes not yet written, per transaction (see updateCorpusStats)
+const pendingStatsChanges = new WeakMap();
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'if', 'in',
+  'into', 'is', 'it', 'no', 'not', 'of', 'on', 'or', 'so', 'such', 'that',
+  'the', 'their', 'then', 'there', 'these', 'they', 'this', 'to', 'was',
+  'will', 'with', 'um', 'uh'
+]);
+
+/**
+ * Add to the stored corpus stats as part of a transaction. The stats record
+ * is read and written once per batch of changes: changes made while a read is
+ * pending join it, later ones read the record again after the write.
+ * @param {IDBTransaction} transaction - Readwrite transaction including the index store
+ * @param {string} storeName - Index store name
+ * @param {Object} change - `{documentCount, totalLength}` to add (negative when documents are removed)
+ */
+const updateCorpusStats = (transaction, storeName, change) => {
+  if (change.documentCount === 0 && change.totalLength === 0) {
+    return;
+  }
+
+  const pending = pendingStatsChanges.get(transaction);
+  if (pending) {
+    pending.documentCount += change.documentCount;
+    pending.totalLength += change.totalLength;
+    return;
+  }
+
+  const total = { ...change };
+  pendingStatsChanges.set(transaction, total);
+
+  const store = transaction.objectStore(storeName);
+  const request = store.get(CORPUS_STATS_ID);
+  request.onsuccess = () => {
+    pendingStatsChanges.delete(transaction);
+    const stats = request.result || { id: CORPUS_STATS_ID, documentCount: 0, totalLength: 0 };
+    store.put({
+      ...stats,
+      documentCount: stats.documentCount + total.documentCount,
+      totalLength: stats.totalLength + total.totalLength
+    });
+  };
+};
+
+/**
+ * Delete the postings of a session's documents as part of a transaction and
+ * keep the corpus stats in step. StorageService uses this when it deletes
+ * session data, whether or not a SearchService is registered.
+ * @param {IDBTransaction} transaction - Readwrite transaction including the index store
+ * @param {string} storeName - Index store name
+ * @param {string} sessionId - Session ID
+ * @param {Array<string>|null} [docTypes] - Only documents of these types (default: all)
+ * @returns {Promise<void>} Resolves once all deletes have been queued
+ */
+export const deleteSessionPostings = (transaction, storeName, sessionId, docTypes = null) => new Promise((resolve, reject) => {
+  const request = transaction.objectStore(storeName).index('sessionId').openCursor(sessionId);
+  const removed = new Set();
+  const change = { documentCount: 0, totalLength: 0 };
+
+  request.onsuccess = () => {
+    const cursor = request.result;
+    if (!cursor) {
+      updateCorpusStats(transaction, storeName, change);
+      resolve();
+      return;
+    }
+
+    const posting = cursor.value;
+    if (!docTypes || docTypes.includes(posting.docType)) {
+      if (!removed.has(posting.docId)) {
+        removed.add(posting.docId);
+        change.documentCount--;
+        change.totalLength -= posting.docLength;
+      }
+      cursor.delete();
+    }
+    cursor.continue();
+  };
+
+  request.onerror = () => reject(new Error(`Failed to delete search postings: ${request.error}`));
+});
+
 class SearchService {
   constructor(storageService) {
     this.storageService = storageService;
+    this.storeName = storageService.stores.searchIndex;
+
+    // BM25 tuning parameters
+    this.bm25 = {
+      k1: 1.2,
+      b: 0.75
+    };
+
+    // Snippet configuration
+    this.snippetConfig = {
+      contextChars: 80
+    };
   }
 
+  /**
+   * Initialize the search index and hook it into storage writes.
+   * Rebuilds the index when it was created by an older index version.
+   * @returns {Promise<void>}
+   */
   async initialize() {
-    // Initialization logic, if any
+    await this.storageService.ensureInitialized();
+    this.storageService.setSearchIndexer(this);
+
+    // No index is kept for encrypted storage (see StorageService.getSearchIndexer)
+    if (this.storageService.isEncryptionEnabled()) {
+      return;
+    }
+
+    const setting = await this.storageService.getSetting('searchIndexVersion');
+    if (!setting || setting.value !== INDEX_VERSION) {
+      await this.rebuildIndex();
+    }
+  }
+
+  // ===== INDEXING METHODS =====
+
+  /**
+   * Split text into normalized tokens with their positions.
+   * Stop words are dropped but still advance the position counter so
+   * phrase queries keep their spacing.
+   * @param {string} text - Text to tokenize
+   * @returns {Array<{term: string, position: number}>} Tokens
+   */
+  tokenize(text) {
+    if (!text || typeof text !== 'string') {
+      return [];
+    }
+
+    const words = text
+      .toLowerCase()
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .match(/[\p{L}\p{N}]+(?:'[\p{L}\p{N}]+)*/gu) || [];
+
+    return words
+      .map((word, position) => ({ term: word.replace(/'/g, ''), position }))
+      .filter(token => !STOP_WORDS.has(token.term));
   }
 
-  async search(query) {
-    // Your search logic here
-    return [];
+  /**
+   * Build the searchable document for a transcript segment
+   * @param {Object} segment - Validated transcript segment
+   * @returns {Object} Index document
+   */
+  createTranscriptDocument(segment) {
+    return {
+      docId: segment.id,
+      docType: 'transcript',
+      sessionId: segment.sessionId,
+      text: segment.text
+    };
+  }
+
+  /**
+   * Build the searchable document for a summary
+   * @param {Object} summary - Validated summary
+   * @returns {Object} Index document
+   */
+  createSummaryDocument(summary) {
+    return {
+      docId: summary.id,
+      docType: 'summary',
+      sessionId: summary.sessionId,
+      text: this.getSummaryText(summary)
+    };
+  }
+
+  /**
+   * Build the searchable document for an annotation
+   * @param {Object} annotation - Validated annotation
+   * @returns {Object} Index document
+   */
+  createAnnotationDocument(annotation) {
+    return {
+      docId: annotation.id,
+      docType: 'annotation',
+      sessionId: annotation.sessionId,
+      text: annotation.text
+    };
+  }
+
+  /**
+   * Flatten all searchable summary fields into one string
+   * @param {Object} summary - Summary data
+   * @returns {string} Searchable text
+   */
+  getSummaryText(summary) {
+    const topics = (summary.topics || []).flatMap(topic => [topic.name, ...(topic.points || [])]);
+
+    return [
+      summary.content,
+      ...(summary.keyPoints || []),
+      ...(summary.decisions || []),
+      ...(summary.actionItems || []),
+      ...(summary.quotes || []),
+      ...topics
+    ].filter(Boolean).join(' ');
+  }
+
+  /**
+   * Build posting records for a document
+   * @param {Object} document - Index document
+   * @returns {Array} Posting records
+   */
+  buildPostings(document) {
+    const tokens = this.tokenize(document.text);
+    const terms = new Map();
+
+    tokens.forEach(({ term, position }) => {
+      if (!terms.has(term)) {
+        terms.set(term, []);
+      }
+      terms.get(term).push(position);
+    });
+
+    return Array.from(terms.entries()).map(([term, positions]) => ({
+      id: `${document.docId}|${term}`,
+      term,
+      docId: document.docId,
+      docType: document.docType,
+      sessionId: document.sessionId,
+      tf: positions.length,
+      positions,
+      docLength: tokens.length
+    }));
+  }
+
+  /**
+   * Index transcript segments as part of an existing transaction
+   * @param {IDBTransaction} transaction - Readwrite transaction including the index store
+   * @param {Array} segments - Validated transcript segments
+   * @returns {Promise<void>}
+   */
+  indexTranscriptSegments(transaction, segments) {
+    return this.indexDocuments(transaction, segments.map(segment => this.createTranscriptDocument(segment)));
+  }
+
+  /**
+   * Index a summary as part of an existing transaction
+   * @param {IDBTransaction} transaction - Readwrite transaction including the index store
+   * @param {Object} summary - Validated summary
+   * @returns {Promise<void>}
+   */
+  indexSummary(transaction, summary) {
+    return this.indexDocuments(transaction, [this.createSummaryDocument(summary)]);
+  }
+
+  /**
+   * Index annotations as part of an existing transaction
+   * @param {IDBTransaction} transaction - Readwrite transaction including the index store
+   * @param {Array} annotations - Validated annotations
+   * @returns {Promise<void>}
+   */
+  indexAnnotations(transaction, annotations) {
+    return this.indexDocuments(transaction, annotations.map(annotation => this.createAnnotationDocument(annotation)));
+  }
+
+  /**
+   * Remove documents from the index as part of an existing transaction
+   * @param {IDBTransaction} transaction - Readwrite transaction including the index store
+   * @param {Array<string>} docIds - Document IDs
+   * @returns {Promise<void>}
+   */
+  removeDocuments(transaction, docIds) {
+    return this.indexDocuments(transaction, docIds.map(docId => ({ docId, text: '' })));
+  }
+
+  /**
+   * Replace the postings of the given documents and update the corpus stats.
+   * All requests are issued from IndexedDB callbacks so the caller's
+   * transaction stays active.
+   * @param {IDBTransaction} transaction - Readwrite transaction including the index store
+   * @param {Array} documents - Index documents
+   * @returns {Promise<void>} Resolves once all writes have been queued
+   */
+  indexDocuments(transaction, documents) {
+    const store = transaction.objectStore(this.storeName);
+    const docIndex = store.index('docId');
+    const change = { documentCount: 0, totalLength: 0 };
+
+    return new Promise((resolve, reject) => {
+      let pending = documents.length;
+
+      if (pending === 0) {
+        resolve();
+        return;
+      }
+
+      documents.forEach(document => {
+        const cursorRequest = docIndex.openCursor(IDBKeyRange.only(document.docId));
+        let replaced = false;
+
+        cursorRequest.onsuccess = (event) => {
+          const cursor = event.target.result;
+          if (cursor) {
+            // Every posting of a document carries its length
+            if (!replaced) {
+              replaced = true;
+              change.documentCount--;
+              change.totalLength -= cursor.value.docLength;
+            }
+            cursor.delete();
+            cursor.continue();
+            return;
+          }
+
+          const postings = this.buildPostings(document);
+          postings.forEach(posting => store.put(posting));
+          // Documents without searchable terms have no postings and are not counted
+          if (postings.length > 0) {
+            change.documentCount++;
+            change.totalLength += postings[0].docLength;
+          }
+
+          pending--;
+          if (pending === 0) {
+            updateCorpusStats(transaction, this.storeName, change);
+            resolve();
+          }
+        };
+
+        cursorRequest.onerror = () => reject(new Error(`Failed to index document: ${cursorRequest.error}`));
+      });
+    });
+  }
+
+  /**
+   * Rebuild the whole index from the stored transcripts, summaries and annotations
+   * @returns {Promise<void>}
+   */
+  async rebuildIndex() {
+    await this.storageService.ensureInitialized();
+    const { stores } = this.storageService;
+
+    if (this.storageService.isEncryptionEnabled()) {
+      throw new Error('The search index is not available while storage is encrypted');
+    }
+
+    await new Promise((resolve, reject) => {
+      const transaction = this.storageService.db.transaction([
+        stores.transcripts,
+        stores.summaries,
+        stores.annotations,
+        this.storeName
+      ], 'readwrite');
+
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(new Error(`Failed to rebuild search index: ${transaction.error}`));
+
+      transaction.objectStore(this.storeName).clear();
+
+      const transcriptRequest = transaction.objectStore(stores.transcripts).getAll();
+      transcriptRequest.onsuccess = () => {
+        const segments = transcriptRequest.result.map(segment =>
+          this.storageService.decompressTranscriptSegment(segment)
+        );
+        this.indexTranscriptSegments(transaction, segments).catch(reject);
+      };
+
+      const summaryRequest = transaction.objectStore(stores.summaries).getAll();
+      summaryRequest.onsuccess = () => {
+        // Only the latest version of each session's summary is searchable
+        const latestBySession = new Map();
+        summaryRequest.result.forEach(summary => {
+          const latest = latestBySession.get(summary.sessionId);
+          if (!latest || (summary.version || 0) > (latest.version || 0)) {
+            latestBySession.set(summary.sessionId, summary);
+          }
+        });
+
+        const documents = Array.from(latestBySession.values()).map(summary =>
+          this.createSummaryDocument(this.storageService.decompressSummary(summary))
+        );
+        this.indexDocuments(transaction, documents).catch(reject);
+      };
+
+      const annotationRequest = transaction.objectStore(stores.annotations).getAll();
+      annotationRequest.onsuccess = () => {
+        this.indexAnnotations(transaction, annotationRequest.result).catch(reject);
+      };
+    });
+
+    await this.storageService.setSetting('searchIndexVersion', INDEX_VERSION);
+  }
+
+  // ===== QUERY METHODS =====
+
+  /**
+   * Parse a raw query into plain terms, prefix terms and phrases
+   * @param {string} query - Raw query, e.g. `caching "system design" redis*`
+   * @returns {Object} Parsed query
+   */
+  parseQuery(query) {
+    const phrases = [];
+    const terms = new Set();
+    const prefixes = new Set();
+
+    const remainder = query.replace(/"([^"]*)"/g, (_match, phrase) => {
+      const tokens = this.tokenize(phrase);
+      if (tokens.length > 0) {
+        phrases.push(tokens);
+        tokens.forEach(token => terms.add(token.term));
+      }
+      return ' ';
+    });
+
+    remainder.split(/\s+/).filter(Boolean).forEach(word => {
+      const tokens = this.tokenize(word);
+      if (tokens.length === 0) {
+        return;
+      }
+
+      const last = tokens.pop();
+      tokens.forEach(token => terms.add(token.term));
+
+      if (word.endsWith('*')) {
+        prefixes.add(last.term);
+      } else {
+        terms.add(last.term);
+      }
+    });
+
+    return {
+      terms: Array.from(terms),
+      prefixes: Array.from(prefixes),
+      phrases
+    };
+  }
+
+  /**
+   * Search the index
+   * @param {string} query - Search query
+   * @param {Object} options - Search options
+   * @param {string} [options.startDate] - Only sessions on or after this date
+   * @param {string} [options.endDate] - Only sessions on or before this date
+   * @param {string} [options.platform] - Only sessions from this platform
+   * @param {string} [options.tag] - Only sessions carrying this tag
+   * @param {Array<string>} [options.types] - Document types ('transcript', 'summary', 'annotation')
+   * @param {number} [options.limit=50] - Maximum number of results
+   * @param {number} [options.offset=0] - Number of results to skip
+   * @returns {Promise<Array>} Ranked results
+   */
+  async search(query, options = {}) {
+    if (!query || query.trim().length === 0) {
+      return [];
+    }
+
+    await this.storageService.ensureInitialized();
+
+    const parsed = this.parseQuery(query);
+    if (parsed.terms.length === 0 && parsed.prefixes.length === 0) {
+      return [];
+    }
+
+    // Gather postings grouped by indexed term
+    const postingsByTerm = new Map();
+    const addPostings = (postings) => {
+      postings.forEach(posting => {
+        if (!postingsByTerm.has(posting.term)) {
+          postingsByTerm.set(posting.term, []);
+        }
+        postingsByTerm.get(posting.term).push(posting);
+      });
+    };
+
+    for (const term of parsed.terms) {
+      addPostings(await this.getPostings(IDBKeyRange.only(term)));
+    }
+
+    for (const prefix of parsed.prefixes) {
+      addPostings(await this.getPostings(IDBKeyRange.bound(prefix, `${prefix}\uffff`)));
+    }
+
+    const types = options.types || ['transcript', 'summary', 'annotation'];
+    const { documentCount, averageLength } = await this.getCorpusStats();
+    const candidates = new Map();
+
+    postingsByTerm.forEach((postings, term) => {
+      const idf = Math.log(1 + (documentCount - postings.length + 0.5) / (postings.length + 0.5));
+
+      postings.forEach(posting => {
+        if (!types.includes(posting.docType)) {
+          return;
+        }
+
+        if (!candidates.has(posting.docId)) {
+          candidates.set(posting.docId, {
+            docId: posting.docId,
+            docType: posting.docType,
+            sessionId: posting.sessionId,
+            score: 0,
+            matchedTerms: new Set(),
+            positions: new Map()
+          });
+        }
+
+        const candidate = candidates.get(posting.docId);
+        candidate.score += this.scoreTerm(idf, posting.tf, posting.docLength, averageLength);
+        candidate.matchedTerms.add(term);
+        candidate.positions.set(term, posting.positions);
+      });
+    });
+
+    // Phrases are mandatory
+    let ranked = Array.from(candidates.values()).filter(candidate =>
+      parsed.phrases.every(phrase => this.matchesPhrase(candidate.positions, phrase))
+    );
+
+    ranked = await this.applyFilters(ranked, options);
+    ranked.sort((a, b) => b.score - a.score);
+
+    const offset = options.offset || 0;
+    const limit = options.limit || 50;
+
+    return this.hydrateResults(ranked.slice(offset, offset + limit));
+  }
+
+  /**
+   * BM25 score contribution of a single term in a document
+   * @param {number} idf - Inverse document frequency of the term
+   * @param {number} tf - Term frequency in the document
+   * @param {number} docLength - Document length in tokens
+   * @param {number} averageLength - Average document length
+   * @returns {number} Score
+   */
+  scoreTerm(idf, tf, docLength, averageLength) {
+    const { k1, b } = this.bm25;
+    const norm = 1 - b + b * (docLength / (averageLength || 1));
+    return idf * ((tf * (k1 + 1)) / (tf + k1 * norm));
+  }
+
+  /**
+   * Check whether a document contains the phrase tokens in sequence
+   * @param {Map} positions - Term positions for the document
+   * @param {Array} phrase - Phrase tokens with relative positions
+   * @returns {boolean} True if the phrase occurs
+   */
+  matchesPhrase(positions, phrase) {
+    const [first, ...rest] = phrase;
+    const starts = positions.get(first.term) || [];
+
+    return starts.some(start =>
+      rest.every(token => {
+        const termPositions = positions.get(token.term) || [];
+        return termPositions.includes(start + (token.position - first.position));
+      })
+    );
+  }
+
+  /**
+   * Apply session-level filters (date, platform, tag)
+   * @param {Array} candidates - Scored candidates
+   * @param {Object} options - Filter options
+   * @returns {Promise<Array>} Candidates whose session passes the filters
+   */
+  async applyFilters(candidates, options) {
+    const tags = options.tags || (options.tag ? [options.tag] : []);
+    const sessionIds = [...new Set(candidates.map(candidate => candidate.sessionId))];
+    const sessions = await this.getRecords(this.storageService.stores.sessions, sessionIds);
+
+    return candidates.filter(candidate => {
+      const session = sessions.get(candidate.sessionId);
+      // Postings of trashed sessions are kept so a restored session is found again
+      if (!session || session.deletedAt) {
+        return false;
+      }
+
+      const sessionDate = new Date(session.date);
+      if (options.startDate && sessionDate < new Date(options.startDate)) {
+        return false;
+      }
+      if (options.endDate && sessionDate > new Date(options.endDate)) {
+        return false;
+      }
+      if (options.platform && session.platform !== options.platform) {
+        return false;
+      }
+      if (tags.length > 0 && !tags.every(tag => (session.tags || []).includes(tag))) {
+        return false;
+      }
+
+      candidate.session = session;
+      return true;
+    });
+  }
+
+  /**
+   * Load the stored records for ranked candidates and attach snippets
+   * @param {Array} candidates - Ranked candidates
+   * @returns {Promise<Array>} Search results
+   */
+  async hydrateResults(candidates) {
+    const { stores } = this.storageService;
+    const transcriptIds = candidates.filter(c => c.docType === 'transcript').map(c => c.docId);
+    const summaryIds = candidates.filter(c => c.docType === 'summary').map(c => c.docId);
+    const annotationIds = candidates.filter(c => c.docType === 'annotation').map(c => c.docId);
+
+    const transcripts = await this.getRecords(stores.transcripts, transcriptIds);
+    const summaries = await this.getRecords(stores.summaries, summaryIds);
+    const annotations = await this.getRecords(stores.annotations, annotationIds);
+
+    return candidates.map(candidate => {
+      let record;
+      let text;
+
+      if (candidate.docType === 'transcript') {
+        const stored = transcripts.get(candidate.docId);
+        record = stored && this.storageService.decompressTranscriptSegment(stored);
+        text = record && record.text;
+      } else if (candidate.docType === 'summary') {
+        const stored = summaries.get(candidate.docId);
+        record = stored && this.storageService.decompressSummary(stored);
+        text = record && this.getSummaryText(record);
+      } else {
+        record = annotations.get(candidate.docId);
+        text = record && record.text;
+      }
+
+      if (!record) {
+        return null;
+      }
+
+      const matchedTerms = Array.from(candidate.matchedTerms);
+
+      return {
+        type: candidate.docType,
+        id: candidate.docId,
+        sessionId: candidate.sessionId,
+        score: candidate.score,
+        matchedTerms,
+        snippet: this.createSnippet(text, matchedTerms),
+        sessionDate: candidate.session.date,
+        sessionPlatform: candidate.session.platform,
+        record
+      };
+    }).filter(Boolean);
+  }
+
+  /**
+   * Cut a highlighted excerpt around the first matching term
+   * @param {string} text - Full document text
+   * @param {Array<string>} terms - Matched terms
+   * @returns {string} Highlighted snippet
+   */
+  createSnippet(text, terms) {
+    if (!text) {
+      return '';
+    }
+
+    const lowerText = text.toLowerCase();
+    const firstMatch = terms
+      .map(term => lowerText.indexOf(term))
+      .filter(index => index >= 0)
+      .reduce((min, index) => Math.min(min, index), text.length);
+
+    const { contextChars } = this.snippetConfig;
+    let start = Math.max(0, firstMatch - contextChars);
+    let end = Math.min(text.length, firstMatch + contextChars * 2);
+
+    // Avoid cutting words in half
+    if (start > 0) {
+      const space = text.indexOf(' ', start);
+      start = space >= 0 && space < firstMatch ? space + 1 : start;
+    }
+    if (end < text.length) {
+      const space = text.lastIndexOf(' ', end);
+      end = space > firstMatch ? space : end;
+    }
+
+    const excerpt = `${start > 0 ? '…' : ''}${text.slice(start, end)}${end < text.length ? '…' : ''}`;
+    return this.storageService.highlightSearchTerm(excerpt, terms);
+  }
+
+  // ===== INDEXEDDB HELPERS =====
+
+  /**
+   * Get postings for a term key range
+   * @param {IDBKeyRange} range - Term range
+   * @returns {Promise<Array>} Posting records
+   */
+  getPostings(range) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.storageService.db.transaction([this.storeName], 'readonly');
+      const request = transaction.objectStore(this.storeName).index('term').getAll(range);
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(new Error(`Failed to read search index: ${request.error}`));
+    });
+  }
+
+  /**
+   * Read the document count and average document length for BM25, which
+   * indexDocuments and deleteSessionPostings keep up to date
+   * @returns {Promise<{documentCount: number, averageLength: number}>} Corpus statistics
+   */
+  getCorpusStats() {
+    return new Promise((resolve, reject) => {
+      const transaction = this.storageService.db.transaction([this.storeName], 'readonly');
+      const request = transaction.objectStore(this.storeName).get(CORPUS_STATS_ID);
+
+      request.onsuccess = () => {
+        const { documentCount = 0, totalLength = 0 } = request.result || {};
+        resolve({
+          documentCount,
+          averageLength: documentCount > 0 ? totalLength / documentCount : 0
+        });
+      };
+
+      request.onerror = () => reject(new Error(`Failed to read search index: ${request.error}`));
+    });
+  }
+
+  /**
+   * Fetch several records by key from one store
+   * @param {string} storeName - Object store name
+   * @param {Array<string>} ids - Record keys
+   * @returns {Promise<Map>} Records keyed by ID
+   */
+  getRecords(storeName, ids) {
+    return new Promise((resolve, reject) => {
+      const records = new Map();
+
+      if (ids.length === 0) {
+        resolve(records);
+        return;
+      }
+
+      const transaction = this.storageService.db.transaction([storeName], 'readonly');
+      const store = transaction.objectStore(storeName);
+
+      ids.forEach(id => {
+        const request = store.get(id);
+        request.onsuccess = () => {
+          if (request.result) {
+            records.set(id, request.result);
+          }
+        };
+      });
+
+      transaction.oncomplete = () => resolve(records);
+      transaction.onerror = () => reject(new Error(`Failed to load ${storeName}: ${transaction.error}`));
+    });
   }
 }
 
-export default SearchService;
\ No newline at end of file
+export default SearchService;
@@ -0,0 +1,217 @@
+import { IDBFactory } from 'fake-indexeddb';
+import SearchService from './searchService';
+import { StorageService } from './storageService';
+import { IndexedDBBackend } from './storageBackends';
+
+/**
+ * Store a completed session with transcript segments
+ * @param {StorageService} storage - Storage service
+ * @param {Object} sessionData - Session fields
+ * @param {Array<string>} texts - Segment texts, one second apart
+ * @returns {Promise<string>} Session ID
+ */
+const createSessionWithTranscript = async (storage, sessionData, texts) => {
+  const sessionId = await storage.createSession(sessionData);
+  await storage.updateSession(sessionId, { status: 'completed' });
+  await storage.saveTranscriptSegments(sessionId, texts.map((text, index) => ({
+    text,
+    timestamp: 1000 * (index + 1),
+    relativeTime: 1000 * index
+  })));
+  return sessionId;
+};
+
+/**
+ * Texts of search results, in rank order
+ * @param {Array} results - Search results
+ * @returns {Array<string>} Record texts
+ */
+const resultTexts = (results) => results.map(result => result.record.text || result.record.content);
+
+/**
+ * Count the indexed documents and their total length from the postings
+ * @param {StorageService} storage - Storage service
+ * @returns {Promise<Object>} `{documentCount, averageLength}`, as getCorpusStats reports them
+ */
+const measureCorpus = async (storage) => {
+  const postings = (await storage.getAllRecords(storage.stores.searchIndex)).filter(posting => posting.docId);
+  const lengths = new Map(postings.map(posting => [posting.docId, posting.docLength]));
+  const totalLength = Array.from(lengths.values()).reduce((sum, length) => sum + length, 0);
+  return { documentCount: lengths.size, averageLength: lengths.size > 0 ? totalLength / lengths.size : 0 };
+};
+
+describe('SearchService', () => {
+  const originalIndexedDB = global.indexedDB;
+  let storage;
+  let searchService;
+
+  beforeEach(async () => {
+    global.indexedDB = new IDBFactory();
+    storage = new StorageService({ backend: new IndexedDBBackend() });
+    await storage.initialize();
+    searchService = new SearchService(storage);
+    await searchService.initialize();
+  });
+
+  afterEach(() => {
+    storage.close();
+    global.indexedDB = originalIndexedDB;
+  });
+
+  it('drops stop words but keeps their positions', () => {
+    expect(searchService.tokenize('The Café is on the left')).toEqual([
+      { term: 'cafe', position: 1 },
+      { term: 'left', position: 5 }
+    ]);
+    expect(searchService.parseQuery('"system design" redis* the')).toEqual({
+      terms: ['system', 'design'],
+      prefixes: ['redis'],
+      phrases: [[{ term: 'system', position: 0 }, { term: 'design', position: 1 }]]
+    });
+  });
+
+  describe('ranking', () => {
+    let backendId;
+
+    beforeEach(async () => {
+      backendId = await createSessionWithTranscript(storage, { title: 'Backend' }, [
+        'We cache reads in Redis and Redis handles eviction',
+        'Caching happens before the database'
+      ]);
+      await createSessionWithTranscript(storage, { title: 'Frontend' }, [
+        'The design system has a button for everything',
+        'Redis came up once',
+        'We talked about hiring plans for next year and the budget for the whole team'
+      ]);
+    });
+
+    it('ranks documents that repeat a term above those that mention it once', async () => {
+      const results = await searchService.search('redis');
+
+      expect(resultTexts(results)).toEqual([
+        'We cache reads in Redis and Redis handles eviction',
+        'Redis came up once'
+      ]);
+      expect(results[0].score).toBeGreaterThan(results[1].score);
+      expect(results[0].snippet).toContain('Redis');
+    });
+
+    it('ranks a document matching more query terms higher', async () => {
+      const results = await searchService.search('redis eviction');
+
+      expect(resultTexts(results)[0]).toBe('We cache reads in Redis and Redis handles eviction');
+      expect(results[0].matchedTerms.sort()).toEqual(['eviction', 'redis']);
+    });
+
+    it('matches phrases in order and terms by prefix', async () => {
+      expect(resultTexts(await searchService.search('"design system"')))
+        .toEqual(['The design system has a button for everything']);
+      expect(await searchService.search('"system design"')).toEqual([]);
+      expect(resultTexts(await searchService.search('cach*')).sort()).toEqual([
+        'Caching happens before the database',
+        'We cache reads in Redis and Redis handles eviction'
+      ]);
+    });
+
+    it('filters results by session', async () => {
+      await storage.addSessionTags([backendId], ['infra']);
+
+      expect(resultTexts(await searchService.search('redis', { tag: 'infra' })))
+        .toEqual(['We cache reads in Redis and Redis handles eviction']);
+
+      await storage.deleteSession(backendId);
+      expect(resultTexts(await searchService.search('redis'))).toEqual(['Redis came up once']);
+
+      await storage.restoreSession(backendId);
+      expect(await searchService.search('redis')).toHaveLength(2);
+    });
+  });
+
+  describe('indexing', () => {
+    it('searches only the latest summary of a session', async () => {
+      const sessionId = await createSessionWithTranscript(storage, { title: 'Loop' }, ['Hello']);
+      await storage.saveSummary(sessionId, { content: 'Candidate explained sharding' });
+      await storage.saveSummary(sessionId, { content: 'Candidate explained replication' });
+
+      expect(await searchService.search('sharding')).toEqual([]);
+      expect(resultTexts(await searchService.search('replication', { types: ['summary'] })))
+        .toEqual(['Candidate explained replication']);
+    });
+
+    it('indexes annotations and drops them when deleted', async () => {
+      const sessionId = await createSessionWithTranscript(storage, { title: 'Loop' }, ['Hello']);
+      const annotationId = await storage.saveAnnotation(sessionId, { type: 'note', relativeTime: 500, text: 'Follow up on latency' });
+
+      expect(resultTexts(await searchService.search('latency'))).toEqual(['Follow up on latency']);
+
+      await storage.deleteAnnotation(annotationId);
+      expect(await searchService.search('latency')).toEqual([]);
+    });
+
+    it('keeps the corpus stats in step with the postings', async () => {
+      const expectStatsInStep = async () => {
+        expect(await searchService.getCorpusStats()).toEqual(await measureCorpus(storage));
+      };
+
+      const sessionId = await createSessionWithTranscript(storage, { title: 'Loop' }, ['Kafka partitions', 'Consumer lag alerts']);
+      const keptId = await createSessionWithTranscript(storage, { title: 'Kept' }, ['Postgres vacuum tuning']);
+      await storage.saveSummary(sessionId, { content: 'Candidate explained sharding' });
+      await storage.saveSummary(sessionId, { content: 'Candidate explained replication and failover' });
+      const annotationId = await storage.saveAnnotation(sessionId, { type: 'note', relativeTime: 500, text: 'Follow up on latency' });
+      expect((await searchService.getCorpusStats()).documentCount).toBe(5);
+      await expectStatsInStep();
+
+      await storage.deleteAnnotation(annotationId);
+      await storage.purgeSessionData(sessionId, ['summaries'], { reason: 'retention' });
+      await expectStatsInStep();
+
+      await storage.deleteSession(sessionId);
+      await storage.emptyTrash();
+      expect(await searchService.getCorpusStats()).toEqual({ documentCount: 1, averageLength: 3 });
+
+      await searchService.rebuildIndex();
+      await expectStatsInStep();
+      expect(resultTexts(await searchService.search('vacuum'))).toEqual(['Postgres vacuum tuning']);
+      expect((await storage.getSession(keptId)).title).toBe('Kept');
+    });
+
+    it('points results at the merged session after a merge', async () => {
+      const firstId = await createSessionWithTranscript(storage, { title: 'Part one' }, ['Kafka partitions']);
+      const secondId = await createSessionWithTranscript(storage, { title: 'Part two' }, ['Kafka consumers']);
+
+      const mergedId = await storage.mergeSessions([firstId, secondId]);
+      const results = await searchService.search('kafka');
+
+      expect(results).toHaveLength(2);
+      results.forEach(result => expect(result.sessionId).toBe(mergedId));
+    });
+  });
+
+  describe('rebuilding', () => {
+    it('builds the index for data stored before search was set up', async () => {
+      storage.close();
+      global.indexedDB = new IDBFactory();
+      storage = new StorageService({ backend: new IndexedDBBackend() });
+      await storage.initialize();
+      await createSessionWithTranscript(storage, { title: 'Earlier' }, ['Postgres vacuum tuning']);
+
+      searchService = new SearchService(storage);
+      expect(await searchService.search('vacuum')).toEqual([]);
+
+      await searchService.initialize();
+      expect(resultTexts(await searchService.search('vacuum'))).toEqual(['Postgres vacuum tuning']);
+    });
+
+    it('rebuilds an index written by an older index version', async () => {
+      await createSessionWithTranscript(storage, { title: 'Earlier' }, ['Postgres vacuum tuning']);
+      await storage.setSetting('searchIndexVersion', 1);
+      const rebuild = jest.spyOn(searchService, 'rebuildIndex');
+
+      await searchService.initialize();
+      await searchService.initialize();
+
+      expect(rebuild).toHaveBeenCalledTimes(1);
+      expect(resultTexts(await searchService.search('vacuum'))).toEqual(['Postgres vacuum tuning']);
+    });
+  });
+});
@@ -404,9 +404,12 @@ class SpeechService {
 
   /**
    * Start speech recognition
+   * @param {Object} [options] - Start options
+   * @param {number} [options.sessionStartTime] - Time segment `relativeTime` values count from
+   *   (defaults to now; earlier when continuing a resumed session)
    * @returns {Promise<boolean>} Success status
    */
-  async startListening() {
+  async startListening(options = {}) {
     try {
       // Prevent multiple rapid calls
       if (this.isStartingListening) {
@@ -431,8 +434,8 @@ class SpeechService {
       this.isStopping = false;
       this.currentTranscript = "";
       this.transcriptSegments = [];
-      this.sessionStartTime = Date.now();
-      this.lastSegmentTime = this.sessionStartTime;
+      this.sessionStartTime = options.sessionStartTime || Date.now();
+      this.lastSegmentTime = Date.now();
       this.retryCount = 0;
       this.lastError = null;
       this.audioBuffer = [];
@@ -0,0 +1,239 @@
+/**
+ * Storage archive - Single-file session archives for StorageService
+ *
+ * An archive is a zip holding `manifest.json`, one JSON file per session
+ * (session record, transcript, summary versions and annotations), `folders.json`,
+ * `settings.json` for full exports and optional audio recordings under `audio/`. The manifest lists a
+ * SHA-256 checksum for every other file, and all of them are checked before
+ * an archive is handed to the importer.
+ */
+
+import { createZip, readZip, toBytes } from '../utils/zipUtils';
+
+export const ARCHIVE_FORMAT = 'interview-summarizer-archive';
+
+/**
+ * Version of the archive layout (manifest and file paths)
+ */
+export const ARCHIVE_VERSION = 1;
+
+export const ARCHIVE_MIME_TYPE = 'application/zip';
+
+const MANIFEST_PATH = 'manifest.json';
+const SETTINGS_PATH = 'settings.json';
+const FOLDERS_PATH = 'folders.json';
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+/**
+ * Compute a SHA-256 checksum
+ * @param {Uint8Array} bytes - Input bytes
+ * @returns {Promise<string>} Hex digest
+ */
+const sha256 = async (bytes) => {
+  if (!globalThis.crypto || !globalThis.crypto.subtle) {
+    throw new Error('WebCrypto is not available in this environment');
+  }
+
+  const digest = new Uint8Array(await globalThis.crypto.subtle.digest('SHA-256', bytes));
+  return Array.from(digest, byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+/**
+ * Make an ID safe to use in a file name
+ * @param {string} id - Record ID
+ * @returns {string} File name part
+ */
+const toFileName = (id) => String(id).replace(/[^A-Za-z0-9._-]/g, '_');
+
+/**
+ * Get the file extension for an audio MIME type
+ * @param {string} mimeType - MIME type
+ * @returns {string} Extension without the dot
+ */
+const getAudioExtension = (mimeType = '') => {
+  const subtype = mimeType.split(';')[0].split('/')[1];
+  return subtype ? toFileName(subtype) : 'bin';
+};
+
+/**
+ * Parse a JSON file from an archive
+ * @param {Map<string, Uint8Array>} files - Archive files
+ * @param {string} path - File path
+ * @returns {*} Parsed value
+ */
+const readJson = (files, path) => {
+  const bytes = files.get(path);
+  if (!bytes) {
+    throw new Error(`Archive is missing ${path}`);
+  }
+
+  try {
+    return JSON.parse(textDecoder.decode(bytes));
+  } catch (error) {
+    throw new Error(`Archive file ${path} is not valid JSON`);
+  }
+};
+
+/**
+ * Build an archive from an exportData payload
+ * @param {Object} backup - Payload produced by exportData
+ * @param {Object} [options] - Archive options
+ * @param {Object<string, Array>} [options.audio] - Audio recordings by session ID: `{id, mimeType, data, metadata}`
+ * @returns {Promise<Uint8Array>} Zip bytes
+ */
+export const createArchive = async (backup, options = {}) => {
+  const { audio = {} } = options;
+  const files = [];
+  const checksums = {};
+
+  const addFile = async (name, data, compress = true) => {
+    const bytes = await toBytes(data);
+    files.push({ name, data: bytes, compress });
+    checksums[name] = await sha256(bytes);
+    return bytes;
+  };
+
+  const sessions = [];
+
+  for (const [index, session] of backup.sessions.entries()) {
+    const baseName = `${String(index + 1).padStart(4, '0')}-${toFileName(session.id)}`;
+    const file = `sessions/${baseName}.json`;
+
+    await addFile(file, textEncoder.encode(JSON.stringify({
+      session,
+      transcript: backup.transcripts[session.id] || [],
+      summaries: backup.summaries[session.id] || [],
+      annotations: (backup.annotations && backup.annotations[session.id]) || []
+    }, null, 2)));
+
+    const recordings = [];
+    for (const recording of audio[session.id] || []) {
+      const audioFile = `audio/${baseName}/${toFileName(recording.id)}.${getAudioExtension(recording.mimeType)}`;
+      // Encoded audio does not get smaller when deflated
+      const bytes = await addFile(audioFile, recording.data, false);
+      recordings.push({
+        id: recording.id,
+        file: audioFile,
+        mimeType: recording.mimeType || 'application/octet-stream',
+        size: bytes.length,
+        ...recording.metadata
+      });
+    }
+
+    sessions.push({
+      id: session.id,
+      date: session.date,
+      platform: session.platform,
+      file,
+      audio: recordings
+    });
+  }
+
+  const hasFolders = Array.isArray(backup.folders) && backup.folders.length > 0;
+  if (hasFolders) {
+    await addFile(FOLDERS_PATH, textEncoder.encode(JSON.stringify(backup.folders, null, 2)));
+  }
+
+  const hasSettings = Array.isArray(backup.settings) && backup.settings.length > 0;
+  if (hasSettings) {
+    await addFile(SETTINGS_PATH, textEncoder.encode(JSON.stringify(backup.settings, null, 2)));
+  }
+
+  const manifest = {
+    format: ARCHIVE_FORMAT,
+    archiveVersion: ARCHIVE_VERSION,
+    exportFormatVersion: backup.formatVersion,
+    schemaVersion: backup.version,
+    exportedAt: backup.exportedAt,
+    sessions,
+    folders: hasFolders ? FOLDERS_PATH : null,
+    settings: hasSettings ? SETTINGS_PATH : null,
+    checksums
+  };
+
+  return createZip([
+    { name: MANIFEST_PATH, data: textEncoder.encode(JSON.stringify(manifest, null, 2)) },
+    ...files
+  ]);
+};
+
+/**
+ * Read an archive, verify its checksums and convert it to an exportData payload
+ * @param {Uint8Array|ArrayBuffer|Blob} data - Archive data
+ * @returns {Promise<Object>} Manifest, backup payload and audio recordings by session ID
+ */
+export const readArchive = async (data) => {
+  const files = await readZip(data);
+
+  if (!files.has(MANIFEST_PATH)) {
+    throw new Error('Not a session archive: manifest.json is missing');
+  }
+
+  const manifest = readJson(files, MANIFEST_PATH);
+
+  if (!manifest || manifest.format !== ARCHIVE_FORMAT) {
+    throw new Error('Not a session archive: unknown manifest format');
+  }
+
+  if (manifest.archiveVersion > ARCHIVE_VERSION) {
+    throw new Error(`Archive version ${manifest.archiveVersion} is newer than supported version ${ARCHIVE_VERSION}; update the application to import it`);
+  }
+
+  if (!Array.isArray(manifest.sessions) || !manifest.checksums || typeof manifest.checksums !== 'object') {
+    throw new Error('Archive manifest is invalid');
+  }
+
+  for (const [path, checksum] of Object.entries(manifest.checksums)) {
+    if (!files.has(path)) {
+      throw new Error(`Archive is missing ${path}`);
+    }
+    if (await sha256(files.get(path)) !== checksum) {
+      throw new Error(`Archive checksum mismatch: ${path}`);
+    }
+  }
+
+  // Every file the manifest points to must be covered by a checksum
+  const referenced = manifest.sessions.flatMap(entry => [entry.file, ...(entry.audio || []).map(recording => recording.file)]);
+  [manifest.folders, manifest.settings].filter(Boolean).forEach(path => referenced.push(path));
+  referenced.forEach(path => {
+    if (!manifest.checksums[path]) {
+      throw new Error(`Archive file has no checksum: ${path}`);
+    }
+  });
+
+  const backup = {
+    formatVersion: manifest.exportFormatVersion,
+    version: manifest.schemaVersion,
+    exportedAt: manifest.exportedAt,
+    sessions: [],
+    transcripts: {},
+    summaries: {},
+    annotations: {},
+    folders: manifest.folders ? readJson(files, manifest.folders) : [],
+    settings: manifest.settings ? readJson(files, manifest.settings) : []
+  };
+  const audio = {};
+
+  manifest.sessions.forEach(entry => {
+    const { session, transcript, summaries, annotations } = readJson(files, entry.file) || {};
+    if (!session || session.id !== entry.id) {
+      throw new Error(`Archive file ${entry.file} does not hold session ${entry.id}`);
+    }
+
+    backup.sessions.push(session);
+    backup.transcripts[session.id] = transcript;
+    backup.summaries[session.id] = summaries;
+    backup.annotations[session.id] = annotations || [];
+
+    if (entry.audio && entry.audio.length > 0) {
+      audio[session.id] = entry.audio.map(({ file, ...recording }) => ({
+        ...recording,
+        data: files.get(file)
+      }));
+    }
+  });
+
+  return { manifest, backup, audio };
+};
@@ -0,0 +1,301 @@
+/**
+ * Storage backends - Where StorageService keeps its data
+ *
+ * A backend opens the database StorageService works on. `open()` resolves to
+ * an object with the IndexedDB database interface (`transaction`,
+ * `objectStoreNames`, `close`) after running `upgrade` when the stored schema
+ * is older, and `cmp()` compares keys in the order of that database.
+ *
+ * - IndexedDBBackend keeps the data in the browser's IndexedDB (the default).
+ * - FileSystemBackend keeps it in NDJSON files under the app's userData
+ *   directory, written by the Electron main process (see src/main/fileStore.js),
+ *   so the data can be backed up, synced or inspected with normal file tools.
+ *   The renderer works on a MemoryDatabase loaded from the files; every
+ *   committed write transaction is sent to the main process, in order.
+ *   Audio stays out of that load: its records hold `{$file, byteLength}` in
+ *   place of the audio, which `resolveRecord()` reads when it is needed.
+ */
+
+import { MemoryDatabase, compareKeys } from './memoryDatabase';
+
+/**
+ * Available backend types
+ */
+export const STORAGE_BACKENDS = {
+  INDEXED_DB: 'indexeddb',
+  FILE_SYSTEM: 'filesystem'
+};
+
+/**
+ * Get the Electron bridge with the file store handlers (see src/main/preload.js)
+ * @returns {Object|null} Bridge, or null outside the desktop app
+ */
+export const getFileStoreBridge = () => {
+  const bridge = typeof window !== 'undefined' ? window.electronAPI : null;
+  return bridge && typeof bridge.loadStorageFiles === 'function' ? bridge : null;
+};
+
+/**
+ * Backend on the browser's IndexedDB
+ */
+export class IndexedDBBackend {
+  constructor() {
+    this.type = STORAGE_BACKENDS.INDEXED_DB;
+    this.location = null;
+  }
+
+  /**
+   * Open the database, upgrading its schema when needed
+   * @param {Object} options - Open options
+   * @param {string} options.name - Database name
+   * @param {number} options.version - Schema version
+   * @param {Function} options.upgrade - ({db, transaction, oldVersion, newVersion}) => void; throwing rolls the upgrade back
+   * @param {Function} [options.onVersionChange] - Called when another window upgrades the schema
+   * @param {Function} [options.onWriteError] - Called with the first write that fails after its transaction committed (not used here: IndexedDB commits are stored)
+   * @returns {Promise<IDBDatabase>} Database
+   */
+  open({ name, version, upgrade, onVersionChange = null }) {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(name, version);
+      let upgradeError = null;
+
+      request.onerror = () => {
+        reject(new Error(`Failed to open database: ${upgradeError ? upgradeError.message : request.error}`));
+      };
+
+      request.onsuccess = () => {
+        const db = request.result;
+        // Let a newer version of the app upgrade the schema
+        db.onversionchange = () => {
+          if (onVersionChange) {
+            onVersionChange();
+          }
+        };
+        resolve(db);
+      };
+
+      request.onblocked = () => {
+        reject(new Error('Database upgrade blocked: close other windows of the application and retry'));
+      };
+
+      request.onupgradeneeded = (event) => {
+        const transaction = event.target.transaction;
+
+        try {
+          upgrade({
+            db: event.target.result,
+            transaction,
+            oldVersion: event.oldVersion,
+            newVersion: event.newVersion
+          });
+        } catch (error) {
+          // Aborting rolls back every step, leaving the previous version intact
+          upgradeError = error;
+          transaction.abort();
+        }
+      };
+    });
+  }
+
+  /**
+   * Compare two keys
+   * @param {*} a - Key
+   * @param {*} b - Key
+   * @returns {number} -1, 0 or 1
+   */
+  cmp(a, b) {
+    return indexedDB.cmp(a, b);
+  }
+
+  /**
+   * Load the parts of a stored record kept outside the database (none here)
+   * @param {Object} record - Stored record
+   * @returns {Promise<Object>} The record
+   */
+  async resolveRecord(record) {
+    return record;
+  }
+
+  /**
+   * Wait until all writes are stored (IndexedDB stores them on commit)
+   * @returns {Promise<void>}
+   */
+  async flush() {}
+}
+
+/**
+ * Backend on NDJSON files kept by the Electron main process
+ */
+export class FileSystemBackend {
+  /**
+   * @param {Object} [bridge] - Electron bridge (defaults to `window.electronAPI`)
+   */
+  constructor(bridge = getFileStoreBridge()) {
+    if (!bridge) {
+      throw new Error('File storage is only available in the desktop app');
+    }
+
+    this.type = STORAGE_BACKENDS.FILE_SYSTEM;
+    this.bridge = bridge;
+    this.name = null;
+    this.location = null;
+    this.db = null;
+    // Commits are sent one after the other, in commit order
+    this.writes = Promise.resolve();
+    this.writeError = null;
+    this.onWriteError = null;
+  }
+
+  /**
+   * Load the database files and upgrade the schema when needed
+   * @param {Object} options - Open options (see IndexedDBBackend.open)
+   * @returns {Promise<MemoryDatabase>} Database
+   */
+  async open({ name, version, upgrade, onWriteError = null }) {
+    let state;
+    try {
+      state = await this.bridge.loadStorageFiles(name);
+    } catch (error) {
+      throw new Error(`Failed to open database: ${error.message}`);
+    }
+
+    if (state.version > version) {
+      throw new Error(`Failed to open database: the data files have schema version ${state.version}, which is newer than this app supports (${version})`);
+    }
+
+    this.name = name;
+    this.location = state.directory;
+    this.onWriteError = onWriteError;
+    const db = new MemoryDatabase({ name, ...state }, {
+      onCommit: (commit) => this.persist(name, commit)
+    });
+    this.db = db;
+
+    if (state.version < version) {
+      await this.upgrade(db, { version, upgrade });
+    }
+
+    return db;
+  }
+
+  /**
+   * Run the schema upgrade in a versionchange transaction
+   * @param {MemoryDatabase} db - Database
+   * @param {Object} options - Target version and upgrade function
+   * @returns {Promise<void>}
+   */
+  upgrade(db, { version, upgrade }) {
+    return new Promise((resolve, reject) => {
+      const oldVersion = db.version;
+      const transaction = db.upgradeTransaction();
+      db.version = version;
+
+      transaction.oncomplete = () => resolve();
+      transaction.onabort = () => {
+        db.version = oldVersion;
+        reject(new Error(`Failed to open database: ${transaction.error ? transaction.error.message : 'upgrade aborted'}`));
+      };
+
+      try {
+        upgrade({ db, transaction, oldVersion, newVersion: version });
+      } catch (error) {
+        transaction.abort(error);
+      }
+    });
+  }
+
+  /**
+   * Send a committed transaction to the main process
+   * @param {string} name - Database name
+   * @param {Object} commit - `{version, schema, changes}` from MemoryDatabase
+   */
+  persist(name, commit) {
+    this.writes = this.writes
+      .then(() => this.bridge.commitStorageChanges(name, commit))
+      .catch(error => {
+        // The data is still in memory but no longer matches the files: report
+        // the first failure, and fail every later flush()
+        if (this.writeError) {
+          return;
+        }
+        this.writeError = error;
+        if (this.onWriteError) {
+          this.onWriteError(new Error(`Failed to write storage files: ${error.message}`));
+        }
+      });
+  }
+
+  /**
+   * Compare two keys
+   * @param {*} a - Key
+   * @param {*} b - Key
+   * @returns {number} -1, 0 or 1
+   */
+  cmp(a, b) {
+    return compareKeys(a, b);
+  }
+
+  /**
+   * Read the fields of a stored record that are kept in files of their own
+   * @param {Object} record - Stored record
+   * @returns {Promise<Object>} Record with those fields as bytes
+   */
+  async resolveRecord(record) {
+    const detached = Object.entries(record).filter(([, value]) => value && typeof value.$file === 'string');
+    if (detached.length === 0) {
+      return record;
+    }
+
+    const resolved = { ...record };
+    for (const [field, { $file }] of detached) {
+      resolved[field] = await this.bridge.readStorageFile(this.name, $file);
+    }
+    return resolved;
+  }
+
+  /**
+   * Wait until all transactions have committed and are written to the files.
+   * Writes resolve once their requests are issued, so some may still be queued.
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    if (this.db) {
+      await this.db.whenIdle();
+    }
+    await this.writes;
+    if (this.writeError) {
+      throw new Error(`Failed to write storage files: ${this.writeError.message}`);
+    }
+  }
+}
+
+/**
+ * Create a backend of the given type
+ * @param {string} type - Backend type (see STORAGE_BACKENDS)
+ * @returns {Object} Backend
+ */
+export const createBackend = (type) => {
+  if (type === STORAGE_BACKENDS.FILE_SYSTEM) {
+    return new FileSystemBackend();
+  }
+  if (type === STORAGE_BACKENDS.INDEXED_DB) {
+    return new IndexedDBBackend();
+  }
+  throw new Error(`Unknown storage backend: ${type}`);
+};
+
+/**
+ * Create the backend chosen in the desktop app's storage configuration,
+ * IndexedDB when there is none
+ * @returns {Promise<Object>} Backend
+ */
+export const createConfiguredBackend = async () => {
+  const bridge = getFileStoreBridge();
+  if (bridge) {
+    const config = await bridge.getStorageConfig();
+    if (config && config.backend === STORAGE_BACKENDS.FILE_SYSTEM) {
+      return new FileSystemBackend(bridge);
+    }
+  }
+  return new IndexedDBBackend();
+};
@@ -0,0 +1,232 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { IDBFactory } from 'fake-indexeddb';
+import { StorageService } from './storageService';
+import { FileSystemBackend, IndexedDBBackend } from './storageBackends';
+import { createFileStore } from '../main/fileStore';
+
+const PASSPHRASE = 'correct horse battery staple';
+
+/**
+ * Create a storage service with fewer key derivation rounds, for fast tests
+ * @param {Object} backend - Storage backend
+ * @returns {Promise<StorageService>} Initialized service
+ */
+const openStorage = async (backend) => {
+  const service = new StorageService({ backend });
+  service.encryption.kdfConfig.iterations = 1000;
+  await service.initialize();
+  return service;
+};
+
+/**
+ * Storage on fake-indexeddb; reopening uses the same database
+ * @returns {Promise<Object>} `{open, cleanup}`
+ */
+const createIndexedDBStorage = async () => {
+  const originalIndexedDB = global.indexedDB;
+  global.indexedDB = new IDBFactory();
+
+  return {
+    open: () => openStorage(new IndexedDBBackend()),
+    cleanup: async () => {
+      global.indexedDB = originalIndexedDB;
+    }
+  };
+};
+
+/**
+ * Storage on a MemoryDatabase written to NDJSON files by the main process file
+ * store, with the file store called directly in place of the Electron bridge
+ * @returns {Promise<Object>} `{open, cleanup, bridge}`
+ */
+const createFileSystemStorage = async () => {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'storage-backend-'));
+  const fileStore = createFileStore(directory);
+  const bridge = {
+    getStorageConfig: () => fileStore.getConfig(),
+    setStorageConfig: (config) => fileStore.setConfig(config),
+    loadStorageFiles: (name) => fileStore.load(name),
+    readStorageFile: (name, file) => fileStore.readFile(name, file),
+    commitStorageChanges: (name, commit) => fileStore.commit(name, commit)
+  };
+
+  return {
+    open: () => openStorage(new FileSystemBackend(bridge)),
+    cleanup: () => fs.rm(directory, { recursive: true, force: true }),
+    bridge
+  };
+};
+
+/**
+ * Close a service once its writes are stored
+ * @param {StorageService} service - Storage service
+ * @returns {Promise<void>}
+ */
+const closeStorage = async (service) => {
+  await service.backend.flush();
+  service.close();
+};
+
+describe.each([
+  ['IndexedDB', createIndexedDBStorage],
+  ['file system', createFileSystemStorage]
+])('StorageService on %s', (backendName, createStorage) => {
+  let storage;
+  let service;
+
+  /**
+   * Close the service and open the stored data again
+   * @returns {Promise<StorageService>} Reopened service
+   */
+  const reopen = async () => {
+    await closeStorage(service);
+    service = await storage.open();
+    return service;
+  };
+
+  beforeEach(async () => {
+    storage = await createStorage();
+    service = await storage.open();
+  });
+
+  afterEach(async () => {
+    await closeStorage(service);
+    await storage.cleanup();
+  });
+
+  it('keeps sessions, transcripts and summaries across restarts', async () => {
+    const sessionId = await service.createSession({ title: 'Loop interview', platform: 'zoom', tags: ['backend'] });
+    await service.saveTranscriptSegments(sessionId, [
+      { text: 'Tell me about yourself', timestamp: 1000, relativeTime: 0 },
+      { text: 'I build storage engines', timestamp: 2000, relativeTime: 1000 }
+    ]);
+    await service.saveSummary(sessionId, { content: 'First summary' });
+    await service.saveSummary(sessionId, { content: 'Second summary' });
+
+    await reopen();
+
+    expect(await service.getSession(sessionId)).toMatchObject({ title: 'Loop interview', platform: 'zoom', tags: ['backend'] });
+    expect((await service.getTranscriptSegments(sessionId)).map(segment => segment.text))
+      .toEqual(['Tell me about yourself', 'I build storage engines']);
+    expect((await service.getSummaryHistory(sessionId)).map(summary => summary.content))
+      .toEqual(['Second summary', 'First summary']);
+    expect(await service.getTags()).toEqual([{ tag: 'backend', count: 1 }]);
+  });
+
+  it('pages and counts sessions through the indexes', async () => {
+    for (const title of ['charlie', 'Alpha', 'bravo']) {
+      await service.createSession({ title, tags: title === 'Alpha' ? [] : ['onsite'] });
+    }
+
+    const first = await service.getSessionsPage({ pageSize: 2, sortBy: 'title', order: 'asc' });
+    const second = await service.getSessionsPage({ pageSize: 2, sortBy: 'title', order: 'asc', cursor: first.nextCursor });
+
+    expect([...first.sessions, ...second.sessions].map(session => session.title)).toEqual(['Alpha', 'bravo', 'charlie']);
+    expect(second.nextCursor).toBeNull();
+    expect(await service.countSessions({ tags: ['onsite'] })).toBe(2);
+  });
+
+  it('purges a session with everything that belongs to it', async () => {
+    const sessionId = await service.createSession({ title: 'Deleted' });
+    const keptId = await service.createSession({ title: 'Kept' });
+    await service.saveTranscriptSegments(sessionId, [{ text: 'Gone soon', timestamp: 1000 }]);
+    await service.saveAudioRecording(sessionId, Uint8Array.from([1, 2, 3]), { sessionOffset: 0, duration: 1000, mimeType: 'audio/webm' });
+
+    await service.deleteSession(sessionId);
+    expect((await service.getTrashedSessions()).map(session => session.id)).toEqual([sessionId]);
+    await service.emptyTrash();
+    await reopen();
+
+    expect(await service.getSession(sessionId)).toBeNull();
+    expect(await service.getTranscriptSegments(sessionId)).toEqual([]);
+    expect(await service.getAudioRecordings(sessionId)).toEqual([]);
+    expect((await service.getSessions()).map(session => session.id)).toEqual([keptId]);
+  });
+
+  it('keeps audio recordings across restarts', async () => {
+    const sessionId = await service.createSession({ title: 'Recorded' });
+    await service.saveAudioRecording(sessionId, Uint8Array.from([1, 2, 3, 4]), { sessionOffset: 0, duration: 1000, mimeType: 'audio/webm' });
+
+    await reopen();
+
+    const [recording] = await service.getAudioRecordings(sessionId);
+    expect(recording).toMatchObject({ sessionId, size: 4, mimeType: 'audio/webm' });
+    expect(recording.data.size).toBe(4);
+  });
+
+  it('opens encrypted data again after unlocking', async () => {
+    const sessionId = await service.createSession({ title: 'Confidential' });
+    await service.saveAudioRecording(sessionId, Uint8Array.from([5, 6, 7]), { sessionOffset: 0, duration: 1000, mimeType: 'audio/webm' });
+    await service.enableEncryption(PASSPHRASE);
+
+    await reopen();
+
+    expect(service.isLocked()).toBe(true);
+    await expect(service.getSession(sessionId)).rejects.toThrow('Storage is locked');
+
+    await service.unlock(PASSPHRASE);
+    expect((await service.getSession(sessionId)).title).toBe('Confidential');
+    expect((await service.getAudioRecordings(sessionId))[0].data.size).toBe(3);
+  });
+});
+
+describe('StorageService on the file system', () => {
+  let storage;
+  let service;
+
+  beforeEach(async () => {
+    storage = await createFileSystemStorage();
+    service = await storage.open();
+  });
+
+  afterEach(async () => {
+    await closeStorage(service);
+    await storage.cleanup();
+  });
+
+  it('loads audio records without their audio', async () => {
+    const sessionId = await service.createSession({ title: 'Recorded' });
+    await service.saveAudioRecording(sessionId, Uint8Array.from([1, 2, 3, 4]), { sessionOffset: 0, duration: 1000, mimeType: 'audio/webm' });
+    await closeStorage(service);
+
+    service = await storage.open();
+
+    const [record] = await service.getAllRecords(service.stores.audio);
+    expect(record.payload).toEqual({ $file: expect.stringMatching(/^audio\//), byteLength: 4 });
+    expect((await service.getStorageStats()).audioSize).toBe(4);
+  });
+
+  it('writes transactions that have not committed yet when flushed', async () => {
+    const transaction = service.db.transaction([service.stores.settings], 'readwrite');
+    transaction.objectStore(service.stores.settings).put({ key: 'theme', value: 'dark' });
+    await closeStorage(service);
+
+    service = await storage.open();
+
+    expect((await service.getSetting('theme')).value).toBe('dark');
+  });
+
+  it('reports the first failed write and fails the writes that wait for it', async () => {
+    const listener = jest.fn();
+    service.setWriteErrorListener(listener);
+    const commit = storage.bridge.commitStorageChanges;
+    storage.bridge.commitStorageChanges = () => Promise.reject(new Error('Disk full'));
+
+    await expect(service.autosaveSession({ id: 'session_unsaved', title: 'Unsaved', transcript: [] })).rejects.toThrow(
+      'Failed to write storage files: Disk full'
+    );
+    await service.createSession({ title: 'Also unsaved' });
+    await expect(service.flush()).rejects.toThrow('Disk full');
+
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener.mock.calls[0][0].message).toBe('Failed to write storage files: Disk full');
+
+    // The files still hold the data from before the failure
+    service.close();
+    storage.bridge.commitStorageChanges = commit;
+    service = await storage.open();
+    expect(await service.getSessions()).toEqual([]);
+  });
+});
@@ -0,0 +1,301 @@
+/**
+ * Storage import - Backup format checks and import planning for StorageService
+ *
+ * Importing happens in two steps. `normalizeBackup` checks the payload
+ * against the export format version and brings older formats into the current
+ * shape. `planImport` then decides, for every session in the backup, whether
+ * it is created, skipped, overwritten or kept alongside the existing one, and
+ * remaps ids consistently across sessions, transcripts, summaries and
+ * annotations. The plan
+ * doubles as the dry-run report; nothing here touches the database.
+ */
+
+/**
+ * Version of the `exportData` payload layout.
+ * 1: `summaries` maps a session ID to its latest summary (no `formatVersion` field)
+ * 2: `summaries` maps a session ID to all summary versions, oldest first
+ */
+export const EXPORT_FORMAT_VERSION = 2;
+
+/**
+ * How a backup session whose ID already exists is handled
+ */
+export const IMPORT_STRATEGIES = {
+  SKIP: 'skip',
+  OVERWRITE: 'overwrite',
+  KEEP_BOTH: 'keep-both'
+};
+
+// Settings that describe this database rather than user preferences
+const INTERNAL_SETTINGS = ['encryption', 'searchIndexVersion'];
+
+/**
+ * Check a backup payload and convert it to the current format
+ * @param {Object} data - Payload produced by exportData
+ * @returns {Object} Normalized backup
+ */
+export const normalizeBackup = (data) => {
+  if (!data || typeof data !== 'object') {
+    throw new Error('Invalid backup data format: expected an object');
+  }
+
+  // Format 1 exports only carried the schema version
+  const formatVersion = data.formatVersion || 1;
+
+  if (!Number.isInteger(formatVersion) || formatVersion < 1) {
+    throw new Error(`Invalid backup data format: unknown format version ${data.formatVersion}`);
+  }
+
+  if (formatVersion > EXPORT_FORMAT_VERSION) {
+    throw new Error(`Backup format version ${formatVersion} is newer than supported version ${EXPORT_FORMAT_VERSION}; update the application to import it`);
+  }
+
+  if (formatVersion === 1 && !data.version) {
+    throw new Error('Invalid backup data format: missing version');
+  }
+
+  if (!Array.isArray(data.sessions)) {
+    throw new Error('Invalid backup data format: sessions must be an array');
+  }
+
+  const asObject = (value, name) => {
+    if (value === undefined || value === null) {
+      return {};
+    }
+    if (typeof value !== 'object' || Array.isArray(value)) {
+      throw new Error(`Invalid backup data format: ${name} must be an object keyed by session ID`);
+    }
+    return value;
+  };
+
+  const transcripts = asObject(data.transcripts, 'transcripts');
+  // Annotations were added to format 2 later, so they are optional
+  const annotations = asObject(data.annotations, 'annotations');
+  const summaries = {};
+
+  [[transcripts, 'transcript'], [annotations, 'annotations']].forEach(([records, name]) => {
+    Object.entries(records).forEach(([sessionId, value]) => {
+      if (!Array.isArray(value)) {
+        throw new Error(`Invalid backup data format: ${name} for session ${sessionId} must be an array`);
+      }
+    });
+  });
+
+  Object.entries(asObject(data.summaries, 'summaries')).forEach(([sessionId, value]) => {
+    if (formatVersion === 1) {
+      summaries[sessionId] = value ? [value] : [];
+    } else if (Array.isArray(value)) {
+      summaries[sessionId] = value;
+    } else {
+      throw new Error(`Invalid backup data format: summaries for session ${sessionId} must be an array`);
+    }
+  });
+
+  if (data.settings !== undefined && !Array.isArray(data.settings)) {
+    throw new Error('Invalid backup data format: settings must be an array');
+  }
+
+  // Folders were added to format 2 later, so they are optional
+  if (data.folders !== undefined && !Array.isArray(data.folders)) {
+    throw new Error('Invalid backup data format: folders must be an array');
+  }
+
+  return {
+    formatVersion,
+    exportedAt: data.exportedAt || null,
+    sessions: data.sessions,
+    transcripts,
+    summaries,
+    annotations,
+    folders: data.folders || [],
+    settings: data.settings || []
+  };
+};
+
+/**
+ * Plan an import against the IDs already in the database
+ * @param {Object} backup - Normalized backup
+ * @param {Object} existing - Existing IDs
+ * @param {Set<string>} existing.sessionIds - Session IDs
+ * @param {Set<string>} existing.transcriptIds - Transcript segment IDs
+ * @param {Set<string>} existing.summaryIds - Summary IDs
+ * @param {Set<string>} existing.annotationIds - Annotation IDs
+ * @param {Set<string>} existing.settingKeys - Setting keys
+ * @param {Set<string>} existing.folderIds - Folder IDs
+ * @param {Map<string, Set<string>>} existing.childIdsBySession - Transcript, summary and annotation IDs per session
+ * @param {Object} options - Import options
+ * @param {string} options.strategy - One of IMPORT_STRATEGIES
+ * @param {Function} options.generateId - ID generator
+ * @returns {Object} Import plan: session entries, folders, settings and a report
+ */
+export const planImport = (backup, existing, { strategy, generateId }) => {
+  const report = {
+    formatVersion: backup.formatVersion,
+    strategy,
+    sessions: { total: backup.sessions.length, created: 0, overwritten: 0, keptBoth: 0, skipped: 0 },
+    transcripts: { imported: 0, skipped: 0, remapped: 0 },
+    summaries: { imported: 0, skipped: 0, remapped: 0 },
+    annotations: { imported: 0, skipped: 0, remapped: 0 },
+    folders: { imported: 0, skipped: 0 },
+    settings: { imported: 0, skipped: 0 },
+    conflicts: [],
+    idMap: { sessions: {}, transcripts: {}, summaries: {}, annotations: {} },
+    warnings: []
+  };
+
+  const backupSessionIds = new Set(backup.sessions.map(session => session.id));
+  const claimedIds = {
+    transcripts: new Set(),
+    summaries: new Set(),
+    annotations: new Set()
+  };
+  const takenIds = {
+    transcripts: existing.transcriptIds,
+    summaries: existing.summaryIds,
+    annotations: existing.annotationIds
+  };
+
+  // Child IDs are global keys: remap any that belong to another session or repeat in the backup
+  const resolveChildId = (kind, id, { forceNew, ownIds }) => {
+    const taken = takenIds[kind];
+    const isClash = !id || claimedIds[kind].has(id) || (taken.has(id) && !ownIds.has(id));
+    const targetId = forceNew || isClash ? generateId() : id;
+
+    claimedIds[kind].add(targetId);
+    if (id && targetId !== id) {
+      report.idMap[kind][id] = targetId;
+      report[kind].remapped++;
+    }
+    return targetId;
+  };
+
+  // Folders are shared between sessions, so an existing folder is only replaced when overwriting
+  const folders = backup.folders.filter(folder => {
+    const keep = folder && folder.id &&
+      (strategy === IMPORT_STRATEGIES.OVERWRITE || !existing.folderIds.has(folder.id));
+    if (keep) {
+      report.folders.imported++;
+    } else {
+      report.folders.skipped++;
+    }
+    return keep;
+  });
+  const knownFolderIds = new Set([...existing.folderIds, ...folders.map(folder => folder.id)]);
+
+  const entries = [];
+
+  backup.sessions.forEach(session => {
+    const sourceId = session.id;
+    const segments = backup.transcripts[sourceId] || [];
+    const versions = backup.summaries[sourceId] || [];
+    const notes = backup.annotations[sourceId] || [];
+    const conflict = existing.sessionIds.has(sourceId);
+
+    let action = 'create';
+    if (conflict) {
+      action = {
+        [IMPORT_STRATEGIES.SKIP]: 'skip',
+        [IMPORT_STRATEGIES.OVERWRITE]: 'overwrite',
+        [IMPORT_STRATEGIES.KEEP_BOTH]: 'keep-both'
+      }[strategy];
+    }
+
+    const targetId = action === 'keep-both' ? generateId() : sourceId;
+
+    if (conflict) {
+      report.conflicts.push({ sessionId: sourceId, resolution: action, targetId });
+    }
+
+    if (action === 'skip') {
+      report.sessions.skipped++;
+      report.transcripts.skipped += segments.length;
+      report.summaries.skipped += versions.length;
+      report.annotations.skipped += notes.length;
+      return;
+    }
+
+    if (targetId !== sourceId) {
+      report.idMap.sessions[sourceId] = targetId;
+    }
+
+    // An overwritten session may reuse its own child IDs, since they are replaced
+    const ownIds = action === 'overwrite' ? existing.childIdsBySession.get(sourceId) || new Set() : new Set();
+    const forceNew = action === 'keep-both';
+
+    const transcript = segments.map(segment => ({
+      ...segment,
+      id: resolveChildId('transcripts', segment.id, { forceNew, ownIds })
+    }));
+
+    const summaryIdMap = new Map();
+    const summaries = versions.map(version => {
+      const id = resolveChildId('summaries', version.id, { forceNew, ownIds });
+      if (version.id) {
+        summaryIdMap.set(version.id, id);
+      }
+      return { ...version, id };
+    });
+
+    const annotations = notes.map(annotation => ({
+      ...annotation,
+      id: resolveChildId('annotations', annotation.id, { forceNew, ownIds })
+    }));
+
+    // Keep the version chain pointing at the remapped IDs
+    summaries.forEach(summary => {
+      summary.previousSummaryId = summaryIdMap.get(summary.previousSummaryId) || null;
+      summary.restoredFromId = summaryIdMap.get(summary.restoredFromId) || null;
+    });
+
+    let folderId = session.folderId || null;
+    if (folderId && !knownFolderIds.has(folderId)) {
+      report.warnings.push(`Session ${sourceId} was in folder ${folderId}, which is not in the backup; it is imported without a folder`);
+      folderId = null;
+    }
+
+    entries.push({
+      sourceId,
+      targetId,
+      action,
+      session: { ...session, id: targetId, folderId },
+      transcript,
+      summaries,
+      annotations
+    });
+
+    report.transcripts.imported += transcript.length;
+    report.summaries.imported += summaries.length;
+    report.annotations.imported += annotations.length;
+    if (action === 'create') {
+      report.sessions.created++;
+    } else if (action === 'overwrite') {
+      report.sessions.overwritten++;
+    } else {
+      report.sessions.keptBoth++;
+    }
+  });
+
+  // Transcripts, summaries or annotations without a session in the backup would become orphans
+  ['transcripts', 'summaries', 'annotations'].forEach(kind => {
+    Object.entries(backup[kind]).forEach(([sessionId, records]) => {
+      if (!backupSessionIds.has(sessionId) && records.length > 0) {
+        report[kind].skipped += records.length;
+        report.warnings.push(`Skipped ${records.length} ${kind} for session ${sessionId}, which is not in the backup`);
+      }
+    });
+  });
+
+  // Settings have no "keep both": existing keys are only replaced when overwriting
+  const settings = backup.settings.filter(setting => {
+    const keep = setting && setting.key && !INTERNAL_SETTINGS.includes(setting.key) &&
+      (strategy === IMPORT_STRATEGIES.OVERWRITE || !existing.settingKeys.has(setting.key));
+    if (keep) {
+      report.settings.imported++;
+    } else {
+      report.settings.skipped++;
+    }
+    return keep;
+  });
+
+  return { entries, folders, settings, report };
+};
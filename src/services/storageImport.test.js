@@ -0,0 +1,238 @@
+import { IDBFactory } from 'fake-indexeddb';
+import { IMPORT_STRATEGIES, normalizeBackup, planImport } from './storageImport';
+import { createArchive, readArchive } from './storageArchive';
+import { StorageService } from './storageService';
+import { IndexedDBBackend } from './storageBackends';
+import { createZip, readZip } from '../utils/zipUtils';
+
+/**
+ * Backup with one session, its transcript, two summary versions and a note
+ * @returns {Object} exportData payload
+ */
+const createBackup = () => ({
+  formatVersion: 2,
+  version: 11,
+  exportedAt: '2024-03-02T10:00:00.000Z',
+  sessions: [{ id: 'session_1', date: '2024-03-01T10:00:00.000Z', title: 'Imported loop', status: 'completed', folderId: 'folder_1' }],
+  folders: [{ id: 'folder_1', name: 'Hiring' }],
+  transcripts: {
+    session_1: [{ id: 'segment_1', sessionId: 'session_1', text: 'Tell me about caching', timestamp: 1000 }]
+  },
+  summaries: {
+    session_1: [
+      { id: 'summary_1', sessionId: 'session_1', content: 'First', version: 1, previousSummaryId: null },
+      { id: 'summary_2', sessionId: 'session_1', content: 'Second', version: 2, previousSummaryId: 'summary_1' }
+    ]
+  },
+  annotations: {
+    session_1: [{ id: 'note_1', sessionId: 'session_1', type: 'note', relativeTime: 500, text: 'Strong answer' }]
+  },
+  settings: [
+    { key: 'theme', value: 'dark' },
+    { key: 'encryption', value: { salt: 'abc' } }
+  ]
+});
+
+/**
+ * IDs already stored, as StorageService.getExistingIds returns them
+ * @param {Object} [ids] - Stored IDs by kind
+ * @returns {Object} Existing IDs
+ */
+const createExisting = ({ sessions = [], transcripts = [], summaries = [], annotations = [], settings = [], folders = [], children = {} } = {}) => ({
+  sessionIds: new Set(sessions),
+  transcriptIds: new Set(transcripts),
+  summaryIds: new Set(summaries),
+  annotationIds: new Set(annotations),
+  settingKeys: new Set(settings),
+  folderIds: new Set(folders),
+  childIdsBySession: new Map(Object.entries(children).map(([sessionId, ids]) => [sessionId, new Set(ids)]))
+});
+
+/**
+ * ID generator returning new_1, new_2, ...
+ * @returns {Function} Generator
+ */
+const createIdGenerator = () => {
+  let next = 0;
+  return () => `new_${++next}`;
+};
+
+describe('planImport', () => {
+  const plan = (existing, strategy) => planImport(normalizeBackup(createBackup()), existing, {
+    strategy,
+    generateId: createIdGenerator()
+  });
+
+  it('creates sessions that are not stored yet with their own IDs', () => {
+    const { entries, folders, settings, report } = plan(createExisting(), IMPORT_STRATEGIES.SKIP);
+
+    expect(entries.map(entry => [entry.action, entry.targetId])).toEqual([['create', 'session_1']]);
+    expect(entries[0].summaries.map(summary => summary.id)).toEqual(['summary_1', 'summary_2']);
+    expect(folders.map(folder => folder.id)).toEqual(['folder_1']);
+    expect(settings.map(setting => setting.key)).toEqual(['theme']);
+    expect(report.sessions).toMatchObject({ created: 1, skipped: 0 });
+    expect(report.conflicts).toEqual([]);
+  });
+
+  it('skips a stored session with all its records', () => {
+    const { entries, report } = plan(createExisting({ sessions: ['session_1'], settings: ['theme'] }), IMPORT_STRATEGIES.SKIP);
+
+    expect(entries).toEqual([]);
+    expect(report.sessions.skipped).toBe(1);
+    expect(report.transcripts.skipped).toBe(1);
+    expect(report.summaries.skipped).toBe(2);
+    expect(report.annotations.skipped).toBe(1);
+    expect(report.settings).toEqual({ imported: 0, skipped: 2 });
+    expect(report.conflicts).toEqual([{ sessionId: 'session_1', resolution: 'skip', targetId: 'session_1' }]);
+  });
+
+  it('overwrites a stored session, reusing its own child IDs only', () => {
+    const existing = createExisting({
+      sessions: ['session_1', 'session_2'],
+      transcripts: ['segment_1'],
+      summaries: ['summary_1', 'summary_2'],
+      children: { session_1: ['summary_1', 'summary_2'], session_2: ['segment_1'] }
+    });
+    const { entries, report } = plan(existing, IMPORT_STRATEGIES.OVERWRITE);
+
+    expect(entries[0]).toMatchObject({ action: 'overwrite', targetId: 'session_1' });
+    expect(entries[0].summaries.map(summary => summary.id)).toEqual(['summary_1', 'summary_2']);
+    // segment_1 belongs to another stored session, so it gets a new ID
+    expect(entries[0].transcript[0].id).toBe('new_1');
+    expect(report.idMap.transcripts).toEqual({ segment_1: 'new_1' });
+    expect(report.sessions.overwritten).toBe(1);
+  });
+
+  it('keeps both copies under new IDs and keeps the summary chain', () => {
+    const { entries, report } = plan(createExisting({ sessions: ['session_1'] }), IMPORT_STRATEGIES.KEEP_BOTH);
+    const [entry] = entries;
+
+    expect(entry.action).toBe('keep-both');
+    expect(entry.session.id).toBe(entry.targetId);
+    expect(entry.targetId).not.toBe('session_1');
+    expect(report.idMap.sessions).toEqual({ session_1: entry.targetId });
+
+    const [first, second] = entry.summaries;
+    expect([first.id, second.id]).not.toContain('summary_1');
+    expect(second.previousSummaryId).toBe(first.id);
+    expect(entry.annotations[0].id).not.toBe('note_1');
+    expect(report.sessions.keptBoth).toBe(1);
+  });
+
+  it('warns about records it cannot place', () => {
+    const backup = normalizeBackup({
+      ...createBackup(),
+      folders: [],
+      transcripts: { ...createBackup().transcripts, session_9: [{ id: 'stray', text: 'Orphan' }] }
+    });
+    const { entries, report } = planImport(backup, createExisting(), {
+      strategy: IMPORT_STRATEGIES.SKIP,
+      generateId: createIdGenerator()
+    });
+
+    expect(entries[0].session.folderId).toBeNull();
+    expect(report.transcripts.skipped).toBe(1);
+    expect(report.warnings).toHaveLength(2);
+  });
+
+  it('reads format 1 backups that hold only the latest summary', () => {
+    const { formatVersion, ...current } = createBackup();
+    const backup = normalizeBackup({ ...current, summaries: { session_1: current.summaries.session_1[1] } });
+
+    expect(backup.formatVersion).toBe(1);
+    expect(backup.summaries.session_1.map(summary => summary.id)).toEqual(['summary_2']);
+    expect(() => normalizeBackup({ ...createBackup(), formatVersion: 3 })).toThrow('is newer than supported version');
+  });
+});
+
+describe('StorageService import', () => {
+  const originalIndexedDB = global.indexedDB;
+  let service;
+
+  beforeEach(async () => {
+    global.indexedDB = new IDBFactory();
+    service = new StorageService({ backend: new IndexedDBBackend() });
+    await service.initialize();
+  });
+
+  afterEach(() => {
+    service.close();
+    global.indexedDB = originalIndexedDB;
+  });
+
+  it('restores an export into an empty database', async () => {
+    await service.importData(createBackup());
+    const exported = await service.exportData();
+
+    service.close();
+    global.indexedDB = new IDBFactory();
+    service = new StorageService({ backend: new IndexedDBBackend() });
+    await service.initialize();
+
+    const report = await service.importData(exported);
+
+    expect(report.sessions.created).toBe(1);
+    expect(await service.getSession('session_1')).toMatchObject({ title: 'Imported loop', folderId: 'folder_1' });
+    expect((await service.getSummaryHistory('session_1')).map(summary => summary.content)).toEqual(['Second', 'First']);
+    expect((await service.getAnnotations('session_1')).map(annotation => annotation.text)).toEqual(['Strong answer']);
+    expect((await service.getSetting('theme')).value).toBe('dark');
+  });
+
+  it('writes nothing on a dry run', async () => {
+    const report = await service.importData(createBackup(), { dryRun: true });
+
+    expect(report).toMatchObject({ dryRun: true, errors: [] });
+    expect(report.sessions.created).toBe(1);
+    expect(await service.getSessions()).toEqual([]);
+  });
+
+  it('resolves a clash with the chosen strategy', async () => {
+    await service.importData(createBackup());
+    await service.updateSession('session_1', { title: 'Edited here' });
+
+    await service.importData(createBackup(), { strategy: IMPORT_STRATEGIES.SKIP });
+    expect((await service.getSession('session_1')).title).toBe('Edited here');
+
+    const kept = await service.importData(createBackup(), { strategy: IMPORT_STRATEGIES.KEEP_BOTH });
+    const copyId = kept.idMap.sessions.session_1;
+    expect((await service.getSession(copyId)).title).toBe('Imported loop');
+    expect(await service.getTranscriptSegments(copyId)).toHaveLength(1);
+
+    await service.importData(createBackup(), { strategy: IMPORT_STRATEGIES.OVERWRITE });
+    expect((await service.getSession('session_1')).title).toBe('Imported loop');
+    expect(await service.getSessions()).toHaveLength(2);
+    expect(await service.getTranscriptSegments('session_1')).toHaveLength(1);
+  });
+
+  it('rejects an unknown strategy before reading the backup', async () => {
+    await expect(service.importData(createBackup(), { strategy: 'merge' })).rejects.toThrow('Unknown import strategy: merge');
+  });
+
+  describe('archives', () => {
+    it('imports an archive with its audio', async () => {
+      const sessionId = await service.createSession({ title: 'Recorded' });
+      await service.saveTranscriptSegments(sessionId, [{ text: 'Hello', timestamp: 1000 }]);
+      await service.saveAudioRecording(sessionId, Uint8Array.from([1, 2, 3]), { sessionOffset: 0, duration: 1000, mimeType: 'audio/webm' });
+      const archive = await service.exportArchive();
+
+      const report = await service.importArchive(archive, { strategy: IMPORT_STRATEGIES.KEEP_BOTH });
+      const copyId = report.idMap.sessions[sessionId];
+
+      expect(report.audio).toEqual({ imported: 1, skipped: 0, remapped: 1 });
+      expect((await service.getSession(copyId)).title).toBe('Recorded');
+      expect((await service.getAudioRecordings(copyId))[0].data.size).toBe(3);
+    });
+
+    it('refuses an archive whose files do not match their checksums', async () => {
+      const files = await readZip(await createArchive(createBackup()));
+      const tampered = Array.from(files.entries()).map(([name, data]) => ({
+        name,
+        data: name.startsWith('sessions/') ? new TextEncoder().encode(new TextDecoder().decode(data).replace('caching', 'hacking')) : data
+      }));
+
+      await expect(readArchive(await createZip(tampered))).rejects.toThrow('Archive checksum mismatch: sessions/0001-session_1.json');
+      await expect(service.importArchive(await createZip(tampered))).rejects.toThrow('Archive checksum mismatch');
+      expect(await service.getSessions()).toEqual([]);
+    });
+  });
+});
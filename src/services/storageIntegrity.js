@@ -0,0 +1,212 @@
+/**
+ * Storage integrity - Consistency checks and repair planning for StorageService
+ *
+ * `findIntegrityIssues` looks at the stored records and reports transcripts,
+ * summaries, annotations and audio whose session is missing (orphans),
+ * summary version links that point to a missing summary (dangling summaries),
+ * transcript segments that fail validation and IDs used in more than one
+ * store. `planRepair` turns those issues into one action per record, which
+ * StorageService.repair carries out. Nothing here touches the database.
+ */
+
+/**
+ * Kinds of integrity issues
+ */
+export const INTEGRITY_ISSUES = {
+  ORPHAN: 'orphan',
+  DANGLING_SUMMARY: 'dangling-summary',
+  INVALID_SEGMENT: 'invalid-segment',
+  DUPLICATE_ID: 'duplicate-id'
+};
+
+/**
+ * What repair does with an affected record
+ */
+export const REPAIR_ACTIONS = {
+  // Create a placeholder session for orphaned records
+  REPARENT: 'reparent',
+  // Point a dangling summary at the previous version of its session
+  RELINK: 'relink',
+  // Move the record to the quarantine store, where it can be inspected
+  QUARANTINE: 'quarantine',
+  DELETE: 'delete'
+};
+
+// Actions allowed for each issue, the default first
+const ALLOWED_ACTIONS = {
+  [INTEGRITY_ISSUES.ORPHAN]: [REPAIR_ACTIONS.REPARENT, REPAIR_ACTIONS.QUARANTINE, REPAIR_ACTIONS.DELETE],
+  [INTEGRITY_ISSUES.DANGLING_SUMMARY]: [REPAIR_ACTIONS.RELINK, REPAIR_ACTIONS.QUARANTINE, REPAIR_ACTIONS.DELETE],
+  [INTEGRITY_ISSUES.INVALID_SEGMENT]: [REPAIR_ACTIONS.QUARANTINE, REPAIR_ACTIONS.DELETE],
+  [INTEGRITY_ISSUES.DUPLICATE_ID]: [REPAIR_ACTIONS.QUARANTINE, REPAIR_ACTIONS.DELETE]
+};
+
+// When a record has several issues, the action that removes it wins
+const ACTION_PRECEDENCE = [
+  REPAIR_ACTIONS.RELINK,
+  REPAIR_ACTIONS.REPARENT,
+  REPAIR_ACTIONS.QUARANTINE,
+  REPAIR_ACTIONS.DELETE
+];
+
+// Stores holding session data; for a duplicate ID the copy in the earliest store is kept
+const CHECKED_STORES = ['sessions', 'transcripts', 'summaries', 'annotations', 'audio'];
+const CHILD_STORES = CHECKED_STORES.slice(1);
+
+/**
+ * Get the time a record was created, for dating a placeholder session
+ * @param {Object} record - Stored record
+ * @returns {number|null} Epoch milliseconds
+ */
+const getRecordTime = (record) => {
+  const time = record.generatedAt || record.createdAt || record.startedAt || record.timestamp;
+  return typeof time === 'number' && time > 0 ? time : null;
+};
+
+/**
+ * Find integrity issues in the stored records
+ * @param {Object} records - Stored records by store: `sessions`, `transcripts`, `summaries`, `annotations`, `audio`
+ * @param {Object} [options] - Check options
+ * @param {Map<string, string>} [options.segmentErrors] - Validation error per transcript segment ID
+ * @returns {Array<Object>} Issues: `{type, store, id, sessionId, message, recordTime}` (plus `field` for dangling summaries)
+ */
+export const findIntegrityIssues = (records, { segmentErrors = new Map() } = {}) => {
+  const issues = [];
+  const addIssue = (type, store, record, message, extra = {}) => {
+    issues.push({
+      type,
+      store,
+      id: record.id,
+      sessionId: store === 'sessions' ? record.id : record.sessionId || null,
+      message,
+      recordTime: getRecordTime(record),
+      ...extra
+    });
+  };
+
+  // IDs are global keys (search postings refer to records by ID alone)
+  const owners = new Map();
+  CHECKED_STORES.forEach(store => {
+    records[store].forEach(record => {
+      if (owners.has(record.id)) {
+        addIssue(INTEGRITY_ISSUES.DUPLICATE_ID, store, record, `ID is already used by a record in ${owners.get(record.id)}`);
+      } else {
+        owners.set(record.id, store);
+      }
+    });
+  });
+
+  const sessionIds = new Set(records.sessions.map(session => session.id));
+  CHILD_STORES.forEach(store => {
+    records[store].forEach(record => {
+      if (!sessionIds.has(record.sessionId)) {
+        addIssue(INTEGRITY_ISSUES.ORPHAN, store, record, `Session ${record.sessionId || '(none)'} does not exist`);
+      }
+    });
+  });
+
+  const summariesById = new Map(records.summaries.map(summary => [summary.id, summary]));
+  records.summaries.forEach(summary => {
+    ['previousSummaryId', 'restoredFromId'].forEach(field => {
+      const targetId = summary[field];
+      if (!targetId) {
+        return;
+      }
+
+      const target = summariesById.get(targetId);
+      if (!target || target.sessionId !== summary.sessionId) {
+        addIssue(INTEGRITY_ISSUES.DANGLING_SUMMARY, 'summaries', summary, `${field} points to summary ${targetId}, which is not in this session`, { field });
+      }
+    });
+  });
+
+  records.transcripts.forEach(segment => {
+    if (segmentErrors.has(segment.id)) {
+      addIssue(INTEGRITY_ISSUES.INVALID_SEGMENT, 'transcripts', segment, segmentErrors.get(segment.id));
+    }
+  });
+
+  return issues;
+};
+
+/**
+ * Count issues by type
+ * @param {Array<Object>} issues - Issues from findIntegrityIssues
+ * @returns {Object} Count per issue type
+ */
+export const countIssues = (issues) => {
+  const counts = Object.fromEntries(Object.values(INTEGRITY_ISSUES).map(type => [type, 0]));
+  issues.forEach(issue => {
+    counts[issue.type]++;
+  });
+  return counts;
+};
+
+/**
+ * Decide what repair does with every affected record
+ * @param {Array<Object>} issues - Issues from findIntegrityIssues
+ * @param {Object} [actions] - Action per issue type (defaults: reparent orphans, relink dangling summaries, quarantine the rest)
+ * @returns {Object} Plan: `records` (one `{store, id, sessionId, action, issues, fields}` per record) and `sessions` (placeholder sessions to create: `{id, date}`)
+ */
+export const planRepair = (issues, actions = {}) => {
+  Object.entries(actions).forEach(([type, action]) => {
+    if (!ALLOWED_ACTIONS[type]) {
+      throw new Error(`Unknown integrity issue type: ${type}`);
+    }
+    if (!ALLOWED_ACTIONS[type].includes(action)) {
+      throw new Error(`Cannot ${action} records with issue ${type}; use one of: ${ALLOWED_ACTIONS[type].join(', ')}`);
+    }
+  });
+
+  const byRecord = new Map();
+
+  issues.forEach(issue => {
+    let action = actions[issue.type] || ALLOWED_ACTIONS[issue.type][0];
+    // Without a session ID there is no session to recreate
+    if (action === REPAIR_ACTIONS.REPARENT && !issue.sessionId) {
+      action = REPAIR_ACTIONS.QUARANTINE;
+    }
+    const key = `${issue.store}:${issue.id}`;
+
+    if (!byRecord.has(key)) {
+      byRecord.set(key, {
+        store: issue.store,
+        id: issue.id,
+        sessionId: issue.sessionId,
+        recordTime: issue.recordTime,
+        action,
+        issues: [],
+        fields: []
+      });
+    }
+
+    const entry = byRecord.get(key);
+    entry.issues.push(issue.type);
+    if (issue.field) {
+      entry.fields.push(issue.field);
+    }
+    if (ACTION_PRECEDENCE.indexOf(action) > ACTION_PRECEDENCE.indexOf(entry.action)) {
+      entry.action = action;
+    }
+  });
+
+  // A reparented summary with a dangling link is relinked as well (`fields`)
+  const records = Array.from(byRecord.values(), ({ recordTime, ...entry }) => entry);
+
+  const sessions = new Map();
+  byRecord.forEach(entry => {
+    if (entry.action !== REPAIR_ACTIONS.REPARENT) {
+      return;
+    }
+
+    const earliest = sessions.get(entry.sessionId);
+    const time = entry.recordTime || Date.now();
+    if (!earliest || time < earliest) {
+      sessions.set(entry.sessionId, time);
+    }
+  });
+
+  return {
+    records,
+    sessions: Array.from(sessions, ([id, time]) => ({ id, date: new Date(time).toISOString() }))
+  };
+};
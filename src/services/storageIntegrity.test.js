@@ -0,0 +1,140 @@
+import { IDBFactory } from 'fake-indexeddb';
+import { INTEGRITY_ISSUES, REPAIR_ACTIONS, planRepair } from './storageIntegrity';
+import { StorageService } from './storageService';
+import { IndexedDBBackend } from './storageBackends';
+
+/**
+ * Write records as they are, without the checks StorageService applies
+ * @param {StorageService} service - Storage service
+ * @param {string} storeName - Store name
+ * @param {Array<Object>} records - Records to put
+ * @returns {Promise<void>}
+ */
+const putRecords = (service, storeName, records) => new Promise((resolve, reject) => {
+  const transaction = service.db.transaction([storeName], 'readwrite');
+  const store = transaction.objectStore(storeName);
+  records.forEach(record => store.put(record));
+  transaction.oncomplete = () => resolve();
+  transaction.onerror = () => reject(transaction.error);
+});
+
+describe('planRepair', () => {
+  const orphan = {
+    type: INTEGRITY_ISSUES.ORPHAN,
+    store: 'summaries',
+    id: 'summary_1',
+    sessionId: 'session_gone',
+    recordTime: 5000
+  };
+
+  it('lets the action that removes a record win', () => {
+    const dangling = { ...orphan, type: INTEGRITY_ISSUES.DANGLING_SUMMARY, field: 'previousSummaryId' };
+
+    const { records, sessions } = planRepair([orphan, dangling], {
+      [INTEGRITY_ISSUES.DANGLING_SUMMARY]: REPAIR_ACTIONS.QUARANTINE
+    });
+
+    expect(records).toEqual([{
+      store: 'summaries',
+      id: 'summary_1',
+      sessionId: 'session_gone',
+      action: REPAIR_ACTIONS.QUARANTINE,
+      issues: [INTEGRITY_ISSUES.ORPHAN, INTEGRITY_ISSUES.DANGLING_SUMMARY],
+      fields: ['previousSummaryId']
+    }]);
+    expect(sessions).toEqual([]);
+  });
+
+  it('rejects actions an issue type does not allow', () => {
+    expect(() => planRepair([orphan], { [INTEGRITY_ISSUES.INVALID_SEGMENT]: REPAIR_ACTIONS.REPARENT }))
+      .toThrow('Cannot reparent records with issue invalid-segment; use one of: quarantine, delete');
+  });
+});
+
+describe('StorageService repair', () => {
+  const originalIndexedDB = global.indexedDB;
+  let service;
+  let sessionId;
+
+  // A segment of a session that was deleted, and one that fails validation
+  const ORPHAN_SEGMENT = { id: 'segment_orphan', sessionId: 'session_gone', text: 'Left behind', timestamp: 5000 };
+  let invalidSegment;
+
+  beforeEach(async () => {
+    global.indexedDB = new IDBFactory();
+    service = new StorageService({ backend: new IndexedDBBackend() });
+    await service.initialize();
+
+    sessionId = await service.createSession({ title: 'Loop interview' });
+    await service.saveTranscriptSegments(sessionId, [{ text: 'Tell me about caching', timestamp: 1000 }]);
+    await service.saveSummary(sessionId, { content: 'First' });
+    await service.saveSummary(sessionId, { content: 'Second' });
+    await service.saveAnnotation(sessionId, { type: 'note', relativeTime: 500, text: 'Strong answer' });
+    invalidSegment = { id: 'segment_invalid', sessionId, text: '', timestamp: 2000 };
+  });
+
+  afterEach(() => {
+    service.close();
+    global.indexedDB = originalIndexedDB;
+  });
+
+  it('reports no issues for data written through the service', async () => {
+    const report = await service.verifyIntegrity();
+
+    expect(report.isHealthy).toBe(true);
+    expect(report.counts).toEqual({ sessions: 1, transcripts: 1, summaries: 2, annotations: 1, audio: 0 });
+    expect(await service.repair()).toMatchObject({ sessionsCreated: 0, reparented: 0, quarantined: 0, deleted: 0, records: [] });
+  });
+
+  it('re-parents orphans to a placeholder session', async () => {
+    await putRecords(service, service.stores.transcripts, [ORPHAN_SEGMENT]);
+
+    const results = await service.repair();
+
+    expect(results).toMatchObject({ sessionsCreated: 1, reparented: 1 });
+    expect(await service.getSession('session_gone')).toMatchObject({
+      title: 'Recovered session',
+      status: 'completed',
+      date: new Date(5000).toISOString()
+    });
+    expect((await service.getTranscriptSegments('session_gone')).map(segment => segment.text)).toEqual(['Left behind']);
+    expect((await service.verifyIntegrity()).isHealthy).toBe(true);
+  });
+
+  it('moves records to the quarantine unchanged', async () => {
+    await putRecords(service, service.stores.transcripts, [ORPHAN_SEGMENT, invalidSegment]);
+
+    const results = await service.repair({ orphans: REPAIR_ACTIONS.QUARANTINE });
+
+    expect(results).toMatchObject({ sessionsCreated: 0, quarantined: 2 });
+    const quarantined = await service.getQuarantinedRecords();
+    expect(quarantined.map(entry => [entry.recordId, entry.issues]).sort()).toEqual([
+      ['segment_invalid', [INTEGRITY_ISSUES.INVALID_SEGMENT]],
+      ['segment_orphan', [INTEGRITY_ISSUES.ORPHAN]]
+    ]);
+    expect(quarantined.find(entry => entry.recordId === 'segment_orphan')).toMatchObject({
+      store: 'transcripts',
+      sessionId: 'session_gone',
+      record: ORPHAN_SEGMENT
+    });
+    expect(await service.getSession('session_gone')).toBeNull();
+    expect((await service.getTranscriptSegments(sessionId)).map(segment => segment.id)).not.toContain('segment_invalid');
+    expect((await service.verifyIntegrity()).isHealthy).toBe(true);
+  });
+
+  it('deletes records when asked, and changes nothing on a dry run', async () => {
+    await putRecords(service, service.stores.transcripts, [ORPHAN_SEGMENT, invalidSegment]);
+    const options = { orphans: REPAIR_ACTIONS.DELETE, invalidSegments: REPAIR_ACTIONS.DELETE };
+
+    const planned = await service.repair({ ...options, dryRun: true });
+    expect(planned).toMatchObject({ dryRun: true, deleted: 2 });
+    expect((await service.verifyIntegrity()).issueCounts).toMatchObject({ orphan: 1, 'invalid-segment': 1 });
+
+    const results = await service.repair(options);
+
+    expect(results).toMatchObject({ dryRun: false, deleted: 2, quarantined: 0 });
+    expect(await service.getQuarantinedRecords()).toEqual([]);
+    expect(await service.getAllRecords(service.stores.transcripts)).toHaveLength(1);
+    expect((await service.verifyIntegrity()).isHealthy).toBe(true);
+  });
+});
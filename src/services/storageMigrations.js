@@ -0,0 +1,261 @@
+/**
+ * Storage migrations - Versioned IndexedDB schema upgrades for StorageService
+ *
+ * Every entry upgrades the database from `version - 1` to `version`. When the
+ * database is opened with a newer version, all steps above the stored version
+ * run in order inside the single versionchange transaction, so a failing step
+ * rolls the whole upgrade back and existing data is left untouched. Schema
+ * changes apply right away; record rewrites run after one another once the
+ * running one has finished (see rewriteRecords).
+ *
+ * Adding a migration: append an entry with the next version number. Never edit
+ * or reorder a migration that has already shipped.
+ */
+
+// Rewrites waiting for the running one, per versionchange transaction
+const queuedRewrites = new WeakMap();
+
+/**
+ * Rewrite every record of a store with a cursor.
+ * The transform returns the updated record, `null` to delete the record, or
+ * `undefined` to leave it unchanged. Rewrites started in the same transaction
+ * run one after another, in the order they were started, so each one reads
+ * the records as the previous rewrite left them.
+ * @param {IDBTransaction} transaction - Versionchange transaction
+ * @param {string} storeName - Object store to rewrite
+ * @param {Function} transform - (record) => record | null | undefined
+ * @param {Object} [options] - Rewrite options
+ * @param {string} [options.indexName] - Walk records in the order of this index
+ * @returns {void}
+ */
+export const rewriteRecords = (transaction, storeName, transform, options = {}) => {
+  const rewrite = () => {
+    const store = transaction.objectStore(storeName);
+    const source = options.indexName ? store.index(options.indexName) : store;
+    const request = source.openCursor();
+
+    request.onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (!cursor) {
+        const next = queuedRewrites.get(transaction).shift();
+        if (next) {
+          next();
+        } else {
+          queuedRewrites.delete(transaction);
+        }
+        return;
+      }
+
+      const updated = transform(cursor.value);
+      if (updated === null) {
+        cursor.delete();
+      } else if (updated !== undefined) {
+        cursor.update(updated);
+      }
+
+      cursor.continue();
+    };
+  };
+
+  if (queuedRewrites.has(transaction)) {
+    queuedRewrites.get(transaction).push(rewrite);
+  } else {
+    queuedRewrites.set(transaction, []);
+    rewrite();
+  }
+};
+
+/**
+ * Create an index unless it already exists
+ * @param {IDBObjectStore} store - Object store
+ * @param {string} name - Index name
+ * @param {string|Array<string>} keyPath - Index key path
+ * @param {Object} options - Index options
+ * @returns {IDBIndex} The index
+ */
+export const ensureIndex = (store, name, keyPath, options = { unique: false }) => {
+  if (store.indexNames.contains(name)) {
+    return store.index(name);
+  }
+  return store.createIndex(name, keyPath, options);
+};
+
+/**
+ * Ordered migration registry
+ */
+const migrations = [
+  {
+    version: 1,
+    description: 'Initial schema: sessions, transcripts, summaries and settings',
+    upgrade: ({ db, stores }) => {
+      const sessionStore = db.createObjectStore(stores.sessions, { keyPath: 'id' });
+      sessionStore.createIndex('date', 'date', { unique: false });
+      sessionStore.createIndex('platform', 'platform', { unique: false });
+
+      const transcriptStore = db.createObjectStore(stores.transcripts, { keyPath: 'id' });
+      transcriptStore.createIndex('sessionId', 'sessionId', { unique: false });
+      transcriptStore.createIndex('timestamp', 'timestamp', { unique: false });
+
+      const summaryStore = db.createObjectStore(stores.summaries, { keyPath: 'id' });
+      summaryStore.createIndex('sessionId', 'sessionId', { unique: false });
+      summaryStore.createIndex('generatedAt', 'generatedAt', { unique: false });
+
+      db.createObjectStore(stores.settings, { keyPath: 'key' });
+    }
+  },
+  {
+    version: 2,
+    description: 'Search index store (one posting per term and document)',
+    upgrade: ({ db, stores }) => {
+      const searchStore = db.createObjectStore(stores.searchIndex, { keyPath: 'id' });
+      searchStore.createIndex('term', 'term', { unique: false });
+      searchStore.createIndex('docId', 'docId', { unique: false });
+      searchStore.createIndex('sessionId', 'sessionId', { unique: false });
+    }
+  },
+  {
+    version: 3,
+    description: 'Summary version history: number existing summaries per session',
+    upgrade: ({ transaction, stores }) => {
+      const summaryStore = transaction.objectStore(stores.summaries);
+      summaryStore.createIndex('sessionVersion', ['sessionId', 'version'], { unique: true });
+
+      // Oldest summary becomes version 1, each later one chains to its predecessor
+      const latestBySession = new Map();
+      rewriteRecords(transaction, stores.summaries, (summary) => {
+        const previous = latestBySession.get(summary.sessionId);
+        const versioned = {
+          ...summary,
+          version: previous ? previous.version + 1 : 1,
+          previousSummaryId: summary.previousSummaryId || (previous ? previous.id : null),
+          source: summary.source || 'generated'
+        };
+
+        latestBySession.set(summary.sessionId, versioned);
+        return versioned;
+      }, { indexName: 'generatedAt' });
+    }
+  },
+  {
+    version: 4,
+    description: 'Session status index for finding recordings that were never finalized',
+    upgrade: ({ transaction, stores }) => {
+      ensureIndex(transaction.objectStore(stores.sessions), 'status', 'status');
+    }
+  },
+  {
+    version: 5,
+    description: 'Session tags, folders and stars',
+    upgrade: ({ db, transaction, stores }) => {
+      db.createObjectStore(stores.folders, { keyPath: 'id' });
+
+      const sessionStore = transaction.objectStore(stores.sessions);
+      ensureIndex(sessionStore, 'tags', 'tags', { unique: false, multiEntry: true });
+      ensureIndex(sessionStore, 'folderId', 'folderId');
+
+      rewriteRecords(transaction, stores.sessions, (session) => ({
+        ...session,
+        tags: Array.isArray(session.tags) ? session.tags : [],
+        folderId: session.folderId || null,
+        starred: Boolean(session.starred)
+      }));
+    }
+  },
+  {
+    version: 6,
+    description: 'Annotations store: bookmarks and notes anchored to a moment of a session',
+    upgrade: ({ db, stores }) => {
+      const annotationStore = db.createObjectStore(stores.annotations, { keyPath: 'id' });
+      annotationStore.createIndex('sessionId', 'sessionId', { unique: false });
+      annotationStore.createIndex('sessionTime', ['sessionId', 'relativeTime'], { unique: false });
+    }
+  },
+  {
+    version: 7,
+    description: 'Audio store: session recordings placed on the session timeline',
+    upgrade: ({ db, stores }) => {
+      const audioStore = db.createObjectStore(stores.audio, { keyPath: 'id' });
+      audioStore.createIndex('sessionId', 'sessionId', { unique: false });
+    }
+  },
+  {
+    version: 8,
+    description: 'Session title and duration indexes for the paginated session list',
+    upgrade: ({ transaction, stores }) => {
+      const sessionStore = transaction.objectStore(stores.sessions);
+      ensureIndex(sessionStore, 'duration', 'duration');
+      ensureIndex(sessionStore, 'sortTitle', 'sortTitle');
+
+      // Records without the key path would be missing from the new indexes
+      rewriteRecords(transaction, stores.sessions, (session) => {
+        const title = typeof session.title === 'string' ? session.title.trim() : '';
+        return {
+          ...session,
+          duration: typeof session.duration === 'number' ? session.duration : 0,
+          title,
+          sortTitle: title.toLocaleLowerCase()
+        };
+      });
+    }
+  },
+  {
+    version: 9,
+    description: 'Session trash: index of deleted sessions by deletion time',
+    upgrade: ({ transaction, stores }) => {
+      // Sessions that are not deleted have no `deletedAt` key and stay out of the index
+      ensureIndex(transaction.objectStore(stores.sessions), 'deletedAt', 'deletedAt');
+    }
+  },
+  {
+    version: 10,
+    description: 'Purge log: one entry per retention or trash purge',
+    upgrade: ({ db, stores }) => {
+      const logStore = db.createObjectStore(stores.purgeLog, { keyPath: 'id' });
+      logStore.createIndex('purgedAt', 'purgedAt', { unique: false });
+      logStore.createIndex('sessionId', 'sessionId', { unique: false });
+    }
+  },
+  {
+    version: 11,
+    description: 'Quarantine: records set aside by the integrity repair',
+    upgrade: ({ db, stores }) => {
+      const quarantineStore = db.createObjectStore(stores.quarantine, { keyPath: 'id' });
+      quarantineStore.createIndex('store', 'store', { unique: false });
+    }
+  }
+];
+
+/**
+ * Get the schema version produced by the latest migration
+ * @returns {number} Latest version
+ */
+export const getLatestVersion = () => migrations[migrations.length - 1].version;
+
+/**
+ * Run all migrations between two versions
+ * @param {Object} context - Migration context
+ * @param {IDBDatabase} context.db - Database being upgraded
+ * @param {IDBTransaction} context.transaction - Versionchange transaction
+ * @param {Object} context.stores - Store names used by StorageService
+ * @param {number} context.oldVersion - Version currently on disk (0 for a new database)
+ * @param {number} context.newVersion - Target version
+ * @param {Array} [registry] - Migration registry (defaults to the built-in one)
+ * @returns {Array<number>} Versions that were applied
+ */
+export const runMigrations = ({ db, transaction, stores, oldVersion, newVersion }, registry = migrations) => {
+  const pending = registry
+    .filter(migration => migration.version > oldVersion && migration.version <= newVersion)
+    .sort((a, b) => a.version - b.version);
+
+  pending.forEach(migration => {
+    try {
+      migration.upgrade({ db, transaction, stores, rewriteRecords, ensureIndex });
+    } catch (error) {
+      throw new Error(`Migration to version ${migration.version} failed: ${error.message}`);
+    }
+  });
+
+  return pending.map(migration => migration.version);
+};
+
+export default migrations;
@@ -0,0 +1,201 @@
+import { IDBFactory } from 'fake-indexeddb';
+import migrations, { getLatestVersion, runMigrations } from './storageMigrations';
+import { StorageService } from './storageService';
+import { IndexedDBBackend } from './storageBackends';
+
+const DB_NAME = 'InterviewSummarizerDB';
+const SESSION_ID = 'session_1';
+
+const STORES = {
+  sessions: 'sessions',
+  transcripts: 'transcripts',
+  summaries: 'summaries',
+  settings: 'settings',
+  searchIndex: 'searchIndex',
+  folders: 'folders',
+  annotations: 'annotations',
+  audio: 'audio',
+  purgeLog: 'purgeLog',
+  quarantine: 'quarantine'
+};
+
+/**
+ * Session record as the app wrote it at a schema version
+ * @param {number} version - Schema version
+ * @returns {Object} Session record
+ */
+const createSessionFixture = (version) => {
+  const session = {
+    id: SESSION_ID,
+    date: '2024-03-01T10:00:00.000Z',
+    platform: 'zoom',
+    status: 'completed',
+    metadata: { audioQuality: 0.9 },
+    createdAt: 1709287200000,
+    updatedAt: 1709287200000
+  };
+
+  if (version >= 5) {
+    Object.assign(session, { tags: ['backend'], folderId: null, starred: true });
+  }
+  if (version >= 8) {
+    Object.assign(session, { duration: 1800, title: 'Loop interview', sortTitle: 'loop interview' });
+  }
+  return session;
+};
+
+/**
+ * Summary records as the app wrote them at a schema version, oldest first
+ * @param {number} version - Schema version
+ * @returns {Array<Object>} Summary records
+ */
+const createSummaryFixtures = (version) => [1, 2].map(number => ({
+  id: `summary_${number}`,
+  sessionId: SESSION_ID,
+  generatedAt: 1709287200000 + number * 1000,
+  content: `Summary ${number}`,
+  keyPoints: [],
+  decisions: [],
+  actionItems: [],
+  quotes: [],
+  topics: [],
+  ...(version >= 3 ? { version: number, previousSummaryId: number > 1 ? 'summary_1' : null, source: 'generated' } : {})
+}));
+
+/**
+ * Create a database at an earlier schema version holding that version's records
+ * @param {IDBFactory} factory - IndexedDB factory
+ * @param {number} version - Schema version
+ * @returns {Promise<void>}
+ */
+const createFixtureDatabase = (factory, version) => new Promise((resolve, reject) => {
+  const request = factory.open(DB_NAME, version);
+
+  request.onupgradeneeded = (event) => {
+    const transaction = event.target.transaction;
+    runMigrations({ db: event.target.result, transaction, stores: STORES, oldVersion: 0, newVersion: version });
+
+    transaction.objectStore(STORES.sessions).put(createSessionFixture(version));
+    createSummaryFixtures(version).forEach(summary => transaction.objectStore(STORES.summaries).put(summary));
+    transaction.objectStore(STORES.transcripts).put({
+      id: 'segment_1',
+      sessionId: SESSION_ID,
+      timestamp: 1709287201000,
+      text: 'Tell me about a system you designed',
+      isFinal: true
+    });
+  };
+  request.onsuccess = () => {
+    request.result.close();
+    resolve();
+  };
+  request.onerror = () => reject(request.error);
+});
+
+/**
+ * Open the fixture database with the current schema
+ * @param {IDBFactory} factory - IndexedDB factory
+ * @returns {Promise<StorageService>} Initialized service
+ */
+const openWithLatestSchema = async (factory) => {
+  global.indexedDB = factory;
+  const service = new StorageService({ backend: new IndexedDBBackend() });
+  await service.initialize();
+  return service;
+};
+
+describe('storage migrations', () => {
+  const originalIndexedDB = global.indexedDB;
+
+  afterEach(() => {
+    global.indexedDB = originalIndexedDB;
+  });
+
+  it('numbers the registry without gaps', () => {
+    migrations.forEach((migration, index) => {
+      expect(migration.version).toBe(index + 1);
+    });
+    expect(getLatestVersion()).toBe(migrations.length);
+  });
+
+  it('creates every store for a new database', async () => {
+    const service = await openWithLatestSchema(new IDBFactory());
+
+    expect([...service.db.objectStoreNames].sort()).toEqual(Object.values(STORES).sort());
+    expect(service.db.version).toBe(getLatestVersion());
+    service.close();
+  });
+
+  for (let version = 1; version < getLatestVersion(); version++) {
+    it(`upgrades a version ${version} database without losing data`, async () => {
+      const factory = new IDBFactory();
+      await createFixtureDatabase(factory, version);
+
+      const service = await openWithLatestSchema(factory);
+      const session = await service.getSession(SESSION_ID);
+
+      // Every rewrite of the sessions store is kept, not only the last one
+      expect(session).toMatchObject({
+        id: SESSION_ID,
+        platform: 'zoom',
+        metadata: { audioQuality: 0.9 },
+        tags: version >= 5 ? ['backend'] : [],
+        folderId: null,
+        starred: version >= 5,
+        duration: version >= 8 ? 1800 : 0,
+        title: version >= 8 ? 'Loop interview' : ''
+      });
+
+      const history = await service.getSummaryHistory(SESSION_ID);
+      expect(history.map(summary => [summary.id, summary.version, summary.previousSummaryId])).toEqual([
+        ['summary_2', 2, 'summary_1'],
+        ['summary_1', 1, null]
+      ]);
+
+      const segments = await service.getTranscriptSegments(SESSION_ID);
+      expect(segments.map(segment => segment.text)).toEqual(['Tell me about a system you designed']);
+
+      const page = await service.getSessionsPage({ sortBy: 'title' });
+      expect(page.sessions.map(item => item.id)).toEqual([SESSION_ID]);
+      service.close();
+    });
+  }
+
+  it('rolls the whole upgrade back when a step fails', async () => {
+    const factory = new IDBFactory();
+    await createFixtureDatabase(factory, 1);
+
+    const failing = [
+      ...migrations.slice(0, 2),
+      { version: 3, upgrade: () => { throw new Error('boom'); } }
+    ];
+
+    const error = await new Promise((resolve) => {
+      const request = factory.open(DB_NAME, 3);
+      request.onupgradeneeded = (event) => {
+        try {
+          runMigrations({
+            db: event.target.result,
+            transaction: event.target.transaction,
+            stores: STORES,
+            oldVersion: event.oldVersion,
+            newVersion: 3
+          }, failing);
+        } catch (err) {
+          event.target.transaction.abort();
+          resolve(err);
+        }
+      };
+    });
+    expect(error.message).toBe('Migration to version 3 failed: boom');
+
+    const version = await new Promise((resolve) => {
+      const request = factory.open(DB_NAME);
+      request.onsuccess = () => {
+        resolve(request.result.version);
+        request.result.close();
+      };
+    });
+    expect(version).toBe(1);
+  });
+});
@@ -3,22 +3,120 @@
  * Handles session data models, automatic cleanup, data compression, and validation
  */
 
+import { getLatestVersion, runMigrations } from './storageMigrations';
+import EncryptionService from './encryptionService';
+import { EXPORT_FORMAT_VERSION, IMPORT_STRATEGIES, normalizeBackup, planImport } from './storageImport';
+import { ARCHIVE_MIME_TYPE, createArchive, readArchive } from './storageArchive';
+import { QUOTA_WARNING_RATIO, estimateRecordSize, getQuotaEstimate, selectSessionsOverSizeLimit } from './storageUsage';
+import { INTEGRITY_ISSUES, REPAIR_ACTIONS, countIssues, findIntegrityIssues, planRepair } from './storageIntegrity';
+import { createBackend, createConfiguredBackend, getFileStoreBridge } from './storageBackends';
+import { CODECS, compressText, decompressText, decodeUtf8, encodeUtf8, getByteLength } from '../utils/compressionUtils';
+import { findRecordingAtTime, getSegmentStartTime } from '../utils/audioUtils';
+import { toBytes } from '../utils/zipUtils';
+import { BUILT_IN_TEMPLATES, DEFAULT_TEMPLATE_ID, getBuiltInTemplate, validateTemplate } from './promptTemplates';
+import { DEFAULT_RUBRIC, validateRubric } from './scorecards';
+import { DEFAULT_TOKEN_BUDGET, getCurrentUsage, validateTokenBudget } from './tokenBudget';
+import { deleteSessionPostings } from './searchService';
+
+// Summary fields that are compressed together into a single payload
+const SUMMARY_PAYLOAD_FIELDS = ['content', 'keyPoints', 'decisions', 'actionItems', 'quotes', 'topics'];
+
+// Session fields that stay readable when storage is encrypted. They hold no
+// text the user wrote: the indexes, cleanup and edits while locked need them.
+// Every other session field (title, tags, metadata and any added later) is sealed.
+const SESSION_PLAINTEXT_FIELDS = [
+  'id',
+  'date',
+  'duration',
+  'platform',
+  'status',
+  'folderId',
+  'starred',
+  'deletedAt',
+  'mergedSessionIds',
+  'splitFromSessionId',
+  'createdAt',
+  'updatedAt'
+];
+
+// Settings whose value is sealed when storage is encrypted: the glossary
+// holds candidate and company names, templates can hold the same
+const SEALED_SETTINGS = ['promptTemplates', 'summaryGlossary'];
+
+// A bookmark marks a moment, a note also carries text
+const ANNOTATION_TYPES = ['bookmark', 'note'];
+
+// Session list sort orders and the sessions index that provides each one
+const SESSION_SORT_INDEXES = {
+  date: 'date',
+  duration: 'duration',
+  title: 'sortTitle'
+};
+
+// Repair result count for each repair action
+const REPAIR_RESULT_COUNTS = {
+  [REPAIR_ACTIONS.REPARENT]: 'reparented',
+  [REPAIR_ACTIONS.RELINK]: 'relinked',
+  [REPAIR_ACTIONS.QUARANTINE]: 'quarantined',
+  [REPAIR_ACTIONS.DELETE]: 'deleted'
+};
+
+// Session data that can have a shorter retention period than the session,
+// with the search document type it is indexed as
+const RETENTION_DATA_TYPES = {
+  audio: null,
+  transcripts: 'transcript',
+  summaries: 'summary',
+  annotations: 'annotation'
+};
+
+const DEFAULT_SESSION_PAGE_SIZE = 50;
+const MAX_SESSION_PAGE_SIZE = 500;
+
 class StorageService {
-  constructor() {
+  /**
+   * @param {Object} [options] - Options
+   * @param {Object} [options.backend] - Storage backend (defaults to the configured one, see storageBackends.js)
+   */
+  constructor(options = {}) {
     this.dbName = 'InterviewSummarizerDB';
-    this.dbVersion = 1;
+    // Schema version is owned by the migration registry (see storageMigrations.js)
+    this.dbVersion = getLatestVersion();
     this.db = null;
     this.isInitialized = false;
+    this.initializing = null;
+
+    // Where the data is kept; the database it opens has the IndexedDB interface
+    this.backend = options.backend || null;
+
+    // Optional full-text indexer (see SearchService), updated on every write
+    this.searchIndexer = null;
+
+    // Told when the backend fails to store committed writes (see setWriteErrorListener)
+    this.onWriteError = null;
+
+    // Optional encryption at rest; the configuration lives in the settings store
+    this.encryption = new EncryptionService();
+    this.encryptionConfig = null;
     
     // Default retention policy (30 days)
     this.defaultRetentionDays = 30;
+
+    // Deleted sessions stay in the trash this long before they are purged
+    this.defaultTrashRetentionDays = 30;
     
     // Store names
     this.stores = {
       sessions: 'sessions',
       transcripts: 'transcripts', 
       summaries: 'summaries',
-      settings: 'settings'
+      settings: 'settings',
+      searchIndex: 'searchIndex',
+      folders: 'folders',
+      annotations: 'annotations',
+      audio: 'audio',
+      purgeLog: 'purgeLog',
+      quarantine: 'quarantine'
     };
   }
 
@@ -31,54 +129,129 @@ class StorageService {
       return;
     }
 
-    return new Promise((resolve, reject) => {
-      const request = indexedDB.open(this.dbName, this.dbVersion);
-
-      request.onerror = () => {
-        reject(new Error(`Failed to open database: ${request.error}`));
-      };
+    // Concurrent callers share one open, so a file backend is loaded once
+    if (!this.initializing) {
+      this.initializing = (async () => {
+        if (!this.backend) {
+          this.backend = await createConfiguredBackend();
+        }
 
-      request.onsuccess = () => {
-        this.db = request.result;
+        this.db = await this.openBackend(this.backend);
         this.isInitialized = true;
-        resolve();
-      };
+        await this.loadEncryptionConfig();
+      })().finally(() => {
+        this.initializing = null;
+      });
+    }
 
-      request.onupgradeneeded = (event) => {
-        const db = event.target.result;
-        
-        // Create sessions store
-        if (!db.objectStoreNames.contains(this.stores.sessions)) {
-          const sessionStore = db.createObjectStore(this.stores.sessions, { 
-            keyPath: 'id' 
-          });
-          sessionStore.createIndex('date', 'date', { unique: false });
-          sessionStore.createIndex('platform', 'platform', { unique: false });
-        }
+    return this.initializing;
+  }
 
-        // Create transcripts store
-        if (!db.objectStoreNames.contains(this.stores.transcripts)) {
-          const transcriptStore = db.createObjectStore(this.stores.transcripts, { 
-            keyPath: 'id' 
-          });
-          transcriptStore.createIndex('sessionId', 'sessionId', { unique: false });
-          transcriptStore.createIndex('timestamp', 'timestamp', { unique: false });
+  /**
+   * Open the database of a backend, running pending migrations
+   * @param {Object} backend - Storage backend
+   * @returns {Promise<Object>} Database
+   */
+  openBackend(backend) {
+    return backend.open({
+      name: this.dbName,
+      version: this.dbVersion,
+      upgrade: ({ db, transaction, oldVersion, newVersion }) => runMigrations({
+        db,
+        transaction,
+        stores: this.stores,
+        oldVersion,
+        newVersion
+      }),
+      // Let a newer version of the app upgrade the schema
+      onVersionChange: () => this.close(),
+      onWriteError: (error) => {
+        if (this.onWriteError) {
+          this.onWriteError(error);
         }
+      }
+    });
+  }
 
-        // Create summaries store
-        if (!db.objectStoreNames.contains(this.stores.summaries)) {
-          const summaryStore = db.createObjectStore(this.stores.summaries, { 
-            keyPath: 'id' 
-          });
-          summaryStore.createIndex('sessionId', 'sessionId', { unique: false });
-          summaryStore.createIndex('generatedAt', 'generatedAt', { unique: false });
-        }
+  /**
+   * Describe where the data is kept
+   * @returns {Promise<Object>} `{type, location, canUseFileSystem}`; `location` is the data directory of the file backend
+   */
+  async getBackendInfo() {
+    await this.ensureInitialized();
 
-        // Create settings store
-        if (!db.objectStoreNames.contains(this.stores.settings)) {
-          db.createObjectStore(this.stores.settings, { keyPath: 'key' });
-        }
-      };
+    return {
+      type: this.backend.type,
+      location: this.backend.location,
+      canUseFileSystem: Boolean(getFileStoreBridge())
+    };
+  }
+
+  /**
+   * Move the data to another backend and keep working on it. Every store is
+   * copied as stored (encrypted records stay encrypted), replacing what the
+   * target held; the previous location keeps its copy. The choice is saved
+   * in the desktop app's storage configuration.
+   * @param {string} type - Backend type (see STORAGE_BACKENDS in storageBackends.js)
+   * @returns {Promise<Object>} Backend info (see getBackendInfo)
+   */
+  async switchBackend(type) {
+    await this.ensureInitialized();
+
+    if (type === this.backend.type) {
+      return this.getBackendInfo();
+    }
+
+    const bridge = getFileStoreBridge();
+    if (!bridge) {
+      throw new Error('The storage location can only be changed in the desktop app');
+    }
+
+    const target = createBackend(type);
+    const targetDb = await this.openBackend(target);
+
+    for (const storeName of Object.values(this.stores)) {
+      await this.copyStore(this.db, targetDb, storeName);
+    }
+    await target.flush();
+    // Pending writes of the previous location complete its copy
+    await this.backend.flush();
+    await bridge.setStorageConfig({ backend: type });
+
+    this.close();
+    this.backend = target;
+    this.db = targetDb;
+    this.isInitialized = true;
+
+    return this.getBackendInfo();
+  }
+
+  /**
+   * Replace the records of a store in one database with those of another
+   * @param {Object} sourceDb - Database to copy from
+   * @param {Object} targetDb - Database to copy to
+   * @param {string} storeName - Store name
+   * @returns {Promise<void>}
+   */
+  async copyStore(sourceDb, targetDb, storeName) {
+    const storedRecords = await new Promise((resolve, reject) => {
+      const request = sourceDb.transaction([storeName], 'readonly').objectStore(storeName).getAll();
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(new Error(`Failed to read ${storeName}: ${request.error}`));
+    });
+    // The target keeps audio its own way, so parts the current backend keeps outside the database are read first
+    const records = await Promise.all(storedRecords.map(record => this.backend.resolveRecord(record)));
+
+    return new Promise((resolve, reject) => {
+      const transaction = targetDb.transaction([storeName], 'readwrite');
+      const store = transaction.objectStore(storeName);
+
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(new Error(`Failed to copy ${storeName}: ${transaction.error}`));
+
+      store.clear();
+      records.forEach(record => store.put(record));
     });
   }
 
@@ -96,6 +269,10 @@ class StorageService {
       duration: 0,
       platform: sessionData.platform || 'unknown',
       status: 'active',
+      title: sessionData.title,
+      tags: sessionData.tags,
+      folderId: sessionData.folderId,
+      starred: sessionData.starred,
       metadata: {
         audioQuality: sessionData.audioQuality || 0,
         processingTime: 0,
@@ -104,12 +281,13 @@ class StorageService {
       createdAt: Date.now(),
       updatedAt: Date.now()
     });
+    const storedSession = await this.sealRecord(this.stores.sessions, session);
 
     return new Promise((resolve, reject) => {
       const transaction = this.db.transaction([this.stores.sessions], 'readwrite');
       const store = transaction.objectStore(this.stores.sessions);
       
-      const request = store.add(session);
+      const request = store.add(storedSession);
       
       request.onsuccess = () => resolve(session.id);
       request.onerror = () => reject(new Error(`Failed to create session: ${request.error}`));
@@ -117,12 +295,265 @@ class StorageService {
   }
 
   /**
-   * Save meeting session (alias for createSession for backward compatibility)
-   * @param {Object} sessionData - Session data
+   * Save a finished meeting session with its transcript and summary
+   * @param {Object} sessionData - Session data including transcript and summary
    * @returns {Promise<string>} Session ID
    */
   async saveMeetingSession(sessionData) {
-    return this.createSession(sessionData);
+    return this.finalizeSession(sessionData);
+  }
+
+  /**
+   * Finalize a recording session. The session record, every transcript segment
+   * and the summary are written in a single transaction, so a failure leaves
+   * no partially saved session behind.
+   * @param {Object} sessionData - Session data
+   * @param {string} [sessionData.id] - Existing session ID (a new one is generated if omitted)
+   * @param {Array} [sessionData.transcript] - Final transcript segments
+   * @param {Object} [sessionData.summary] - Latest summary
+   * @param {Array} [sessionData.summaries] - All summary versions, oldest first
+   * @returns {Promise<string>} Session ID
+   */
+  async finalizeSession(sessionData) {
+    await this.ensureInitialized();
+
+    if (!sessionData || typeof sessionData !== 'object') {
+      throw new Error('Session data must be an object');
+    }
+
+    const { transcript = [], summary = null, summaries = null, ...details } = sessionData;
+
+    if (!Array.isArray(transcript)) {
+      throw new Error('Session transcript must be an array');
+    }
+
+    // The latest summary wins over a stale copy of the same version in the history
+    const summaryVersions = (Array.isArray(summaries) ? summaries : [])
+      .filter(version => !summary || !version.id || version.id !== summary.id);
+    if (summary) {
+      summaryVersions.push(summary);
+    }
+
+    const existing = details.id ? await this.getSession(details.id) : null;
+    const now = Date.now();
+
+    const session = this.validateSessionData({
+      ...existing,
+      id: details.id || this.generateId(),
+      date: details.date || existing?.date || new Date().toISOString(),
+      duration: typeof details.duration === 'number'
+        ? details.duration
+        : this.calculateSessionDuration(transcript),
+      platform: details.platform || details.metadata?.platform || existing?.platform || 'unknown',
+      title: details.title ?? existing?.title,
+      status: 'completed',
+      metadata: {
+        audioQuality: 0,
+        processingTime: 0,
+        ...existing?.metadata,
+        ...details.metadata
+      },
+      createdAt: existing?.createdAt || now,
+      updatedAt: now
+    });
+
+    await this.commitSession(session, transcript, summaryVersions);
+    await this.flush();
+    return session.id;
+  }
+
+  /**
+   * Autosave an in-progress recording. The session is kept with
+   * `status: 'active'` and the given segments and summaries are upserted, so
+   * callers only need to pass what changed since the previous autosave.
+   * @param {Object} sessionData - Session data
+   * @param {string} sessionData.id - Session ID (required)
+   * @param {Array} [sessionData.transcript] - Finalized segments to write
+   * @param {Array} [sessionData.summaries] - Summary versions to write, oldest first
+   * @returns {Promise<string>} Session ID
+   */
+  async autosaveSession(sessionData) {
+    await this.ensureInitialized();
+
+    if (!sessionData || typeof sessionData !== 'object' || !sessionData.id) {
+      throw new Error('Autosave requires session data with an ID');
+    }
+
+    const { transcript = [], summaries = [], ...details } = sessionData;
+    const existing = await this.getSession(details.id);
+
+    // A late autosave must not reopen a session that was already finalized
+    if (existing && existing.status === 'completed') {
+      throw new Error(`Session already finalized: ${details.id}`);
+    }
+
+    const now = Date.now();
+    const session = this.validateSessionData({
+      ...existing,
+      id: details.id,
+      date: existing?.date || details.date || new Date().toISOString(),
+      duration: typeof details.duration === 'number' ? details.duration : existing?.duration || 0,
+      platform: details.platform || existing?.platform || 'unknown',
+      title: details.title ?? existing?.title,
+      status: 'active',
+      metadata: {
+        audioQuality: 0,
+        processingTime: 0,
+        ...existing?.metadata,
+        ...details.metadata
+      },
+      lastAutosavedAt: now,
+      createdAt: existing?.createdAt || now,
+      updatedAt: now
+    });
+
+    await this.commitSession(session, transcript, summaries);
+    // A recording is only safe from a crash once the backend has stored it
+    await this.flush();
+    return session.id;
+  }
+
+  /**
+   * Get autosaved recordings that were never finalized, e.g. after a crash
+   * @returns {Promise<Array>} Sessions with their stored segment count
+   */
+  async getRecoverableSessions() {
+    await this.ensureInitialized();
+
+    const sessions = await new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.stores.sessions, this.stores.transcripts], 'readonly');
+      const request = transaction.objectStore(this.stores.sessions).index('status').getAll('active');
+
+      request.onsuccess = () => {
+        const autosaved = request.result.filter(session => session.lastAutosavedAt && !session.deletedAt);
+        const transcriptIndex = transaction.objectStore(this.stores.transcripts).index('sessionId');
+        let pending = autosaved.length;
+
+        if (pending === 0) {
+          resolve([]);
+          return;
+        }
+
+        autosaved.forEach(session => {
+          const countRequest = transcriptIndex.count(session.id);
+          countRequest.onsuccess = () => {
+            session.segmentCount = countRequest.result;
+            pending--;
+            if (pending === 0) {
+              resolve(autosaved);
+            }
+          };
+          countRequest.onerror = () => reject(new Error(`Failed to count transcript segments: ${countRequest.error}`));
+        });
+      };
+
+      request.onerror = () => reject(new Error(`Failed to get active sessions: ${request.error}`));
+    });
+
+    const opened = await Promise.all(sessions.map(session => this.openRecord(this.stores.sessions, session)));
+    return opened.sort((a, b) => b.lastAutosavedAt - a.lastAutosavedAt);
+  }
+
+  /**
+   * Finalize an autosaved recording from what is already stored
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<void>}
+   */
+  async finalizeRecoveredSession(sessionId) {
+    const session = await this.getSession(sessionId);
+    if (!session) {
+      throw new Error(`Session not found: ${sessionId}`);
+    }
+
+    const segments = await this.getTranscriptSegments(sessionId);
+
+    await this.updateSession(sessionId, {
+      duration: Math.max(session.duration || 0, this.calculateSessionDuration(segments)),
+      status: 'completed',
+      recoveredAt: Date.now()
+    });
+  }
+
+  /**
+   * Write a session record with transcript segments and summaries in one transaction
+   * @param {Object} session - Validated session record
+   * @param {Array} transcript - Transcript segments
+   * @param {Array} summaryVersions - Summary versions, oldest first
+   * @param {Object} [options] - Write options
+   * @param {boolean} [options.replace=false] - Remove the session's stored segments, summaries, annotations and search postings first
+   * @param {Array} [options.annotations] - Annotations to write with the session
+   * @returns {Promise<string>} Session ID
+   */
+  async commitSession(session, transcript, summaryVersions, options = {}) {
+    // Records are compressed and encrypted up front; the transaction cannot wait on WebCrypto
+    const preparedSegments = await this.prepareTranscriptSegments(session.id, transcript);
+    const preparedSummaries = await this.prepareSummaries(session.id, summaryVersions);
+    const preparedAnnotations = await this.prepareAnnotations(session.id, options.annotations || []);
+    const storedSession = await this.sealRecord(this.stores.sessions, session);
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([
+        this.stores.sessions,
+        this.stores.transcripts,
+        this.stores.summaries,
+        this.stores.annotations,
+        this.stores.searchIndex
+      ], 'readwrite');
+
+      transaction.oncomplete = () => resolve(session.id);
+      transaction.onerror = () => reject(new Error(`Failed to save session: ${transaction.error}`));
+      transaction.onabort = () => reject(new Error(`Session save aborted: ${transaction.error}`));
+
+      transaction.objectStore(this.stores.sessions).put(storedSession);
+
+      const writeChildren = () => Promise.all([
+        this.putTranscriptSegments(transaction, preparedSegments),
+        this.putSummaries(transaction, session.id, preparedSummaries),
+        this.putAnnotations(transaction, preparedAnnotations)
+      ]);
+
+      const writes = options.replace
+        ? this.removeSessionChildren(transaction, session.id).then(writeChildren)
+        : writeChildren();
+
+      writes.catch((error) => {
+        // Reject first so the write error wins over the abort events
+        reject(error);
+        try {
+          transaction.abort();
+        } catch (abortError) {
+          // Transaction already finished
+        }
+      });
+    });
+  }
+
+  /**
+   * Delete the transcript segments, summaries, annotations and search postings
+   * of a session within a transaction. The deletes are issued before the promise resolves,
+   * so writes issued afterwards are not affected by them.
+   * @param {IDBTransaction} transaction - Readwrite transaction
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<void>}
+   */
+  removeSessionChildren(transaction, sessionId) {
+    const storeNames = [this.stores.transcripts, this.stores.summaries, this.stores.annotations];
+
+    const removals = storeNames.map(storeName => new Promise((resolve, reject) => {
+      const store = transaction.objectStore(storeName);
+      const request = store.index('sessionId').getAllKeys(sessionId);
+
+      request.onsuccess = () => {
+        request.result.forEach(key => store.delete(key));
+        resolve();
+      };
+      request.onerror = () => reject(new Error(`Failed to remove ${storeName} for session: ${request.error}`));
+    }));
+
+    return Promise.all([
+      ...removals,
+      deleteSessionPostings(transaction, this.stores.searchIndex, sessionId)
+    ]).then(() => {});
   }
 
   /**
@@ -139,11 +570,11 @@ class StorageService {
       throw new Error(`Session not found: ${sessionId}`);
     }
 
-    const updatedSession = {
+    const updatedSession = await this.sealRecord(this.stores.sessions, this.validateSessionData({
       ...session,
       ...updates,
       updatedAt: Date.now()
-    };
+    }));
 
     return new Promise((resolve, reject) => {
       const transaction = this.db.transaction([this.stores.sessions], 'readwrite');
@@ -164,7 +595,7 @@ class StorageService {
   async getSession(sessionId) {
     await this.ensureInitialized();
     
-    return new Promise((resolve, reject) => {
+    const session = await new Promise((resolve, reject) => {
       const transaction = this.db.transaction([this.stores.sessions], 'readonly');
       const store = transaction.objectStore(this.stores.sessions);
       
@@ -173,17 +604,28 @@ class StorageService {
       request.onsuccess = () => resolve(request.result || null);
       request.onerror = () => reject(new Error(`Failed to get session: ${request.error}`));
     });
+
+    return session ? this.openRecord(this.stores.sessions, session) : null;
   }
 
   /**
    * Get all sessions with optional filtering
    * @param {Object} options - Filter options
+   * @param {string} [options.platform] - Only sessions from this platform
+   * @param {string} [options.startDate] - Only sessions on or after this date
+   * @param {string} [options.endDate] - Only sessions on or before this date
+   * @param {Array<string>} [options.tags] - Only sessions that have all of these tags
+   * @param {string|null} [options.folderId] - Only sessions in this folder (`null` for sessions in no folder)
+   * @param {boolean} [options.starred] - Only starred (`true`) or unstarred (`false`) sessions
    * @returns {Promise<Array>} Array of sessions
    */
   async getSessions(options = {}) {
     await this.ensureInitialized();
+
+    const tags = options.tags ? this.validateTags(options.tags) : [];
+    const matches = this.createSessionFilter(options);
     
-    return new Promise((resolve, reject) => {
+    const records = await new Promise((resolve, reject) => {
       const transaction = this.db.transaction([this.stores.sessions], 'readonly');
       const store = transaction.objectStore(this.stores.sessions);
       
@@ -192,92 +634,405 @@ class StorageService {
       if (options.platform) {
         const index = store.index('platform');
         request = index.getAll(options.platform);
+      } else if (options.folderId) {
+        request = store.index('folderId').getAll(options.folderId);
+      } else if (tags.length > 0 && !this.isEncryptionEnabled()) {
+        // Encrypted sessions have their tags sealed and are not in the tags index
+        request = store.index('tags').getAll(tags[0]);
       } else {
         request = store.getAll();
       }
       
-      request.onsuccess = () => {
-        let sessions = request.result;
-        
-        // Apply date filtering if specified
-        if (options.startDate || options.endDate) {
-          sessions = sessions.filter(session => {
-            const sessionDate = new Date(session.date);
-            if (options.startDate && sessionDate < new Date(options.startDate)) {
-              return false;
-            }
-            if (options.endDate && sessionDate > new Date(options.endDate)) {
-              return false;
-            }
-            return true;
-          });
-        }
-        
-        // Sort by date (newest first)
-        sessions.sort((a, b) => new Date(b.date) - new Date(a.date));
-        
-        resolve(sessions);
-      };
-      
+      request.onsuccess = () => resolve(request.result);
       request.onerror = () => reject(new Error(`Failed to get sessions: ${request.error}`));
     });
+
+    const sessions = (await Promise.all(records.map(record => this.openRecord(this.stores.sessions, record))))
+      .filter(matches);
+
+    // Sort by date (newest first)
+    sessions.sort((a, b) => new Date(b.date) - new Date(a.date));
+
+    return sessions;
   }
 
   /**
-   * Save transcript segments for a session
-   * @param {string} sessionId - Session ID
-   * @param {Array} segments - Transcript segments
-   * @returns {Promise<void>}
+   * Get one page of sessions. Sessions are read with a cursor on the index of
+   * the sort field, so only the requested page is loaded however many
+   * sessions are stored. Pass `nextCursor` back as `cursor` for the next page;
+   * it is `null` on the last page.
+   * @param {Object} [options] - Page, sort and filter options (filters as for getSessions)
+   * @param {number} [options.pageSize=50] - Sessions per page (at most 500)
+   * @param {string|null} [options.cursor] - Cursor token from the previous page
+   * @param {string} [options.sortBy='date'] - 'date', 'duration' or 'title'
+   * @param {string} [options.order='desc'] - 'asc' or 'desc'
+   * @param {boolean} [options.includeTotal=true] - Count all matching sessions
+   * @returns {Promise<Object>} `{sessions, nextCursor, totalCount}` (`totalCount` is null when not requested)
    */
-  async saveTranscriptSegments(sessionId, segments) {
+  async getSessionsPage(options = {}) {
     await this.ensureInitialized();
-    
-    if (!Array.isArray(segments)) {
-      throw new Error('Segments must be an array');
+
+    const {
+      pageSize = DEFAULT_SESSION_PAGE_SIZE,
+      cursor = null,
+      sortBy = 'date',
+      order = 'desc',
+      includeTotal = true
+    } = options;
+
+    if (!SESSION_SORT_INDEXES[sortBy]) {
+      throw new Error(`Sessions can be sorted by ${Object.keys(SESSION_SORT_INDEXES).join(', ')}`);
     }
 
-    const compressedSegments = segments.map(segment => 
-      this.compressTranscriptSegment(this.validateTranscriptSegment(segment, sessionId))
-    );
+    if (order !== 'asc' && order !== 'desc') {
+      throw new Error('Session sort order must be \'asc\' or \'desc\'');
+    }
 
-    return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction([this.stores.transcripts], 'readwrite');
-      const store = transaction.objectStore(this.stores.transcripts);
-      
-      let completed = 0;
-      const total = compressedSegments.length;
-      
-      if (total === 0) {
-        resolve();
-        return;
-      }
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_SESSION_PAGE_SIZE) {
+      throw new Error(`Page size must be an integer between 1 and ${MAX_SESSION_PAGE_SIZE}`);
+    }
 
-      compressedSegments.forEach(segment => {
-        const request = store.put(segment);
-        
-        request.onsuccess = () => {
-          completed++;
-          if (completed === total) {
-            resolve();
-          }
-        };
-        
-        request.onerror = () => {
-          reject(new Error(`Failed to save transcript segment: ${request.error}`));
-        };
-      });
+    const after = cursor ? this.decodeSessionCursor(cursor, { sortBy, order }) : null;
+
+    // Encrypted sessions are not in the title index and have their tags sealed,
+    // so they are sorted and filtered after decrypting
+    if (this.isEncryptionEnabled() && (sortBy === 'title' || this.hasTagFilter(options))) {
+      return this.pageSessionList(await this.getSessions(options), { pageSize, after, sortBy, order, includeTotal });
+    }
+
+    const matches = this.createSessionFilter(options);
+    const page = [];
+
+    // One extra session tells whether there is a next page
+    await this.walkSessions({
+      indexName: SESSION_SORT_INDEXES[sortBy],
+      direction: order === 'desc' ? 'prev' : 'next',
+      after,
+      visit: (session, key) => {
+        if (matches(session)) {
+          page.push({ session, key });
+        }
+        return page.length <= pageSize;
+      }
     });
+
+    const hasMore = page.length > pageSize;
+    const entries = page.slice(0, pageSize);
+    const last = entries[entries.length - 1];
+
+    return {
+      sessions: await Promise.all(entries.map(({ session }) => this.openRecord(this.stores.sessions, session))),
+      nextCursor: hasMore ? this.encodeSessionCursor({ sortBy, order, key: last.key, id: last.session.id }) : null,
+      totalCount: includeTotal ? await this.countSessions(options) : null
+    };
   }
 
   /**
-   * Get transcript segments for a session
-   * @param {string} sessionId - Session ID
-   * @returns {Promise<Array>} Array of transcript segments
+   * Get one page of an already loaded session list, in the order and with the
+   * cursor tokens of getSessionsPage
+   * @param {Array} sessions - Decrypted sessions matching the filters
+   * @param {Object} page - Page options
+   * @param {number} page.pageSize - Sessions per page
+   * @param {Object|null} page.after - Position `{key, id}` to start after
+   * @param {string} page.sortBy - Sort field
+   * @param {string} page.order - 'asc' or 'desc'
+   * @param {boolean} page.includeTotal - Count all matching sessions
+   * @returns {Object} `{sessions, nextCursor, totalCount}`
    */
-  async getTranscriptSegments(sessionId) {
+  pageSessionList(sessions, { pageSize, after, sortBy, order, includeTotal }) {
+    const field = SESSION_SORT_INDEXES[sortBy];
+    const direction = order === 'desc' ? -1 : 1;
+    const compare = (key, id, other) => (this.backend.cmp(key, other.key) || this.backend.cmp(id, other.id)) * direction;
+
+    const sorted = [...sessions].sort((a, b) => compare(a[field], a.id, { key: b[field], id: b.id }));
+    const remaining = after ? sorted.filter(session => compare(session[field], session.id, after) > 0) : sorted;
+    const entries = remaining.slice(0, pageSize);
+    const last = entries[entries.length - 1];
+
+    return {
+      sessions: entries,
+      nextCursor: remaining.length > pageSize ? this.encodeSessionCursor({ sortBy, order, key: last[field], id: last.id }) : null,
+      totalCount: includeTotal ? sessions.length : null
+    };
+  }
+
+  /**
+   * Count the sessions matching the getSessions filters
+   * @param {Object} [options] - Filter options (as for getSessions)
+   * @returns {Promise<number>} Number of matching sessions
+   */
+  async countSessions(options = {}) {
     await this.ensureInitialized();
-    
-    return new Promise((resolve, reject) => {
+
+    const hasFilters = Boolean(options.platform || options.startDate || options.endDate) ||
+      this.hasTagFilter(options) ||
+      options.folderId !== undefined ||
+      typeof options.starred === 'boolean';
+
+    if (!hasFilters) {
+      return new Promise((resolve, reject) => {
+        const transaction = this.db.transaction([this.stores.sessions], 'readonly');
+        const store = transaction.objectStore(this.stores.sessions);
+        const request = store.count();
+        const trashRequest = store.index('deletedAt').count();
+
+        transaction.oncomplete = () => resolve(request.result - trashRequest.result);
+        transaction.onerror = () => reject(new Error(`Failed to count sessions: ${transaction.error}`));
+      });
+    }
+
+    // Tags of encrypted sessions can only be matched after decrypting
+    if (this.isEncryptionEnabled() && this.hasTagFilter(options)) {
+      return (await this.getSessions(options)).length;
+    }
+
+    const matches = this.createSessionFilter(options);
+    let count = 0;
+
+    await this.walkSessions({
+      indexName: SESSION_SORT_INDEXES.date,
+      direction: 'next',
+      visit: (session) => {
+        if (matches(session)) {
+          count++;
+        }
+        return true;
+      }
+    });
+
+    return count;
+  }
+
+  /**
+   * Check whether the getSessions options filter by tags
+   * @param {Object} options - Filter options (as for getSessions)
+   * @returns {boolean} True when at least one tag is required
+   */
+  hasTagFilter(options) {
+    return Array.isArray(options.tags) && options.tags.length > 0;
+  }
+
+  /**
+   * Walk the stored session records in the order of a sessions index.
+   * Sessions with the same index key are ordered by ID, so `{key, id}` is a
+   * stable position to resume from.
+   * @param {Object} walk - Walk options
+   * @param {string} walk.indexName - Sessions index
+   * @param {string} walk.direction - 'next' (ascending) or 'prev' (descending)
+   * @param {Object|null} [walk.after] - Position `{key, id}` to start after
+   * @param {Function} walk.visit - (record, key) => boolean; return false to stop
+   * @returns {Promise<void>}
+   */
+  walkSessions({ indexName, direction, after = null, visit }) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.stores.sessions], 'readonly');
+      const index = transaction.objectStore(this.stores.sessions).index(indexName);
+
+      let range = null;
+      if (after) {
+        range = direction === 'next' ? IDBKeyRange.lowerBound(after.key) : IDBKeyRange.upperBound(after.key);
+      }
+
+      const request = index.openCursor(range, direction);
+      let positioned = !after;
+
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          resolve();
+          return;
+        }
+
+        // Skip the sessions sharing the start key that were already visited
+        if (!positioned && this.backend.cmp(cursor.key, after.key) === 0) {
+          const position = this.backend.cmp(cursor.primaryKey, after.id) * (direction === 'next' ? 1 : -1);
+          if (position < 0) {
+            cursor.continuePrimaryKey(after.key, after.id);
+            return;
+          }
+          if (position === 0) {
+            positioned = true;
+            cursor.continue();
+            return;
+          }
+        }
+        positioned = true;
+
+        if (visit(cursor.value, cursor.key) === false) {
+          resolve();
+          return;
+        }
+
+        cursor.continue();
+      };
+
+      request.onerror = () => reject(new Error(`Failed to read sessions: ${request.error}`));
+    });
+  }
+
+  /**
+   * Build the filter for the getSessions options
+   * @param {Object} options - Filter options (as for getSessions)
+   * @returns {Function} (record) => boolean for stored session records
+   */
+  createSessionFilter(options) {
+    const tags = options.tags ? this.validateTags(options.tags) : [];
+    const startDate = options.startDate ? new Date(options.startDate) : null;
+    const endDate = options.endDate ? new Date(options.endDate) : null;
+
+    return (session) => {
+      // Sessions in the trash are only listed by getTrashedSessions
+      if (session.deletedAt) {
+        return false;
+      }
+
+      if (options.platform && session.platform !== options.platform) {
+        return false;
+      }
+
+      if (!this.matchesOrganizationFilters(session, { ...options, tags })) {
+        return false;
+      }
+
+      const sessionDate = new Date(session.date);
+      if (startDate && sessionDate < startDate) {
+        return false;
+      }
+      if (endDate && sessionDate > endDate) {
+        return false;
+      }
+
+      return true;
+    };
+  }
+
+  /**
+   * Create the cursor token for the session after which the next page starts
+   * @param {Object} position - Sort and position
+   * @param {string} position.sortBy - Sort field
+   * @param {string} position.order - Sort order
+   * @param {*} position.key - Index key of the last session on the page
+   * @param {string} position.id - ID of the last session on the page
+   * @returns {string} Opaque cursor token
+   */
+  encodeSessionCursor({ sortBy, order, key, id }) {
+    const bytes = encodeUtf8(JSON.stringify({ sortBy, order, key, id }));
+    return btoa(Array.from(bytes, byte => String.fromCharCode(byte)).join(''));
+  }
+
+  /**
+   * Read a cursor token created by encodeSessionCursor
+   * @param {string} token - Cursor token
+   * @param {Object} expected - Sort the token must have been created for
+   * @param {string} expected.sortBy - Sort field
+   * @param {string} expected.order - Sort order
+   * @returns {Object} Position `{key, id}`
+   */
+  decodeSessionCursor(token, { sortBy, order }) {
+    let position;
+    try {
+      const binary = atob(token);
+      position = JSON.parse(decodeUtf8(Uint8Array.from(binary, char => char.charCodeAt(0))));
+    } catch (error) {
+      throw new Error('Invalid session cursor');
+    }
+
+    if (!position || typeof position.id !== 'string' || position.key === undefined || position.key === null) {
+      throw new Error('Invalid session cursor');
+    }
+
+    if (position.sortBy !== sortBy || position.order !== order) {
+      throw new Error('Session cursor was created for a different sort order');
+    }
+
+    return { key: position.key, id: position.id };
+  }
+
+  /**
+   * Save transcript segments for a session
+   * @param {string} sessionId - Session ID
+   * @param {Array} segments - Transcript segments
+   * @returns {Promise<void>}
+   */
+  async saveTranscriptSegments(sessionId, segments) {
+    await this.ensureInitialized();
+
+    const prepared = await this.prepareTranscriptSegments(sessionId, segments);
+    const transaction = this.db.transaction(this.getWriteScope(this.stores.transcripts), 'readwrite');
+
+    return this.putTranscriptSegments(transaction, prepared);
+  }
+
+  /**
+   * Validate, compress and (when enabled) encrypt transcript segments
+   * @param {string} sessionId - Session ID
+   * @param {Array} segments - Transcript segments
+   * @returns {Promise<Object>} Validated segments and the records to store
+   */
+  async prepareTranscriptSegments(sessionId, segments) {
+    if (!Array.isArray(segments)) {
+      throw new Error('Segments must be an array');
+    }
+
+    const validatedSegments = segments.map(segment => 
+      this.validateTranscriptSegment(segment, sessionId)
+    );
+    const records = await Promise.all(validatedSegments.map(segment => 
+      this.sealRecord(this.stores.transcripts, this.compressTranscriptSegment(segment))
+    ));
+
+    return { segments: validatedSegments, records };
+  }
+
+  /**
+   * Write prepared transcript segments within a transaction
+   * @param {IDBTransaction} transaction - Readwrite transaction
+   * @param {Object} prepared - Result of prepareTranscriptSegments
+   * @returns {Promise<void>}
+   */
+  putTranscriptSegments(transaction, prepared) {
+    return new Promise((resolve, reject) => {
+      const store = transaction.objectStore(this.stores.transcripts);
+      const searchIndexer = this.getSearchIndexer();
+      
+      let completed = 0;
+      const total = prepared.records.length;
+      
+      if (total === 0) {
+        resolve();
+        return;
+      }
+
+      if (searchIndexer) {
+        searchIndexer.indexTranscriptSegments(transaction, prepared.segments).catch(reject);
+      }
+
+      prepared.records.forEach(segment => {
+        const request = store.put(segment);
+        
+        request.onsuccess = () => {
+          completed++;
+          if (completed === total) {
+            resolve();
+          }
+        };
+        
+        request.onerror = () => {
+          reject(new Error(`Failed to save transcript segment: ${request.error}`));
+        };
+      });
+    });
+  }
+
+  /**
+   * Get transcript segments for a session
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Array>} Array of transcript segments
+   */
+  async getTranscriptSegments(sessionId) {
+    await this.ensureInitialized();
+    
+    return new Promise((resolve, reject) => {
       const transaction = this.db.transaction([this.stores.transcripts], 'readonly');
       const store = transaction.objectStore(this.stores.transcripts);
       const index = store.index('sessionId');
@@ -285,14 +1040,14 @@ class StorageService {
       const request = index.getAll(sessionId);
       
       request.onsuccess = () => {
-        const segments = request.result.map(segment => 
-          this.decompressTranscriptSegment(segment)
-        );
-        
-        // Sort by timestamp
-        segments.sort((a, b) => a.timestamp - b.timestamp);
-        
-        resolve(segments);
+        Promise.all(request.result.map(segment => this.readTranscriptSegment(segment)))
+          .then(segments => {
+            // Sort by timestamp
+            segments.sort((a, b) => a.timestamp - b.timestamp);
+            
+            resolve(segments);
+          })
+          .catch(reject);
       };
       
       request.onerror = () => reject(new Error(`Failed to get transcript segments: ${request.error}`));
@@ -300,43 +1055,159 @@ class StorageService {
   }
 
   /**
-   * Save a summary for a session
+   * Save a summary for a session as a new version
    * @param {string} sessionId - Session ID
    * @param {Object} summaryData - Summary data
    * @returns {Promise<string>} Summary ID
    */
   async saveSummary(sessionId, summaryData) {
+    const [summaryId] = await this.saveSummaries(sessionId, [summaryData]);
+    return summaryId;
+  }
+
+  /**
+   * Save summaries for a session, in order, as versions. A summary whose ID is
+   * already stored updates that version in place; any other summary is
+   * appended as the next version and chained to the previous latest one.
+   * @param {string} sessionId - Session ID
+   * @param {Array} summaries - Summary data, oldest first
+   * @returns {Promise<Array<string>>} Summary IDs
+   */
+  async saveSummaries(sessionId, summaries) {
     await this.ensureInitialized();
-    
-    const summary = this.validateSummaryData({
-      id: this.generateId(),
+
+    const prepared = await this.prepareSummaries(sessionId, summaries);
+    const transaction = this.db.transaction(this.getWriteScope(this.stores.summaries), 'readwrite');
+
+    return this.putSummaries(transaction, sessionId, prepared);
+  }
+
+  /**
+   * Validate, compress and (when enabled) encrypt summaries
+   * @param {string} sessionId - Session ID
+   * @param {Array} summaries - Summary data, oldest first
+   * @returns {Promise<Array<Object>>} Summary records paired with the records to store
+   */
+  async prepareSummaries(sessionId, summaries) {
+    if (!Array.isArray(summaries)) {
+      throw new Error('Summaries must be an array');
+    }
+
+    const records = summaries.map(summaryData => this.createSummaryRecord(sessionId, summaryData));
+
+    return Promise.all(records.map(async record => ({
+      record,
+      stored: await this.sealRecord(this.stores.summaries, this.compressSummary(record))
+    })));
+  }
+
+  /**
+   * Write prepared summaries within a transaction, assigning version numbers
+   * @param {IDBTransaction} transaction - Readwrite transaction
+   * @param {string} sessionId - Session ID
+   * @param {Array<Object>} prepared - Result of prepareSummaries
+   * @returns {Promise<Array<string>>} Summary IDs
+   */
+  putSummaries(transaction, sessionId, prepared) {
+    return new Promise((resolve, reject) => {
+      if (prepared.length === 0) {
+        resolve([]);
+        return;
+      }
+
+      const store = transaction.objectStore(this.stores.summaries);
+      const searchIndexer = this.getSearchIndexer();
+
+      // Versions depend on each other, so each write is issued from the previous callback
+      const latestRequest = store.index('sessionVersion').openCursor(this.getSummaryVersionRange(sessionId), 'prev');
+
+      latestRequest.onsuccess = () => {
+        const previousLatest = latestRequest.result ? latestRequest.result.value : null;
+        let latest = previousLatest;
+
+        const saveNext = (index) => {
+          if (index === prepared.length) {
+            if (searchIndexer && latest !== previousLatest) {
+              // Only the latest version of a summary is searchable
+              if (previousLatest) {
+                searchIndexer.removeDocuments(transaction, [previousLatest.id]).catch(reject);
+              }
+              searchIndexer.indexSummary(transaction, latest).catch(reject);
+            }
+            resolve(prepared.map(({ record }) => record.id));
+            return;
+          }
+
+          const { record: summary, stored } = prepared[index];
+          const existingRequest = store.get(summary.id);
+
+          existingRequest.onsuccess = () => {
+            const existing = existingRequest.result;
+
+            if (existing) {
+              summary.version = existing.version;
+              summary.previousSummaryId = summary.previousSummaryId || existing.previousSummaryId || null;
+            } else {
+              summary.version = (latest ? latest.version : 0) + 1;
+              summary.previousSummaryId = summary.previousSummaryId || (latest ? latest.id : null);
+            }
+
+            if (!latest || summary.version >= latest.version) {
+              latest = summary;
+            }
+
+            // Version fields stay outside the compressed and encrypted payload
+            const putRequest = store.put({
+              ...stored,
+              version: summary.version,
+              previousSummaryId: summary.previousSummaryId
+            });
+            putRequest.onsuccess = () => saveNext(index + 1);
+            putRequest.onerror = () => reject(new Error(`Failed to save summary: ${putRequest.error}`));
+          };
+
+          existingRequest.onerror = () => reject(new Error(`Failed to save summary: ${existingRequest.error}`));
+        };
+
+        saveNext(0);
+      };
+
+      latestRequest.onerror = () => reject(new Error(`Failed to save summary: ${latestRequest.error}`));
+    });
+  }
+
+  /**
+   * Build a validated summary record from summary data
+   * @param {string} sessionId - Session ID
+   * @param {Object} summaryData - Summary data
+   * @returns {Object} Summary record (version is assigned when saved)
+   */
+  createSummaryRecord(sessionId, summaryData) {
+    if (!summaryData || typeof summaryData !== 'object') {
+      throw new Error('Summary data must be an object');
+    }
+
+    return this.validateSummaryData({
+      id: summaryData.id || this.generateId(),
       sessionId,
       content: summaryData.content || '',
       keyPoints: summaryData.keyPoints || [],
       decisions: summaryData.decisions || [],
       actionItems: summaryData.actionItems || [],
       quotes: summaryData.quotes || [],
-      generatedAt: Date.now(),
+      topics: summaryData.topics || [],
+      generatedAt: summaryData.generatedAt || Date.now(),
       processingTime: summaryData.processingTime || 0,
+      source: summaryData.source || (summaryData.isIncremental ? 'incremental' : 'generated'),
+      previousSummaryId: summaryData.previousSummaryId || null,
+      restoredFromId: summaryData.restoredFromId || null,
+      promptTemplate: summaryData.promptTemplate || null,
       metadata: summaryData.metadata || {}
     });
-
-    // Compress the summary content
-    const compressedSummary = this.compressSummary(summary);
-
-    return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction([this.stores.summaries], 'readwrite');
-      const store = transaction.objectStore(this.stores.summaries);
-      
-      const request = store.put(compressedSummary);
-      
-      request.onsuccess = () => resolve(summary.id);
-      request.onerror = () => reject(new Error(`Failed to save summary: ${request.error}`));
-    });
   }
 
   /**
-   * Get summary for a session
+   * Get the latest summary version for a session
    * @param {string} sessionId - Session ID
    * @returns {Promise<Object|null>} Summary data or null if not found
    */
@@ -346,14 +1217,14 @@ class StorageService {
     return new Promise((resolve, reject) => {
       const transaction = this.db.transaction([this.stores.summaries], 'readonly');
       const store = transaction.objectStore(this.stores.summaries);
-      const index = store.index('sessionId');
+      const index = store.index('sessionVersion');
       
-      const request = index.get(sessionId);
+      const request = index.openCursor(this.getSummaryVersionRange(sessionId), 'prev');
       
       request.onsuccess = () => {
-        const result = request.result;
-        if (result) {
-          resolve(this.decompressSummary(result));
+        const cursor = request.result;
+        if (cursor) {
+          this.readSummary(cursor.value).then(resolve, reject);
         } else {
           resolve(null);
         }
@@ -364,533 +1235,3085 @@ class StorageService {
   }
 
   /**
-   * Search through transcripts and summaries
-   * @param {string} query - Search query
-   * @param {Object} options - Search options
-   * @returns {Promise<Object>} Search results
+   * Get every summary version for a session
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Array>} Summary versions, newest first
    */
-  async search(query, options = {}) {
+  async getSummaryHistory(sessionId) {
     await this.ensureInitialized();
-    
-    if (!query || query.trim().length === 0) {
-      return { transcripts: [], summaries: [] };
-    }
 
-    const searchTerm = query.toLowerCase().trim();
-    const results = { transcripts: [], summaries: [] };
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.stores.summaries], 'readonly');
+      const index = transaction.objectStore(this.stores.summaries).index('sessionVersion');
 
-    // Search transcripts
-    const transcriptResults = await this.searchTranscripts(searchTerm, options);
-    results.transcripts = transcriptResults;
+      const request = index.getAll(this.getSummaryVersionRange(sessionId));
 
-    // Search summaries
-    const summaryResults = await this.searchSummaries(searchTerm, options);
-    results.summaries = summaryResults;
+      request.onsuccess = () => {
+        Promise.all(request.result.map(summary => this.readSummary(summary)))
+          .then(summaries => resolve(summaries.reverse()))
+          .catch(reject);
+      };
 
-    return results;
+      request.onerror = () => reject(new Error(`Failed to get summary history: ${request.error}`));
+    });
   }
 
   /**
-   * Search transcripts
-   * @param {string} searchTerm - Search term
-   * @param {Object} options - Search options
-   * @returns {Promise<Array>} Search results
+   * Restore an earlier summary version by saving a copy of it as the latest version
+   * @param {string} sessionId - Session ID
+   * @param {string} summaryId - ID of the version to restore
+   * @returns {Promise<string>} ID of the new version
    */
-  async searchTranscripts(searchTerm, options = {}) {
-    return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction([this.stores.transcripts, this.stores.sessions], 'readonly');
-      const transcriptStore = transaction.objectStore(this.stores.transcripts);
-      const sessionStore = transaction.objectStore(this.stores.sessions);
-      
-      const request = transcriptStore.getAll();
-      
-      request.onsuccess = async () => {
-        const allTranscripts = request.result;
-        const matchingTranscripts = [];
-
-        for (const transcript of allTranscripts) {
-          const decompressed = this.decompressTranscriptSegment(transcript);
-          
-          if (decompressed.text.toLowerCase().includes(searchTerm)) {
-            // Get session info
-            const sessionRequest = sessionStore.get(decompressed.sessionId);
-            
-            await new Promise((sessionResolve) => {
-              sessionRequest.onsuccess = () => {
-                const session = sessionRequest.result;
-                
-                // Apply date filter if specified
-                if (options.startDate || options.endDate) {
-                  const sessionDate = new Date(session.date);
-                  if (options.startDate && sessionDate < new Date(options.startDate)) {
-                    sessionResolve();
-                    return;
-                  }
-                  if (options.endDate && sessionDate > new Date(options.endDate)) {
-                    sessionResolve();
-                    return;
-                  }
-                }
-
-                matchingTranscripts.push({
-                  ...decompressed,
-                  sessionDate: session.date,
-                  sessionPlatform: session.platform,
-                  highlightedText: this.highlightSearchTerm(decompressed.text, searchTerm)
-                });
-                
-                sessionResolve();
-              };
-            });
-          }
-        }
+  async restoreSummaryVersion(sessionId, summaryId) {
+    const history = await this.getSummaryHistory(sessionId);
+    const version = history.find(summary => summary.id === summaryId);
 
-        // Sort by relevance (number of matches) and then by timestamp
-        matchingTranscripts.sort((a, b) => {
-          const aMatches = (a.text.toLowerCase().match(new RegExp(searchTerm, 'g')) || []).length;
-          const bMatches = (b.text.toLowerCase().match(new RegExp(searchTerm, 'g')) || []).length;
-          
-          if (aMatches !== bMatches) {
-            return bMatches - aMatches;
-          }
-          
-          return b.timestamp - a.timestamp;
-        });
+    if (!version) {
+      throw new Error(`Summary version not found: ${summaryId}`);
+    }
 
-        resolve(matchingTranscripts);
-      };
-      
-      request.onerror = () => reject(new Error(`Failed to search transcripts: ${request.error}`));
+    return this.saveSummary(sessionId, {
+      ...version,
+      id: null,
+      previousSummaryId: null,
+      generatedAt: Date.now(),
+      source: 'restored',
+      restoredFromId: version.id
     });
   }
 
   /**
-   * Search summaries
-   * @param {string} searchTerm - Search term
-   * @param {Object} options - Search options
-   * @returns {Promise<Array>} Search results
+   * Save an annotation (bookmark or note) anchored to a moment of a session.
+   * An annotation whose ID is already stored is updated in place.
+   * @param {string} sessionId - Session ID
+   * @param {Object} annotationData - Annotation data
+   * @param {string} annotationData.type - 'bookmark' or 'note'
+   * @param {number} annotationData.relativeTime - Milliseconds since the session started
+   * @param {number} [annotationData.timestamp] - Wall-clock time of the moment
+   * @param {string} [annotationData.text] - Note text (optional for bookmarks)
+   * @returns {Promise<string>} Annotation ID
    */
-  async searchSummaries(searchTerm, options = {}) {
-    return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction([this.stores.summaries, this.stores.sessions], 'readonly');
-      const summaryStore = transaction.objectStore(this.stores.summaries);
+  async saveAnnotation(sessionId, annotationData) {
+    await this.ensureInitialized();
+
+    if (!annotationData || typeof annotationData !== 'object') {
+      throw new Error('Annotation data must be an object');
+    }
+
+    const existing = annotationData.id ? await this.getAnnotation(annotationData.id) : null;
+    const prepared = await this.prepareAnnotations(sessionId, [{ ...existing, ...annotationData }]);
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(this.getWriteScope(this.stores.annotations), 'readwrite');
+
+      transaction.oncomplete = () => resolve(prepared.annotations[0].id);
+      transaction.onerror = () => reject(new Error(`Failed to save annotation: ${transaction.error}`));
+
+      this.putAnnotations(transaction, prepared).catch(reject);
+    });
+  }
+
+  /**
+   * Validate and (when enabled) encrypt annotations
+   * @param {string} sessionId - Session ID
+   * @param {Array} annotations - Annotation data
+   * @returns {Promise<Object>} Validated annotations and the records to store
+   */
+  async prepareAnnotations(sessionId, annotations) {
+    if (!Array.isArray(annotations)) {
+      throw new Error('Annotations must be an array');
+    }
+
+    const validatedAnnotations = annotations.map(annotation =>
+      this.validateAnnotationData(annotation, sessionId)
+    );
+    const records = await Promise.all(validatedAnnotations.map(annotation =>
+      this.sealRecord(this.stores.annotations, annotation)
+    ));
+
+    return { annotations: validatedAnnotations, records };
+  }
+
+  /**
+   * Write prepared annotations within a transaction
+   * @param {IDBTransaction} transaction - Readwrite transaction
+   * @param {Object} prepared - Result of prepareAnnotations
+   * @returns {Promise<void>}
+   */
+  putAnnotations(transaction, prepared) {
+    return new Promise((resolve, reject) => {
+      const store = transaction.objectStore(this.stores.annotations);
+      const searchIndexer = this.getSearchIndexer();
+      let pending = prepared.records.length;
+
+      if (pending === 0) {
+        resolve();
+        return;
+      }
+
+      if (searchIndexer) {
+        searchIndexer.indexAnnotations(transaction, prepared.annotations).catch(reject);
+      }
+
+      prepared.records.forEach(record => {
+        const request = store.put(record);
+
+        request.onsuccess = () => {
+          pending--;
+          if (pending === 0) {
+            resolve();
+          }
+        };
+        request.onerror = () => reject(new Error(`Failed to save annotation: ${request.error}`));
+      });
+    });
+  }
+
+  /**
+   * Get an annotation by ID
+   * @param {string} annotationId - Annotation ID
+   * @returns {Promise<Object|null>} Annotation or null if not found
+   */
+  async getAnnotation(annotationId) {
+    await this.ensureInitialized();
+
+    const annotation = await new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.stores.annotations], 'readonly');
+      const request = transaction.objectStore(this.stores.annotations).get(annotationId);
+
+      request.onsuccess = () => resolve(request.result || null);
+      request.onerror = () => reject(new Error(`Failed to get annotation: ${request.error}`));
+    });
+
+    return annotation ? this.openRecord(this.stores.annotations, annotation) : null;
+  }
+
+  /**
+   * Get the annotations of a session in time order
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Array>} Annotations sorted by relativeTime
+   */
+  async getAnnotations(sessionId) {
+    await this.ensureInitialized();
+
+    const annotations = await new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.stores.annotations], 'readonly');
+      const index = transaction.objectStore(this.stores.annotations).index('sessionTime');
+      const request = index.getAll(IDBKeyRange.bound([sessionId, 0], [sessionId, Infinity]));
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(new Error(`Failed to get annotations: ${request.error}`));
+    });
+
+    return Promise.all(annotations.map(annotation => this.openRecord(this.stores.annotations, annotation)));
+  }
+
+  /**
+   * Delete an annotation
+   * @param {string} annotationId - Annotation ID
+   * @returns {Promise<void>}
+   */
+  async deleteAnnotation(annotationId) {
+    await this.ensureInitialized();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(this.getWriteScope(this.stores.annotations), 'readwrite');
+      const searchIndexer = this.getSearchIndexer();
+
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(new Error(`Failed to delete annotation: ${transaction.error}`));
+
+      transaction.objectStore(this.stores.annotations).delete(annotationId);
+      if (searchIndexer) {
+        searchIndexer.removeDocuments(transaction, [annotationId]).catch(reject);
+      }
+    });
+  }
+
+  /**
+   * Save an audio recording of a session. A session that was stopped and
+   * resumed has one recording per part, each placed on the session timeline
+   * by `sessionOffset` so segment times can be mapped into it.
+   * @param {string} sessionId - Session ID
+   * @param {Blob|ArrayBuffer|Uint8Array} audioData - Encoded audio
+   * @param {Object} recordingInfo - Recording details
+   * @param {number} recordingInfo.sessionOffset - Session time (ms since the session started) the recording began at
+   * @param {number} recordingInfo.duration - Length of the audio in milliseconds
+   * @param {string} [recordingInfo.mimeType] - MIME type (defaults to the Blob type)
+   * @param {number} [recordingInfo.startedAt] - Wall-clock start time
+   * @param {Array} [recordingInfo.pauses] - Pauses as `{at, duration}`: position in the audio and length (ms)
+   * @returns {Promise<string>} Recording ID
+   */
+  async saveAudioRecording(sessionId, audioData, recordingInfo = {}) {
+    await this.ensureInitialized();
+
+    const [record] = await this.prepareAudioRecordings(sessionId, [{ ...recordingInfo, data: audioData }]);
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.stores.audio], 'readwrite');
+
+      transaction.oncomplete = () => resolve(record.id);
+      transaction.onerror = () => reject(new Error(`Failed to save audio recording: ${transaction.error}`));
+
+      transaction.objectStore(this.stores.audio).put(record);
+    });
+  }
+
+  /**
+   * Validate and (when enabled) encrypt audio recordings
+   * @param {string} sessionId - Session ID
+   * @param {Array} recordings - Recording details, each with its audio as `data`
+   * @returns {Promise<Array>} Records to store
+   */
+  async prepareAudioRecordings(sessionId, recordings) {
+    return Promise.all(recordings.map(async ({ data, ...recordingInfo }) => {
+      if (!data) {
+        throw new Error('Audio recording data is required');
+      }
+
+      const payload = await toBytes(data);
+      const mimeType = recordingInfo.mimeType || data.type;
+      const recording = this.validateAudioRecordingData({ ...recordingInfo, mimeType, size: payload.length }, sessionId);
+
+      return this.sealRecord(this.stores.audio, { ...recording, payload });
+    }));
+  }
+
+  /**
+   * Get the audio recordings of a session in timeline order
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Array>} Recordings, with the audio as a Blob in `data`
+   */
+  async getAudioRecordings(sessionId) {
+    await this.ensureInitialized();
+
+    const records = await new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.stores.audio], 'readonly');
+      const request = transaction.objectStore(this.stores.audio).index('sessionId').getAll(sessionId);
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(new Error(`Failed to get audio recordings: ${request.error}`));
+    });
+
+    const recordings = await Promise.all(records.map(record => this.readAudioRecording(record)));
+    return recordings.sort((a, b) => a.sessionOffset - b.sessionOffset);
+  }
+
+  /**
+   * Get an audio recording by ID
+   * @param {string} recordingId - Recording ID
+   * @returns {Promise<Object|null>} Recording, or null if not found
+   */
+  async getAudioRecording(recordingId) {
+    await this.ensureInitialized();
+
+    const record = await new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.stores.audio], 'readonly');
+      const request = transaction.objectStore(this.stores.audio).get(recordingId);
+
+      request.onsuccess = () => resolve(request.result || null);
+      request.onerror = () => reject(new Error(`Failed to get audio recording: ${request.error}`));
+    });
+
+    return record ? this.readAudioRecording(record) : null;
+  }
+
+  /**
+   * Delete an audio recording
+   * @param {string} recordingId - Recording ID
+   * @returns {Promise<void>}
+   */
+  async deleteAudioRecording(recordingId) {
+    await this.ensureInitialized();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.stores.audio], 'readwrite');
+
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(new Error(`Failed to delete audio recording: ${transaction.error}`));
+
+      transaction.objectStore(this.stores.audio).delete(recordingId);
+    });
+  }
+
+  /**
+   * Find where a transcript segment can be heard in the session's audio
+   * @param {Object} segment - Transcript segment with its `relativeTime`
+   * @returns {Promise<Object|null>} `{recording, offset}` with the offset in milliseconds, or null if no audio covers it
+   */
+  async getSegmentAudio(segment) {
+    if (!segment || !segment.sessionId || typeof segment.relativeTime !== 'number') {
+      throw new Error('Segment must have a session ID and a relative time');
+    }
+
+    const recordings = await this.getAudioRecordings(segment.sessionId);
+    return findRecordingAtTime(recordings, segment.relativeTime);
+  }
+
+  /**
+   * Decode a stored audio recording
+   * @param {Object} record - Stored record
+   * @returns {Promise<Object>} Recording with the audio as a Blob in `data`
+   */
+  async readAudioRecording(record) {
+    const stored = await this.backend.resolveRecord(record);
+    const { payload, codec, originalSize, ...recording } = await this.openRecord(this.stores.audio, stored);
+    return { ...recording, data: new Blob([payload], { type: recording.mimeType }) };
+  }
+
+  /**
+   * Search through transcripts, summaries and annotations
+   * @param {string} query - Search query
+   * @param {Object} options - Search options
+   * @returns {Promise<Object>} Search results
+   */
+  async search(query, options = {}) {
+    await this.ensureInitialized();
+    
+    if (!query || query.trim().length === 0) {
+      return { transcripts: [], summaries: [], annotations: [] };
+    }
+
+    // The inverted index is not kept while encryption is enabled
+    const searchIndexer = this.getSearchIndexer();
+    if (searchIndexer) {
+      const indexed = await searchIndexer.search(query, options);
+      const toLegacyResult = (result) => ({
+        ...result.record,
+        score: result.score,
+        sessionDate: result.sessionDate,
+        sessionPlatform: result.sessionPlatform,
+        snippet: result.snippet
+      });
+
+      return {
+        transcripts: indexed
+          .filter(result => result.type === 'transcript')
+          .map(result => ({ ...toLegacyResult(result), highlightedText: result.snippet })),
+        summaries: indexed
+          .filter(result => result.type === 'summary')
+          .map(result => ({ ...toLegacyResult(result), highlightedContent: result.snippet })),
+        annotations: indexed
+          .filter(result => result.type === 'annotation')
+          .map(result => ({ ...toLegacyResult(result), highlightedText: result.snippet }))
+      };
+    }
+
+    const searchTerm = query.toLowerCase().trim();
+    const results = { transcripts: [], summaries: [], annotations: [] };
+
+    // Search transcripts
+    const transcriptResults = await this.searchTranscripts(searchTerm, options);
+    results.transcripts = transcriptResults;
+
+    // Search summaries
+    const summaryResults = await this.searchSummaries(searchTerm, options);
+    results.summaries = summaryResults;
+
+    // Search annotations
+    results.annotations = await this.searchAnnotations(searchTerm, options);
+
+    return results;
+  }
+
+  /**
+   * Search transcripts
+   * @param {string} searchTerm - Search term
+   * @param {Object} options - Search options
+   * @returns {Promise<Array>} Search results
+   */
+  async searchTranscripts(searchTerm, options = {}) {
+    const [records, sessions] = await Promise.all([
+      this.getAllRecords(this.stores.transcripts),
+      this.getAllRecords(this.stores.sessions)
+    ]);
+    const sessionsById = new Map(sessions.map(session => [session.id, session]));
+    const transcripts = await Promise.all(records.map(record => this.readTranscriptSegment(record)));
+
+    const matchingTranscripts = transcripts
+      .filter(transcript => transcript.text.toLowerCase().includes(searchTerm))
+      .filter(transcript => this.isSessionInDateRange(sessionsById.get(transcript.sessionId), options))
+      .map(transcript => {
+        const session = sessionsById.get(transcript.sessionId);
+        return {
+          ...transcript,
+          sessionDate: session.date,
+          sessionPlatform: session.platform,
+          highlightedText: this.highlightSearchTerm(transcript.text, searchTerm)
+        };
+      });
+
+    // Sort by relevance (number of matches) and then by timestamp
+    matchingTranscripts.sort((a, b) => {
+      const aMatches = a.text.toLowerCase().split(searchTerm).length - 1;
+      const bMatches = b.text.toLowerCase().split(searchTerm).length - 1;
+      
+      if (aMatches !== bMatches) {
+        return bMatches - aMatches;
+      }
+      
+      return b.timestamp - a.timestamp;
+    });
+
+    return matchingTranscripts;
+  }
+
+  /**
+   * Search summaries
+   * @param {string} searchTerm - Search term
+   * @param {Object} options - Search options
+   * @returns {Promise<Array>} Search results
+   */
+  async searchSummaries(searchTerm, options = {}) {
+    const [records, sessions] = await Promise.all([
+      this.getAllRecords(this.stores.summaries),
+      this.getAllRecords(this.stores.sessions)
+    ]);
+    const sessionsById = new Map(sessions.map(session => [session.id, session]));
+    const summaries = await Promise.all(records.map(record => this.readSummary(record)));
+
+    // Search in content, key points, decisions, action items, and quotes
+    const getSearchableText = (summary) => [
+      summary.content,
+      ...summary.keyPoints,
+      ...summary.decisions,
+      ...summary.actionItems,
+      ...summary.quotes
+    ].join(' ').toLowerCase();
+
+    const matchingSummaries = summaries
+      .filter(summary => getSearchableText(summary).includes(searchTerm))
+      .filter(summary => this.isSessionInDateRange(sessionsById.get(summary.sessionId), options))
+      .map(summary => {
+        const session = sessionsById.get(summary.sessionId);
+        return {
+          ...summary,
+          sessionDate: session.date,
+          sessionPlatform: session.platform,
+          highlightedContent: this.highlightSearchTerm(summary.content, searchTerm)
+        };
+      });
+
+    // Sort by relevance and then by generation date
+    matchingSummaries.sort((a, b) => {
+      const aMatches = getSearchableText(a).split(searchTerm).length - 1;
+      const bMatches = getSearchableText(b).split(searchTerm).length - 1;
+      
+      if (aMatches !== bMatches) {
+        return bMatches - aMatches;
+      }
+      
+      return b.generatedAt - a.generatedAt;
+    });
+
+    return matchingSummaries;
+  }
+
+  /**
+   * Search annotation text
+   * @param {string} searchTerm - Search term
+   * @param {Object} options - Search options
+   * @returns {Promise<Array>} Search results, ordered by session date and time in the session
+   */
+  async searchAnnotations(searchTerm, options = {}) {
+    const [records, sessions] = await Promise.all([
+      this.getAllRecords(this.stores.annotations),
+      this.getAllRecords(this.stores.sessions)
+    ]);
+    const sessionsById = new Map(sessions.map(session => [session.id, session]));
+    const annotations = await Promise.all(records.map(record => this.openRecord(this.stores.annotations, record)));
+
+    return annotations
+      .filter(annotation => annotation.text.toLowerCase().includes(searchTerm))
+      .filter(annotation => this.isSessionInDateRange(sessionsById.get(annotation.sessionId), options))
+      .map(annotation => {
+        const session = sessionsById.get(annotation.sessionId);
+        return {
+          ...annotation,
+          sessionDate: session.date,
+          sessionPlatform: session.platform,
+          highlightedText: this.highlightSearchTerm(annotation.text, searchTerm)
+        };
+      })
+      .sort((a, b) => new Date(b.sessionDate) - new Date(a.sessionDate) || a.relativeTime - b.relativeTime);
+  }
+
+  /**
+   * Check whether a session falls inside the date filters of a search
+   * @param {Object|undefined} session - Session record
+   * @param {Object} options - Search options with startDate and endDate
+   * @returns {boolean} True if the session exists, is not in the trash and matches
+   */
+  isSessionInDateRange(session, options = {}) {
+    if (!session || session.deletedAt) {
+      return false;
+    }
+
+    const sessionDate = new Date(session.date);
+    if (options.startDate && sessionDate < new Date(options.startDate)) {
+      return false;
+    }
+    if (options.endDate && sessionDate > new Date(options.endDate)) {
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Read every stored record of a store without decoding it
+   * @param {string} storeName - Store name
+   * @returns {Promise<Array>} Stored records
+   */
+  async getAllRecords(storeName) {
+    await this.ensureInitialized();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([storeName], 'readonly');
+      const request = transaction.objectStore(storeName).getAll();
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(new Error(`Failed to read ${storeName}: ${request.error}`));
+    });
+  }
+
+  /**
+   * Clean up old data based on retention policy. Audio, transcripts,
+   * summaries and annotations can have their own retention period (see
+   * setRetentionPolicies); those without one follow the session retention.
+   * Whole sessions are purged once the longest of these periods has passed,
+   * so a data type kept longer than its session keeps the session too. The
+   * data types with a shorter period are then purged from older sessions. If
+   * a size limit is set, the oldest remaining sessions are then purged until
+   * the stored data fits it. Every purge is recorded in the purge log.
+   * @param {number} retentionDays - Number of days to retain data
+   * @param {Object} [options] - Cleanup options
+   * @param {number|null} [options.maxBytes] - Size to keep stored data under (defaults to the size limit setting)
+   * @returns {Promise<Object>} Cleanup results
+   */
+  async cleanupOldData(retentionDays = null, options = {}) {
+    await this.ensureInitialized();
+    
+    const retention = retentionDays || await this.getRetentionPolicy();
+    const policies = await this.getRetentionPolicies();
+    const periods = Object.fromEntries(Object.keys(RETENTION_DATA_TYPES).map(type => [type, policies[type] || retention]));
+    // A session goes once none of its data is to be kept any more
+    const sessionRetention = Math.max(retention, ...Object.values(periods));
+    const cutoffDate = new Date();
+    cutoffDate.setDate(cutoffDate.getDate() - sessionRetention);
+    
+    const results = {
+      sessionsDeleted: 0,
+      transcriptsDeleted: 0,
+      summariesDeleted: 0,
+      annotationsDeleted: 0,
+      audioDeleted: 0,
+      trashPurged: await this.purgeExpiredTrash()
+    };
+
+    // Get old sessions
+    const oldSessions = await this.getSessions({
+      endDate: cutoffDate.toISOString()
+    });
+    const protectedFolderIds = new Set(
+      (await this.getAllRecords(this.stores.folders)).filter(folder => folder.isProtected).map(folder => folder.id)
+    );
+    results.sessionsProtected = 0;
+
+    // Delete old data, keeping starred sessions and sessions in protected folders
+    for (const session of oldSessions) {
+      if (session.starred || protectedFolderIds.has(session.folderId)) {
+        results.sessionsProtected++;
+        continue;
+      }
+
+      await this.purgeSession(session.id, { reason: 'retention', sessionDate: session.date, retentionDays: sessionRetention });
+      results.sessionsDeleted++;
+    }
+
+    // Then delete the expired parts of the remaining sessions; exempt sessions keep everything
+    const dataTypes = Object.keys(periods).filter(type => periods[type] < sessionRetention);
+
+    if (dataTypes.length > 0) {
+      const cutoffs = Object.fromEntries(dataTypes.map(type => {
+        const cutoff = new Date();
+        cutoff.setDate(cutoff.getDate() - periods[type]);
+        return [type, cutoff];
+      }));
+
+      for (const session of await this.getAllRecords(this.stores.sessions)) {
+        if (session.starred || protectedFolderIds.has(session.folderId)) {
+          continue;
+        }
+
+        const sessionDate = new Date(session.date);
+        const expired = dataTypes.filter(type => sessionDate <= cutoffs[type]);
+        if (expired.length === 0) {
+          continue;
+        }
+
+        const counts = await this.purgeSessionData(session.id, expired, {
+          reason: 'retention',
+          sessionDate: session.date,
+          retentionDays: { sessions: retention, ...periods }
+        });
+        Object.entries(counts).forEach(([type, count]) => {
+          results[`${type}Deleted`] += count;
+        });
+      }
+    }
+
+    // Then make room for the size limit, never touching protected sessions
+    const maxBytes = options.maxBytes !== undefined ? options.maxBytes : await this.getRetentionSizeLimit();
+    results.sessionsDeletedForSize = 0;
+
+    if (maxBytes) {
+      const usage = await this.measureStorage();
+      const sessionSizes = Array.from(usage.sessions, ([sessionId, { record, size }]) => ({
+        sessionId,
+        date: record.date,
+        deletedAt: record.deletedAt || null,
+        size,
+        isProtected: Boolean(record.starred) || protectedFolderIds.has(record.folderId)
+      }));
+
+      const sessionIds = selectSessionsOverSizeLimit(sessionSizes, { totalSize: usage.totalSize, maxBytes });
+      for (const sessionId of sessionIds) {
+        await this.purgeSession(sessionId, {
+          reason: 'size-limit',
+          sessionDate: usage.sessions.get(sessionId).record.date,
+          maxBytes
+        });
+      }
+      results.sessionsDeletedForSize = sessionIds.length;
+    }
+
+    return results;
+  }
+
+  /**
+   * Move a session to the trash. It is hidden from session lists and search
+   * until it is restored, and purged once it has been in the trash longer
+   * than the trash retention period.
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<number>} Time the session was deleted
+   */
+  async deleteSession(sessionId) {
+    const deletedAt = Date.now();
+    await this.updateSessionRecords([sessionId], session => ({ ...session, deletedAt }));
+    return deletedAt;
+  }
+
+  /**
+   * Take a session out of the trash
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<void>}
+   */
+  async restoreSession(sessionId) {
+    await this.updateSessionRecords([sessionId], session => ({ ...session, deletedAt: null }));
+  }
+
+  /**
+   * Get the sessions in the trash, most recently deleted first
+   * @returns {Promise<Array>} Trashed sessions
+   */
+  async getTrashedSessions() {
+    await this.ensureInitialized();
+
+    const sessions = await new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.stores.sessions], 'readonly');
+      const request = transaction.objectStore(this.stores.sessions).index('deletedAt').getAll();
+
+      request.onsuccess = () => resolve(request.result.reverse());
+      request.onerror = () => reject(new Error(`Failed to get trashed sessions: ${request.error}`));
+    });
+
+    return Promise.all(sessions.map(session => this.openRecord(this.stores.sessions, session)));
+  }
+
+  /**
+   * Permanently delete every session in the trash
+   * @returns {Promise<number>} Number of sessions purged
+   */
+  async emptyTrash() {
+    return this.purgeTrashedBefore(Infinity, 'trash-emptied');
+  }
+
+  /**
+   * Permanently delete the sessions that have been in the trash longer than
+   * the trash retention period
+   * @param {number} [trashRetentionDays] - Days to keep trashed sessions (defaults to the setting)
+   * @returns {Promise<number>} Number of sessions purged
+   */
+  async purgeExpiredTrash(trashRetentionDays = null) {
+    const days = trashRetentionDays || await this.getTrashRetention();
+    return this.purgeTrashedBefore(Date.now() - days * 24 * 60 * 60 * 1000, 'trash-expired');
+  }
+
+  /**
+   * Permanently delete the sessions moved to the trash before a time
+   * @param {number} cutoff - Deletion time limit (exclusive)
+   * @param {string} reason - Reason recorded in the purge log
+   * @returns {Promise<number>} Number of sessions purged
+   */
+  async purgeTrashedBefore(cutoff, reason) {
+    await this.ensureInitialized();
+
+    const sessions = await new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.stores.sessions], 'readonly');
+      const range = Number.isFinite(cutoff) ? IDBKeyRange.upperBound(cutoff, true) : null;
+      const request = transaction.objectStore(this.stores.sessions).index('deletedAt').getAll(range);
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(new Error(`Failed to get trashed sessions: ${request.error}`));
+    });
+
+    for (const session of sessions) {
+      await this.purgeSession(session.id, { reason, sessionDate: session.date });
+    }
+
+    return sessions.length;
+  }
+
+  /**
+   * Permanently delete a session and all associated data
+   * @param {string} sessionId - Session ID
+   * @param {Object|null} [logDetails] - Record the purge in the purge log with these details (see createPurgeLogEntry)
+   * @returns {Promise<void>}
+   */
+  async purgeSession(sessionId, logDetails = null) {
+    await this.ensureInitialized();
+    
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([
+        this.stores.sessions,
+        this.stores.transcripts,
+        this.stores.summaries,
+        this.stores.annotations,
+        this.stores.audio,
+        this.stores.searchIndex,
+        this.stores.purgeLog
+      ], 'readwrite');
+
+      if (logDetails) {
+        transaction.objectStore(this.stores.purgeLog).add(
+          this.createPurgeLogEntry({ ...logDetails, sessionId, dataType: 'session', count: 1 })
+        );
+      }
+
+      // Resolve once the deletes are committed, so a file backend has them queued for writing
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(new Error(`Failed to purge session: ${transaction.error}`));
+
+      // Delete session
       const sessionStore = transaction.objectStore(this.stores.sessions);
+      const sessionRequest = sessionStore.delete(sessionId);
+      sessionRequest.onerror = () => reject(new Error(`Failed to delete session: ${sessionRequest.error}`));
+
+      // Delete transcripts
+      const transcriptStore = transaction.objectStore(this.stores.transcripts);
+      const transcriptIndex = transcriptStore.index('sessionId');
+      const transcriptRequest = transcriptIndex.openCursor(sessionId);
+      
+      transcriptRequest.onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (cursor) {
+          cursor.delete();
+          cursor.continue();
+        }
+      };
+      transcriptRequest.onerror = () => reject(new Error(`Failed to delete transcripts: ${transcriptRequest.error}`));
+
+      // Delete summaries
+      const summaryStore = transaction.objectStore(this.stores.summaries);
+      const summaryIndex = summaryStore.index('sessionId');
+      const summaryRequest = summaryIndex.openCursor(sessionId);
+      
+      summaryRequest.onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (cursor) {
+          cursor.delete();
+          cursor.continue();
+        }
+      };
+      summaryRequest.onerror = () => reject(new Error(`Failed to delete summaries: ${summaryRequest.error}`));
+
+      // Delete annotations
+      const annotationRequest = transaction.objectStore(this.stores.annotations).index('sessionId').openCursor(sessionId);
+
+      annotationRequest.onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (cursor) {
+          cursor.delete();
+          cursor.continue();
+        }
+      };
+      annotationRequest.onerror = () => reject(new Error(`Failed to delete annotations: ${annotationRequest.error}`));
+
+      // Delete audio recordings
+      const audioStore = transaction.objectStore(this.stores.audio);
+      const audioRequest = audioStore.index('sessionId').getAllKeys(sessionId);
+
+      audioRequest.onsuccess = () => {
+        audioRequest.result.forEach(key => audioStore.delete(key));
+      };
+      audioRequest.onerror = () => reject(new Error(`Failed to delete audio recordings: ${audioRequest.error}`));
+
+      // Delete search index postings
+      deleteSessionPostings(transaction, this.stores.searchIndex, sessionId).catch(reject);
+    });
+  }
+
+  /**
+   * Permanently delete some kinds of data of a session, keeping the session
+   * itself. A purge log entry is written for every data type that had records.
+   * @param {string} sessionId - Session ID
+   * @param {Array<string>} dataTypes - 'audio', 'transcripts', 'summaries' and/or 'annotations'
+   * @param {Object} logDetails - Purge log details
+   * @param {string} logDetails.reason - Why the data was purged
+   * @param {string} [logDetails.sessionDate] - Date of the session
+   * @param {Object} [logDetails.retentionDays] - Retention period per data type
+   * @returns {Promise<Object>} Number of records deleted per data type
+   */
+  async purgeSessionData(sessionId, dataTypes, { reason, sessionDate = null, retentionDays = {} }) {
+    await this.ensureInitialized();
+
+    dataTypes.forEach(type => {
+      if (!(type in RETENTION_DATA_TYPES)) {
+        throw new Error(`Unknown session data type: ${type}`);
+      }
+    });
+
+    const docTypes = dataTypes.map(type => RETENTION_DATA_TYPES[type]).filter(Boolean);
+    const counts = {};
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([
+        ...dataTypes.map(type => this.stores[type]),
+        this.stores.searchIndex,
+        this.stores.purgeLog
+      ], 'readwrite');
+      const purgedAt = Date.now();
+
+      transaction.oncomplete = () => resolve(counts);
+      transaction.onerror = () => reject(new Error(`Failed to purge session data: ${transaction.error}`));
+      transaction.onabort = () => reject(new Error(`Session data purge aborted: ${transaction.error}`));
+
+      dataTypes.forEach(type => {
+        const store = transaction.objectStore(this.stores[type]);
+        const request = store.index('sessionId').getAllKeys(sessionId);
+
+        request.onsuccess = () => {
+          const keys = request.result;
+          counts[type] = keys.length;
+          keys.forEach(key => {
+            const deleteRequest = store.delete(key);
+            deleteRequest.onerror = () => reject(new Error(`Failed to delete ${type}: ${deleteRequest.error}`));
+          });
+
+          if (keys.length > 0) {
+            transaction.objectStore(this.stores.purgeLog).add(this.createPurgeLogEntry({
+              sessionId,
+              sessionDate,
+              dataType: type,
+              count: keys.length,
+              reason,
+              retentionDays: retentionDays[type] || null,
+              purgedAt
+            }));
+          }
+        };
+        request.onerror = () => reject(new Error(`Failed to read ${type} of session: ${request.error}`));
+      });
+
+      // Drop the search postings of the purged documents
+      if (docTypes.length > 0) {
+        deleteSessionPostings(transaction, this.stores.searchIndex, sessionId, docTypes).catch(reject);
+      }
+    });
+  }
+
+  /**
+   * Create a purge log entry. Entries only hold IDs, dates and counts, never
+   * interview content, so they are kept after the data itself is gone.
+   * @param {Object} details - Purge details
+   * @param {string} details.sessionId - Session ID
+   * @param {string} details.dataType - 'session' for a whole session, otherwise the purged data type
+   * @param {number} details.count - Number of records purged
+   * @param {string} details.reason - 'retention', 'size-limit', 'trash-expired' or 'trash-emptied'
+   * @param {string|null} [details.sessionDate] - Date of the session
+   * @param {number|null} [details.retentionDays] - Retention period that expired
+   * @param {number|null} [details.maxBytes] - Size limit that was enforced
+   * @param {number} [details.purgedAt] - Time of the purge
+   * @returns {Object} Log entry
+   */
+  createPurgeLogEntry({
+    sessionId,
+    dataType,
+    count,
+    reason,
+    sessionDate = null,
+    retentionDays = null,
+    maxBytes = null,
+    purgedAt = Date.now()
+  }) {
+    return {
+      id: this.generateId(),
+      purgedAt,
+      sessionId,
+      sessionDate,
+      dataType,
+      count,
+      reason,
+      retentionDays,
+      maxBytes
+    };
+  }
+
+  /**
+   * Get purge log entries, newest first
+   * @param {Object} [options] - Options
+   * @param {string} [options.sessionId] - Only entries for this session
+   * @param {number} [options.limit=100] - Maximum number of entries
+   * @returns {Promise<Array>} Log entries
+   */
+  async getPurgeLog(options = {}) {
+    await this.ensureInitialized();
+
+    const { sessionId = null, limit = 100 } = options;
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.stores.purgeLog], 'readonly');
+      const store = transaction.objectStore(this.stores.purgeLog);
+      const entries = [];
+
+      const request = sessionId
+        ? store.index('sessionId').openCursor(IDBKeyRange.only(sessionId))
+        : store.index('purgedAt').openCursor(null, 'prev');
+
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (cursor && (sessionId || entries.length < limit)) {
+          entries.push(cursor.value);
+          cursor.continue();
+          return;
+        }
+
+        resolve(entries.sort((a, b) => b.purgedAt - a.purgedAt).slice(0, limit));
+      };
+
+      request.onerror = () => reject(new Error(`Failed to read purge log: ${request.error}`));
+    });
+  }
+
+  /**
+   * Get storage usage statistics.
+   * `compressedSize` and `uncompressedSize` cover transcript text and summary
+   * payloads, as stored and as they were before compression (in bytes);
+   * `audioSize` is the size of the stored audio recordings. `stores` holds the
+   * record count and estimated size of every store and `totalSize` their sum
+   * (see storageUsage.js); `quota` is the browser's usage and quota for the
+   * whole origin, or null where it is not available.
+   * @returns {Promise<Object>} Storage statistics
+   */
+  async getStorageStats() {
+    await this.ensureInitialized();
+    
+    const stats = {
+      sessions: 0,
+      trashedSessions: 0,
+      transcripts: 0,
+      summaries: 0,
+      annotations: 0,
+      audio: 0,
+      audioSize: 0,
+      totalSize: 0,
+      compressedSize: 0,
+      uncompressedSize: 0,
+      compression: {
+        transcripts: { compressedSize: 0, uncompressedSize: 0, compressedRecords: 0 },
+        summaries: { compressedSize: 0, uncompressedSize: 0, compressedRecords: 0 }
+      },
+      stores: {},
+      quota: null
+    };
+
+    const usage = await this.measureStorage((storeName, record) => {
+      if (storeName === this.stores.sessions && record.deletedAt) {
+        stats.trashedSessions++;
+      } else if (storeName === this.stores.audio) {
+        stats.audioSize += record.size || 0;
+      } else if (storeName === this.stores.transcripts || storeName === this.stores.summaries) {
+        // Measure the compressed payloads of transcripts and summaries
+        const sizes = this.getPayloadSizes(storeName, record);
+        const storeStats = stats.compression[storeName === this.stores.transcripts ? 'transcripts' : 'summaries'];
+        storeStats.compressedSize += sizes.compressed;
+        storeStats.uncompressedSize += sizes.uncompressed;
+        if (record.codec === CODECS.LZ4) {
+          storeStats.compressedRecords++;
+        }
+      }
+    });
+
+    ['sessions', 'transcripts', 'summaries', 'annotations', 'audio'].forEach(label => {
+      stats[label] = usage.stores[label].count;
+    });
+    stats.stores = usage.stores;
+    stats.totalSize = usage.totalSize;
+    stats.compressedSize = stats.compression.transcripts.compressedSize + stats.compression.summaries.compressedSize;
+    stats.uncompressedSize = stats.compression.transcripts.uncompressedSize + stats.compression.summaries.uncompressedSize;
+    stats.quota = await this.getQuotaInfo();
+
+    return stats;
+  }
+
+  /**
+   * Walk every stored record once and add up the estimated sizes per store
+   * and per session. Only plaintext fields are read, so this also works while
+   * storage is locked.
+   * @param {Function} [visit] - Called with (storeName, record) for every stored record
+   * @returns {Promise<Object>} `{stores, sessions, totalSize}`: `{count, size}` per store, and a Map from session ID to `{record, size, breakdown}`
+   */
+  async measureStorage(visit = null) {
+    await this.ensureInitialized();
+
+    const storeEntries = Object.entries(this.stores);
+    const stores = {};
+    const sessions = new Map();
+
+    await new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(storeEntries.map(([, storeName]) => storeName), 'readonly');
+
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(new Error(`Failed to measure storage: ${transaction.error}`));
+
+      storeEntries.forEach(([label, storeName]) => {
+        const storeUsage = { count: 0, size: 0 };
+        stores[label] = storeUsage;
+
+        const request = transaction.objectStore(storeName).openCursor();
+        request.onsuccess = () => {
+          const cursor = request.result;
+          if (!cursor) {
+            return;
+          }
+
+          const record = cursor.value;
+          const size = estimateRecordSize(record);
+          storeUsage.count++;
+          storeUsage.size += size;
+
+          // Everything that belongs to a session counts towards its size (the purge log and quarantine outlive it)
+          const sessionId = storeName === this.stores.sessions ? record.id : record.sessionId;
+          if (sessionId && storeName !== this.stores.purgeLog && storeName !== this.stores.quarantine) {
+            if (!sessions.has(sessionId)) {
+              sessions.set(sessionId, { record: null, size: 0, breakdown: {} });
+            }
+            const sessionUsage = sessions.get(sessionId);
+            sessionUsage.size += size;
+            sessionUsage.breakdown[label] = (sessionUsage.breakdown[label] || 0) + size;
+            if (storeName === this.stores.sessions) {
+              sessionUsage.record = record;
+            }
+          }
+
+          if (visit) {
+            visit(storeName, record);
+          }
+          cursor.continue();
+        };
+      });
+    });
+
+    // Records left behind by a session that no longer exists are not listed per session
+    sessions.forEach((sessionUsage, sessionId) => {
+      if (!sessionUsage.record) {
+        sessions.delete(sessionId);
+      }
+    });
+
+    return {
+      stores,
+      sessions,
+      totalSize: Object.values(stores).reduce((total, storeUsage) => total + storeUsage.size, 0)
+    };
+  }
+
+  /**
+   * Get the estimated size of every session, largest first. A session's size
+   * covers its record, transcript, summaries, annotations, audio and search
+   * index postings.
+   * @param {Object} [options] - Options
+   * @param {number} [options.limit] - Only return the largest sessions
+   * @param {boolean} [options.includeTrashed=true] - Include sessions in the trash
+   * @returns {Promise<Array>} `{sessionId, title, date, platform, duration, starred, folderId, deletedAt, size, breakdown}`
+   */
+  async getSessionSizes(options = {}) {
+    const { limit = null, includeTrashed = true } = options;
+    const usage = await this.measureStorage();
+    // Titles of encrypted sessions can only be shown while storage is unlocked
+    const titles = new Map(await Promise.all(Array.from(usage.sessions, async ([sessionId, { record }]) => {
+      const opened = this.isLocked() ? record : await this.openRecord(this.stores.sessions, record);
+      return [sessionId, opened.title || ''];
+    })));
+
+    const sizes = Array.from(usage.sessions, ([sessionId, { record, size, breakdown }]) => ({
+      sessionId,
+      title: titles.get(sessionId),
+      date: record.date,
+      platform: record.platform,
+      duration: record.duration || 0,
+      starred: Boolean(record.starred),
+      folderId: record.folderId || null,
+      deletedAt: record.deletedAt || null,
+      size,
+      breakdown
+    }))
+      .filter(entry => includeTrashed || !entry.deletedAt)
+      .sort((a, b) => b.size - a.size);
+
+    return limit ? sizes.slice(0, limit) : sizes;
+  }
+
+  /**
+   * Get the browser's storage usage and quota for this origin
+   * @returns {Promise<Object|null>} `{usage, quota, available, usageRatio, isNearQuota}`, or null where not available
+   */
+  async getQuotaInfo() {
+    const estimate = await getQuotaEstimate();
+    return estimate && { ...estimate, isNearQuota: estimate.usageRatio >= QUOTA_WARNING_RATIO };
+  }
+
+  /**
+   * Get retention policy setting
+   * @returns {Promise<number>} Retention days
+   */
+  async getRetentionPolicy() {
+    const setting = await this.getSetting('retentionDays');
+    return setting ? setting.value : this.defaultRetentionDays;
+  }
+
+  /**
+   * Set retention policy
+   * @param {number} days - Number of days to retain data
+   * @returns {Promise<void>}
+   */
+  async setRetentionPolicy(days) {
+    if (typeof days !== 'number' || days < 1) {
+      throw new Error('Retention days must be a positive number');
+    }
+    
+    await this.setSetting('retentionDays', days);
+  }
+
+  /**
+   * Get all retention periods in days: `sessions` for whole sessions (see
+   * getRetentionPolicy) and one per data type. A data type without its own
+   * period (null) is kept as long as its session.
+   * @returns {Promise<Object>} `{sessions, audio, transcripts, summaries, annotations}`
+   */
+  async getRetentionPolicies() {
+    const setting = await this.getSetting('dataRetentionDays');
+    const periods = setting ? setting.value : {};
+
+    return {
+      sessions: await this.getRetentionPolicy(),
+      ...Object.fromEntries(Object.keys(RETENTION_DATA_TYPES).map(type => [type, periods[type] || null]))
+    };
+  }
+
+  /**
+   * Set retention periods. Only the given entries change; set a data type to
+   * null to keep it as long as its session. A data type with a longer period
+   * than sessions keeps its sessions that long (see cleanupOldData).
+   * @param {Object} policies - Days per entry: `sessions`, `audio`, `transcripts`, `summaries`, `annotations`
+   * @returns {Promise<void>}
+   */
+  async setRetentionPolicies(policies) {
+    if (!policies || typeof policies !== 'object') {
+      throw new Error('Retention policies must be an object');
+    }
+
+    const { sessions, ...periods } = policies;
+
+    Object.entries(periods).forEach(([type, days]) => {
+      if (!(type in RETENTION_DATA_TYPES)) {
+        throw new Error(`Unknown retention data type: ${type}`);
+      }
+      if (days !== null && (typeof days !== 'number' || days < 1)) {
+        throw new Error(`Retention days for ${type} must be a positive number or null`);
+      }
+    });
+
+    if (sessions !== undefined) {
+      await this.setRetentionPolicy(sessions);
+    }
+
+    const setting = await this.getSetting('dataRetentionDays');
+    await this.setSetting('dataRetentionDays', { ...(setting ? setting.value : {}), ...periods });
+  }
+
+  /**
+   * Get the size limit for stored data used by retention cleanup
+   * @returns {Promise<number|null>} Size limit in bytes, or null for no limit
+   */
+  async getRetentionSizeLimit() {
+    const setting = await this.getSetting('retentionMaxBytes');
+    return setting ? setting.value : null;
+  }
+
+  /**
+   * Set the size limit for stored data used by retention cleanup
+   * @param {number|null} maxBytes - Size limit in bytes, or null for no limit
+   * @returns {Promise<void>}
+   */
+  async setRetentionSizeLimit(maxBytes) {
+    if (maxBytes !== null && (typeof maxBytes !== 'number' || !Number.isFinite(maxBytes) || maxBytes <= 0)) {
+      throw new Error('Retention size limit must be a positive number of bytes or null');
+    }
+
+    await this.setSetting('retentionMaxBytes', maxBytes);
+  }
+
+  /**
+   * Get the number of days deleted sessions stay in the trash
+   * @returns {Promise<number>} Trash retention in days
+   */
+  async getTrashRetention() {
+    const setting = await this.getSetting('trashRetentionDays');
+    return setting ? setting.value : this.defaultTrashRetentionDays;
+  }
+
+  /**
+   * Set the number of days deleted sessions stay in the trash
+   * @param {number} days - Trash retention in days
+   * @returns {Promise<void>}
+   */
+  async setTrashRetention(days) {
+    if (typeof days !== 'number' || days < 1) {
+      throw new Error('Trash retention days must be a positive number');
+    }
+
+    await this.setSetting('trashRetentionDays', days);
+  }
+
+  /**
+   * Get a setting value
+   * @param {string} key - Setting key
+   * @returns {Promise<Object|null>} Setting object or null
+   */
+  async getSetting(key) {
+    await this.ensureInitialized();
+    
+    const setting = await new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.stores.settings], 'readonly');
+      const store = transaction.objectStore(this.stores.settings);
+      
+      const request = store.get(key);
+      
+      request.onsuccess = () => resolve(request.result || null);
+      request.onerror = () => reject(new Error(`Failed to get setting: ${request.error}`));
+    });
+
+    return setting ? this.openRecord(this.stores.settings, setting) : null;
+  }
+
+  /**
+   * Set a setting value
+   * @param {string} key - Setting key
+   * @param {*} value - Setting value
+   * @returns {Promise<void>}
+   */
+  async setSetting(key, value) {
+    await this.ensureInitialized();
+    
+    const plainSetting = {
+      key,
+      value,
+      updatedAt: Date.now()
+    };
+    const setting = SEALED_SETTINGS.includes(key)
+      ? await this.sealRecord(this.stores.settings, plainSetting)
+      : plainSetting;
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.stores.settings], 'readwrite');
+      const store = transaction.objectStore(this.stores.settings);
+      
+      const request = store.put(setting);
+      
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(new Error(`Failed to set setting: ${request.error}`));
+    });
+  }
+
+  /**
+   * Export data for backup. Settings are only included when every session is
+   * exported; a selection carries just the folders its sessions are in.
+   * @param {Object} [options] - Export options
+   * @param {Array<string>} [options.sessionIds] - Sessions to export (all sessions if omitted)
+   * @returns {Promise<Object>} Exported data
+   */
+  async exportData(options = {}) {
+    await this.ensureInitialized();
+
+    const { sessionIds = null } = options;
+    let sessions;
+    let settings = [];
+
+    if (sessionIds) {
+      sessions = [];
+      for (const sessionId of sessionIds) {
+        const session = await this.getSession(sessionId);
+        if (!session) {
+          throw new Error(`Session not found: ${sessionId}`);
+        }
+        sessions.push(session);
+      }
+    } else {
+      sessions = await this.getSessions();
+      // Backups hold decrypted data, so the key configuration is not exported
+      settings = (await this.getAllSettings()).filter(setting => setting.key !== 'encryption');
+    }
+
+    const folderIds = new Set(sessions.map(session => session.folderId));
+    const folders = (await this.getFolders()).filter(folder => !sessionIds || folderIds.has(folder.id));
+
+    const data = {
+      formatVersion: EXPORT_FORMAT_VERSION,
+      version: this.dbVersion,
+      exportedAt: new Date().toISOString(),
+      sessions,
+      folders,
+      settings
+    };
+
+    // Get all transcripts, summary versions (oldest first) and annotations
+    data.transcripts = {};
+    data.summaries = {};
+    data.annotations = {};
+
+    for (const session of data.sessions) {
+      data.transcripts[session.id] = await this.getTranscriptSegments(session.id);
+      data.summaries[session.id] = (await this.getSummaryHistory(session.id)).reverse();
+      data.annotations[session.id] = await this.getAnnotations(session.id);
+    }
+
+    return data;
+  }
+
+  /**
+   * Export sessions as a single-file zip archive with checksums
+   * @param {Object} [options] - Export options
+   * @param {Array<string>} [options.sessionIds] - Sessions to export (all sessions and settings if omitted)
+   * @param {boolean} [options.includeAudio=true] - Add the sessions' audio recordings
+   * @returns {Promise<Blob>} Archive
+   */
+  async exportArchive(options = {}) {
+    const { includeAudio = true, ...exportOptions } = options;
+    const backup = await this.exportData(exportOptions);
+    const audio = {};
+
+    if (includeAudio) {
+      for (const session of backup.sessions) {
+        const recordings = await this.getAudioRecordings(session.id);
+        if (recordings.length > 0) {
+          audio[session.id] = recordings.map(({ id, sessionId, mimeType, size, data, ...metadata }) => ({
+            id,
+            mimeType,
+            data,
+            metadata
+          }));
+        }
+      }
+    }
+
+    const archive = await createArchive(backup, { audio });
+
+    return new Blob([archive], { type: ARCHIVE_MIME_TYPE });
+  }
+
+  /**
+   * Import a zip archive created by exportArchive. Checksums are verified
+   * before anything is written; see importData for the options and report.
+   * Audio recordings in the archive are imported with their sessions.
+   * @param {Blob|ArrayBuffer|Uint8Array} archive - Archive data
+   * @param {Object} [options] - Import options (as for importData)
+   * @returns {Promise<Object>} Import report, with audio recording counts in `audio`
+   */
+  async importArchive(archive, options = {}) {
+    const { backup, audio } = await readArchive(archive);
+    const report = await this.importData(backup, options);
+
+    report.audio = await this.importAudioRecordings(audio, report);
+
+    return report;
+  }
+
+  /**
+   * Import the audio recordings of an archive, following the decisions the
+   * session import made: recordings of skipped sessions are skipped, those of
+   * overwritten sessions replace the stored ones and kept-both sessions get
+   * new recording IDs. Recordings that fail validation are skipped with a warning.
+   * @param {Object<string, Array>} audio - Recordings by source session ID, as returned by readArchive
+   * @param {Object} report - Session import report (gets warnings appended)
+   * @returns {Promise<Object>} Counts of imported, skipped and remapped recordings
+   */
+  async importAudioRecordings(audio, report) {
+    const counts = { imported: 0, skipped: 0, remapped: 0 };
+    const resolutions = new Map(report.conflicts.map(conflict => [conflict.sessionId, conflict.resolution]));
+
+    const owners = await new Promise((resolve, reject) => {
+      const owned = new Map();
+      const transaction = this.db.transaction([this.stores.audio], 'readonly');
+      const request = transaction.objectStore(this.stores.audio).index('sessionId').openKeyCursor();
+
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (cursor) {
+          owned.set(cursor.primaryKey, cursor.key);
+          cursor.continue();
+        }
+      };
+      transaction.oncomplete = () => resolve(owned);
+      transaction.onerror = () => reject(new Error(`Failed to read audio recordings: ${transaction.error}`));
+    });
+
+    const replacedIds = [];
+    const records = [];
+
+    for (const [sourceId, recordings] of Object.entries(audio)) {
+      const resolution = resolutions.get(sourceId);
+      if (resolution === 'skip') {
+        counts.skipped += recordings.length;
+        continue;
+      }
+
+      const targetId = report.idMap.sessions[sourceId] || sourceId;
+      if (resolution === 'overwrite') {
+        owners.forEach((sessionId, recordingId) => {
+          if (sessionId === targetId) {
+            replacedIds.push(recordingId);
+            owners.delete(recordingId);
+          }
+        });
+      }
+
+      for (const recording of recordings) {
+        const isClash = !recording.id || (owners.has(recording.id) && owners.get(recording.id) !== targetId);
+        const id = resolution === 'keep-both' || isClash ? this.generateId() : recording.id;
+
+        try {
+          // A dry run only checks the recording; sealing the audio is left to the real import
+          if (report.dryRun) {
+            this.validateAudioRecordingData({ ...recording, id }, targetId);
+          } else {
+            records.push(...await this.prepareAudioRecordings(targetId, [{ ...recording, id }]));
+          }
+          owners.set(id, targetId);
+          counts.imported++;
+          if (id !== recording.id) {
+            counts.remapped++;
+          }
+        } catch (error) {
+          counts.skipped++;
+          report.warnings.push(`Skipped audio recording ${recording.id} of session ${sourceId}: ${error.message}`);
+        }
+      }
+    }
+
+    if (report.dryRun || (records.length === 0 && replacedIds.length === 0)) {
+      return counts;
+    }
+
+    await new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.stores.audio], 'readwrite');
+      const store = transaction.objectStore(this.stores.audio);
+
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(new Error(`Failed to import audio recordings: ${transaction.error}`));
+
+      replacedIds.forEach(recordingId => store.delete(recordingId));
+      records.forEach(record => store.put(record));
+    });
+
+    return counts;
+  }
+
+  /**
+   * Import data from backup. Session, segment and summary IDs are kept unless
+   * they clash; a session whose ID already exists is handled by the strategy:
+   * - `skip`: keep the stored session and ignore the backup copy
+   * - `overwrite`: replace the stored session and all its data
+   * - `keep-both`: import the backup copy under new IDs
+   * The backup is validated before anything is written, and a dry run only
+   * returns the report.
+   * @param {Object} data - Data to import
+   * @param {Object} [options] - Import options
+   * @param {string} [options.strategy='skip'] - One of IMPORT_STRATEGIES
+   * @param {boolean} [options.dryRun=false] - Plan the import without writing
+   * @returns {Promise<Object>} Import report
+   */
+  async importData(data, options = {}) {
+    await this.ensureInitialized();
+
+    const { strategy = IMPORT_STRATEGIES.SKIP, dryRun = false } = options;
+
+    if (!Object.values(IMPORT_STRATEGIES).includes(strategy)) {
+      throw new Error(`Unknown import strategy: ${strategy}`);
+    }
+
+    const backup = normalizeBackup(data);
+    const errors = this.validateBackup(backup);
+    const existing = await this.getExistingIds();
+    const plan = planImport(backup, existing, {
+      strategy,
+      generateId: () => this.generateId()
+    });
+    const report = { ...plan.report, dryRun, errors };
+
+    if (dryRun) {
+      return report;
+    }
+
+    if (errors.length > 0) {
+      throw new Error(`Invalid backup data: ${errors.join('; ')}`);
+    }
+
+    for (const folder of plan.folders) {
+      await this.putFolder(this.validateFolderData(folder));
+    }
+
+    const now = Date.now();
+
+    for (const entry of plan.entries) {
+      // An overwritten session is replaced as a whole, not merged with the stored one
+      const session = this.validateSessionData({
+        ...entry.session,
+        importedAt: now,
+        updatedAt: now
+      });
+
+      await this.commitSession(session, entry.transcript, entry.summaries, {
+        replace: entry.action === 'overwrite',
+        annotations: entry.annotations
+      });
+    }
+
+    for (const setting of plan.settings) {
+      await this.setSetting(setting.key, setting.value);
+    }
+
+    return report;
+  }
+
+  /**
+   * Check every folder, session, transcript segment, summary and annotation in a normalized backup
+   * @param {Object} backup - Result of normalizeBackup
+   * @returns {Array<string>} Error messages, empty when the backup is valid
+   */
+  validateBackup(backup) {
+    const errors = [];
+    const check = (label, validate) => {
+      try {
+        validate();
+      } catch (error) {
+        errors.push(`${label}: ${error.message}`);
+      }
+    };
+
+    backup.folders.forEach((folder, index) => {
+      const label = folder && folder.id ? `Folder ${folder.id}` : `Folder at index ${index}`;
+      check(label, () => this.validateFolderData(folder));
+    });
+
+    backup.sessions.forEach((session, index) => {
+      const sessionId = session && session.id;
+      const label = sessionId ? `Session ${sessionId}` : `Session at index ${index}`;
+
+      check(label, () => this.validateSessionData(session));
+
+      if (!sessionId) {
+        return;
+      }
+
+      const segments = backup.transcripts[sessionId] || [];
+      const summaries = backup.summaries[sessionId] || [];
+
+      segments.forEach((segment, segmentIndex) => {
+        check(`${label} segment ${segmentIndex}`, () => this.validateTranscriptSegment(segment, sessionId));
+      });
+      summaries.forEach((summary, summaryIndex) => {
+        check(`${label} summary ${summaryIndex}`, () => this.createSummaryRecord(sessionId, summary));
+      });
+
+      (backup.annotations[sessionId] || []).forEach((annotation, annotationIndex) => {
+        check(`${label} annotation ${annotationIndex}`, () => this.validateAnnotationData(annotation, sessionId));
+      });
+    });
+
+    return errors;
+  }
+
+  /**
+   * Collect the IDs already stored, for planning an import
+   * @returns {Promise<Object>} Session, segment, summary, annotation and folder IDs, setting keys and child IDs per session
+   */
+  async getExistingIds() {
+    await this.ensureInitialized();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([
+        this.stores.sessions,
+        this.stores.transcripts,
+        this.stores.summaries,
+        this.stores.annotations,
+        this.stores.settings,
+        this.stores.folders
+      ], 'readonly');
+
+      const existing = {
+        sessionIds: new Set(),
+        transcriptIds: new Set(),
+        summaryIds: new Set(),
+        annotationIds: new Set(),
+        settingKeys: new Set(),
+        folderIds: new Set(),
+        childIdsBySession: new Map()
+      };
+
+      transaction.oncomplete = () => resolve(existing);
+      transaction.onerror = () => reject(new Error(`Failed to read existing IDs: ${transaction.error}`));
+
+      const collectKeys = (storeName, target) => {
+        const request = transaction.objectStore(storeName).getAllKeys();
+        request.onsuccess = () => request.result.forEach(key => target.add(key));
+      };
+
+      const collectChildIds = (storeName, target) => {
+        const request = transaction.objectStore(storeName).index('sessionId').openKeyCursor();
+        request.onsuccess = () => {
+          const cursor = request.result;
+          if (!cursor) {
+            return;
+          }
+
+          // The index key is the session ID, the primary key is the record ID
+          target.add(cursor.primaryKey);
+          if (!existing.childIdsBySession.has(cursor.key)) {
+            existing.childIdsBySession.set(cursor.key, new Set());
+          }
+          existing.childIdsBySession.get(cursor.key).add(cursor.primaryKey);
+          cursor.continue();
+        };
+      };
+
+      collectKeys(this.stores.sessions, existing.sessionIds);
+      collectKeys(this.stores.settings, existing.settingKeys);
+      collectKeys(this.stores.folders, existing.folderIds);
+      collectChildIds(this.stores.transcripts, existing.transcriptIds);
+      collectChildIds(this.stores.summaries, existing.summaryIds);
+      collectChildIds(this.stores.annotations, existing.annotationIds);
+    });
+  }
+
+  /**
+   * Get all settings
+   * @returns {Promise<Array>} Array of settings
+   */
+  async getAllSettings() {
+    await this.ensureInitialized();
+    
+    const settings = await new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.stores.settings], 'readonly');
+      const store = transaction.objectStore(this.stores.settings);
       
-      const request = summaryStore.getAll();
+      const request = store.getAll();
       
-      request.onsuccess = async () => {
-        const allSummaries = request.result;
-        const matchingSummaries = [];
-
-        for (const summary of allSummaries) {
-          const decompressed = this.decompressSummary(summary);
-          
-          // Search in content, key points, decisions, action items, and quotes
-          const searchableText = [
-            decompressed.content,
-            ...decompressed.keyPoints,
-            ...decompressed.decisions,
-            ...decompressed.actionItems,
-            ...decompressed.quotes
-          ].join(' ').toLowerCase();
-
-          if (searchableText.includes(searchTerm)) {
-            // Get session info
-            const sessionRequest = sessionStore.get(decompressed.sessionId);
-            
-            await new Promise((sessionResolve) => {
-              sessionRequest.onsuccess = () => {
-                const session = sessionRequest.result;
-                
-                // Apply date filter if specified
-                if (options.startDate || options.endDate) {
-                  const sessionDate = new Date(session.date);
-                  if (options.startDate && sessionDate < new Date(options.startDate)) {
-                    sessionResolve();
-                    return;
-                  }
-                  if (options.endDate && sessionDate > new Date(options.endDate)) {
-                    sessionResolve();
-                    return;
-                  }
-                }
-
-                matchingSummaries.push({
-                  ...decompressed,
-                  sessionDate: session.date,
-                  sessionPlatform: session.platform,
-                  highlightedContent: this.highlightSearchTerm(decompressed.content, searchTerm)
-                });
-                
-                sessionResolve();
-              };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(new Error(`Failed to get settings: ${request.error}`));
+    });
+
+    return Promise.all(settings.map(setting => this.openRecord(this.stores.settings, setting)));
+  }
+
+  // ===== PROMPT TEMPLATE METHODS =====
+
+  /**
+   * Get all prompt templates: the built-in presets followed by the user's templates
+   * (see promptTemplates.js)
+   * @returns {Promise<Array>} Templates
+   */
+  async getPromptTemplates() {
+    return [...BUILT_IN_TEMPLATES, ...(await this.getUserPromptTemplates())];
+  }
+
+  /**
+   * Get the templates the user saved
+   * @returns {Promise<Array>} User templates
+   */
+  async getUserPromptTemplates() {
+    const setting = await this.getSetting('promptTemplates');
+    return setting ? setting.value : [];
+  }
+
+  /**
+   * Get a prompt template
+   * @param {string} id - Template ID
+   * @returns {Promise<Object|null>} Template or null if not found
+   */
+  async getPromptTemplate(id) {
+    const templates = await this.getPromptTemplates();
+    return templates.find(template => template.id === id) || null;
+  }
+
+  /**
+   * Save a user prompt template. A template with a new ID is added; saving an
+   * existing one with changed prompts gives it the next version, so summaries
+   * keep pointing at the prompts that produced them.
+   * @param {Object} templateData - Template
+   * @param {string} [templateData.id] - ID of the template to update
+   * @param {string} templateData.name - Name
+   * @param {string} [templateData.meetingType] - Meeting type
+   * @param {string} [templateData.basedOn] - ID of the template it was copied from
+   * @param {string} templateData.summarization - Summarization prompt
+   * @param {string} templateData.incrementalUpdate - Incremental update prompt
+   * @returns {Promise<Object>} Saved template
+   */
+  async savePromptTemplate(templateData) {
+    if (templateData && getBuiltInTemplate(templateData.id)) {
+      throw new Error('Built-in templates cannot be changed; save a copy instead');
+    }
+
+    const errors = validateTemplate(templateData);
+    if (errors.length > 0) {
+      throw new Error(`Invalid prompt template: ${errors.join('; ')}`);
+    }
+
+    const templates = await this.getUserPromptTemplates();
+    const existing = templates.find(template => template.id === templateData.id);
+    const promptsChanged = existing && (
+      existing.summarization !== templateData.summarization ||
+      existing.incrementalUpdate !== templateData.incrementalUpdate
+    );
+    const now = Date.now();
+
+    const template = {
+      id: existing ? existing.id : this.generateId(),
+      name: templateData.name.trim(),
+      meetingType: templateData.meetingType || (existing ? existing.meetingType : 'custom'),
+      basedOn: templateData.basedOn || (existing ? existing.basedOn : null),
+      version: existing ? existing.version + (promptsChanged ? 1 : 0) : 1,
+      builtIn: false,
+      summarization: templateData.summarization,
+      incrementalUpdate: templateData.incrementalUpdate,
+      createdAt: existing ? existing.createdAt : now,
+      updatedAt: now
+    };
+
+    await this.setSetting('promptTemplates', existing
+      ? templates.map(item => (item.id === template.id ? template : item))
+      : [...templates, template]);
+
+    return template;
+  }
+
+  /**
+   * Delete a user prompt template. If it was the active template, the default
+   * template becomes active. Summaries keep their reference to it.
+   * @param {string} id - Template ID
+   * @returns {Promise<void>}
+   */
+  async deletePromptTemplate(id) {
+    if (getBuiltInTemplate(id)) {
+      throw new Error('Built-in templates cannot be deleted');
+    }
+
+    const templates = await this.getUserPromptTemplates();
+    if (!templates.some(template => template.id === id)) {
+      throw new Error(`Prompt template not found: ${id}`);
+    }
+
+    await this.setSetting('promptTemplates', templates.filter(template => template.id !== id));
+
+    const active = await this.getSetting('activePromptTemplateId');
+    if (active && active.value === id) {
+      await this.setSetting('activePromptTemplateId', DEFAULT_TEMPLATE_ID);
+    }
+  }
+
+  /**
+   * Get the template new summaries are generated with
+   * @returns {Promise<Object>} Active template (the default template if none was chosen)
+   */
+  async getActivePromptTemplate() {
+    const setting = await this.getSetting('activePromptTemplateId');
+    const template = setting ? await this.getPromptTemplate(setting.value) : null;
+    return template || getBuiltInTemplate(DEFAULT_TEMPLATE_ID);
+  }
+
+  /**
+   * Choose the template new summaries are generated with
+   * @param {string} id - Template ID
+   * @returns {Promise<Object>} The template
+   */
+  async setActivePromptTemplate(id) {
+    const template = await this.getPromptTemplate(id);
+    if (!template) {
+      throw new Error(`Prompt template not found: ${id}`);
+    }
+
+    await this.setSetting('activePromptTemplateId', id);
+    return template;
+  }
+
+  /**
+   * Get the glossary of names and terms passed to prompts as `{{glossary}}`
+   * @returns {Promise<Array<string>>} Terms
+   */
+  async getSummaryGlossary() {
+    const setting = await this.getSetting('summaryGlossary');
+    return setting ? setting.value : [];
+  }
+
+  /**
+   * Set the glossary of names and terms passed to prompts as `{{glossary}}`
+   * @param {Array<string>} terms - Terms; blank and repeated terms are dropped
+   * @returns {Promise<Array<string>>} Saved terms
+   */
+  async setSummaryGlossary(terms) {
+    if (!Array.isArray(terms) || terms.some(term => typeof term !== 'string')) {
+      throw new Error('Glossary must be an array of strings');
+    }
+
+    const glossary = [...new Set(terms.map(term => term.trim()).filter(Boolean))];
+    await this.setSetting('summaryGlossary', glossary);
+    return glossary;
+  }
+
+  // ===== SCORECARD METHODS =====
+
+  /**
+   * Get the competency rubric interviews are scored against (see scorecards.js)
+   * @returns {Promise<Object>} Rubric (the default rubric if none was saved)
+   */
+  async getScorecardRubric() {
+    const setting = await this.getSetting('scorecardRubric');
+    return setting ? setting.value : DEFAULT_RUBRIC;
+  }
+
+  /**
+   * Set the competency rubric interviews are scored against
+   * @param {Object} rubric - Rubric
+   * @returns {Promise<void>}
+   */
+  async setScorecardRubric(rubric) {
+    const errors = validateRubric(rubric);
+    if (errors.length > 0) {
+      throw new Error(`Invalid rubric: ${errors.join('; ')}`);
+    }
+
+    await this.setSetting('scorecardRubric', rubric);
+  }
+
+  /**
+   * Get the scorecard of a session
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Object|null>} Scorecard or null if the session has none
+   */
+  async getScorecard(sessionId) {
+    const session = await this.getSession(sessionId);
+    if (!session) {
+      throw new Error(`Session not found: ${sessionId}`);
+    }
+
+    return session.metadata.scorecard || null;
+  }
+
+  /**
+   * Save the scorecard of a session. It is kept in the session metadata, so it
+   * is encrypted and exported with the session.
+   * @param {string} sessionId - Session ID
+   * @param {Object|null} scorecard - Scorecard, or null to remove it
+   * @returns {Promise<void>}
+   */
+  async saveScorecard(sessionId, scorecard) {
+    if (scorecard !== null && (typeof scorecard !== 'object' || !Array.isArray(scorecard.competencies))) {
+      throw new Error('Scorecard must be an object with competencies');
+    }
+
+    const session = await this.getSession(sessionId);
+    if (!session) {
+      throw new Error(`Session not found: ${sessionId}`);
+    }
+
+    const metadata = { ...session.metadata, scorecard };
+    if (!scorecard) {
+      delete metadata.scorecard;
+    }
+    await this.updateSession(sessionId, { metadata });
+  }
+
+  // ===== TOKEN BUDGET METHODS =====
+
+  /**
+   * Get the token budget for AI requests (see tokenBudget.js)
+   * @returns {Promise<Object>} Budget (the default budget if none was saved)
+   */
+  async getTokenBudget() {
+    const setting = await this.getSetting('tokenBudget');
+    return setting ? setting.value : { ...DEFAULT_TOKEN_BUDGET };
+  }
+
+  /**
+   * Set the token budget for AI requests
+   * @param {Object} budget - Budget
+   * @returns {Promise<void>}
+   */
+  async setTokenBudget(budget) {
+    const errors = validateTokenBudget(budget);
+    if (errors.length > 0) {
+      throw new Error(`Invalid token budget: ${errors.join('; ')}`);
+    }
+
+    await this.setSetting('tokenBudget', budget);
+  }
+
+  /**
+   * Get the tokens used by AI requests this day and month
+   * @returns {Promise<Object>} `{day, dayTokens, month, monthTokens, updatedAt}`
+   */
+  async getTokenUsage() {
+    const setting = await this.getSetting('tokenUsage');
+    return getCurrentUsage(setting ? setting.value : null);
+  }
+
+  /**
+   * Save the tokens used by AI requests this day and month
+   * @param {Object} usage - Token usage (see addTokenUsage)
+   * @returns {Promise<void>}
+   */
+  async saveTokenUsage(usage) {
+    await this.setSetting('tokenUsage', usage);
+  }
+
+  // ===== INTEGRITY METHODS =====
+
+  /**
+   * Check the stored data for records that break the data model: transcripts,
+   * summaries, annotations or audio of a session that no longer exists
+   * (orphans), summary version links to a missing summary, transcript segments
+   * that fail validateTranscriptSegment and IDs used in more than one store.
+   * Segments have to be decoded, so storage must be unlocked.
+   * @returns {Promise<Object>} Report: `{checkedAt, isHealthy, counts, issueCounts, issues}` (see storageIntegrity.js for the issues)
+   */
+  async verifyIntegrity() {
+    const { records, issues } = await this.collectIntegrityIssues();
+
+    return {
+      checkedAt: Date.now(),
+      isHealthy: issues.length === 0,
+      counts: Object.fromEntries(Object.entries(records).map(([store, storeRecords]) => [store, storeRecords.length])),
+      issueCounts: countIssues(issues),
+      issues
+    };
+  }
+
+  /**
+   * Read the records the integrity check covers and find their issues
+   * @returns {Promise<Object>} `{records, issues}`; audio records only carry their ID, session ID and creation time
+   */
+  async collectIntegrityIssues() {
+    await this.ensureInitialized();
+
+    if (this.isLocked()) {
+      throw new Error('Storage is locked: unlock it with your passphrase to check data integrity');
+    }
+
+    const [sessions, transcripts, summaries, annotations, audio] = await Promise.all([
+      this.getAllRecords(this.stores.sessions),
+      this.getAllRecords(this.stores.transcripts),
+      this.getAllRecords(this.stores.summaries),
+      this.getAllRecords(this.stores.annotations),
+      this.getAudioRecordKeys()
+    ]);
+    const records = { sessions, transcripts, summaries, annotations, audio };
+
+    // A segment that cannot be decoded counts as invalid as well
+    const segmentErrors = new Map();
+    await Promise.all(transcripts.map(async (record) => {
+      try {
+        this.validateTranscriptSegment(await this.readTranscriptSegment(record), record.sessionId);
+      } catch (error) {
+        segmentErrors.set(record.id, error.message);
+      }
+    }));
+
+    return { records, issues: findIntegrityIssues(records, { segmentErrors }) };
+  }
+
+  /**
+   * Read the ID, session ID and creation time of every audio recording,
+   * without keeping the audio data in memory
+   * @returns {Promise<Array>} `{id, sessionId, createdAt}` per recording
+   */
+  async getAudioRecordKeys() {
+    await this.ensureInitialized();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.stores.audio], 'readonly');
+      const request = transaction.objectStore(this.stores.audio).openCursor();
+      const keys = [];
+
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          resolve(keys);
+          return;
+        }
+
+        const { id, sessionId, createdAt } = cursor.value;
+        keys.push({ id, sessionId, createdAt });
+        cursor.continue();
+      };
+      request.onerror = () => reject(new Error(`Failed to read audio: ${request.error}`));
+    });
+  }
+
+  /**
+   * Repair the issues found by verifyIntegrity. Orphans are re-parented to a
+   * placeholder "Recovered session" by default and dangling summary links are
+   * pointed at the previous version of the session; invalid segments and
+   * duplicate IDs are quarantined. Quarantined records are moved, unchanged,
+   * to the quarantine store (see getQuarantinedRecords). The search index is
+   * rebuilt afterwards.
+   * @param {Object} [options] - Action per issue type (see REPAIR_ACTIONS in storageIntegrity.js)
+   * @param {string} [options.orphans='reparent'] - 'reparent', 'quarantine' or 'delete'
+   * @param {string} [options.danglingSummaries='relink'] - 'relink', 'quarantine' or 'delete'
+   * @param {string} [options.invalidSegments='quarantine'] - 'quarantine' or 'delete'
+   * @param {string} [options.duplicates='quarantine'] - 'quarantine' or 'delete'
+   * @param {boolean} [options.dryRun=false] - Only return the plan
+   * @returns {Promise<Object>} `{dryRun, sessionsCreated, reparented, relinked, quarantined, deleted, records}`
+   */
+  async repair(options = {}) {
+    const { dryRun = false } = options;
+    const actions = Object.fromEntries([
+      [INTEGRITY_ISSUES.ORPHAN, options.orphans],
+      [INTEGRITY_ISSUES.DANGLING_SUMMARY, options.danglingSummaries],
+      [INTEGRITY_ISSUES.INVALID_SEGMENT, options.invalidSegments],
+      [INTEGRITY_ISSUES.DUPLICATE_ID, options.duplicates]
+    ].filter(([, action]) => action !== undefined));
+
+    const { records, issues } = await this.collectIntegrityIssues();
+    const plan = planRepair(issues, actions);
+
+    const results = {
+      dryRun,
+      sessionsCreated: plan.sessions.length,
+      reparented: 0,
+      relinked: 0,
+      quarantined: 0,
+      deleted: 0,
+      records: plan.records
+    };
+    plan.records.forEach(entry => {
+      results[REPAIR_RESULT_COUNTS[entry.action]]++;
+    });
+
+    if (dryRun || plan.records.length === 0) {
+      return results;
+    }
+
+    // Seal the placeholder sessions before the transaction opens
+    const placeholders = await Promise.all(plan.sessions.map(({ id, date }) =>
+      this.sealRecord(this.stores.sessions, this.validateSessionData({
+        id,
+        date,
+        duration: 0,
+        platform: 'unknown',
+        status: 'completed',
+        title: 'Recovered session',
+        metadata: { recoveredAt: Date.now() },
+        createdAt: Date.now(),
+        updatedAt: Date.now()
+      }))
+    ));
+
+    const summaries = records.summaries;
+    const storeNames = [...new Set(plan.records.map(entry => this.stores[entry.store]))];
+
+    await new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([
+        ...new Set([this.stores.sessions, ...storeNames, this.stores.quarantine])
+      ], 'readwrite');
+      const quarantinedAt = Date.now();
+
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(new Error(`Failed to repair data: ${transaction.error}`));
+
+      placeholders.forEach(session => transaction.objectStore(this.stores.sessions).add(session));
+
+      plan.records.forEach(entry => {
+        const store = transaction.objectStore(this.stores[entry.store]);
+
+        if (entry.action === REPAIR_ACTIONS.DELETE) {
+          store.delete(entry.id);
+          return;
+        }
+
+        const request = store.get(entry.id);
+        request.onsuccess = () => {
+          const record = request.result;
+          if (!record) {
+            return;
+          }
+
+          if (entry.action === REPAIR_ACTIONS.QUARANTINE) {
+            transaction.objectStore(this.stores.quarantine).add({
+              id: this.generateId(),
+              store: entry.store,
+              recordId: entry.id,
+              sessionId: entry.sessionId,
+              record,
+              issues: entry.issues,
+              quarantinedAt
             });
+            store.delete(entry.id);
+            return;
+          }
+
+          // Re-parented records keep their session ID, which now exists again
+          if (entry.fields.length > 0) {
+            store.put(this.relinkSummary(record, entry.fields, summaries));
           }
+        };
+      });
+    });
+
+    await this.refreshSearchIndex();
+
+    return results;
+  }
+
+  /**
+   * Repair the version links of a summary: `previousSummaryId` points to the
+   * closest earlier version of the same session, `restoredFromId` is cleared
+   * @param {Object} summary - Stored summary
+   * @param {Array<string>} fields - Dangling link fields
+   * @param {Array<Object>} summaries - All stored summaries
+   * @returns {Object} Updated summary
+   */
+  relinkSummary(summary, fields, summaries) {
+    const updated = { ...summary };
+
+    if (fields.includes('previousSummaryId')) {
+      const previous = summaries
+        .filter(other => other.sessionId === summary.sessionId && other.version < summary.version)
+        .sort((a, b) => b.version - a.version)[0];
+      updated.previousSummaryId = previous ? previous.id : null;
+    }
+
+    if (fields.includes('restoredFromId')) {
+      updated.restoredFromId = null;
+    }
+
+    return updated;
+  }
+
+  /**
+   * Get the records repair moved to the quarantine, newest first
+   * @returns {Promise<Array>} `{id, store, recordId, sessionId, record, issues, quarantinedAt}`
+   */
+  async getQuarantinedRecords() {
+    const entries = await this.getAllRecords(this.stores.quarantine);
+    return entries.sort((a, b) => b.quarantinedAt - a.quarantinedAt);
+  }
+
+  /**
+   * Permanently delete the quarantined records
+   * @returns {Promise<void>}
+   */
+  async clearQuarantine() {
+    await this.ensureInitialized();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.stores.quarantine], 'readwrite');
+      const request = transaction.objectStore(this.stores.quarantine).clear();
+
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(new Error(`Failed to clear quarantine: ${request.error}`));
+    });
+  }
+
+  // ===== MERGE AND SPLIT METHODS =====
+
+  /**
+   * Merge recorded sessions into the earliest of them, e.g. an interview that
+   * was split in two when a connection dropped. Transcript segments,
+   * annotations and audio move to the merged session with their session times
+   * shifted by the time between the session starts, and the other sessions are
+   * removed. Summaries are kept as versions of the merged session, in session
+   * order, and marked stale. The merged session keeps the first title and all
+   * tags; when storage is encrypted it has to be unlocked to read them.
+   * @param {Array<string>} sessionIds - IDs of the sessions to merge, at least two
+   * @returns {Promise<string>} ID of the merged session
+   */
+  async mergeSessions(sessionIds) {
+    await this.ensureInitialized();
+
+    if (!Array.isArray(sessionIds)) {
+      throw new Error('Session IDs must be an array');
+    }
+
+    const ids = [...new Set(sessionIds)];
+    if (ids.length < 2) {
+      throw new Error('At least two sessions are needed for a merge');
+    }
+
+    const opened = await this.getOpenedSessions(ids);
+    let sealedUpdates = null;
+
+    const mergedId = await this.editSessionRecords(ids, (transaction, bundles) => {
+      bundles.forEach(({ session }) => this.assertSessionEditable(session, 'merged'));
+
+      const ordered = [...bundles].sort((a, b) => Date.parse(a.session.date) - Date.parse(b.session.date));
+      const [target, ...others] = ordered;
+      const start = Date.parse(target.session.date);
+      const now = Date.now();
+
+      const transcriptStore = transaction.objectStore(this.stores.transcripts);
+      const annotationStore = transaction.objectStore(this.stores.annotations);
+      const audioStore = transaction.objectStore(this.stores.audio);
+      const summaryStore = transaction.objectStore(this.stores.summaries);
+      const sessionStore = transaction.objectStore(this.stores.sessions);
+
+      let duration = target.session.duration || 0;
+      others.forEach(({ session, transcripts, annotations, audio }) => {
+        const shift = Date.parse(session.date) - start;
+        const moved = { sessionId: target.session.id };
+
+        transcripts.forEach(record => transcriptStore.put({ ...record, ...moved, relativeTime: (record.relativeTime || 0) + shift }));
+        annotations.forEach(record => annotationStore.put({ ...record, ...moved, relativeTime: record.relativeTime + shift }));
+        audio.forEach(record => audioStore.put({ ...record, ...moved, sessionOffset: record.sessionOffset + shift }));
+
+        duration = Math.max(duration, Math.round(shift / 1000) + (session.duration || 0));
+        sessionStore.delete(session.id);
+      });
+
+      // Versions are renumbered in session order; each session's versions are
+      // written in ascending order, so no two share a version while the puts run
+      let previousSummaryId = null;
+      ordered
+        .flatMap(({ summaries }) => [...summaries].sort((a, b) => (a.version || 0) - (b.version || 0)))
+        .forEach((summary, index) => {
+          summaryStore.put({
+            ...summary,
+            sessionId: target.session.id,
+            version: index + 1,
+            previousSummaryId,
+            staleAt: now,
+            staleReason: 'merged'
+          });
+          previousSummaryId = summary.id;
+        });
+
+      const titled = ordered.find(({ session }) => opened.get(session.id).title);
+      const title = titled ? opened.get(titled.session.id).title : '';
+      const segments = ordered.flatMap(({ transcripts }) => transcripts);
+
+      const merged = this.applySessionUpdates(target.session, {
+        title,
+        sortTitle: title.toLocaleLowerCase(),
+        duration: Math.max(duration, this.calculateSessionDuration(segments)),
+        tags: this.validateTags(ordered.flatMap(({ session }) => opened.get(session.id).tags || [])),
+        starred: ordered.some(({ session }) => session.starred),
+        mergedSessionIds: [
+          ...(target.session.mergedSessionIds || []),
+          ...others.map(({ session }) => session.id)
+        ],
+        updatedAt: now
+      });
+      sessionStore.put(merged.record);
+      sealedUpdates = merged.sealedUpdates;
+
+      return target.session.id;
+    });
+
+    if (sealedUpdates) {
+      await this.updateSession(mergedId, sealedUpdates);
+    }
+
+    await this.refreshSearchIndex();
+    return mergedId;
+  }
+
+  /**
+   * Split a recorded session in two, e.g. when one recording covers two
+   * back-to-back interviews. Transcript segments starting at or after the
+   * split point, and the annotations and audio recordings from there on, move
+   * to a new session that starts at the split point; their session times are
+   * shifted to start from zero. A recording that runs across the split point
+   * stays with the first part. The first part keeps the summaries, marked
+   * stale. When storage is encrypted it has to be unlocked, like mergeSessions.
+   * @param {string} sessionId - Session ID
+   * @param {number} atRelativeTime - Split point in milliseconds since the session started
+   * @returns {Promise<string>} ID of the new session holding the second part
+   */
+  async splitSession(sessionId, atRelativeTime) {
+    await this.ensureInitialized();
+
+    if (typeof atRelativeTime !== 'number' || !Number.isFinite(atRelativeTime) || atRelativeTime <= 0) {
+      throw new Error('Split point must be a positive number of milliseconds');
+    }
+
+    const opened = await this.getOpenedSessions([sessionId]);
+    let sealedUpdates = null;
+
+    const splitId = await this.editSessionRecords([sessionId], (transaction, [bundle]) => {
+      const { session, transcripts, annotations, audio, summaries } = bundle;
+      this.assertSessionEditable(session, 'split');
+
+      const isSecondPart = (time) => time >= atRelativeTime;
+      const secondSegments = transcripts.filter(record => isSecondPart(getSegmentStartTime(record)));
+
+      if (secondSegments.length === 0 || secondSegments.length === transcripts.length) {
+        throw new Error('The split point must leave transcript segments in both parts');
+      }
+
+      const now = Date.now();
+      const moved = { sessionId: this.generateId() };
+
+      const transcriptStore = transaction.objectStore(this.stores.transcripts);
+      const annotationStore = transaction.objectStore(this.stores.annotations);
+      const audioStore = transaction.objectStore(this.stores.audio);
+      const summaryStore = transaction.objectStore(this.stores.summaries);
+      const sessionStore = transaction.objectStore(this.stores.sessions);
+
+      secondSegments.forEach(record => transcriptStore.put({ ...record, ...moved, relativeTime: record.relativeTime - atRelativeTime }));
+      annotations
+        .filter(record => isSecondPart(record.relativeTime))
+        .forEach(record => annotationStore.put({ ...record, ...moved, relativeTime: record.relativeTime - atRelativeTime }));
+      audio
+        .filter(record => isSecondPart(record.sessionOffset))
+        .forEach(record => audioStore.put({ ...record, ...moved, sessionOffset: record.sessionOffset - atRelativeTime }));
+
+      summaries.forEach(summary => summaryStore.put({ ...summary, staleAt: now, staleReason: 'split' }));
+
+      const firstDuration = Math.round(atRelativeTime / 1000);
+      const { mergedSessionIds, ...details } = session;
+      const firstTitle = opened.get(session.id).title;
+      const title = firstTitle ? `${firstTitle} (part 2)` : '';
+
+      sessionStore.put({ ...session, duration: firstDuration, updatedAt: now });
+      const second = this.applySessionUpdates(details, {
+        id: moved.sessionId,
+        date: new Date(Date.parse(session.date) + atRelativeTime).toISOString(),
+        title,
+        sortTitle: title.toLocaleLowerCase(),
+        duration: Math.max(this.calculateSessionDuration(secondSegments), (session.duration || 0) - firstDuration),
+        splitFromSessionId: session.id,
+        createdAt: now,
+        updatedAt: now
+      });
+      sessionStore.add(second.record);
+      sealedUpdates = second.sealedUpdates;
+
+      return moved.sessionId;
+    });
+
+    if (sealedUpdates) {
+      await this.updateSession(splitId, sealedUpdates);
+    }
+
+    await this.refreshSearchIndex();
+    return splitId;
+  }
+
+  /**
+   * Read sessions decrypted, for edits that need their sealed fields
+   * @param {Array<string>} sessionIds - Session IDs
+   * @returns {Promise<Map<string, Object>>} Sessions by ID
+   */
+  async getOpenedSessions(sessionIds) {
+    const sessions = new Map();
+    for (const sessionId of sessionIds) {
+      const session = await this.getSession(sessionId);
+      if (!session) {
+        throw new Error(`Session not found: ${sessionId}`);
+      }
+      sessions.set(sessionId, session);
+    }
+    return sessions;
+  }
+
+  /**
+   * Apply updates to a stored session record inside a transaction. Fields
+   * that are sealed in an encrypted record cannot be encrypted there; they are
+   * left out and returned, to be saved with updateSession once the
+   * transaction is done.
+   * @param {Object} record - Stored session record
+   * @param {Object} updates - Updated fields
+   * @returns {Object} `{record, sealedUpdates}`; `sealedUpdates` is null when there are none
+   */
+  applySessionUpdates(record, updates) {
+    if (!record.iv) {
+      return { record: { ...record, ...updates }, sealedUpdates: null };
+    }
+
+    const plainUpdates = {};
+    const sealedUpdates = {};
+    Object.entries(updates).forEach(([field, value]) => {
+      if (SESSION_PLAINTEXT_FIELDS.includes(field)) {
+        plainUpdates[field] = value;
+      } else {
+        sealedUpdates[field] = value;
+      }
+    });
+
+    return {
+      record: { ...record, ...plainUpdates },
+      sealedUpdates: Object.keys(sealedUpdates).length > 0 ? sealedUpdates : null
+    };
+  }
+
+  /**
+   * Check that a session can be merged or split
+   * @param {Object} session - Stored session record
+   * @param {string} action - 'merged' or 'split', for the error message
+   */
+  assertSessionEditable(session, action) {
+    if (session.deletedAt) {
+      throw new Error(`Session is in the trash and cannot be ${action}: ${session.id}`);
+    }
+    if (session.status === 'active') {
+      throw new Error(`Session is still being recorded and cannot be ${action}: ${session.id}`);
+    }
+  }
+
+  /**
+   * Read sessions with their stored transcript segments, annotations, audio
+   * and summaries, and let `edit` rewrite them in the same transaction
+   * @param {Array<string>} sessionIds - Session IDs
+   * @param {Function} edit - (transaction, bundles) => result; throwing aborts the transaction
+   * @returns {Promise<*>} Result of `edit`, once the transaction completed
+   */
+  async editSessionRecords(sessionIds, edit) {
+    const childStores = {
+      transcripts: this.stores.transcripts,
+      annotations: this.stores.annotations,
+      audio: this.stores.audio,
+      summaries: this.stores.summaries
+    };
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.stores.sessions, ...Object.values(childStores)], 'readwrite');
+      let result;
+
+      transaction.oncomplete = () => resolve(result);
+      transaction.onerror = () => reject(new Error(`Failed to update sessions: ${transaction.error}`));
+      transaction.onabort = () => reject(new Error(`Session update aborted: ${transaction.error}`));
+
+      const read = (request, storeName) => new Promise((resolveRead, rejectRead) => {
+        request.onsuccess = () => resolveRead(request.result);
+        request.onerror = () => rejectRead(new Error(`Failed to read ${storeName}: ${request.error}`));
+      });
+
+      const bundles = Promise.all(sessionIds.map(async sessionId => {
+        const [session, ...children] = await Promise.all([
+          read(transaction.objectStore(this.stores.sessions).get(sessionId), this.stores.sessions),
+          ...Object.values(childStores).map(storeName =>
+            read(transaction.objectStore(storeName).index('sessionId').getAll(sessionId), storeName)
+          )
+        ]);
+
+        if (!session) {
+          throw new Error(`Session not found: ${sessionId}`);
         }
 
-        // Sort by relevance and then by generation date
-        matchingSummaries.sort((a, b) => {
-          const aContent = [a.content, ...a.keyPoints, ...a.decisions, ...a.actionItems, ...a.quotes].join(' ').toLowerCase();
-          const bContent = [b.content, ...b.keyPoints, ...b.decisions, ...b.actionItems, ...b.quotes].join(' ').toLowerCase();
-          
-          const aMatches = (aContent.match(new RegExp(searchTerm, 'g')) || []).length;
-          const bMatches = (bContent.match(new RegExp(searchTerm, 'g')) || []).length;
-          
-          if (aMatches !== bMatches) {
-            return bMatches - aMatches;
+        return Object.keys(childStores).reduce((bundle, key, index) => ({ ...bundle, [key]: children[index] }), { session });
+      }));
+
+      bundles
+        .then(loaded => edit(transaction, loaded))
+        .then((value) => {
+          result = value;
+        })
+        .catch((error) => {
+          // Reject first so the edit error wins over the abort event
+          reject(error);
+          try {
+            transaction.abort();
+          } catch (abortError) {
+            // Transaction already finished
           }
-          
-          return b.generatedAt - a.generatedAt;
         });
+    });
+  }
 
-        resolve(matchingSummaries);
-      };
-      
-      request.onerror = () => reject(new Error(`Failed to search summaries: ${request.error}`));
+  /**
+   * Rebuild the search index after records moved between sessions
+   * @returns {Promise<void>}
+   */
+  async refreshSearchIndex() {
+    const searchIndexer = this.getSearchIndexer();
+    if (searchIndexer) {
+      await searchIndexer.rebuildIndex();
+    }
+  }
+
+  // ===== ORGANIZATION METHODS =====
+
+  /**
+   * Check a session against the tag, folder and star filters of getSessions
+   * @param {Object} session - Stored session record
+   * @param {Object} options - Filter options with normalized tags
+   * @returns {boolean} True if the session matches
+   */
+  matchesOrganizationFilters(session, options) {
+    const sessionTags = session.tags || [];
+
+    if (!options.tags.every(tag => sessionTags.includes(tag))) {
+      return false;
+    }
+
+    if (options.folderId !== undefined && (session.folderId || null) !== options.folderId) {
+      return false;
+    }
+
+    if (typeof options.starred === 'boolean' && Boolean(session.starred) !== options.starred) {
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Apply a change to several session records in one transaction.
+   * Folder, star and trash state live outside the encrypted fields, so the
+   * stored records are changed directly and this also works while storage is
+   * locked. Changes to sealed fields such as tags go through updateOpenedSessions.
+   * @param {Array<string>} sessionIds - Session IDs
+   * @param {Function} transform - (record) => updated record
+   * @returns {Promise<number>} Number of sessions updated
+   */
+  async updateSessionRecords(sessionIds, transform) {
+    await this.ensureInitialized();
+
+    if (!Array.isArray(sessionIds)) {
+      throw new Error('Session IDs must be an array');
+    }
+
+    const ids = [...new Set(sessionIds)];
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.stores.sessions], 'readwrite');
+      const store = transaction.objectStore(this.stores.sessions);
+      const now = Date.now();
+
+      transaction.oncomplete = () => resolve(ids.length);
+      transaction.onerror = () => reject(new Error(`Failed to update sessions: ${transaction.error}`));
+      transaction.onabort = () => reject(new Error(`Session update aborted: ${transaction.error}`));
+
+      ids.forEach(sessionId => {
+        const request = store.get(sessionId);
+
+        request.onsuccess = () => {
+          if (!request.result) {
+            // Reject first so the missing session wins over the abort event
+            reject(new Error(`Session not found: ${sessionId}`));
+            transaction.abort();
+            return;
+          }
+
+          store.put({ ...transform(request.result), updatedAt: now });
+        };
+      });
     });
-  }  /**
+  }
 
-   * Clean up old data based on retention policy
-   * @param {number} retentionDays - Number of days to retain data
-   * @returns {Promise<Object>} Cleanup results
+  /**
+   * Apply a change that needs the sealed fields of sessions, such as their
+   * tags. The sessions are decrypted, changed and sealed again, then written
+   * in one transaction; encrypted storage has to be unlocked for this.
+   * @param {Array<string>} sessionIds - Session IDs
+   * @param {Function} transform - (session) => updated session
+   * @returns {Promise<number>} Number of sessions updated
+   */
+  async updateOpenedSessions(sessionIds, transform) {
+    await this.ensureInitialized();
+
+    if (!Array.isArray(sessionIds)) {
+      throw new Error('Session IDs must be an array');
+    }
+
+    const ids = [...new Set(sessionIds)];
+    const sessions = await this.getOpenedSessions(ids);
+    const now = Date.now();
+    const records = await Promise.all(ids.map(sessionId =>
+      this.sealRecord(this.stores.sessions, { ...transform(sessions.get(sessionId)), updatedAt: now })
+    ));
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.stores.sessions], 'readwrite');
+      const store = transaction.objectStore(this.stores.sessions);
+
+      transaction.oncomplete = () => resolve(ids.length);
+      transaction.onerror = () => reject(new Error(`Failed to update sessions: ${transaction.error}`));
+
+      records.forEach(record => store.put(record));
+    });
+  }
+
+  /**
+   * Add tags to sessions
+   * @param {Array<string>} sessionIds - Session IDs
+   * @param {Array<string>} tags - Tags to add
+   * @returns {Promise<number>} Number of sessions updated
+   */
+  async addSessionTags(sessionIds, tags) {
+    const added = this.validateTags(tags);
+
+    return this.updateOpenedSessions(sessionIds, session => ({
+      ...session,
+      tags: this.validateTags([...(session.tags || []), ...added])
+    }));
+  }
+
+  /**
+   * Remove tags from sessions
+   * @param {Array<string>} sessionIds - Session IDs
+   * @param {Array<string>} tags - Tags to remove
+   * @returns {Promise<number>} Number of sessions updated
    */
-  async cleanupOldData(retentionDays = null) {
-    await this.ensureInitialized();
-    
-    const retention = retentionDays || await this.getRetentionPolicy();
-    const cutoffDate = new Date();
-    cutoffDate.setDate(cutoffDate.getDate() - retention);
-    
-    const results = {
-      sessionsDeleted: 0,
-      transcriptsDeleted: 0,
-      summariesDeleted: 0
-    };
+  async removeSessionTags(sessionIds, tags) {
+    const removed = this.validateTags(tags);
 
-    // Get old sessions
-    const oldSessions = await this.getSessions({
-      endDate: cutoffDate.toISOString()
-    });
+    return this.updateOpenedSessions(sessionIds, session => ({
+      ...session,
+      tags: (session.tags || []).filter(tag => !removed.includes(tag))
+    }));
+  }
 
-    // Delete old data
-    for (const session of oldSessions) {
-      await this.deleteSession(session.id);
-      results.sessionsDeleted++;
+  /**
+   * Move sessions into a folder
+   * @param {Array<string>} sessionIds - Session IDs
+   * @param {string|null} folderId - Folder ID, or `null` to take the sessions out of their folder
+   * @returns {Promise<number>} Number of sessions updated
+   */
+  async moveSessionsToFolder(sessionIds, folderId) {
+    // The stored record shows the folder exists, so this works while locked
+    if (folderId !== null && !(await this.getFolderRecord(folderId))) {
+      throw new Error(`Folder not found: ${folderId}`);
     }
 
-    return results;
+    return this.updateSessionRecords(sessionIds, session => ({ ...session, folderId }));
   }
 
   /**
-   * Delete a session and all associated data
-   * @param {string} sessionId - Session ID
-   * @returns {Promise<void>}
+   * Star or unstar sessions. Starred sessions are kept by cleanupOldData.
+   * @param {Array<string>} sessionIds - Session IDs
+   * @param {boolean} [starred=true] - Star state
+   * @returns {Promise<number>} Number of sessions updated
    */
-  async deleteSession(sessionId) {
-    await this.ensureInitialized();
-    
-    return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction([
-        this.stores.sessions,
-        this.stores.transcripts,
-        this.stores.summaries
-      ], 'readwrite');
+  async setSessionsStarred(sessionIds, starred = true) {
+    return this.updateSessionRecords(sessionIds, session => ({ ...session, starred: Boolean(starred) }));
+  }
 
-      let completed = 0;
-      const total = 3;
+  /**
+   * Get every tag in use with the number of sessions that have it
+   * @returns {Promise<Array<{tag: string, count: number}>>} Tags sorted by name
+   */
+  async getTags() {
+    await this.ensureInitialized();
 
-      const checkComplete = () => {
-        completed++;
-        if (completed === total) {
-          resolve();
-        }
-      };
+    // Encrypted sessions are not in the tags index
+    if (this.isEncryptionEnabled()) {
+      const records = await this.getAllRecords(this.stores.sessions);
+      const counts = new Map();
+      for (const record of records) {
+        const session = await this.openRecord(this.stores.sessions, record);
+        (session.tags || []).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+      }
+      return this.listTagCounts(counts);
+    }
 
-      // Delete session
-      const sessionStore = transaction.objectStore(this.stores.sessions);
-      const sessionRequest = sessionStore.delete(sessionId);
-      sessionRequest.onsuccess = checkComplete;
-      sessionRequest.onerror = () => reject(new Error(`Failed to delete session: ${sessionRequest.error}`));
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.stores.sessions], 'readonly');
+      const request = transaction.objectStore(this.stores.sessions).index('tags').openKeyCursor();
+      const counts = new Map();
 
-      // Delete transcripts
-      const transcriptStore = transaction.objectStore(this.stores.transcripts);
-      const transcriptIndex = transcriptStore.index('sessionId');
-      const transcriptRequest = transcriptIndex.openCursor(sessionId);
-      
-      transcriptRequest.onsuccess = (event) => {
-        const cursor = event.target.result;
+      request.onsuccess = () => {
+        const cursor = request.result;
         if (cursor) {
-          cursor.delete();
+          counts.set(cursor.key, (counts.get(cursor.key) || 0) + 1);
           cursor.continue();
-        } else {
-          checkComplete();
+          return;
         }
-      };
-      transcriptRequest.onerror = () => reject(new Error(`Failed to delete transcripts: ${transcriptRequest.error}`));
 
-      // Delete summaries
-      const summaryStore = transaction.objectStore(this.stores.summaries);
-      const summaryIndex = summaryStore.index('sessionId');
-      const summaryRequest = summaryIndex.openCursor(sessionId);
-      
-      summaryRequest.onsuccess = (event) => {
-        const cursor = event.target.result;
-        if (cursor) {
-          cursor.delete();
-          cursor.continue();
-        } else {
-          checkComplete();
-        }
+        resolve(this.listTagCounts(counts));
       };
-      summaryRequest.onerror = () => reject(new Error(`Failed to delete summaries: ${summaryRequest.error}`));
+
+      request.onerror = () => reject(new Error(`Failed to get tags: ${request.error}`));
     });
   }
 
   /**
-   * Get storage statistics
-   * @returns {Promise<Object>} Storage statistics
+   * List tag counts sorted by tag
+   * @param {Map<string, number>} counts - Sessions per tag
+   * @returns {Array<{tag: string, count: number}>} Tags sorted by name
    */
-  async getStorageStats() {
-    await this.ensureInitialized();
-    
-    const stats = {
-      sessions: 0,
-      transcripts: 0,
-      summaries: 0,
-      totalSize: 0
-    };
+  listTagCounts(counts) {
+    return Array.from(counts, ([tag, count]) => ({ tag, count }))
+      .sort((a, b) => a.tag.localeCompare(b.tag));
+  }
 
-    return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction([
-        this.stores.sessions,
-        this.stores.transcripts,
-        this.stores.summaries
-      ], 'readonly');
+  /**
+   * Create a folder
+   * @param {Object} folderData - Folder data
+   * @param {string} folderData.name - Folder name
+   * @param {boolean} [folderData.isProtected=false] - Keep its sessions when old data is cleaned up
+   * @returns {Promise<string>} Folder ID
+   */
+  async createFolder(folderData) {
+    await this.ensureInitialized();
 
-      let completed = 0;
-      const total = 3;
+    const now = Date.now();
+    const folder = this.validateFolderData({
+      id: this.generateId(),
+      name: folderData && folderData.name,
+      isProtected: Boolean(folderData && folderData.isProtected),
+      createdAt: now,
+      updatedAt: now
+    });
 
-      const checkComplete = () => {
-        completed++;
-        if (completed === total) {
-          resolve(stats);
-        }
-      };
+    await this.ensureUniqueFolderName(folder);
+    await this.putFolder(folder);
 
-      // Count sessions
-      const sessionStore = transaction.objectStore(this.stores.sessions);
-      const sessionRequest = sessionStore.count();
-      sessionRequest.onsuccess = () => {
-        stats.sessions = sessionRequest.result;
-        checkComplete();
-      };
-      sessionRequest.onerror = () => reject(new Error(`Failed to count sessions: ${sessionRequest.error}`));
+    return folder.id;
+  }
 
-      // Count transcripts
-      const transcriptStore = transaction.objectStore(this.stores.transcripts);
-      const transcriptRequest = transcriptStore.count();
-      transcriptRequest.onsuccess = () => {
-        stats.transcripts = transcriptRequest.result;
-        checkComplete();
-      };
-      transcriptRequest.onerror = () => reject(new Error(`Failed to count transcripts: ${transcriptRequest.error}`));
+  /**
+   * Update a folder's name or protection
+   * @param {string} folderId - Folder ID
+   * @param {Object} updates - Updates to apply
+   * @returns {Promise<void>}
+   */
+  async updateFolder(folderId, updates) {
+    const folder = await this.getFolder(folderId);
+    if (!folder) {
+      throw new Error(`Folder not found: ${folderId}`);
+    }
 
-      // Count summaries
-      const summaryStore = transaction.objectStore(this.stores.summaries);
-      const summaryRequest = summaryStore.count();
-      summaryRequest.onsuccess = () => {
-        stats.summaries = summaryRequest.result;
-        checkComplete();
-      };
-      summaryRequest.onerror = () => reject(new Error(`Failed to count summaries: ${summaryRequest.error}`));
+    const updatedFolder = this.validateFolderData({
+      ...folder,
+      ...updates,
+      id: folder.id,
+      updatedAt: Date.now()
     });
+
+    await this.ensureUniqueFolderName(updatedFolder);
+    await this.putFolder(updatedFolder);
   }
 
   /**
-   * Get retention policy setting
-   * @returns {Promise<number>} Retention days
+   * Delete a folder. Its sessions are kept and no longer belong to a folder.
+   * @param {string} folderId - Folder ID
+   * @returns {Promise<number>} Number of sessions taken out of the folder
    */
-  async getRetentionPolicy() {
-    const setting = await this.getSetting('retentionDays');
-    return setting ? setting.value : this.defaultRetentionDays;
+  async deleteFolder(folderId) {
+    await this.ensureInitialized();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.stores.folders, this.stores.sessions], 'readwrite');
+      let moved = 0;
+
+      transaction.oncomplete = () => resolve(moved);
+      transaction.onerror = () => reject(new Error(`Failed to delete folder: ${transaction.error}`));
+
+      transaction.objectStore(this.stores.folders).delete(folderId);
+
+      const request = transaction.objectStore(this.stores.sessions).index('folderId').openCursor(folderId);
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (cursor) {
+          cursor.update({ ...cursor.value, folderId: null, updatedAt: Date.now() });
+          moved++;
+          cursor.continue();
+        }
+      };
+    });
   }
 
   /**
-   * Set retention policy
-   * @param {number} days - Number of days to retain data
-   * @returns {Promise<void>}
+   * Get a folder by ID
+   * @param {string} folderId - Folder ID
+   * @returns {Promise<Object|null>} Folder or null if not found
    */
-  async setRetentionPolicy(days) {
-    if (typeof days !== 'number' || days < 1) {
-      throw new Error('Retention days must be a positive number');
-    }
-    
-    await this.setSetting('retentionDays', days);
+  async getFolder(folderId) {
+    const record = await this.getFolderRecord(folderId);
+    return record ? this.openRecord(this.stores.folders, record) : null;
   }
 
   /**
-   * Get a setting value
-   * @param {string} key - Setting key
-   * @returns {Promise<Object|null>} Setting object or null
+   * Read a stored folder record without decrypting its name
+   * @param {string} folderId - Folder ID
+   * @returns {Promise<Object|null>} Stored record or null if not found
    */
-  async getSetting(key) {
+  async getFolderRecord(folderId) {
     await this.ensureInitialized();
-    
+
     return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction([this.stores.settings], 'readonly');
-      const store = transaction.objectStore(this.stores.settings);
-      
-      const request = store.get(key);
-      
+      const transaction = this.db.transaction([this.stores.folders], 'readonly');
+      const request = transaction.objectStore(this.stores.folders).get(folderId);
+
       request.onsuccess = () => resolve(request.result || null);
-      request.onerror = () => reject(new Error(`Failed to get setting: ${request.error}`));
+      request.onerror = () => reject(new Error(`Failed to get folder: ${request.error}`));
     });
   }
 
   /**
-   * Set a setting value
-   * @param {string} key - Setting key
-   * @param {*} value - Setting value
+   * Get all folders
+   * @returns {Promise<Array>} Folders sorted by name
+   */
+  async getFolders() {
+    const records = await this.getAllRecords(this.stores.folders);
+    const folders = await Promise.all(records.map(record => this.openRecord(this.stores.folders, record)));
+    return folders.sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Write a folder record
+   * @param {Object} folder - Validated folder
    * @returns {Promise<void>}
    */
-  async setSetting(key, value) {
+  async putFolder(folder) {
     await this.ensureInitialized();
-    
-    const setting = {
-      key,
-      value,
-      updatedAt: Date.now()
-    };
+
+    const record = await this.sealRecord(this.stores.folders, folder);
 
     return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction([this.stores.settings], 'readwrite');
-      const store = transaction.objectStore(this.stores.settings);
-      
-      const request = store.put(setting);
-      
+      const transaction = this.db.transaction([this.stores.folders], 'readwrite');
+      const request = transaction.objectStore(this.stores.folders).put(record);
+
       request.onsuccess = () => resolve();
-      request.onerror = () => reject(new Error(`Failed to set setting: ${request.error}`));
+      request.onerror = () => reject(new Error(`Failed to save folder: ${request.error}`));
     });
   }
 
   /**
-   * Export all data for backup
-   * @returns {Promise<Object>} Exported data
+   * Reject a folder whose name is already used by another folder
+   * @param {Object} folder - Folder to check
+   * @returns {Promise<void>}
    */
-  async exportData() {
-    await this.ensureInitialized();
-    
-    const data = {
-      version: this.dbVersion,
-      exportedAt: new Date().toISOString(),
-      sessions: await this.getSessions(),
-      settings: await this.getAllSettings()
+  async ensureUniqueFolderName(folder) {
+    const folders = await this.getFolders();
+    const name = folder.name.toLowerCase();
+
+    if (folders.some(other => other.id !== folder.id && other.name.toLowerCase() === name)) {
+      throw new Error(`A folder named "${folder.name}" already exists`);
+    }
+  }
+
+  // ===== VALIDATION METHODS =====
+
+  /**
+   * Validate session data
+   * @param {Object} sessionData - Session data to validate
+   * @returns {Object} Validated session data
+   */
+  validateSessionData(sessionData) {
+    if (!sessionData || typeof sessionData !== 'object') {
+      throw new Error('Session data must be an object');
+    }
+
+    if (!sessionData.id || typeof sessionData.id !== 'string') {
+      throw new Error('Session ID is required and must be a string');
+    }
+
+    if (!sessionData.date || !this.isValidDate(sessionData.date)) {
+      throw new Error('Session date is required and must be a valid ISO date string');
+    }
+
+    if (sessionData.duration !== undefined && (typeof sessionData.duration !== 'number' || sessionData.duration < 0)) {
+      throw new Error('Session duration must be a non-negative number');
+    }
+
+    if (sessionData.platform && typeof sessionData.platform !== 'string') {
+      throw new Error('Session platform must be a string');
+    }
+
+    if (sessionData.folderId && typeof sessionData.folderId !== 'string') {
+      throw new Error('Session folder ID must be a string');
+    }
+
+    if (sessionData.title !== undefined && sessionData.title !== null && typeof sessionData.title !== 'string') {
+      throw new Error('Session title must be a string');
+    }
+
+    if (sessionData.deletedAt && typeof sessionData.deletedAt !== 'number') {
+      throw new Error('Session deletion time must be a timestamp');
+    }
+
+    const title = (sessionData.title || '').trim();
+
+    return {
+      ...sessionData,
+      duration: sessionData.duration || 0,
+      title,
+      // Case-insensitive key for the title index; it is sealed with the title
+      // when storage is encrypted, which keeps encrypted sessions out of the index
+      sortTitle: title.toLocaleLowerCase(),
+      tags: this.validateTags(sessionData.tags),
+      folderId: sessionData.folderId || null,
+      starred: Boolean(sessionData.starred),
+      deletedAt: sessionData.deletedAt || null,
+      metadata: sessionData.metadata || {}
     };
+  }
 
-    // Get all transcripts and summaries
-    data.transcripts = {};
-    data.summaries = {};
+  /**
+   * Validate annotation data
+   * @param {Object} annotation - Annotation to validate
+   * @param {string} sessionId - Session ID
+   * @returns {Object} Validated annotation
+   */
+  validateAnnotationData(annotation, sessionId) {
+    if (!annotation || typeof annotation !== 'object') {
+      throw new Error('Annotation must be an object');
+    }
 
-    for (const session of data.sessions) {
-      data.transcripts[session.id] = await this.getTranscriptSegments(session.id);
-      data.summaries[session.id] = await this.getSummary(session.id);
+    if (!sessionId || typeof sessionId !== 'string') {
+      throw new Error('Annotation session ID is required and must be a string');
     }
 
-    return data;
+    if (!ANNOTATION_TYPES.includes(annotation.type)) {
+      throw new Error(`Annotation type must be one of: ${ANNOTATION_TYPES.join(', ')}`);
+    }
+
+    if (annotation.text !== undefined && typeof annotation.text !== 'string') {
+      throw new Error('Annotation text must be a string');
+    }
+
+    const text = (annotation.text || '').trim();
+    if (annotation.type === 'note' && !text) {
+      throw new Error('Note text is required');
+    }
+
+    if (typeof annotation.relativeTime !== 'number' || annotation.relativeTime < 0) {
+      throw new Error('Annotation relative time is required and must be a non-negative number');
+    }
+
+    if (annotation.timestamp !== undefined && annotation.timestamp !== null && typeof annotation.timestamp !== 'number') {
+      throw new Error('Annotation timestamp must be a number');
+    }
+
+    const now = Date.now();
+
+    return {
+      id: annotation.id || this.generateId(),
+      sessionId,
+      type: annotation.type,
+      text,
+      relativeTime: annotation.relativeTime,
+      timestamp: annotation.timestamp ?? null,
+      createdAt: annotation.createdAt || now,
+      updatedAt: now
+    };
   }
 
   /**
-   * Import data from backup
-   * @param {Object} data - Data to import
-   * @returns {Promise<void>}
+   * Validate audio recording details
+   * @param {Object} recording - Recording details
+   * @param {string} sessionId - Session the recording belongs to
+   * @returns {Object} Validated recording details (without the audio)
    */
-  async importData(data) {
-    await this.ensureInitialized();
-    
-    if (!data.version || !data.sessions) {
-      throw new Error('Invalid backup data format');
+  validateAudioRecordingData(recording, sessionId) {
+    if (!recording || typeof recording !== 'object') {
+      throw new Error('Audio recording must be an object');
     }
 
-    // Import sessions
-    for (const session of data.sessions) {
-      await this.createSession(session);
+    if (!sessionId || typeof sessionId !== 'string') {
+      throw new Error('Audio recording session ID is required and must be a string');
+    }
+
+    if (!recording.mimeType || typeof recording.mimeType !== 'string' || !recording.mimeType.startsWith('audio/')) {
+      throw new Error('Audio recording MIME type is required and must be an audio type');
     }
 
-    // Import transcripts
-    if (data.transcripts) {
-      for (const [sessionId, segments] of Object.entries(data.transcripts)) {
-        if (segments && segments.length > 0) {
-          await this.saveTranscriptSegments(sessionId, segments);
-        }
-      }
+    if (typeof recording.sessionOffset !== 'number' || !Number.isFinite(recording.sessionOffset)) {
+      throw new Error('Audio recording session offset is required and must be a number');
     }
 
-    // Import summaries
-    if (data.summaries) {
-      for (const [sessionId, summary] of Object.entries(data.summaries)) {
-        if (summary) {
-          await this.saveSummary(sessionId, summary);
-        }
-      }
+    if (typeof recording.duration !== 'number' || recording.duration < 0) {
+      throw new Error('Audio recording duration is required and must be a non-negative number');
     }
 
-    // Import settings
-    if (data.settings) {
-      for (const setting of data.settings) {
-        await this.setSetting(setting.key, setting.value);
-      }
+    const pauses = recording.pauses || [];
+    if (!Array.isArray(pauses) || !pauses.every(pause =>
+      pause && typeof pause.at === 'number' && typeof pause.duration === 'number' && pause.duration >= 0
+    )) {
+      throw new Error('Audio recording pauses must be an array of {at, duration} objects');
     }
-  }
 
-  /**
-   * Get all settings
-   * @returns {Promise<Array>} Array of settings
-   */
-  async getAllSettings() {
-    await this.ensureInitialized();
-    
-    return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction([this.stores.settings], 'readonly');
-      const store = transaction.objectStore(this.stores.settings);
-      
-      const request = store.getAll();
-      
-      request.onsuccess = () => resolve(request.result);
-      request.onerror = () => reject(new Error(`Failed to get settings: ${request.error}`));
-    });
+    return {
+      id: recording.id || this.generateId(),
+      sessionId,
+      mimeType: recording.mimeType,
+      size: recording.size || 0,
+      duration: recording.duration,
+      sessionOffset: recording.sessionOffset,
+      startedAt: typeof recording.startedAt === 'number' ? recording.startedAt : null,
+      pauses: pauses.map(({ at, duration }) => ({ at, duration })).sort((a, b) => a.at - b.at),
+      createdAt: recording.createdAt || Date.now()
+    };
   }
 
-  // ===== VALIDATION METHODS =====
-
   /**
-   * Validate session data
-   * @param {Object} sessionData - Session data to validate
-   * @returns {Object} Validated session data
+   * Validate and normalize session tags: whitespace is collapsed and duplicates dropped
+   * @param {Array<string>} [tags] - Tags to validate
+   * @returns {Array<string>} Normalized tags
    */
-  validateSessionData(sessionData) {
-    if (!sessionData || typeof sessionData !== 'object') {
-      throw new Error('Session data must be an object');
+  validateTags(tags) {
+    if (tags === undefined || tags === null) {
+      return [];
     }
 
-    if (!sessionData.id || typeof sessionData.id !== 'string') {
-      throw new Error('Session ID is required and must be a string');
+    if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string')) {
+      throw new Error('Session tags must be an array of strings');
     }
 
-    if (!sessionData.date || !this.isValidDate(sessionData.date)) {
-      throw new Error('Session date is required and must be a valid ISO date string');
+    const normalized = [];
+    tags.forEach(tag => {
+      const value = tag.trim().replace(/\s+/g, ' ');
+      if (value && !normalized.includes(value)) {
+        normalized.push(value);
+      }
+    });
+
+    return normalized;
+  }
+
+  /**
+   * Validate folder data
+   * @param {Object} folderData - Folder data to validate
+   * @returns {Object} Validated folder data
+   */
+  validateFolderData(folderData) {
+    if (!folderData || typeof folderData !== 'object') {
+      throw new Error('Folder data must be an object');
     }
 
-    if (sessionData.duration !== undefined && (typeof sessionData.duration !== 'number' || sessionData.duration < 0)) {
-      throw new Error('Session duration must be a non-negative number');
+    if (!folderData.id || typeof folderData.id !== 'string') {
+      throw new Error('Folder ID is required and must be a string');
     }
 
-    if (sessionData.platform && typeof sessionData.platform !== 'string') {
-      throw new Error('Session platform must be a string');
+    if (typeof folderData.name !== 'string' || !folderData.name.trim()) {
+      throw new Error('Folder name is required and must be a string');
     }
 
     return {
-      ...sessionData,
-      metadata: sessionData.metadata || {}
+      ...folderData,
+      name: folderData.name.trim(),
+      isProtected: Boolean(folderData.isProtected)
     };
   }
 
@@ -922,6 +4345,7 @@ class StorageService {
       sessionId,
       text: segment.text.trim(),
       timestamp: segment.timestamp,
+      relativeTime: typeof segment.relativeTime === 'number' ? segment.relativeTime : 0,
       confidence: segment.confidence || 0,
       isFinal: Boolean(segment.isFinal),
       duration: segment.duration || 0
@@ -972,58 +4396,477 @@ class StorageService {
     };
   }
 
+  // ===== ENCRYPTION METHODS =====
+
+  /**
+   * Load the encryption configuration from settings
+   * @returns {Promise<void>}
+   */
+  async loadEncryptionConfig() {
+    const setting = await this.getSetting('encryption');
+    this.encryptionConfig = setting ? setting.value : null;
+
+    if (!this.encryptionConfig) {
+      this.encryption.lock();
+    }
+  }
+
+  /**
+   * Check whether stored data is encrypted
+   * @returns {boolean} True when encryption at rest is enabled
+   */
+  isEncryptionEnabled() {
+    return Boolean(this.encryptionConfig && this.encryptionConfig.enabled);
+  }
+
+  /**
+   * Check whether encrypted data can currently be read
+   * @returns {boolean} True when encryption is enabled and no key is loaded
+   */
+  isLocked() {
+    return this.isEncryptionEnabled() && !this.encryption.isUnlocked();
+  }
+
+  /**
+   * Unlock encrypted storage for this session of the app
+   * @param {string} passphrase - Encryption passphrase
+   * @returns {Promise<void>}
+   */
+  async unlock(passphrase) {
+    await this.ensureInitialized();
+
+    if (!this.isEncryptionEnabled()) {
+      return;
+    }
+
+    await this.encryption.unlock(passphrase, this.encryptionConfig);
+  }
+
+  /**
+   * Forget the encryption key until the next unlock
+   * @returns {void}
+   */
+  lock() {
+    this.encryption.lock();
+  }
+
+  /**
+   * Turn on encryption at rest and encrypt all existing data
+   * @param {string} passphrase - New encryption passphrase
+   * @returns {Promise<void>}
+   */
+  async enableEncryption(passphrase) {
+    await this.ensureInitialized();
+
+    if (this.isEncryptionEnabled()) {
+      throw new Error('Encryption is already enabled');
+    }
+
+    const target = await this.encryption.createKey(passphrase);
+    await this.reencodeStoredData(null, target);
+  }
+
+  /**
+   * Turn off encryption at rest and decrypt all data
+   * @param {string} passphrase - Current encryption passphrase
+   * @returns {Promise<void>}
+   */
+  async disableEncryption(passphrase) {
+    await this.ensureInitialized();
+
+    if (!this.isEncryptionEnabled()) {
+      return;
+    }
+
+    const currentKey = await this.encryption.verifyPassphrase(passphrase, this.encryptionConfig);
+    await this.reencodeStoredData(currentKey, { key: null, config: null });
+
+    // The inverted index was dropped while data was encrypted
+    if (this.searchIndexer) {
+      await this.searchIndexer.rebuildIndex();
+    }
+  }
+
+  /**
+   * Re-encrypt all data under a key derived from a new passphrase
+   * @param {string} currentPassphrase - Current encryption passphrase
+   * @param {string} newPassphrase - New encryption passphrase
+   * @returns {Promise<void>}
+   */
+  async rotateEncryptionKey(currentPassphrase, newPassphrase) {
+    await this.ensureInitialized();
+
+    if (!this.isEncryptionEnabled()) {
+      throw new Error('Encryption is not enabled');
+    }
+
+    const currentKey = await this.encryption.verifyPassphrase(currentPassphrase, this.encryptionConfig);
+    const target = await this.encryption.createKey(newPassphrase);
+    await this.reencodeStoredData(currentKey, target);
+  }
+
+  /**
+   * Decode every sensitive record with one key and store it under another,
+   * including the sealed settings and the records kept in the quarantine.
+   * All records are written in a single transaction together with the new
+   * configuration, so an interrupted rotation leaves the old key valid.
+   * @param {CryptoKey|null} sourceKey - Key the data is encrypted with (null for plaintext)
+   * @param {Object} target - Target key and configuration ({ key: null, config: null } for plaintext)
+   * @returns {Promise<void>}
+   */
+  async reencodeStoredData(sourceKey, target) {
+    const storeNames = [
+      this.stores.sessions,
+      this.stores.folders,
+      this.stores.transcripts,
+      this.stores.summaries,
+      this.stores.annotations,
+      this.stores.audio
+    ];
+
+    const reencode = async (storeName, record) => {
+      const opened = await this.openRecord(storeName, await this.backend.resolveRecord(record), sourceKey);
+      return this.sealRecord(storeName, opened, target.key);
+    };
+
+    const storedRecords = await Promise.all(storeNames.map(storeName => this.getAllRecords(storeName)));
+    const reencoded = await Promise.all(storeNames.map((storeName, index) => Promise.all(
+      storedRecords[index].map(record => reencode(storeName, record))
+    )));
+
+    const settings = (await this.getAllRecords(this.stores.settings))
+      .filter(setting => SEALED_SETTINGS.includes(setting.key));
+    const reencodedSettings = await Promise.all(settings.map(setting => reencode(this.stores.settings, setting)));
+
+    // Quarantined records are kept as they were stored, so they are sealed like the store they came from
+    const quarantined = await this.getAllRecords(this.stores.quarantine);
+    const reencodedQuarantine = await Promise.all(quarantined.map(async entry => ({
+      ...entry,
+      record: await reencode(this.stores[entry.store], entry.record)
+    })));
+
+    await new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([
+        ...storeNames,
+        this.stores.settings,
+        this.stores.quarantine,
+        this.stores.searchIndex
+      ], 'readwrite');
+
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(new Error(`Failed to re-encrypt stored data: ${transaction.error}`));
+      transaction.onabort = () => reject(new Error(`Re-encryption aborted: ${transaction.error}`));
+
+      storeNames.forEach((storeName, index) => {
+        const store = transaction.objectStore(storeName);
+        reencoded[index].forEach(record => store.put(record));
+      });
+
+      const quarantineStore = transaction.objectStore(this.stores.quarantine);
+      reencodedQuarantine.forEach(entry => quarantineStore.put(entry));
+
+      const settingsStore = transaction.objectStore(this.stores.settings);
+      reencodedSettings.forEach(setting => settingsStore.put(setting));
+      if (target.config) {
+        settingsStore.put({ key: 'encryption', value: target.config, updatedAt: Date.now() });
+        transaction.objectStore(this.stores.searchIndex).clear();
+      } else {
+        settingsStore.delete('encryption');
+      }
+    });
+
+    this.encryptionConfig = target.config;
+    if (target.key) {
+      this.encryption.setKey(target.key, target.config.keyId);
+    } else {
+      this.encryption.lock();
+    }
+  }
+
+  /**
+   * Get the fields of a record that are encrypted
+   * @param {string} storeName - Store name
+   * @param {Object} record - Record to seal
+   * @returns {Array<string>} Field names
+   */
+  getSealedFields(storeName, record) {
+    if (storeName === this.stores.sessions) {
+      return Object.keys(record).filter(field => !SESSION_PLAINTEXT_FIELDS.includes(field));
+    }
+    if (storeName === this.stores.folders) {
+      return ['name'];
+    }
+    if (storeName === this.stores.settings) {
+      return ['value'];
+    }
+    if (storeName === this.stores.summaries) {
+      return SUMMARY_PAYLOAD_FIELDS;
+    }
+    return ['text'];
+  }
+
+  /**
+   * Encrypt the sensitive part of a (compressed) record.
+   * Indexed and lookup fields such as IDs, dates and versions stay readable;
+   * the rest is replaced by an AES-GCM `payload` with its `iv`.
+   * @param {string} storeName - Store name
+   * @param {Object} record - Record in its compressed form
+   * @param {CryptoKey|null} [key] - Key (defaults to the loaded key when encryption is enabled)
+   * @returns {Promise<Object>} Record to store
+   */
+  async sealRecord(storeName, record, key = undefined) {
+    let sealingKey = key;
+    if (sealingKey === undefined) {
+      if (!this.isEncryptionEnabled()) {
+        return record;
+      }
+      if (this.isLocked()) {
+        throw new Error('Storage is locked: unlock it with your passphrase to save interview data');
+      }
+      sealingKey = this.encryption.key;
+    }
+
+    if (!sealingKey) {
+      return record;
+    }
+
+    const { codec, payload, originalSize, ...fields } = record;
+    let bytes = payload;
+    let size = originalSize;
+
+    // Compressed payloads and audio are encrypted as-is, plaintext fields as UTF-8 (JSON for objects)
+    if (payload === undefined) {
+      const sealedFields = this.getSealedFields(storeName, fields);
+      const plain = {};
+      sealedFields.forEach(field => {
+        plain[field] = fields[field];
+        delete fields[field];
+      });
+
+      bytes = encodeUtf8(storeName === this.stores.transcripts ? plain.text : JSON.stringify(plain));
+      size = bytes.length;
+    }
+
+    const { iv, data } = await this.encryption.encryptBytes(bytes, sealingKey);
+
+    return {
+      ...fields,
+      codec: codec || CODECS.NONE,
+      payload: data,
+      originalSize: size,
+      iv
+    };
+  }
+
+  /**
+   * Decrypt a stored record back to its compressed form
+   * @param {string} storeName - Store name
+   * @param {Object} record - Stored record
+   * @param {CryptoKey|null} [key] - Key (defaults to the loaded key)
+   * @returns {Promise<Object>} Record in its compressed form
+   */
+  async openRecord(storeName, record, key = this.encryption.key) {
+    if (!record || !record.iv) {
+      return record;
+    }
+
+    if (!key) {
+      throw new Error('Storage is locked: unlock it with your passphrase to access interview data');
+    }
+
+    const { iv, payload, ...fields } = record;
+    const bytes = await this.encryption.decryptBytes(payload, iv, key);
+
+    // Audio is stored as raw bytes, like compressed payloads
+    if (fields.codec === CODECS.LZ4 || storeName === this.stores.audio) {
+      return { ...fields, payload: bytes };
+    }
+
+    const { originalSize, ...plainFields } = fields;
+    const text = decodeUtf8(bytes);
+
+    if (storeName === this.stores.transcripts) {
+      return { ...plainFields, text };
+    }
+
+    // Sessions, folders, annotations and settings are never compressed, so the codec marker is dropped again
+    if ([this.stores.sessions, this.stores.folders, this.stores.annotations, this.stores.settings].includes(storeName)) {
+      const { codec, ...recordFields } = plainFields;
+      return { ...recordFields, ...JSON.parse(text) };
+    }
+
+    return { ...plainFields, ...JSON.parse(text) };
+  }
+
+  /**
+   * Decode a stored transcript segment
+   * @param {Object} record - Stored record
+   * @returns {Promise<Object>} Transcript segment
+   */
+  async readTranscriptSegment(record) {
+    return this.decompressTranscriptSegment(await this.openRecord(this.stores.transcripts, record));
+  }
+
+  /**
+   * Decode a stored summary
+   * @param {Object} record - Stored record
+   * @returns {Promise<Object>} Summary
+   */
+  async readSummary(record) {
+    return this.decompressSummary(await this.openRecord(this.stores.summaries, record));
+  }
+
   // ===== COMPRESSION METHODS =====
 
   /**
-   * Compress transcript segment for storage
+   * Compress transcript segment for storage.
+   * The record carries a `codec` marker; when compression does not shrink the
+   * text it is stored as plain `text` with codec `none`.
    * @param {Object} segment - Transcript segment
    * @returns {Object} Compressed segment
    */
   compressTranscriptSegment(segment) {
+    const { text, ...fields } = segment;
+    const compressed = compressText(text.replace(/\s+/g, ' ').trim());
+
+    if (compressed.codec === CODECS.NONE) {
+      return { ...fields, text: compressed.data, codec: compressed.codec };
+    }
+
     return {
-      ...segment,
-      // Simple text compression - remove extra whitespace
-      text: segment.text.replace(/\s+/g, ' ').trim()
+      ...fields,
+      codec: compressed.codec,
+      payload: compressed.data,
+      originalSize: compressed.originalSize
     };
   }
 
   /**
-   * Decompress transcript segment from storage
+   * Decompress transcript segment from storage.
+   * Records saved before compression have no codec and are returned as-is.
    * @param {Object} segment - Compressed segment
    * @returns {Object} Decompressed segment
    */
   decompressTranscriptSegment(segment) {
-    return { ...segment };
+    const { codec, payload, originalSize, ...fields } = segment;
+
+    if (payload === undefined) {
+      return fields;
+    }
+
+    return {
+      ...fields,
+      text: decompressText(codec, payload, originalSize)
+    };
   }
 
   /**
-   * Compress summary for storage
+   * Compress summary for storage.
+   * Text fields and lists are serialized into one compressed payload.
    * @param {Object} summary - Summary data
    * @returns {Object} Compressed summary
    */
   compressSummary(summary) {
+    const collapse = (text) => text.replace(/\s+/g, ' ').trim();
+    const fields = { ...summary };
+    const payload = {};
+
+    SUMMARY_PAYLOAD_FIELDS.forEach(key => {
+      payload[key] = fields[key];
+      delete fields[key];
+    });
+
+    payload.content = collapse(payload.content);
+    payload.keyPoints = payload.keyPoints.map(collapse);
+    payload.decisions = payload.decisions.map(collapse);
+    payload.actionItems = payload.actionItems.map(collapse);
+    payload.quotes = payload.quotes.map(collapse);
+
+    const compressed = compressText(JSON.stringify(payload));
+
+    if (compressed.codec === CODECS.NONE) {
+      return { ...fields, ...payload, codec: compressed.codec };
+    }
+
     return {
-      ...summary,
-      // Compress text content
-      content: summary.content.replace(/\s+/g, ' ').trim(),
-      keyPoints: summary.keyPoints.map(point => point.replace(/\s+/g, ' ').trim()),
-      decisions: summary.decisions.map(decision => decision.replace(/\s+/g, ' ').trim()),
-      actionItems: summary.actionItems.map(item => item.replace(/\s+/g, ' ').trim()),
-      quotes: summary.quotes.map(quote => quote.replace(/\s+/g, ' ').trim())
+      ...fields,
+      codec: compressed.codec,
+      payload: compressed.data,
+      originalSize: compressed.originalSize
     };
   }
 
   /**
-   * Decompress summary from storage
+   * Decompress summary from storage.
+   * Records saved before compression have no codec and are returned as-is.
    * @param {Object} summary - Compressed summary
    * @returns {Object} Decompressed summary
    */
   decompressSummary(summary) {
-    return { ...summary };
+    const { codec, payload, originalSize, ...fields } = summary;
+
+    if (payload === undefined) {
+      return fields;
+    }
+
+    return {
+      ...fields,
+      ...JSON.parse(decompressText(codec, payload, originalSize))
+    };
+  }
+
+  /**
+   * Measure the stored and original size of a record's compressible payload
+   * @param {string} storeName - Store the record belongs to
+   * @param {Object} record - Stored record
+   * @returns {Object} Compressed and uncompressed size in bytes
+   */
+  getPayloadSizes(storeName, record) {
+    if (record.payload !== undefined) {
+      return { compressed: record.payload.byteLength, uncompressed: record.originalSize };
+    }
+
+    let size;
+    if (storeName === this.stores.summaries) {
+      const payload = {};
+      SUMMARY_PAYLOAD_FIELDS.forEach(key => {
+        payload[key] = record[key];
+      });
+      size = getByteLength(JSON.stringify(payload));
+    } else {
+      size = getByteLength(record.text);
+    }
+
+    return { compressed: size, uncompressed: size };
   }
 
   // ===== UTILITY METHODS =====
 
+  /**
+   * Key range covering every summary version of a session
+   * @param {string} sessionId - Session ID
+   * @returns {IDBKeyRange} Range over the sessionVersion index
+   */
+  getSummaryVersionRange(sessionId) {
+    return IDBKeyRange.bound([sessionId, 0], [sessionId, Infinity]);
+  }
+
+  /**
+   * Calculate session duration from its transcript segments
+   * @param {Array} segments - Transcript segments
+   * @returns {number} Duration in seconds
+   */
+  calculateSessionDuration(segments) {
+    if (!Array.isArray(segments) || segments.length === 0) {
+      return 0;
+    }
+
+    const start = Math.min(...segments.map(segment => segment.timestamp));
+    const end = Math.max(...segments.map(segment => segment.timestamp + (segment.duration || 0)));
+
+    return Math.max(0, Math.round((end - start) / 1000));
+  }
+
   /**
    * Generate a unique ID
    * @returns {string} Unique ID
@@ -1043,20 +4886,75 @@ class StorageService {
   }
 
   /**
-   * Highlight search term in text
+   * Highlight search term(s) in text
    * @param {string} text - Text to highlight
-   * @param {string} searchTerm - Term to highlight
+   * @param {string|Array<string>} searchTerm - Term or terms to highlight
    * @returns {string} Text with highlighted terms
    */
   highlightSearchTerm(text, searchTerm) {
-    if (!searchTerm || !text) {
+    const terms = (Array.isArray(searchTerm) ? searchTerm : [searchTerm]).filter(Boolean);
+
+    if (terms.length === 0 || !text) {
       return text;
     }
 
-    const regex = new RegExp(`(${searchTerm.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')})`, 'gi');
+    // Longest first so overlapping terms prefer the longer match
+    const pattern = terms
+      .sort((a, b) => b.length - a.length)
+      .map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+      .join('|');
+
+    const regex = new RegExp(`(${pattern})`, 'gi');
     return text.replace(regex, '<mark>$1</mark>');
   }
 
+  /**
+   * Register the full-text indexer that is updated on every write
+   * @param {Object|null} indexer - Indexer (SearchService) or null to detach
+   * @returns {void}
+   */
+  setSearchIndexer(indexer) {
+    this.searchIndexer = indexer;
+  }
+
+  /**
+   * Get the indexer to update on writes. Plaintext postings would leak the
+   * content of encrypted records, so there is none while encryption is enabled.
+   * @returns {Object|null} Active indexer
+   */
+  getSearchIndexer() {
+    return this.isEncryptionEnabled() ? null : this.searchIndexer;
+  }
+
+  /**
+   * Get the store names a write transaction needs, including the search index
+   * when an indexer is registered
+   * @param {string} storeName - Store being written
+   * @returns {Array<string>} Transaction scope
+   */
+  getWriteScope(storeName) {
+    return this.getSearchIndexer() ? [storeName, this.stores.searchIndex] : [storeName];
+  }
+
+  /**
+   * Set the function told when the backend fails to store committed writes.
+   * The data is still in memory then, but would be lost when the app closes.
+   * @param {Function|null} listener - Called with the error
+   */
+  setWriteErrorListener(listener) {
+    this.onWriteError = listener;
+  }
+
+  /**
+   * Wait until the backend has stored every write, e.g. before the window closes
+   * @returns {Promise<void>} Rejects when a write could not be stored
+   */
+  async flush() {
+    if (this.backend) {
+      await this.backend.flush();
+    }
+  }
+
   /**
    * Ensure the database is initialized
    * @returns {Promise<void>}
@@ -1087,19 +4985,18 @@ class StorageService {
     await this.ensureInitialized();
     
     return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction([
-        this.stores.sessions,
-        this.stores.transcripts,
-        this.stores.summaries,
-        this.stores.settings
-      ], 'readwrite');
+      const storeNames = Object.values(this.stores);
+      const transaction = this.db.transaction(storeNames, 'readwrite');
 
       let completed = 0;
-      const total = 4;
+      const total = storeNames.length;
 
       const checkComplete = () => {
         completed++;
         if (completed === total) {
+          // The encryption configuration was cleared with the settings
+          this.encryptionConfig = null;
+          this.encryption.lock();
           resolve();
         }
       };
@@ -1120,4 +5017,4 @@ class StorageService {
 const storageService = new StorageService();
 
 export default storageService;
-export { StorageService };
\ No newline at end of file
+export { StorageService, SESSION_PLAINTEXT_FIELDS };
\ No newline at end of file
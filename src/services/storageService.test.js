@@ -0,0 +1,726 @@
+import { IDBFactory } from 'fake-indexeddb';
+import { StorageService, SESSION_PLAINTEXT_FIELDS } from './storageService';
+import { IndexedDBBackend } from './storageBackends';
+import SearchService from './searchService';
+
+const PASSPHRASE = 'correct horse battery staple';
+
+// Fields sealRecord puts in place of the sealed ones
+const SEALED_RECORD_FIELDS = ['codec', 'payload', 'originalSize', 'iv'];
+
+/**
+ * Open a storage service on an empty database
+ * @returns {Promise<StorageService>} Initialized service
+ */
+const openEmptyStorage = async () => {
+  global.indexedDB = new IDBFactory();
+  const service = new StorageService({ backend: new IndexedDBBackend() });
+  // Fewer key derivation rounds keep the encryption tests fast
+  service.encryption.kdfConfig.iterations = 1000;
+  await service.initialize();
+  return service;
+};
+
+/**
+ * Read every page of a session listing
+ * @param {StorageService} service - Storage service
+ * @param {Object} options - getSessionsPage options
+ * @returns {Promise<Array<Array<Object>>>} Sessions of each page
+ */
+const readAllPages = async (service, options) => {
+  const pages = [];
+  let cursor = null;
+  do {
+    const page = await service.getSessionsPage({ ...options, cursor });
+    pages.push(page.sessions);
+    cursor = page.nextCursor;
+  } while (cursor);
+  return pages;
+};
+
+describe('StorageService', () => {
+  const originalIndexedDB = global.indexedDB;
+  let service;
+
+  beforeEach(async () => {
+    service = await openEmptyStorage();
+  });
+
+  afterEach(() => {
+    service.close();
+    global.indexedDB = originalIndexedDB;
+  });
+
+  describe('session pages', () => {
+    const TITLES = ['delta', 'Alpha', 'charlie', 'Bravo', 'echo'];
+
+    beforeEach(async () => {
+      for (const [index, title] of TITLES.entries()) {
+        const sessionId = await service.createSession({ title, tags: index % 2 === 0 ? ['backend'] : [] });
+        await service.updateSession(sessionId, {
+          date: new Date(Date.UTC(2024, 0, index + 1)).toISOString(),
+          duration: (index + 1) * 600,
+          status: 'completed'
+        });
+      }
+    });
+
+    it('pages through sessions by date, newest first', async () => {
+      const pages = await readAllPages(service, { pageSize: 2 });
+
+      expect(pages.map(page => page.length)).toEqual([2, 2, 1]);
+      expect(pages.flat().map(session => session.title)).toEqual(['echo', 'Bravo', 'charlie', 'Alpha', 'delta']);
+    });
+
+    it('sorts titles without regard to case', async () => {
+      const ascending = await readAllPages(service, { pageSize: 2, sortBy: 'title', order: 'asc' });
+      const descending = await readAllPages(service, { pageSize: 3, sortBy: 'title', order: 'desc' });
+
+      expect(ascending.flat().map(session => session.title)).toEqual(['Alpha', 'Bravo', 'charlie', 'delta', 'echo']);
+      expect(descending.flat().map(session => session.title)).toEqual(['echo', 'delta', 'charlie', 'Bravo', 'Alpha']);
+    });
+
+    it('applies filters to pages and totals', async () => {
+      const page = await service.getSessionsPage({ pageSize: 2, sortBy: 'duration', order: 'asc', tags: ['backend'] });
+
+      expect(page.sessions.map(session => session.title)).toEqual(['delta', 'charlie']);
+      expect(page.totalCount).toBe(3);
+      expect(page.nextCursor).not.toBeNull();
+    });
+
+    it('rejects a cursor from another sort order', async () => {
+      const { nextCursor } = await service.getSessionsPage({ pageSize: 2 });
+
+      await expect(service.getSessionsPage({ cursor: nextCursor, sortBy: 'title' }))
+        .rejects.toThrow('Session cursor was created for a different sort order');
+      await expect(service.getSessionsPage({ cursor: 'not a cursor' })).rejects.toThrow('Invalid session cursor');
+    });
+
+    it('keeps titles sealed and sorts them after decrypting while encrypted', async () => {
+      await service.enableEncryption(PASSPHRASE);
+
+      const records = await service.getAllRecords(service.stores.sessions);
+      records.forEach(record => {
+        expect(record).not.toHaveProperty('title');
+        expect(record).not.toHaveProperty('sortTitle');
+      });
+
+      const pages = await readAllPages(service, { pageSize: 2, sortBy: 'title', order: 'asc' });
+      expect(pages.map(page => page.length)).toEqual([2, 2, 1]);
+      expect(pages.flat().map(session => session.title)).toEqual(['Alpha', 'Bravo', 'charlie', 'delta', 'echo']);
+
+      const page = await service.getSessionsPage({ pageSize: 2, sortBy: 'title', tags: ['backend'] });
+      expect(page.sessions.map(session => session.title)).toEqual(['echo', 'delta']);
+      expect(page.totalCount).toBe(3);
+    });
+
+    it('merges encrypted sessions without storing the title in plaintext', async () => {
+      await service.enableEncryption(PASSPHRASE);
+      const [first, second] = await service.getSessions();
+
+      const mergedId = await service.mergeSessions([first.id, second.id]);
+
+      const merged = await service.getSession(mergedId);
+      expect(merged.title).toBe([first, second].sort((a, b) => Date.parse(a.date) - Date.parse(b.date))[0].title);
+
+      const records = await service.getAllRecords(service.stores.sessions);
+      expect(records).toHaveLength(TITLES.length - 1);
+      records.forEach(record => expect(record).not.toHaveProperty('title'));
+    });
+  });
+
+  describe('encryption at rest', () => {
+    let sessionId;
+    let folderId;
+
+    beforeEach(async () => {
+      folderId = await service.createFolder({ name: 'Hiring 2024' });
+      sessionId = await service.createSession({
+        title: 'Staff engineer loop',
+        tags: ['backend'],
+        folderId,
+        metadata: { notes: 'Strong on distributed systems' }
+      });
+      await service.enableEncryption(PASSPHRASE);
+    });
+
+    it('keeps only the documented session fields readable', async () => {
+      const validated = service.validateSessionData({ id: 'schema', date: new Date().toISOString() });
+      ['title', 'sortTitle', 'tags', 'metadata'].forEach(field => {
+        expect(validated).toHaveProperty(field);
+        expect(SESSION_PLAINTEXT_FIELDS).not.toContain(field);
+      });
+
+      const [record] = await service.getAllRecords(service.stores.sessions);
+      Object.keys(record).forEach(field => {
+        expect([...SESSION_PLAINTEXT_FIELDS, ...SEALED_RECORD_FIELDS]).toContain(field);
+      });
+      expect(service.getSealedFields(service.stores.sessions, validated).sort())
+        .toEqual(Object.keys(validated).filter(field => !SESSION_PLAINTEXT_FIELDS.includes(field)).sort());
+    });
+
+    it('stores no session or folder text in plaintext', async () => {
+      const records = [
+        ...await service.getAllRecords(service.stores.sessions),
+        ...await service.getAllRecords(service.stores.folders)
+      ];
+      const stored = JSON.stringify(records);
+
+      ['Staff engineer loop', 'staff engineer loop', 'backend', 'distributed systems', 'Hiring 2024'].forEach(text => {
+        expect(stored).not.toContain(text);
+      });
+
+      expect(await service.getSession(sessionId)).toMatchObject({
+        title: 'Staff engineer loop',
+        tags: ['backend'],
+        folderId,
+        metadata: { notes: 'Strong on distributed systems' }
+      });
+      expect((await service.getFolders()).map(folder => folder.name)).toEqual(['Hiring 2024']);
+    });
+
+    it('filters and counts sealed tags', async () => {
+      await service.addSessionTags([sessionId], ['system design']);
+
+      expect(await service.getTags()).toEqual([
+        { tag: 'backend', count: 1 },
+        { tag: 'system design', count: 1 }
+      ]);
+      expect((await service.getSessions({ tags: ['system design'] })).map(session => session.id)).toEqual([sessionId]);
+      expect(await service.countSessions({ tags: ['backend'] })).toBe(1);
+      expect((await service.getSessionsPage({ tags: ['frontend'] })).sessions).toEqual([]);
+
+      await service.removeSessionTags([sessionId], ['backend']);
+      expect((await service.getSession(sessionId)).tags).toEqual(['system design']);
+    });
+
+    it('changes folders and stars while locked but needs the key for tags', async () => {
+      service.lock();
+
+      await service.moveSessionsToFolder([sessionId], null);
+      await service.setSessionsStarred([sessionId]);
+      await expect(service.addSessionTags([sessionId], ['frontend'])).rejects.toThrow('Storage is locked');
+
+      await service.unlock(PASSPHRASE);
+      expect(await service.getSession(sessionId)).toMatchObject({ folderId: null, starred: true, tags: ['backend'] });
+    });
+
+    it('seals the glossary and prompt templates', async () => {
+      await service.disableEncryption(PASSPHRASE);
+      await service.setSummaryGlossary(['Jane Doe']);
+      await service.enableEncryption(PASSPHRASE);
+      await service.savePromptTemplate({
+        name: 'Acme loop',
+        summarization: 'Summarize the Acme interview:\n{{transcript}}',
+        incrementalUpdate: 'Update {{previousSummary}} with:\n{{transcript}}'
+      });
+
+      const stored = JSON.stringify(await service.getAllRecords(service.stores.settings));
+      ['Jane Doe', 'Acme'].forEach(text => expect(stored).not.toContain(text));
+
+      expect(await service.getSummaryGlossary()).toEqual(['Jane Doe']);
+      expect((await service.getUserPromptTemplates()).map(template => template.name)).toEqual(['Acme loop']);
+
+      service.lock();
+      await expect(service.getSummaryGlossary()).rejects.toThrow('Storage is locked');
+    });
+
+    it('re-encrypts quarantined records with the rest of the data', async () => {
+      const segment = { id: 'segment_1', sessionId, text: 'Quarantined answer', timestamp: 1000 };
+      const sealed = await service.sealRecord(service.stores.transcripts, segment);
+      await new Promise((resolve, reject) => {
+        const transaction = service.db.transaction([service.stores.quarantine], 'readwrite');
+        transaction.objectStore(service.stores.quarantine).add({
+          id: 'quarantine_1',
+          store: 'transcripts',
+          recordId: segment.id,
+          sessionId,
+          record: sealed,
+          issues: [],
+          quarantinedAt: 1000
+        });
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+      });
+
+      await service.rotateEncryptionKey(PASSPHRASE, 'a new passphrase');
+      const [rotated] = await service.getQuarantinedRecords();
+      expect(rotated.record.iv).not.toEqual(sealed.iv);
+      expect((await service.openRecord(service.stores.transcripts, rotated.record)).text).toBe('Quarantined answer');
+
+      await service.disableEncryption('a new passphrase');
+      const [plain] = await service.getQuarantinedRecords();
+      expect(plain.record).toMatchObject({ text: 'Quarantined answer' });
+      expect(plain.record).not.toHaveProperty('iv');
+    });
+
+    it('stores everything readable again when encryption is turned off', async () => {
+      await service.disableEncryption(PASSPHRASE);
+
+      const [record] = await service.getAllRecords(service.stores.sessions);
+      expect(record).toMatchObject({ title: 'Staff engineer loop', tags: ['backend'] });
+      expect(record).not.toHaveProperty('iv');
+      expect(await service.getTags()).toEqual([{ tag: 'backend', count: 1 }]);
+      expect((await service.getAllRecords(service.stores.folders))[0].name).toBe('Hiring 2024');
+    });
+  });
+
+  describe('tags and folders', () => {
+    let ids;
+
+    beforeEach(async () => {
+      ids = [];
+      for (const title of ['Backend loop', 'Frontend loop', 'Phone screen']) {
+        ids.push(await service.createSession({ title }));
+      }
+    });
+
+    const listTitles = async (options) => (await service.getSessions(options)).map(session => session.title).sort();
+
+    it('filters sessions by every tag asked for', async () => {
+      await service.addSessionTags(ids.slice(0, 2), [' onsite ', 'Acme  Corp']);
+      await service.addSessionTags([ids[0]], ['backend', 'onsite']);
+      await service.removeSessionTags([ids[1]], ['Acme Corp']);
+
+      expect(await listTitles({ tags: ['onsite'] })).toEqual(['Backend loop', 'Frontend loop']);
+      expect(await listTitles({ tags: ['onsite', 'Acme Corp'] })).toEqual(['Backend loop']);
+      expect(await listTitles({ tags: ['remote'] })).toEqual([]);
+      expect((await service.getSession(ids[0])).tags).toEqual(['onsite', 'Acme Corp', 'backend']);
+      expect(await service.getTags()).toEqual([
+        { tag: 'Acme Corp', count: 1 },
+        { tag: 'backend', count: 1 },
+        { tag: 'onsite', count: 2 }
+      ]);
+      await expect(service.addSessionTags(ids, ['onsite', 3])).rejects.toThrow('Session tags must be an array of strings');
+    });
+
+    it('filters sessions by folder and star, and keeps the sessions of a deleted folder', async () => {
+      const folderId = await service.createFolder({ name: 'Acme' });
+      await service.moveSessionsToFolder(ids.slice(0, 2), folderId);
+      await service.setSessionsStarred([ids[1], ids[2]]);
+
+      expect(await listTitles({ folderId })).toEqual(['Backend loop', 'Frontend loop']);
+      expect(await listTitles({ folderId: null })).toEqual(['Phone screen']);
+      expect(await listTitles({ folderId, starred: true })).toEqual(['Frontend loop']);
+      expect(await listTitles({ starred: false })).toEqual(['Backend loop']);
+      await expect(service.moveSessionsToFolder(ids, 'folder_gone')).rejects.toThrow('Folder not found: folder_gone');
+      await expect(service.createFolder({ name: 'Acme' })).rejects.toThrow();
+
+      expect(await service.deleteFolder(folderId)).toBe(2);
+      expect(await listTitles({ folderId: null })).toEqual(['Backend loop', 'Frontend loop', 'Phone screen']);
+    });
+  });
+
+  describe('trash', () => {
+    const DAY = 24 * 60 * 60 * 1000;
+
+    /**
+     * Store a session with a searchable transcript
+     * @param {string} title - Session title
+     * @returns {Promise<string>} Session ID
+     */
+    const createSearchableSession = async (title) => {
+      const sessionId = await service.createSession({ title });
+      await service.saveTranscriptSegments(sessionId, [{ text: `The ${title} used a write-through cache`, timestamp: 1000 }]);
+      return sessionId;
+    };
+
+    const searchSessionIds = async () => (await service.search('cache')).transcripts.map(result => result.sessionId).sort();
+
+    it('hides trashed sessions from lists and search until they are restored', async () => {
+      const keptId = await createSearchableSession('kept');
+      const trashedId = await createSearchableSession('trashed');
+
+      const deletedAt = await service.deleteSession(trashedId);
+
+      expect((await service.getSessions()).map(session => session.id)).toEqual([keptId]);
+      expect(await searchSessionIds()).toEqual([keptId]);
+      expect(await service.getTrashedSessions()).toEqual([expect.objectContaining({ id: trashedId, title: 'trashed', deletedAt })]);
+
+      await service.restoreSession(trashedId);
+
+      expect((await service.getSessions()).map(session => session.id).sort()).toEqual([keptId, trashedId].sort());
+      expect(await searchSessionIds()).toEqual([keptId, trashedId].sort());
+      expect(await service.getTrashedSessions()).toEqual([]);
+    });
+
+    it('purges sessions that stayed in the trash past the retention period', async () => {
+      const recentId = await createSearchableSession('recent');
+      const expiredId = await createSearchableSession('expired');
+      await service.deleteSession(recentId);
+      await service.deleteSession(expiredId);
+      await service.updateSessionRecords([expiredId], session => ({ ...session, deletedAt: Date.now() - 10 * DAY }));
+      await service.setTrashRetention(7);
+
+      expect(await service.purgeExpiredTrash()).toBe(1);
+
+      expect(await service.getSession(expiredId)).toBeNull();
+      expect(await service.getTranscriptSegments(expiredId)).toEqual([]);
+      expect((await service.getTrashedSessions()).map(session => session.id)).toEqual([recentId]);
+      expect((await service.getPurgeLog({ sessionId: expiredId })).map(entry => entry.reason)).toContain('trash-expired');
+
+      expect(await service.emptyTrash()).toBe(1);
+      expect(await service.getSession(recentId)).toBeNull();
+      expect((await service.getPurgeLog({ sessionId: recentId })).map(entry => entry.reason)).toContain('trash-emptied');
+      await expect(service.setTrashRetention(0)).rejects.toThrow('Trash retention days must be a positive number');
+    });
+  });
+
+  describe('retention cleanup', () => {
+    const DAY = 24 * 60 * 60 * 1000;
+
+    /**
+     * Store a completed session of some days ago with a transcript, summary and recording
+     * @param {number} daysAgo - Age of the session
+     * @returns {Promise<string>} Session ID
+     */
+    const createOldSession = async (daysAgo) => {
+      const sessionId = await service.createSession({ title: `${daysAgo} days ago` });
+      await service.updateSession(sessionId, { date: new Date(Date.now() - daysAgo * DAY).toISOString(), status: 'completed' });
+      await service.saveTranscriptSegments(sessionId, [{ text: 'Walk me through the design', timestamp: 1000 }]);
+      await service.saveSummary(sessionId, { content: 'Summary' });
+      await service.saveAudioRecording(sessionId, Uint8Array.from([1, 2]), { sessionOffset: 0, duration: 1000, mimeType: 'audio/webm' });
+      return sessionId;
+    };
+
+    it('keeps sessions while a data type with a longer period needs them', async () => {
+      const recentId = await createOldSession(45);
+      const oldId = await createOldSession(100);
+      await service.setRetentionPolicies({ sessions: 30, transcripts: 90, audio: 7 });
+
+      const results = await service.cleanupOldData(null, { maxBytes: null });
+
+      expect(results).toMatchObject({ sessionsDeleted: 1, audioDeleted: 1, summariesDeleted: 1, transcriptsDeleted: 0 });
+      expect(await service.getSession(oldId)).toBeNull();
+      expect(await service.getSession(recentId)).not.toBeNull();
+      expect(await service.getTranscriptSegments(recentId)).toHaveLength(1);
+      expect(await service.getSummaryHistory(recentId)).toEqual([]);
+      expect(await service.getAudioRecordings(recentId)).toEqual([]);
+    });
+
+    it('keeps starred sessions and sessions in protected folders, with all their data', async () => {
+      const starredId = await createOldSession(100);
+      const protectedId = await createOldSession(100);
+      const unprotectedId = await createOldSession(100);
+      const partlyExpiredId = await createOldSession(45);
+      const protectedFolderId = await service.createFolder({ name: 'Hired', isProtected: true });
+      const folderId = await service.createFolder({ name: 'Rejected' });
+      await service.setSessionsStarred([starredId, partlyExpiredId]);
+      await service.moveSessionsToFolder([protectedId], protectedFolderId);
+      await service.moveSessionsToFolder([unprotectedId], folderId);
+      await service.setRetentionPolicies({ sessions: 90, audio: 7 });
+
+      const results = await service.cleanupOldData(null, { maxBytes: null });
+
+      expect(results).toMatchObject({ sessionsDeleted: 1, sessionsProtected: 2, audioDeleted: 0 });
+      expect(await service.getSession(unprotectedId)).toBeNull();
+      for (const sessionId of [starredId, protectedId, partlyExpiredId]) {
+        expect(await service.getAudioRecordings(sessionId)).toHaveLength(1);
+        expect(await service.getTranscriptSegments(sessionId)).toHaveLength(1);
+      }
+
+      await service.updateFolder(protectedFolderId, { isProtected: false });
+      expect((await service.cleanupOldData(null, { maxBytes: null })).sessionsDeleted).toBe(1);
+      expect(await service.getSession(protectedId)).toBeNull();
+    });
+
+    it('purges whole sessions at the session retention when every data type is shorter', async () => {
+      const sessionId = await createOldSession(45);
+      await service.setRetentionPolicies({ sessions: 30, audio: 7 });
+
+      const results = await service.cleanupOldData(null, { maxBytes: null });
+
+      expect(results).toMatchObject({ sessionsDeleted: 1, audioDeleted: 0 });
+      expect(await service.getSession(sessionId)).toBeNull();
+    });
+  });
+
+  describe('size-based cleanup', () => {
+    const DAY = 24 * 60 * 60 * 1000;
+
+    /**
+     * Store a session of some days ago with a 20 KB recording
+     * @param {number} daysAgo - Age of the session
+     * @returns {Promise<string>} Session ID
+     */
+    const createLargeSession = async (daysAgo) => {
+      const sessionId = await service.createSession({ title: `${daysAgo} days ago` });
+      await service.updateSession(sessionId, { date: new Date(Date.now() - daysAgo * DAY).toISOString(), status: 'completed' });
+      await service.saveAudioRecording(sessionId, new Uint8Array(20000), { sessionOffset: 0, duration: 1000, mimeType: 'audio/webm' });
+      return sessionId;
+    };
+
+    it('purges trashed, then the oldest unprotected sessions until the data fits the limit', async () => {
+      const starredId = await createLargeSession(4);
+      const oldestId = await createLargeSession(3);
+      const olderId = await createLargeSession(2);
+      const newestId = await createLargeSession(1);
+      const trashedId = await createLargeSession(0);
+      await service.setSessionsStarred([starredId]);
+      await service.deleteSession(trashedId);
+
+      const sizes = new Map((await service.getSessionSizes()).map(entry => [entry.sessionId, entry.size]));
+      const { totalSize } = await service.measureStorage();
+      // Fits once the trashed and the oldest unstarred session are gone
+      const maxBytes = totalSize - sizes.get(trashedId) - sizes.get(oldestId) + 1;
+
+      const results = await service.cleanupOldData(3650, { maxBytes });
+
+      expect(results).toMatchObject({ sessionsDeleted: 0, sessionsDeletedForSize: 2 });
+      expect(await service.getSession(trashedId)).toBeNull();
+      expect(await service.getSession(oldestId)).toBeNull();
+      for (const sessionId of [starredId, olderId, newestId]) {
+        expect(await service.getSession(sessionId)).not.toBeNull();
+      }
+      expect(await service.getPurgeLog({ sessionId: oldestId })).toEqual(
+        expect.arrayContaining([expect.objectContaining({ reason: 'size-limit', maxBytes })])
+      );
+    });
+
+    it('uses the size limit setting and never purges protected sessions to reach it', async () => {
+      const starredId = await createLargeSession(2);
+      const newestId = await createLargeSession(1);
+      await service.setSessionsStarred([starredId]);
+      await service.setRetentionSizeLimit(1000);
+
+      const results = await service.cleanupOldData(3650);
+
+      expect(results.sessionsDeletedForSize).toBe(1);
+      expect(await service.getSession(newestId)).toBeNull();
+      expect(await service.getSession(starredId)).not.toBeNull();
+      await expect(service.setRetentionSizeLimit(-1)).rejects.toThrow('Retention size limit must be a positive number of bytes or null');
+    });
+  });
+
+  describe('merge and split', () => {
+    const START = Date.parse('2024-03-01T10:00:00.000Z');
+    let sessionId;
+    let searchService;
+
+    /**
+     * Texts and session times of a session's transcript
+     * @param {string} id - Session ID
+     * @returns {Promise<Array>} `[text, relativeTime]` per segment
+     */
+    const readTranscript = async (id) => (await service.getTranscriptSegments(id))
+      .map(segment => [segment.text, segment.relativeTime]);
+
+    beforeEach(async () => {
+      searchService = new SearchService(service);
+      await searchService.initialize();
+
+      sessionId = await service.createSession({ title: 'Loop', tags: ['backend'] });
+      await service.updateSession(sessionId, { date: new Date(START).toISOString(), status: 'completed', duration: 180 });
+      await service.saveTranscriptSegments(sessionId, [
+        { text: 'Intro to caching', timestamp: START, relativeTime: 0 },
+        { text: 'Second interview begins', timestamp: START + 60000, relativeTime: 60000 },
+        { text: 'Kafka partitions', timestamp: START + 120000, relativeTime: 120000 }
+      ]);
+      await service.saveAnnotation(sessionId, { type: 'note', relativeTime: 90000, text: 'Strong on streaming' });
+      await service.saveAudioRecording(sessionId, Uint8Array.from([1]), { sessionOffset: 0, duration: 70000, mimeType: 'audio/webm' });
+      await service.saveAudioRecording(sessionId, Uint8Array.from([2]), { sessionOffset: 100000, duration: 20000, mimeType: 'audio/webm' });
+      await service.saveSummary(sessionId, { content: 'Caching and Kafka' });
+    });
+
+    it('moves everything from the split point to a new session', async () => {
+      const splitId = await service.splitSession(sessionId, 60000);
+
+      expect(await service.getSession(splitId)).toMatchObject({
+        date: new Date(START + 60000).toISOString(),
+        title: 'Loop (part 2)',
+        tags: ['backend'],
+        splitFromSessionId: sessionId
+      });
+      expect((await service.getSession(sessionId)).duration).toBe(60);
+      expect(await readTranscript(sessionId)).toEqual([['Intro to caching', 0]]);
+      expect(await readTranscript(splitId)).toEqual([['Second interview begins', 0], ['Kafka partitions', 60000]]);
+      expect((await service.getAnnotations(splitId)).map(annotation => annotation.relativeTime)).toEqual([30000]);
+      // The first recording runs across the split point and stays
+      expect((await service.getAudioRecordings(sessionId)).map(recording => recording.sessionOffset)).toEqual([0]);
+      expect((await service.getAudioRecordings(splitId)).map(recording => recording.sessionOffset)).toEqual([40000]);
+    });
+
+    it('marks the summaries of the first part stale and finds the second part in search', async () => {
+      const splitId = await service.splitSession(sessionId, 60000);
+
+      const [summary] = await service.getSummaryHistory(sessionId);
+      expect(summary).toMatchObject({ content: 'Caching and Kafka', staleReason: 'split' });
+      expect(typeof summary.staleAt).toBe('number');
+      expect(await service.getSummaryHistory(splitId)).toEqual([]);
+
+      const results = await searchService.search('kafka', { types: ['transcript'] });
+      expect(results.map(result => [result.record.text, result.sessionId])).toEqual([['Kafka partitions', splitId]]);
+    });
+
+    it('rejects a split point that leaves a part without transcript', async () => {
+      await expect(service.splitSession(sessionId, 500000)).rejects.toThrow('The split point must leave transcript segments in both parts');
+      await expect(service.splitSession(sessionId, 0)).rejects.toThrow('Split point must be a positive number of milliseconds');
+      expect(await readTranscript(sessionId)).toHaveLength(3);
+    });
+
+    it('merges the parts back into the earliest session', async () => {
+      const splitId = await service.splitSession(sessionId, 60000);
+      await service.saveSummary(splitId, { content: 'Kafka only' });
+
+      const mergedId = await service.mergeSessions([splitId, sessionId]);
+
+      expect(mergedId).toBe(sessionId);
+      expect(await service.getSession(splitId)).toBeNull();
+      expect(await service.getSession(sessionId)).toMatchObject({ title: 'Loop', mergedSessionIds: [splitId] });
+      expect(await readTranscript(sessionId)).toEqual([
+        ['Intro to caching', 0],
+        ['Second interview begins', 60000],
+        ['Kafka partitions', 120000]
+      ]);
+      expect((await service.getAnnotations(sessionId)).map(annotation => annotation.relativeTime)).toEqual([90000]);
+      expect((await service.getAudioRecordings(sessionId)).map(recording => recording.sessionOffset).sort()).toEqual([0, 100000]);
+
+      const history = await service.getSummaryHistory(sessionId);
+      expect(history.map(summary => [summary.content, summary.version, summary.staleReason])).toEqual([
+        ['Kafka only', 2, 'merged'],
+        ['Caching and Kafka', 1, 'merged']
+      ]);
+      expect(history[0].previousSummaryId).toBe(history[1].id);
+
+      const results = await searchService.search('kafka', { types: ['transcript'] });
+      expect(results.map(result => result.sessionId)).toEqual([sessionId]);
+    });
+
+    it('refuses to merge a session in the trash', async () => {
+      const otherId = await service.createSession({ title: 'Other' });
+      await service.updateSession(otherId, { status: 'completed' });
+      await service.deleteSession(otherId);
+
+      await expect(service.mergeSessions([sessionId, otherId])).rejects.toThrow(`Session is in the trash and cannot be merged: ${otherId}`);
+      await expect(service.mergeSessions([sessionId])).rejects.toThrow('At least two sessions are needed for a merge');
+    });
+  });
+
+  describe('autosave and recovery', () => {
+    const SEGMENTS = [
+      { id: 'segment_1', text: 'Tell me about a cache', timestamp: 1000 },
+      { id: 'segment_2', text: 'We measured first', timestamp: 61000 }
+    ];
+
+    it('keeps an autosaved recording recoverable until it is finalized', async () => {
+      await service.autosaveSession({ id: 'session_live', duration: 30, transcript: SEGMENTS.slice(0, 1) });
+      await service.autosaveSession({ id: 'session_live', transcript: SEGMENTS.slice(1), summaries: [{ content: 'Draft' }] });
+      await service.createSession({ title: 'Never autosaved', status: 'active' });
+
+      const [recoverable, ...others] = await service.getRecoverableSessions();
+      expect(others).toEqual([]);
+      expect(recoverable).toMatchObject({ id: 'session_live', status: 'active', duration: 30, segmentCount: 2 });
+      expect(recoverable.lastAutosavedAt).toEqual(expect.any(Number));
+      expect((await service.getSummary('session_live')).content).toBe('Draft');
+
+      await service.finalizeRecoveredSession('session_live');
+
+      expect(await service.getSession('session_live')).toMatchObject({
+        status: 'completed',
+        duration: 60,
+        recoveredAt: expect.any(Number)
+      });
+      expect(await service.getRecoverableSessions()).toEqual([]);
+      await expect(service.autosaveSession({ id: 'session_live', transcript: [] }))
+        .rejects.toThrow('Session already finalized: session_live');
+    });
+
+    it('finalizes an autosaved recording with the full transcript', async () => {
+      await service.autosaveSession({ id: 'session_live', transcript: SEGMENTS.slice(0, 1) });
+
+      await service.finalizeSession({ id: 'session_live', title: 'Loop', transcript: SEGMENTS, summary: { content: 'Final' } });
+
+      expect(await service.getSession('session_live')).toMatchObject({ status: 'completed', title: 'Loop' });
+      expect((await service.getTranscriptSegments('session_live')).map(segment => segment.id)).toEqual(['segment_1', 'segment_2']);
+      expect(await service.getRecoverableSessions()).toEqual([]);
+    });
+
+    it('does not offer trashed recordings for recovery', async () => {
+      await service.autosaveSession({ id: 'session_live', transcript: SEGMENTS });
+      await service.deleteSession('session_live');
+
+      expect(await service.getRecoverableSessions()).toEqual([]);
+      await expect(service.autosaveSession({ transcript: SEGMENTS })).rejects.toThrow('Autosave requires session data with an ID');
+      await expect(service.finalizeRecoveredSession('session_gone')).rejects.toThrow('Session not found: session_gone');
+    });
+  });
+
+  describe('summary versions', () => {
+    it('numbers versions per session and lists them newest first', async () => {
+      const sessionId = await service.createSession({ title: 'Loop' });
+      const otherId = await service.createSession({ title: 'Other' });
+      const firstId = await service.saveSummary(sessionId, { content: 'First', keyPoints: ['Caching'] });
+      await service.saveSummary(otherId, { content: 'Other session' });
+      const secondId = await service.saveSummary(sessionId, { content: 'Second' });
+
+      // Saving a stored ID again updates that version in place
+      await service.saveSummary(sessionId, { id: firstId, content: 'First, edited' });
+
+      const history = await service.getSummaryHistory(sessionId);
+      expect(history.map(summary => [summary.content, summary.version, summary.previousSummaryId])).toEqual([
+        ['Second', 2, firstId],
+        ['First, edited', 1, null]
+      ]);
+      expect((await service.getSummary(sessionId)).id).toBe(secondId);
+      expect((await service.getSummaryHistory(otherId)).map(summary => summary.version)).toEqual([1]);
+    });
+
+    it('restores an earlier version as a new latest version', async () => {
+      const sessionId = await service.createSession({ title: 'Loop' });
+      const firstId = await service.saveSummary(sessionId, { content: 'First', keyPoints: ['Caching'] });
+      const secondId = await service.saveSummary(sessionId, { content: 'Second' });
+
+      const restoredId = await service.restoreSummaryVersion(sessionId, firstId);
+
+      const restored = await service.getSummary(sessionId);
+      expect(restored).toMatchObject({
+        id: restoredId,
+        content: 'First',
+        keyPoints: ['Caching'],
+        version: 3,
+        previousSummaryId: secondId,
+        source: 'restored',
+        restoredFromId: firstId
+      });
+      expect((await service.getSummaryHistory(sessionId)).map(summary => summary.id)).toEqual([restoredId, secondId, firstId]);
+      await expect(service.restoreSummaryVersion(sessionId, 'summary_missing'))
+        .rejects.toThrow('Summary version not found: summary_missing');
+    });
+  });
+
+  describe('prompt templates', () => {
+    const TEMPLATE = {
+      name: 'Acme loop',
+      summarization: 'Summarize:\n{{transcript}}',
+      incrementalUpdate: 'Update {{previousSummary}} with:\n{{transcript}}'
+    };
+
+    it('versions a template when its prompts change', async () => {
+      const saved = await service.savePromptTemplate(TEMPLATE);
+      const renamed = await service.savePromptTemplate({ ...saved, name: 'Acme onsite' });
+      const changed = await service.savePromptTemplate({ ...renamed, summarization: 'Summarize briefly:\n{{transcript}}' });
+
+      expect([saved.version, renamed.version, changed.version]).toEqual([1, 1, 2]);
+      expect(await service.getUserPromptTemplates()).toEqual([changed]);
+      await expect(service.savePromptTemplate({ ...TEMPLATE, incrementalUpdate: 'Update' }))
+        .rejects.toThrow('Invalid prompt template: Incremental update prompt must contain {{transcript}}; Incremental update prompt must contain {{previousSummary}}');
+    });
+
+    it('keeps the template reference of a summary', async () => {
+      const template = await service.savePromptTemplate(TEMPLATE);
+      await service.setActivePromptTemplate(template.id);
+      const sessionId = await service.createSession({ title: 'Loop' });
+
+      await service.saveSummary(sessionId, { content: 'Summary', promptTemplate: { id: template.id, version: 1, name: 'Acme loop' } });
+      await service.saveSummary(sessionId, { content: 'Without template' });
+
+      const [latest, first] = await service.getSummaryHistory(sessionId);
+      expect(first.promptTemplate).toEqual({ id: template.id, version: 1, name: 'Acme loop' });
+      expect(latest.promptTemplate).toBeNull();
+      expect((await service.getActivePromptTemplate()).id).toBe(template.id);
+
+      await service.deletePromptTemplate(template.id);
+      expect((await service.getActivePromptTemplate()).id).toBe('general');
+    });
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * Storage usage - Byte estimates and quota information for StorageService
+ *
+ * IndexedDB does not report how much space a store or record takes, so sizes
+ * are estimated from the stored values: strings count their UTF-8 bytes,
+ * binary data its byte length and every field name and number a fixed amount.
+ * The estimates are meant for comparing sessions and stores and for size-based
+ * retention; the browser's own figure for the whole origin comes from
+ * `navigator.storage.estimate()`.
+ */
+
+import { getByteLength } from '../utils/compressionUtils';
+
+/**
+ * Share of the quota at which storage counts as nearly full
+ */
+export const QUOTA_WARNING_RATIO = 0.8;
+
+// Approximate size of a number, boolean or null in a stored record
+const PRIMITIVE_SIZE = 8;
+
+/**
+ * Estimate the number of bytes a value takes when stored
+ * @param {*} value - Stored value
+ * @returns {number} Estimated size in bytes
+ */
+export const estimateRecordSize = (value) => {
+  if (value === null || value === undefined) {
+    return 0;
+  }
+
+  if (typeof value === 'string') {
+    return getByteLength(value);
+  }
+
+  if (typeof value !== 'object') {
+    return PRIMITIVE_SIZE;
+  }
+
+  if (value instanceof ArrayBuffer || ArrayBuffer.isView(value)) {
+    return value.byteLength;
+  }
+
+  if (typeof Blob !== 'undefined' && value instanceof Blob) {
+    return value.size;
+  }
+
+  // Binary data the file backend keeps in a file of its own (see fileStore.js)
+  if (typeof value.$file === 'string' && typeof value.byteLength === 'number') {
+    return value.byteLength;
+  }
+
+  if (value instanceof Date) {
+    return PRIMITIVE_SIZE;
+  }
+
+  if (Array.isArray(value)) {
+    return value.reduce((total, item) => total + estimateRecordSize(item), 0);
+  }
+
+  return Object.entries(value).reduce(
+    (total, [key, item]) => total + getByteLength(key) + estimateRecordSize(item),
+    0
+  );
+};
+
+/**
+ * Get the browser's usage and quota for this origin
+ * @returns {Promise<Object|null>} `{usage, quota, available, usageRatio}` in bytes, or null where the Storage API is not available
+ */
+export const getQuotaEstimate = async () => {
+  if (typeof navigator === 'undefined' || !navigator.storage || typeof navigator.storage.estimate !== 'function') {
+    return null;
+  }
+
+  const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+
+  return {
+    usage,
+    quota,
+    available: Math.max(0, quota - usage),
+    usageRatio: quota > 0 ? usage / quota : 0
+  };
+};
+
+/**
+ * Choose the sessions to purge so the stored data fits a size limit.
+ * Sessions already in the trash go first (oldest deletion first), then the
+ * oldest sessions; protected sessions are never chosen.
+ * @param {Array<Object>} sessions - Session sizes: `{sessionId, date, deletedAt, size, isProtected}`
+ * @param {Object} limit - Size limit
+ * @param {number} limit.totalSize - Current size of all stored data in bytes
+ * @param {number} limit.maxBytes - Size to stay under in bytes
+ * @returns {Array<string>} Session IDs to purge, in order
+ */
+export const selectSessionsOverSizeLimit = (sessions, { totalSize, maxBytes }) => {
+  let remaining = totalSize;
+  const selected = [];
+
+  const candidates = sessions
+    .filter(session => session.deletedAt || !session.isProtected)
+    .sort((a, b) => {
+      if (Boolean(a.deletedAt) !== Boolean(b.deletedAt)) {
+        return a.deletedAt ? -1 : 1;
+      }
+      if (a.deletedAt) {
+        return a.deletedAt - b.deletedAt;
+      }
+      return new Date(a.date) - new Date(b.date);
+    });
+
+  for (const session of candidates) {
+    if (remaining <= maxBytes) {
+      break;
+    }
+    selected.push(session.sessionId);
+    remaining -= session.size;
+  }
+
+  return selected;
+};
@@ -0,0 +1,129 @@
+/**
+ * Summary schema - The JSON structure summaries and scorecards from the model must have
+ *
+ * SUMMARY_RESPONSE_SCHEMA and SCORECARD_RESPONSE_SCHEMA are JSON Schemas. validateAgainstSchema checks a
+ * value against the part of JSON Schema these schemas use (`type`,
+ * `required`, `properties`, `items` and `minLength`) and lists every problem
+ * with its path, so the model can be asked to fix them. Properties the schema
+ * does not name are allowed and ignored.
+ */
+
+const STRING_LIST = { type: 'array', items: { type: 'string', minLength: 1 } };
+
+export const SUMMARY_RESPONSE_SCHEMA = {
+  type: 'object',
+  required: ['content', 'keyPoints', 'decisions', 'actionItems', 'quotes', 'topics'],
+  properties: {
+    content: { type: 'string', minLength: 1 },
+    keyPoints: STRING_LIST,
+    decisions: STRING_LIST,
+    actionItems: STRING_LIST,
+    quotes: STRING_LIST,
+    topics: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['name', 'points'],
+        properties: {
+          name: { type: 'string', minLength: 1 },
+          points: STRING_LIST
+        }
+      }
+    }
+  }
+};
+
+// Ratings may be null and are checked against the rubric's scale (see scorecards.js)
+export const SCORECARD_RESPONSE_SCHEMA = {
+  type: 'object',
+  required: ['competencies'],
+  properties: {
+    competencies: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['id', 'rationale', 'evidence', 'missingSignals'],
+        properties: {
+          id: { type: 'string', minLength: 1 },
+          rationale: { type: 'string' },
+          evidence: STRING_LIST,
+          missingSignals: STRING_LIST
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Get the JSON Schema type of a value
+ * @param {*} value - Value
+ * @returns {string} 'null', 'array', 'integer', 'number', 'string', 'boolean' or 'object'
+ */
+const getJsonType = (value) => {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  if (Number.isInteger(value)) {
+    return 'integer';
+  }
+  return typeof value;
+};
+
+/**
+ * Check a value against a schema
+ * @param {*} value - Value
+ * @param {Object} schema - JSON Schema
+ * @param {string} [path='response'] - Path of the value, used in the messages
+ * @returns {Array<string>} Problems found; empty when the value is valid
+ */
+export const validateAgainstSchema = (value, schema, path = 'response') => {
+  const type = getJsonType(value);
+  const expected = schema.type;
+
+  if (expected && !(type === expected || (expected === 'number' && type === 'integer'))) {
+    return [`${path} must be ${expected === 'array' || expected === 'object' || expected === 'integer' ? 'an' : 'a'} ${expected}, not ${type}`];
+  }
+
+  const errors = [];
+
+  if (type === 'string' && schema.minLength && value.trim().length < schema.minLength) {
+    errors.push(`${path} must not be empty`);
+  }
+
+  if (type === 'array' && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validateAgainstSchema(item, schema.items, `${path}[${index}]`));
+    });
+  }
+
+  if (type === 'object') {
+    (schema.required || [])
+      .filter(name => value[name] === undefined)
+      .forEach(name => errors.push(`${path}.${name} is required`));
+
+    Object.entries(schema.properties || {})
+      .filter(([name]) => value[name] !== undefined)
+      .forEach(([name, propertySchema]) => {
+        errors.push(...validateAgainstSchema(value[name], propertySchema, `${path}.${name}`));
+      });
+  }
+
+  return errors;
+};
+
+/**
+ * Check a summary response from the model
+ * @param {*} value - Parsed response
+ * @returns {Array<string>} Problems found; empty when the response is valid
+ */
+export const validateSummaryResponse = (value) => validateAgainstSchema(value, SUMMARY_RESPONSE_SCHEMA);
+
+/**
+ * Check a scorecard response from the model
+ * @param {*} value - Parsed response
+ * @returns {Array<string>} Problems found; empty when the response is valid
+ */
+export const validateScorecardResponse = (value) => validateAgainstSchema(value, SCORECARD_RESPONSE_SCHEMA);
@@ -0,0 +1,58 @@
+import { validateAgainstSchema, validateScorecardResponse, validateSummaryResponse } from './summarySchema';
+
+const VALID_SUMMARY = {
+  content: 'The candidate walked through a caching design.',
+  keyPoints: ['Uses a write-through cache'],
+  decisions: [],
+  actionItems: ['Send the take-home task'],
+  quotes: ['We measured before we optimized'],
+  topics: [{ name: 'Caching', points: ['Eviction by LRU'] }]
+};
+
+describe('summary schema', () => {
+  it('accepts a complete summary and ignores extra properties', () => {
+    expect(validateSummaryResponse(VALID_SUMMARY)).toEqual([]);
+    expect(validateSummaryResponse({ ...VALID_SUMMARY, confidence: 0.9 })).toEqual([]);
+  });
+
+  it('lists every problem with its path', () => {
+    const { decisions, ...withoutDecisions } = VALID_SUMMARY;
+
+    expect(validateSummaryResponse({
+      ...withoutDecisions,
+      content: '  ',
+      keyPoints: 'Uses a cache',
+      topics: [{ name: 'Caching', points: ['', 3] }]
+    })).toEqual([
+      'response.decisions is required',
+      'response.content must not be empty',
+      'response.keyPoints must be an array, not string',
+      'response.topics[0].points[0] must not be empty',
+      'response.topics[0].points[1] must be a string, not integer'
+    ]);
+  });
+
+  it('rejects a response that is not an object', () => {
+    expect(validateSummaryResponse(null)).toEqual(['response must be an object, not null']);
+    expect(validateSummaryResponse([VALID_SUMMARY])).toEqual(['response must be an object, not array']);
+  });
+
+  it('accepts integers where numbers are expected', () => {
+    expect(validateAgainstSchema(3, { type: 'number' })).toEqual([]);
+    expect(validateAgainstSchema(3.5, { type: 'integer' }, 'score')).toEqual(['score must be an integer, not number']);
+  });
+});
+
+describe('scorecard schema', () => {
+  it('requires the fields of each competency but leaves ratings to the rubric', () => {
+    const competency = { id: 'coding', rating: null, rationale: '', evidence: [], missingSignals: ['Testing'] };
+
+    expect(validateScorecardResponse({ competencies: [competency, { ...competency, rating: 7 }] })).toEqual([]);
+    expect(validateScorecardResponse({ competencies: [{ name: 'Coding', evidence: 'I tested it' }] })).toEqual([
+      'response.competencies[0].id is required',
+      'response.competencies[0].rationale is required',
+      'response.competencies[0].missingSignals is required',
+      'response.competencies[0].evidence must be an array, not string'
+    ]);
+  });
+});
@@ -0,0 +1,179 @@
+/**
+ * Token budget - Token accounting and the budget for AI requests
+ *
+ * Every request AIService sends is counted: the provider's usage metadata
+ * when it reports it, otherwise an estimate from the prompt and reply length.
+ * Usage is kept as totals for the current day and month (local time), which
+ * start again at zero when the day or month changes.
+ *
+ * A budget sets a monthly and an optional daily token limit. Once a limit is
+ * reached, automatic summaries are blocked or downgraded (see
+ * getAutoSummaryPolicy); summaries the user asks for are still generated.
+ */
+
+export const BUDGET_ACTIONS = {
+  BLOCK: 'block',
+  DOWNGRADE: 'downgrade'
+};
+
+export const DEFAULT_TOKEN_BUDGET = {
+  monthlyTokens: 1000000,
+  dailyTokens: null,
+  action: BUDGET_ACTIONS.DOWNGRADE
+};
+
+// Share of a limit at which usage is shown as close to the limit
+export const BUDGET_WARNING_RATIO = 0.8;
+
+// A downgraded auto-summary runs this many times less often
+export const DOWNGRADE_INTERVAL_FACTOR = 4;
+
+// Rough average for English text across common tokenizers
+const CHARACTERS_PER_TOKEN = 4;
+
+/**
+ * Estimate the tokens of a text when the provider reports no usage
+ * @param {string} text - Text
+ * @returns {number} Estimated tokens
+ */
+export const estimateTokens = (text) => Math.ceil(String(text || '').length / CHARACTERS_PER_TOKEN);
+
+/**
+ * Get the day and month a moment falls in, in local time
+ * @param {number} [now] - Timestamp
+ * @returns {Object} `{day: 'YYYY-MM-DD', month: 'YYYY-MM'}`
+ */
+export const getUsagePeriods = (now = Date.now()) => {
+  const date = new Date(now);
+  const month = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+  return { day: `${month}-${String(date.getDate()).padStart(2, '0')}`, month };
+};
+
+/**
+ * Bring token usage to the current periods, dropping totals of periods that ended
+ * @param {Object|null} usage - Token usage
+ * @param {number} [now] - Timestamp
+ * @returns {Object} `{day, dayTokens, month, monthTokens, updatedAt}`
+ */
+export const getCurrentUsage = (usage, now = Date.now()) => {
+  const { day, month } = getUsagePeriods(now);
+  const current = usage || {};
+
+  return {
+    day,
+    dayTokens: current.day === day ? current.dayTokens || 0 : 0,
+    month,
+    monthTokens: current.month === month ? current.monthTokens || 0 : 0,
+    updatedAt: current.updatedAt || null
+  };
+};
+
+/**
+ * Add the tokens of a request to the usage
+ * @param {Object|null} usage - Token usage
+ * @param {number} tokens - Tokens used
+ * @param {number} [now] - Timestamp
+ * @returns {Object} Updated usage
+ */
+export const addTokenUsage = (usage, tokens, now = Date.now()) => {
+  const current = getCurrentUsage(usage, now);
+  return {
+    ...current,
+    dayTokens: current.dayTokens + tokens,
+    monthTokens: current.monthTokens + tokens,
+    updatedAt: now
+  };
+};
+
+/**
+ * Check a budget before it is saved
+ * @param {Object} budget - Budget
+ * @returns {Array<string>} Problems found; empty when the budget is valid
+ */
+export const validateTokenBudget = (budget) => {
+  if (!budget || typeof budget !== 'object') {
+    return ['Token budget is missing'];
+  }
+
+  const errors = [];
+  const isLimit = (value) => value === null || (Number.isInteger(value) && value > 0);
+
+  if (!isLimit(budget.monthlyTokens)) {
+    errors.push('Monthly token limit must be a positive whole number or null');
+  }
+  if (!isLimit(budget.dailyTokens)) {
+    errors.push('Daily token limit must be a positive whole number or null');
+  }
+  if (!Object.values(BUDGET_ACTIONS).includes(budget.action)) {
+    errors.push(`Budget action must be one of: ${Object.values(BUDGET_ACTIONS).join(', ')}`);
+  }
+
+  return errors;
+};
+
+/**
+ * Compare usage with a budget
+ * @param {Object|null} usage - Token usage
+ * @param {Object} budget - Budget
+ * @param {number} [now] - Timestamp
+ * @returns {Object} `{dayTokens, monthTokens, dailyLimit, monthlyLimit, usageRatio, isNearLimit, isExceeded, action}`
+ */
+export const getBudgetStatus = (usage, budget, now = Date.now()) => {
+  const { dayTokens, monthTokens } = getCurrentUsage(usage, now);
+  const ratios = [
+    budget.monthlyTokens ? monthTokens / budget.monthlyTokens : 0,
+    budget.dailyTokens ? dayTokens / budget.dailyTokens : 0
+  ];
+  const usageRatio = Math.max(...ratios);
+
+  return {
+    dayTokens,
+    monthTokens,
+    dailyLimit: budget.dailyTokens,
+    monthlyLimit: budget.monthlyTokens,
+    usageRatio,
+    isNearLimit: usageRatio >= BUDGET_WARNING_RATIO,
+    isExceeded: usageRatio >= 1,
+    action: budget.action
+  };
+};
+
+/**
+ * Decide how automatic summaries run under the budget. Over the limit a
+ * blocking budget stops them; a downgrading one keeps them to incremental
+ * updates (only new transcript is sent) at a longer interval.
+ * @param {Object} status - Budget status (see getBudgetStatus)
+ * @param {number} intervalSeconds - Normal interval between automatic summaries
+ * @returns {Object} `{allowed, incrementalOnly, intervalSeconds, downgraded}`
+ */
+export const getAutoSummaryPolicy = (status, intervalSeconds) => {
+  if (!status || !status.isExceeded) {
+    return { allowed: true, incrementalOnly: false, intervalSeconds, downgraded: false };
+  }
+
+  if (status.action === BUDGET_ACTIONS.BLOCK) {
+    return { allowed: false, incrementalOnly: false, intervalSeconds, downgraded: false };
+  }
+
+  return {
+    allowed: true,
+    incrementalOnly: true,
+    intervalSeconds: intervalSeconds * DOWNGRADE_INTERVAL_FACTOR,
+    downgraded: true
+  };
+};
+
+/**
+ * Format a token count for display
+ * @param {number} tokens - Token count
+ * @returns {string} E.g. `950`, `12.5k`, `1.2M`
+ */
+export const formatTokenCount = (tokens = 0) => {
+  if (tokens >= 1000000) {
+    return `${(tokens / 1000000).toFixed(1).replace(/\.0$/, '')}M`;
+  }
+  if (tokens >= 1000) {
+    return `${(tokens / 1000).toFixed(1).replace(/\.0$/, '')}k`;
+  }
+  return String(tokens);
+};
@@ -0,0 +1,101 @@
+import {
+  BUDGET_ACTIONS,
+  DEFAULT_TOKEN_BUDGET,
+  addTokenUsage,
+  estimateTokens,
+  formatTokenCount,
+  getAutoSummaryPolicy,
+  getBudgetStatus,
+  getCurrentUsage,
+  validateTokenBudget
+} from './tokenBudget';
+
+// Local times, as the usage periods are
+const JAN_31_EVENING = new Date(2024, 0, 31, 22, 0).getTime();
+const JAN_31_NIGHT = new Date(2024, 0, 31, 23, 59).getTime();
+const FEB_1_MORNING = new Date(2024, 1, 1, 8, 0).getTime();
+const FEB_2_MORNING = new Date(2024, 1, 2, 8, 0).getTime();
+
+describe('token budget', () => {
+  it('estimates four characters per token', () => {
+    expect(estimateTokens('')).toBe(0);
+    expect(estimateTokens(null)).toBe(0);
+    expect(estimateTokens('abcd')).toBe(1);
+    expect(estimateTokens('abcde')).toBe(2);
+  });
+
+  it('adds usage to the current day and month', () => {
+    const first = addTokenUsage(null, 100, JAN_31_EVENING);
+    const second = addTokenUsage(first, 50, JAN_31_NIGHT);
+
+    expect(second).toEqual({
+      day: '2024-01-31',
+      dayTokens: 150,
+      month: '2024-01',
+      monthTokens: 150,
+      updatedAt: JAN_31_NIGHT
+    });
+  });
+
+  it('starts the day and month totals again when they change', () => {
+    const january = addTokenUsage(null, 100, JAN_31_EVENING);
+    const february = addTokenUsage(january, 40, FEB_1_MORNING);
+    const nextDay = addTokenUsage(february, 10, FEB_2_MORNING);
+
+    expect(february).toMatchObject({ day: '2024-02-01', dayTokens: 40, month: '2024-02', monthTokens: 40 });
+    expect(nextDay).toMatchObject({ dayTokens: 10, monthTokens: 50 });
+    expect(getCurrentUsage(nextDay, new Date(2024, 2, 1).getTime())).toMatchObject({ dayTokens: 0, monthTokens: 0 });
+  });
+
+  it('checks budgets before they are saved', () => {
+    expect(validateTokenBudget(DEFAULT_TOKEN_BUDGET)).toEqual([]);
+    expect(validateTokenBudget({ monthlyTokens: null, dailyTokens: 5000, action: BUDGET_ACTIONS.BLOCK })).toEqual([]);
+    expect(validateTokenBudget({ monthlyTokens: 0, dailyTokens: 1.5, action: 'pause' })).toEqual([
+      'Monthly token limit must be a positive whole number or null',
+      'Daily token limit must be a positive whole number or null',
+      'Budget action must be one of: block, downgrade'
+    ]);
+    expect(validateTokenBudget(null)).toEqual(['Token budget is missing']);
+  });
+
+  it('compares usage with the tighter of the two limits', () => {
+    const budget = { monthlyTokens: 10000, dailyTokens: 1000, action: BUDGET_ACTIONS.BLOCK };
+    const usage = addTokenUsage(null, 850, JAN_31_EVENING);
+
+    expect(getBudgetStatus(usage, budget, JAN_31_NIGHT)).toMatchObject({
+      dayTokens: 850,
+      monthTokens: 850,
+      usageRatio: 0.85,
+      isNearLimit: true,
+      isExceeded: false
+    });
+    expect(getBudgetStatus(addTokenUsage(usage, 150, JAN_31_NIGHT), budget, JAN_31_NIGHT).isExceeded).toBe(true);
+    // The daily limit no longer counts the next day
+    expect(getBudgetStatus(usage, budget, FEB_1_MORNING)).toMatchObject({ usageRatio: 0, isNearLimit: false });
+  });
+
+  it('blocks or downgrades automatic summaries over the limit', () => {
+    const over = (action) => getBudgetStatus(
+      addTokenUsage(null, 2000, JAN_31_EVENING),
+      { monthlyTokens: 1000, dailyTokens: null, action },
+      JAN_31_NIGHT
+    );
+
+    expect(getAutoSummaryPolicy(null, 30)).toEqual({ allowed: true, incrementalOnly: false, intervalSeconds: 30, downgraded: false });
+    expect(getAutoSummaryPolicy(over(BUDGET_ACTIONS.BLOCK), 30)).toMatchObject({ allowed: false });
+    expect(getAutoSummaryPolicy(over(BUDGET_ACTIONS.DOWNGRADE), 30)).toEqual({
+      allowed: true,
+      incrementalOnly: true,
+      intervalSeconds: 120,
+      downgraded: true
+    });
+  });
+
+  it('formats token counts', () => {
+    expect(formatTokenCount(950)).toBe('950');
+    expect(formatTokenCount(12500)).toBe('12.5k');
+    expect(formatTokenCount(2000)).toBe('2k');
+    expect(formatTokenCount(1200000)).toBe('1.2M');
+    expect(formatTokenCount()).toBe('0');
+  });
+});
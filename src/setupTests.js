@@ -1,2 +1,68 @@
 // Jest setup file for all tests
-import '@testing-library/jest-dom';
\ No newline at end of file
+import '@testing-library/jest-dom';
+import { TextEncoder, TextDecoder } from 'util';
+import { webcrypto } from 'crypto';
+// IndexedDB for the storage tests; tests that need an empty database set their own IDBFactory
+import 'fake-indexeddb/auto';
+
+// jsdom lacks these Web APIs the services use
+if (typeof globalThis.TextEncoder === 'undefined') {
+  // Node's encoder returns bytes from another realm, which fail `instanceof Uint8Array` here
+  globalThis.TextEncoder = class extends TextEncoder {
+    encode(input) {
+      return new Uint8Array(super.encode(input));
+    }
+  };
+  globalThis.TextDecoder = TextDecoder;
+}
+
+if (typeof Blob.prototype.arrayBuffer === 'undefined') {
+  Blob.prototype.arrayBuffer = function arrayBuffer() {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsArrayBuffer(this);
+    });
+  };
+}
+
+if (!globalThis.crypto || !globalThis.crypto.subtle) {
+  Object.defineProperty(globalThis, 'crypto', { value: webcrypto, configurable: true });
+}
+
+/**
+ * Copy a value the way structuredClone does for the types stored here
+ * (fake-indexeddb clones every record). Blobs are immutable and are shared.
+ * @param {*} value - Value
+ * @param {Map} seen - Copies of objects already visited
+ * @returns {*} Copy
+ */
+const cloneValue = (value, seen = new Map()) => {
+  if (value === null || typeof value !== 'object' || value instanceof Blob) {
+    return value;
+  }
+  if (seen.has(value)) {
+    return seen.get(value);
+  }
+  if (value instanceof Date) {
+    return new Date(value.getTime());
+  }
+  if (value instanceof ArrayBuffer) {
+    return value.slice(0);
+  }
+  if (ArrayBuffer.isView(value)) {
+    return new value.constructor(value.buffer.slice(value.byteOffset, value.byteOffset + value.byteLength));
+  }
+
+  const copy = Array.isArray(value) ? [] : {};
+  seen.set(value, copy);
+  Object.keys(value).forEach(key => {
+    copy[key] = cloneValue(value[key], seen);
+  });
+  return copy;
+};
+
+if (typeof globalThis.structuredClone === 'undefined') {
+  globalThis.structuredClone = (value) => cloneValue(value);
+}
@@ -147,6 +147,164 @@ export const createAudioDownloadUrl = (audioBlob, filename = 'recording.webm') =
   return URL.createObjectURL(audioBlob);
 };
 
+/**
+ * Map a time in the session to a position in a stored recording.
+ * Session times are milliseconds since the session started, like a segment's
+ * `relativeTime`; time spent paused is not part of the audio, so a moment
+ * inside a pause maps to where the recording picked up again.
+ * @param {Object} recording - Recording with sessionOffset, duration and pauses (ms)
+ * @param {number} relativeTime - Milliseconds since the session started
+ * @returns {number} Offset into the audio in milliseconds
+ */
+export const getRecordingOffset = (recording, relativeTime) => {
+  const elapsed = relativeTime - recording.sessionOffset;
+  let paused = 0;
+
+  for (const pause of recording.pauses || []) {
+    if (elapsed < pause.at + paused) {
+      break;
+    }
+    if (elapsed < pause.at + paused + pause.duration) {
+      return pause.at;
+    }
+    paused += pause.duration;
+  }
+
+  return Math.max(0, Math.min(recording.duration, elapsed - paused));
+};
+
+/**
+ * Find the recording that was running at a time in the session
+ * @param {Array<Object>} recordings - Recordings of the session
+ * @param {number} relativeTime - Milliseconds since the session started
+ * @returns {Object|null} Recording and the offset into it in milliseconds
+ */
+export const findRecordingAtTime = (recordings, relativeTime) => {
+  const recording = recordings.find(candidate => {
+    const pausedTotal = (candidate.pauses || []).reduce((total, pause) => total + pause.duration, 0);
+    const end = candidate.sessionOffset + candidate.duration + pausedTotal;
+    return relativeTime >= candidate.sessionOffset && relativeTime <= end;
+  });
+
+  return recording ? { recording, offset: getRecordingOffset(recording, relativeTime) } : null;
+};
+
+/**
+ * Map a position in a stored recording back to a time in the session
+ * (the inverse of getRecordingOffset)
+ * @param {Object} recording - Recording with sessionOffset and pauses (ms)
+ * @param {number} offset - Position in the audio in milliseconds
+ * @returns {number} Milliseconds since the session started
+ */
+export const getSessionTime = (recording, offset) => {
+  const paused = (recording.pauses || [])
+    .filter(pause => pause.at <= offset)
+    .reduce((total, pause) => total + pause.duration, 0);
+
+  return recording.sessionOffset + offset + paused;
+};
+
+/**
+ * Get the session time a transcript segment starts at. Speech recognition
+ * stamps a segment when it is finalized, so it covers the `duration` before
+ * its `relativeTime`.
+ * @param {Object} segment - Transcript segment
+ * @returns {number} Milliseconds since the session started
+ */
+export const getSegmentStartTime = (segment) => Math.max(0, segment.relativeTime - (segment.duration || 0));
+
+/**
+ * Find the transcript segment being spoken at a time in the session
+ * @param {Array<Object>} segments - Final transcript segments
+ * @param {number} relativeTime - Milliseconds since the session started
+ * @returns {Object|null} Segment, or null if the time is after the last one
+ */
+export const findSegmentAtTime = (segments, relativeTime) => {
+  let match = null;
+
+  segments.forEach(segment => {
+    if (segment.relativeTime >= relativeTime && (!match || segment.relativeTime < match.relativeTime)) {
+      match = segment;
+    }
+  });
+
+  return match;
+};
+
+/**
+ * Find stretches of silence in decoded audio
+ * @param {Float32Array} samples - Mono samples (-1 to 1)
+ * @param {number} sampleRate - Samples per second
+ * @param {Object} [options] - Detection options
+ * @param {number} [options.threshold=0.01] - RMS level below which a window counts as silent
+ * @param {number} [options.minDuration=1000] - Shortest silence to report, in milliseconds
+ * @param {number} [options.windowMs=50] - Analysis window in milliseconds
+ * @returns {Array<{start: number, end: number}>} Silent ranges in milliseconds
+ */
+export const findSilentRanges = (samples, sampleRate, options = {}) => {
+  const { threshold = 0.01, minDuration = 1000, windowMs = 50 } = options;
+  const windowSize = Math.max(1, Math.floor((sampleRate * windowMs) / 1000));
+  const ranges = [];
+  let silenceStart = null;
+
+  const closeRange = (end) => {
+    if (silenceStart !== null && end - silenceStart >= minDuration) {
+      ranges.push({ start: silenceStart, end });
+    }
+    silenceStart = null;
+  };
+
+  for (let offset = 0; offset < samples.length; offset += windowSize) {
+    const end = Math.min(samples.length, offset + windowSize);
+    let sum = 0;
+    for (let i = offset; i < end; i++) {
+      sum += samples[i] * samples[i];
+    }
+
+    const time = (offset / sampleRate) * 1000;
+    if (Math.sqrt(sum / (end - offset)) < threshold) {
+      if (silenceStart === null) {
+        silenceStart = time;
+      }
+    } else {
+      closeRange(time);
+    }
+  }
+
+  closeRange((samples.length / sampleRate) * 1000);
+  return ranges;
+};
+
+/**
+ * Decode recorded audio and find its silent stretches. Audio is decoded at a
+ * low sample rate, which is plenty for level detection and keeps memory use
+ * down for long recordings.
+ * @param {Blob} audioBlob - Encoded audio
+ * @param {Object} [options] - Options for findSilentRanges
+ * @returns {Promise<Array<{start: number, end: number}>>} Silent ranges in milliseconds
+ */
+export const detectSilentRanges = async (audioBlob, options = {}) => {
+  const OfflineContextClass = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+  if (!OfflineContextClass) {
+    throw new Error('Audio decoding is not supported in this environment');
+  }
+
+  const sampleRate = 8000;
+  const context = new OfflineContextClass(1, 1, sampleRate);
+  const audioBuffer = await context.decodeAudioData(await audioBlob.arrayBuffer());
+
+  // Mix down to mono
+  const samples = new Float32Array(audioBuffer.length);
+  for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+    const data = audioBuffer.getChannelData(channel);
+    for (let i = 0; i < data.length; i++) {
+      samples[i] += data[i] / audioBuffer.numberOfChannels;
+    }
+  }
+
+  return findSilentRanges(samples, audioBuffer.sampleRate, options);
+};
+
 /**
  * Validate audio stream constraints
  * @param {Object} constraints - Audio constraints to validate
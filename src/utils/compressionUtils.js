@@ -0,0 +1,240 @@
+/**
+ * Compression utility functions for stored text payloads
+ *
+ * Text is compressed with a synchronous LZ77 codec using the LZ4 block layout
+ * over UTF-8 bytes. It has to be synchronous: records are compressed while an
+ * IndexedDB transaction is open, and awaiting a stream would let it commit.
+ */
+
+/**
+ * Codec markers stored on compressed records
+ */
+export const CODECS = {
+  NONE: 'none',
+  LZ4: 'lz4'
+};
+
+const MIN_MATCH = 4;
+const MAX_OFFSET = 65535;
+const HASH_BITS = 14;
+const LAST_LITERALS = 5;
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+/**
+ * Encode a string as UTF-8 bytes
+ * @param {string} text - Text to encode
+ * @returns {Uint8Array} UTF-8 bytes
+ */
+export const encodeUtf8 = (text) => textEncoder.encode(text);
+
+/**
+ * Decode UTF-8 bytes to a string
+ * @param {Uint8Array} bytes - UTF-8 bytes
+ * @returns {string} Decoded text
+ */
+export const decodeUtf8 = (bytes) => textDecoder.decode(bytes);
+
+/**
+ * Get the UTF-8 size of a string in bytes
+ * @param {string} text - Text to measure
+ * @returns {number} Size in bytes
+ */
+export const getByteLength = (text) => textEncoder.encode(text || '').length;
+
+/**
+ * Hash the four bytes starting at a position
+ * @param {Uint8Array} bytes - Input bytes
+ * @param {number} position - Start position
+ * @returns {number} Hash table slot
+ */
+const hashAt = (bytes, position) => {
+  const low = bytes[position] | (bytes[position + 1] << 8);
+  const high = bytes[position + 2] | (bytes[position + 3] << 8);
+  const sequence = low | (high << 16);
+  return Math.imul(sequence, 2654435761) >>> (32 - HASH_BITS);
+};
+
+/**
+ * Check whether the four bytes at two positions are equal
+ * @param {Uint8Array} bytes - Input bytes
+ * @param {number} candidate - Earlier position
+ * @param {number} position - Current position
+ * @returns {boolean} Whether a match starts here
+ */
+const startsMatch = (bytes, candidate, position) => {
+  for (let i = 0; i < MIN_MATCH; i++) {
+    if (bytes[candidate + i] !== bytes[position + i]) {
+      return false;
+    }
+  }
+  return true;
+};
+
+/**
+ * Append an LZ4 extended length (runs of 255 plus a remainder)
+ * @param {Array<number>} output - Output bytes
+ * @param {number} length - Length beyond the 4-bit token field
+ */
+const writeLength = (output, length) => {
+  let remaining = length;
+  while (remaining >= 255) {
+    output.push(255);
+    remaining -= 255;
+  }
+  output.push(remaining);
+};
+
+/**
+ * Compress bytes into an LZ4 block
+ * @param {Uint8Array} input - Uncompressed bytes
+ * @returns {Uint8Array} Compressed bytes
+ */
+export const compressBytes = (input) => {
+  const output = [];
+  const table = new Int32Array(1 << HASH_BITS).fill(-1);
+  const matchLimit = input.length - LAST_LITERALS;
+  let anchor = 0;
+  let position = 0;
+
+  const emitSequence = (literalEnd, matchLength = 0, offset = 0) => {
+    const literalLength = literalEnd - anchor;
+    const matchToken = matchLength ? Math.min(matchLength - MIN_MATCH, 15) : 0;
+
+    output.push((Math.min(literalLength, 15) << 4) | matchToken);
+    if (literalLength >= 15) {
+      writeLength(output, literalLength - 15);
+    }
+    for (let i = anchor; i < literalEnd; i++) {
+      output.push(input[i]);
+    }
+
+    if (matchLength) {
+      output.push(offset & 0xff, offset >> 8);
+      if (matchLength - MIN_MATCH >= 15) {
+        writeLength(output, matchLength - MIN_MATCH - 15);
+      }
+    }
+  };
+
+  while (position + MIN_MATCH <= matchLimit) {
+    const hash = hashAt(input, position);
+    const candidate = table[hash];
+    table[hash] = position;
+
+    if (candidate < 0 || position - candidate > MAX_OFFSET || !startsMatch(input, candidate, position)) {
+      position++;
+      continue;
+    }
+
+    let matchLength = MIN_MATCH;
+    while (position + matchLength < matchLimit && input[candidate + matchLength] === input[position + matchLength]) {
+      matchLength++;
+    }
+
+    emitSequence(position, matchLength, position - candidate);
+    position += matchLength;
+    anchor = position;
+  }
+
+  // The block always ends with a literal-only sequence
+  emitSequence(input.length);
+
+  return Uint8Array.from(output);
+};
+
+/**
+ * Decompress an LZ4 block
+ * @param {Uint8Array} input - Compressed bytes
+ * @param {number} outputLength - Size of the uncompressed data
+ * @returns {Uint8Array} Uncompressed bytes
+ */
+export const decompressBytes = (input, outputLength) => {
+  const output = new Uint8Array(outputLength);
+  let inputPosition = 0;
+  let outputPosition = 0;
+
+  const readLength = (length) => {
+    let total = length;
+    if (length === 15) {
+      let byte;
+      do {
+        byte = input[inputPosition++];
+        total += byte;
+      } while (byte === 255);
+    }
+    return total;
+  };
+
+  while (inputPosition < input.length) {
+    const token = input[inputPosition++];
+
+    const literalLength = readLength(token >> 4);
+    if (outputPosition + literalLength > outputLength) {
+      throw new Error('Compressed payload is corrupt');
+    }
+    output.set(input.subarray(inputPosition, inputPosition + literalLength), outputPosition);
+    inputPosition += literalLength;
+    outputPosition += literalLength;
+
+    if (inputPosition >= input.length) {
+      break;
+    }
+
+    const offset = input[inputPosition] | (input[inputPosition + 1] << 8);
+    inputPosition += 2;
+    const matchLength = readLength(token & 15) + MIN_MATCH;
+
+    if (offset === 0 || offset > outputPosition || outputPosition + matchLength > outputLength) {
+      throw new Error('Compressed payload is corrupt');
+    }
+
+    // Byte by byte, because a match may overlap the bytes it is copying
+    let from = outputPosition - offset;
+    for (let i = 0; i < matchLength; i++) {
+      output[outputPosition++] = output[from++];
+    }
+  }
+
+  if (outputPosition !== outputLength) {
+    throw new Error('Compressed payload is corrupt');
+  }
+
+  return output;
+};
+
+/**
+ * Compress text, falling back to plain text when compression does not help
+ * @param {string} text - Text to compress
+ * @returns {Object} Codec, stored data, stored size and original size in bytes
+ */
+export const compressText = (text) => {
+  const bytes = textEncoder.encode(text);
+  const compressed = compressBytes(bytes);
+
+  if (compressed.length >= bytes.length) {
+    return { codec: CODECS.NONE, data: text, size: bytes.length, originalSize: bytes.length };
+  }
+
+  return { codec: CODECS.LZ4, data: compressed, size: compressed.length, originalSize: bytes.length };
+};
+
+/**
+ * Decompress text produced by compressText
+ * @param {string} codec - Codec marker
+ * @param {string|Uint8Array} data - Stored data
+ * @param {number} originalSize - Original size in bytes
+ * @returns {string} Original text
+ */
+export const decompressText = (codec, data, originalSize) => {
+  switch (codec) {
+  case undefined:
+  case CODECS.NONE:
+    return data;
+  case CODECS.LZ4:
+    return textDecoder.decode(decompressBytes(data, originalSize));
+  default:
+    throw new Error(`Unsupported compression codec: ${codec}`);
+  }
+};
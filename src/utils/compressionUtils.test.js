@@ -0,0 +1,107 @@
+import {
+  CODECS,
+  compressBytes,
+  compressText,
+  decodeUtf8,
+  decompressBytes,
+  decompressText,
+  encodeUtf8
+} from './compressionUtils';
+import { StorageService } from '../services/storageService';
+
+/**
+ * Bytes from a fixed xorshift generator, which LZ4 cannot shrink
+ * @param {number} length - Number of bytes
+ * @returns {Uint8Array} Bytes
+ */
+const createNoise = (length) => {
+  const bytes = new Uint8Array(length);
+  let state = 2463534242;
+  for (let i = 0; i < length; i++) {
+    state ^= state << 13;
+    state ^= state >>> 17;
+    state ^= state << 5;
+    bytes[i] = state >>> 24;
+  }
+  return bytes;
+};
+
+/**
+ * Compress bytes and decompress them again
+ * @param {Uint8Array} bytes - Input
+ * @returns {Object} `{compressed, restored}`
+ */
+const roundTrip = (bytes) => {
+  const compressed = compressBytes(bytes);
+  return { compressed, restored: decompressBytes(compressed, bytes.length) };
+};
+
+describe('LZ4 codec', () => {
+  it('round-trips empty and short input', () => {
+    ['', 'a', 'abc', 'abcdefgh'].forEach(text => {
+      const bytes = encodeUtf8(text);
+      expect(decodeUtf8(roundTrip(bytes).restored)).toBe(text);
+    });
+  });
+
+  it('round-trips input it cannot compress', () => {
+    const noise = createNoise(5000);
+    const { compressed, restored } = roundTrip(noise);
+
+    // A single literal run: the token and its extended length cost a few bytes
+    expect(compressed.length).toBeGreaterThan(noise.length);
+    expect(compressed.length).toBeLessThan(noise.length + 30);
+    expect(restored).toEqual(noise);
+  });
+
+  it('round-trips long runs with extended match lengths', () => {
+    const bytes = encodeUtf8('a'.repeat(100000));
+    const { compressed, restored } = roundTrip(bytes);
+
+    expect(compressed.length).toBeLessThan(500);
+    expect(restored).toEqual(bytes);
+  });
+
+  it('copies matches that overlap the bytes they repeat', () => {
+    const text = `${'ab'.repeat(500)} Zoë 🎙 ${'Zoë 🎙 '.repeat(50)}`;
+    const { compressed, restored } = roundTrip(encodeUtf8(text));
+
+    expect(compressed.length).toBeLessThan(100);
+    expect(decodeUtf8(restored)).toBe(text);
+
+    // One literal 'a', then a match at offset 1 that is ten bytes long
+    expect(decodeUtf8(decompressBytes(Uint8Array.from([0x16, 97, 1, 0]), 11))).toBe('a'.repeat(11));
+  });
+
+  it('rejects corrupt blocks', () => {
+    // The match points before the start of the output
+    expect(() => decompressBytes(Uint8Array.from([0x16, 97, 2, 0]), 11)).toThrow('Compressed payload is corrupt');
+    expect(() => decompressBytes(compressBytes(encodeUtf8('a'.repeat(100))), 99)).toThrow('Compressed payload is corrupt');
+  });
+});
+
+describe('text compression', () => {
+  it('stores text it cannot shrink as plain text', () => {
+    expect(compressText('')).toEqual({ codec: CODECS.NONE, data: '', size: 0, originalSize: 0 });
+    expect(compressText('Hi Zoë')).toEqual({ codec: CODECS.NONE, data: 'Hi Zoë', size: 7, originalSize: 7 });
+  });
+
+  it('round-trips text through its codec marker', () => {
+    const text = 'We measured before we optimized. '.repeat(40);
+    const { codec, data, originalSize } = compressText(text);
+
+    expect(codec).toBe(CODECS.LZ4);
+    expect(decompressText(codec, data, originalSize)).toBe(text);
+    expect(() => decompressText('gzip', data, originalSize)).toThrow('Unsupported compression codec: gzip');
+  });
+
+  it('reads records written before the codec marker existed', () => {
+    const storage = new StorageService();
+
+    expect(decompressText(undefined, 'Plain text')).toBe('Plain text');
+    expect(storage.decompressTranscriptSegment({ id: 'segment_1', text: 'Plain text', timestamp: 1000 }))
+      .toEqual({ id: 'segment_1', text: 'Plain text', timestamp: 1000 });
+    expect(storage.decompressSummary({ id: 'summary_1', content: 'Summary', keyPoints: ['Point'] }))
+      .toEqual({ id: 'summary_1', content: 'Summary', keyPoints: ['Point'] });
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * Summary utility functions for comparing summary versions
+ */
+
+/**
+ * Summary list sections that are compared item by item
+ */
+export const SUMMARY_LIST_SECTIONS = [
+  { key: 'keyPoints', label: 'Key Points' },
+  { key: 'decisions', label: 'Decisions' },
+  { key: 'actionItems', label: 'Action Items' },
+  { key: 'quotes', label: 'Quotes' }
+];
+
+/**
+ * Normalize a list item for comparison
+ * @param {string} item - List item
+ * @returns {string} Normalized item
+ */
+const normalizeItem = (item) => String(item).trim().toLowerCase().replace(/\s+/g, ' ');
+
+/**
+ * Keep the first of items that normalize to the same text
+ * @param {Array} items - List items
+ * @returns {Array} Distinct items
+ */
+const distinctItems = (items) => {
+  const seen = new Set();
+  return items.filter(item => {
+    const normalized = normalizeItem(item);
+    if (seen.has(normalized)) {
+      return false;
+    }
+    seen.add(normalized);
+    return true;
+  });
+};
+
+/**
+ * Compare two lists and return the added and removed items, each once
+ * @param {Array} previous - Items in the older version
+ * @param {Array} next - Items in the newer version
+ * @returns {Object} Added and removed items
+ */
+export const diffLists = (previous = [], next = []) => {
+  const previousSet = new Set(previous.map(normalizeItem));
+  const nextSet = new Set(next.map(normalizeItem));
+
+  return {
+    added: distinctItems(next.filter(item => !previousSet.has(normalizeItem(item)))),
+    removed: distinctItems(previous.filter(item => !nextSet.has(normalizeItem(item))))
+  };
+};
+
+/**
+ * Describe what changed between two summary versions
+ * @param {Object|null} previous - Older summary version
+ * @param {Object} next - Newer summary version
+ * @returns {Object} Change description
+ */
+export const diffSummaries = (previous, next) => {
+  const countWords = (text) => (text ? text.trim().split(/\s+/).filter(Boolean).length : 0);
+  const topicNames = (summary) => (summary?.topics || []).map(topic => topic.name);
+
+  const sections = SUMMARY_LIST_SECTIONS.map(({ key, label }) => ({
+    key,
+    label,
+    ...diffLists(previous?.[key], next?.[key])
+  }));
+
+  sections.push({
+    key: 'topics',
+    label: 'Topics',
+    ...diffLists(topicNames(previous), topicNames(next))
+  });
+
+  const contentChanged = (previous?.content || '').trim() !== (next?.content || '').trim();
+
+  return {
+    contentChanged,
+    wordDelta: countWords(next?.content) - countWords(previous?.content),
+    sections: sections.filter(section => section.added.length > 0 || section.removed.length > 0),
+    hasChanges: contentChanged || sections.some(section => section.added.length > 0 || section.removed.length > 0)
+  };
+};
@@ -0,0 +1,23 @@
+import { diffLists, diffSummaries } from './summaryUtils';
+
+describe('diffSummaries', () => {
+  it('lists added and removed items once each, ignoring case and spacing', () => {
+    expect(diffLists(['Use a cache', 'Add tests'], ['use  a cache', 'Shard the table', 'shard the table'])).toEqual({
+      added: ['Shard the table'],
+      removed: ['Add tests']
+    });
+  });
+
+  it('describes the changes between two versions', () => {
+    const previous = { content: 'The candidate designed a cache.', keyPoints: ['Cache'], topics: [{ name: 'Caching' }] };
+    const next = { content: 'The candidate designed a sharded cache.', keyPoints: ['Cache'], topics: [{ name: 'Sharding' }] };
+
+    expect(diffSummaries(previous, next)).toEqual({
+      contentChanged: true,
+      wordDelta: 1,
+      sections: [{ key: 'topics', label: 'Topics', added: ['Sharding'], removed: ['Caching'] }],
+      hasChanges: true
+    });
+    expect(diffSummaries(next, { ...next }).hasChanges).toBe(false);
+  });
+});
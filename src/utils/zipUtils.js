@@ -0,0 +1,290 @@
+/**
+ * Zip utility functions for portable archives
+ *
+ * Writes and reads standard zip files (stored or deflated entries, UTF-8
+ * names, no zip64) so archives open in any zip tool. Deflate uses the
+ * platform CompressionStream; entries are stored uncompressed where it is
+ * not available.
+ */
+
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06054b50;
+
+const METHOD_STORE = 0;
+const METHOD_DEFLATE = 8;
+
+// General purpose flags: bit 0 marks encrypted entries, bit 11 UTF-8 names
+const FLAG_ENCRYPTED = 0x0001;
+const FLAG_UTF8 = 0x0800;
+
+const ZIP_VERSION = 20;
+const MAX_ZIP_SIZE = 0xffffffff;
+const MAX_ZIP_ENTRIES = 0xffff;
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+let crcTable = null;
+
+/**
+ * Get the CRC-32 lookup table, building it on first use
+ * @returns {Uint32Array} Lookup table
+ */
+const getCrcTable = () => {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+  return crcTable;
+};
+
+/**
+ * Compute the CRC-32 checksum used by zip entries
+ * @param {Uint8Array} bytes - Input bytes
+ * @returns {number} Unsigned CRC-32
+ */
+export const crc32 = (bytes) => {
+  const table = getCrcTable();
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = table[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+/**
+ * Check whether raw deflate streams are available
+ * @returns {boolean} True if CompressionStream supports deflate-raw
+ */
+const canDeflate = () => typeof CompressionStream !== 'undefined' && typeof DecompressionStream !== 'undefined';
+
+/**
+ * Pipe bytes through a compression or decompression stream
+ * @param {Uint8Array} bytes - Input bytes
+ * @param {TransformStream} transform - Stream to pipe through
+ * @returns {Promise<Uint8Array>} Output bytes
+ */
+const pipeBytes = async (bytes, transform) => {
+  const stream = new Blob([bytes]).stream().pipeThrough(transform);
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+};
+
+/**
+ * Convert a Date to MS-DOS time and date fields
+ * @param {Date} date - Date to convert
+ * @returns {{time: number, date: number}} DOS time and date
+ */
+const toDosDateTime = (date) => {
+  const year = Math.max(date.getFullYear(), 1980);
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+};
+
+/**
+ * Convert data to bytes
+ * @param {Uint8Array|ArrayBuffer|Blob|string} data - Input data
+ * @returns {Promise<Uint8Array>} Bytes
+ */
+export const toBytes = async (data) => {
+  if (data instanceof Uint8Array) {
+    return data;
+  }
+  if (data instanceof ArrayBuffer) {
+    return new Uint8Array(data);
+  }
+  if (typeof Blob !== 'undefined' && data instanceof Blob) {
+    return new Uint8Array(await data.arrayBuffer());
+  }
+  if (typeof data === 'string') {
+    return textEncoder.encode(data);
+  }
+  throw new Error('Unsupported data type: expected bytes, a Blob or a string');
+};
+
+/**
+ * Create a zip archive
+ * @param {Array<Object>} files - Files to add
+ * @param {string} files[].name - Path inside the archive
+ * @param {Uint8Array|ArrayBuffer|Blob|string} files[].data - File contents
+ * @param {boolean} [files[].compress=true] - Deflate the entry when it gets smaller
+ * @param {Date} [files[].modifiedAt] - Modification time
+ * @returns {Promise<Uint8Array>} Zip bytes
+ */
+export const createZip = async (files) => {
+  if (files.length > MAX_ZIP_ENTRIES) {
+    throw new Error(`Zip archives are limited to ${MAX_ZIP_ENTRIES} files`);
+  }
+
+  const localParts = [];
+  const centralParts = [];
+  const names = new Set();
+  let offset = 0;
+
+  for (const file of files) {
+    if (!file.name || names.has(file.name)) {
+      throw new Error(`Invalid or duplicate zip entry name: ${file.name}`);
+    }
+    names.add(file.name);
+
+    const name = textEncoder.encode(file.name);
+    const data = await toBytes(file.data);
+    const crc = crc32(data);
+    const { time, date } = toDosDateTime(file.modifiedAt || new Date());
+
+    let method = METHOD_STORE;
+    let stored = data;
+    if (file.compress !== false && canDeflate() && data.length > 0) {
+      const deflated = await pipeBytes(data, new CompressionStream('deflate-raw'));
+      if (deflated.length < data.length) {
+        method = METHOD_DEFLATE;
+        stored = deflated;
+      }
+    }
+
+    if (offset + 30 + name.length + stored.length > MAX_ZIP_SIZE) {
+      throw new Error('Zip archive is larger than 4 GB');
+    }
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, LOCAL_HEADER_SIGNATURE, true);
+    local.setUint16(4, ZIP_VERSION, true);
+    local.setUint16(6, FLAG_UTF8, true);
+    local.setUint16(8, method, true);
+    local.setUint16(10, time, true);
+    local.setUint16(12, date, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, stored.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, name.length, true);
+    local.setUint16(28, 0, true);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, CENTRAL_HEADER_SIGNATURE, true);
+    central.setUint16(4, ZIP_VERSION, true);
+    central.setUint16(6, ZIP_VERSION, true);
+    central.setUint16(8, FLAG_UTF8, true);
+    central.setUint16(10, method, true);
+    central.setUint16(12, time, true);
+    central.setUint16(14, date, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, stored.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, name.length, true);
+    central.setUint32(42, offset, true);
+
+    localParts.push(new Uint8Array(local.buffer), name, stored);
+    centralParts.push(new Uint8Array(central.buffer), name);
+    offset += 30 + name.length + stored.length;
+  }
+
+  const centralSize = centralParts.reduce((total, part) => total + part.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, END_OF_CENTRAL_DIRECTORY_SIGNATURE, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+  const output = new Uint8Array(offset + centralSize + 22);
+  let position = 0;
+  parts.forEach(part => {
+    output.set(part, position);
+    position += part.length;
+  });
+
+  return output;
+};
+
+/**
+ * Read a zip archive, checking the CRC-32 of every entry
+ * @param {Uint8Array|ArrayBuffer|Blob} data - Zip data
+ * @returns {Promise<Map<string, Uint8Array>>} File contents by path (directories are skipped)
+ */
+export const readZip = async (data) => {
+  const bytes = await toBytes(data);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+  // The end record sits at the very end, followed only by an optional comment
+  let endOffset = -1;
+  for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xffff); i--) {
+    if (view.getUint32(i, true) === END_OF_CENTRAL_DIRECTORY_SIGNATURE) {
+      endOffset = i;
+      break;
+    }
+  }
+
+  if (endOffset < 0) {
+    throw new Error('Not a zip archive');
+  }
+
+  const entryCount = view.getUint16(endOffset + 10, true);
+  let position = view.getUint32(endOffset + 16, true);
+  const files = new Map();
+
+  for (let i = 0; i < entryCount; i++) {
+    if (position + 46 > bytes.length || view.getUint32(position, true) !== CENTRAL_HEADER_SIGNATURE) {
+      throw new Error('Zip archive is corrupt: bad central directory');
+    }
+
+    const flags = view.getUint16(position + 8, true);
+    const method = view.getUint16(position + 10, true);
+    const crc = view.getUint32(position + 16, true);
+    const compressedSize = view.getUint32(position + 20, true);
+    const size = view.getUint32(position + 24, true);
+    const nameLength = view.getUint16(position + 28, true);
+    const extraLength = view.getUint16(position + 30, true);
+    const commentLength = view.getUint16(position + 32, true);
+    const localOffset = view.getUint32(position + 42, true);
+    const name = textDecoder.decode(bytes.subarray(position + 46, position + 46 + nameLength));
+    position += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/')) {
+      continue;
+    }
+
+    if (flags & FLAG_ENCRYPTED) {
+      throw new Error(`Encrypted zip entries are not supported: ${name}`);
+    }
+
+    if (view.getUint32(localOffset, true) !== LOCAL_HEADER_SIGNATURE) {
+      throw new Error(`Zip archive is corrupt: bad header for ${name}`);
+    }
+
+    const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+    const stored = bytes.subarray(dataStart, dataStart + compressedSize);
+
+    if (stored.length !== compressedSize) {
+      throw new Error(`Zip archive is truncated: ${name}`);
+    }
+
+    let contents;
+    if (method === METHOD_STORE) {
+      contents = stored;
+    } else if (method === METHOD_DEFLATE) {
+      if (!canDeflate()) {
+        throw new Error('Deflated zip entries are not supported in this environment');
+      }
+      contents = await pipeBytes(stored, new DecompressionStream('deflate-raw'));
+    } else {
+      throw new Error(`Unsupported zip compression method ${method}: ${name}`);
+    }
+
+    if (contents.length !== size || crc32(contents) !== crc) {
+      throw new Error(`Zip entry failed its CRC check: ${name}`);
+    }
+
+    files.set(name, contents);
+  }
+
+  return files;
+};